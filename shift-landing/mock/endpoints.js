@@ -0,0 +1,108 @@
+// Endpoints served in fixture mode (VITE_MOCK=1). Each entry is recorded once
+// with the largest params the app asks for; smaller `limit`s are sliced from it.
+// `variants` lists query params that change the shape of the response and so
+// get a fixture of their own.
+//
+// A `:id` path is recorded once per id: the first `ids.count` distinct
+// `ids.field` values of the `ids.from` fixture. A `batch` entry is recorded
+// once with those ids in its `ids` param, and the mock answers a request with
+// the rows whose `batch.field` it asked for. `windowed` entries are hourly
+// series the mock trims to the request's trailing `hours`.
+
+export const MOCK_PREFIXES = {
+  kalshi: '/api',
+  poly: '/poly',
+}
+
+const TOP_CHANGES_VARIANTS = {
+  kalshi: ['volume', 'open_interest', 'mid', 'spread_ticks'],
+  poly: ['volume', 'volume_24hr', 'liquidity', 'outcome_yes_price'],
+}
+
+const SHARED = [
+  { path: '/markets/screener', params: { limit: 500 } },
+  { path: '/markets/expiring-soon', params: { hours: 168, limit: 200 } },
+  { path: '/markets/mid-moves', params: { hours: 24, limit: 200 } },
+  { path: '/vol/index/global', params: { points: 50 } },
+  { path: '/top-events-volume', params: { limit: 50 } },
+  { path: '/signals/biggest-moves', params: { limit: 200, hours: 24 } },
+  { path: '/opportunity-gap', params: { limit: 200 } },
+  { path: '/market-heat', params: { limit: 200 } },
+  { path: '/tradeability-score', params: { limit: 200 } },
+]
+
+const MARKET_IDS = {
+  kalshi: { from: '/markets/screener', field: 'market_ticker', count: 20 },
+  poly: { from: '/markets/screener', field: 'condition_id', count: 20 },
+}
+
+const EVENT_IDS = {
+  kalshi: { from: '/top-events-volume', field: 'event_ticker', count: 20 },
+  poly: { from: '/top-events-volume', field: 'event_slug', count: 20 },
+}
+
+export const MOCK_ENDPOINTS = {
+  kalshi: [
+    ...SHARED,
+    { path: '/markets/:id', params: {}, ids: MARKET_IDS.kalshi },
+    { path: '/markets/:id/history', params: { hours: 168 }, ids: MARKET_IDS.kalshi, windowed: true },
+    { path: '/events/:id/history', params: { hours: 168 }, ids: EVENT_IDS.kalshi, windowed: true },
+    { path: '/markets/history', params: { hours: 168 }, batch: MARKET_IDS.kalshi, windowed: true },
+    { path: '/global-6h-deltas', params: { limit: 200 } },
+    { path: '/market-movers', params: {} },
+    { path: '/markets/spread-blowouts', params: {} },
+    { path: '/top-events-open-interest', params: { limit: 50 } },
+    ...TOP_CHANGES_VARIANTS.kalshi.map((metric) => (
+      { path: '/markets/top-changes-24h', params: { metric, limit: 500 }, variants: ['metric'] }
+    )),
+  ],
+  poly: [
+    ...SHARED,
+    { path: '/markets/:id', params: {}, ids: MARKET_IDS.poly },
+    { path: '/markets/:id/history', params: { hours: 168 }, ids: MARKET_IDS.poly, windowed: true },
+    { path: '/events/:id/history', params: { hours: 168 }, ids: EVENT_IDS.poly, windowed: true },
+    { path: '/markets/history', params: { hours: 168 }, batch: MARKET_IDS.poly, windowed: true },
+    { path: '/global-deltas', params: { limit: 200 } },
+    { path: '/global-snapshot', params: {} },
+    { path: '/top-events-liquidity', params: { limit: 50 } },
+    ...TOP_CHANGES_VARIANTS.poly.map((metric) => (
+      { path: '/markets/top-changes-24h', params: { metric, limit: 500 }, variants: ['metric'] }
+    )),
+  ],
+}
+
+const VARIANT_PARAMS = ['metric']
+
+// `/markets/top-changes-24h?metric=mid` -> `markets/top-changes-24h.metric-mid.json`
+export function fixtureName(path, searchParams) {
+  const suffix = VARIANT_PARAMS
+    .filter((key) => searchParams.has(key))
+    .map((key) => `.${key}-${searchParams.get(key)}`)
+    .join('')
+  return `${path.replace(/^\//, '')}${suffix}.json`
+}
+
+// The ids an `ids` or `batch` entry is recorded for, read from its `from` body
+export function fixtureIds(entry, fromBody) {
+  const source = entry.ids ?? entry.batch
+  const rows = Array.isArray(fromBody) ? fromBody : fromBody?.rows ?? []
+  const ids = [...new Set(rows.map((row) => row[source.field]).filter(Boolean))]
+  return ids.slice(0, source.count)
+}
+
+// `/markets/:id` with `id` filled in, as the app requests it
+export function concretePath(entry, id) {
+  return entry.path.replace(':id', encodeURIComponent(id))
+}
+
+// The entry serving `pathname`; literal paths win over `:id` templates, so
+// `/markets/screener` is never read as a market id
+export function matchEndpoint(provider, pathname) {
+  const entries = MOCK_ENDPOINTS[provider] ?? []
+  const segments = pathname.split('/')
+  const fits = (entry) => {
+    const pattern = entry.path.split('/')
+    return pattern.length === segments.length && pattern.every((seg, i) => seg === ':id' || seg === segments[i])
+  }
+  return entries.find((entry) => entry.path === pathname) ?? entries.find((entry) => entry.ids && fits(entry)) ?? null
+}
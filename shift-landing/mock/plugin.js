@@ -0,0 +1,163 @@
+import { existsSync, readFileSync } from 'node:fs'
+import { readFile } from 'node:fs/promises'
+import { fileURLToPath } from 'node:url'
+import path from 'node:path'
+import { MOCK_ENDPOINTS, MOCK_PREFIXES, concretePath, fixtureIds, fixtureName, matchEndpoint } from './endpoints.js'
+
+const FIXTURE_DIR = fileURLToPath(new URL('./fixtures/', import.meta.url))
+const ISO_TIMESTAMP = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/
+
+// Move every ISO timestamp in `value` forward by `deltaMs` so recorded
+// snapshots read as current (freshness badges, "expires in", 24h windows).
+function shiftTimestamps(value, deltaMs) {
+  if (typeof value === 'string') {
+    if (!ISO_TIMESTAMP.test(value)) return value
+    const t = Date.parse(value)
+    return Number.isNaN(t) ? value : new Date(t + deltaMs).toISOString()
+  }
+  if (Array.isArray(value)) return value.map((v) => shiftTimestamps(v, deltaMs))
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, shiftTimestamps(v, deltaMs)]))
+  }
+  return value
+}
+
+async function loadFixture(provider, pathname, searchParams) {
+  const dir = path.join(FIXTURE_DIR, provider)
+  // Prefer the variant fixture, fall back to the plain one
+  for (const name of [fixtureName(pathname, searchParams), fixtureName(pathname, new URLSearchParams())]) {
+    try {
+      return JSON.parse(await readFile(path.join(dir, name), 'utf8'))
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err
+    }
+  }
+  return null
+}
+
+const entryFile = (provider, entry, id) => path.join(
+  provider,
+  fixtureName(entry.ids ? concretePath(entry, id) : entry.path, new URLSearchParams(entry.params)),
+)
+
+// Every fixture MOCK_ENDPOINTS promises, as `provider/name` paths missing on
+// disk. `:id` entries expect one per id in their (present) `ids.from` fixture.
+function missingFixtures() {
+  return Object.entries(MOCK_ENDPOINTS).flatMap(([provider, endpoints]) => endpoints.flatMap((entry) => {
+    if (!entry.ids) return [entryFile(provider, entry)]
+    const from = endpoints.find((e) => e.path === entry.ids.from)
+    const fromFile = path.join(FIXTURE_DIR, entryFile(provider, from))
+    if (!existsSync(fromFile)) return []
+    const ids = fixtureIds(entry, JSON.parse(readFileSync(fromFile, 'utf8')).body)
+    return ids.map((id) => entryFile(provider, entry, id))
+  })).filter((name) => !existsSync(path.join(FIXTURE_DIR, name)))
+}
+
+// Rows of an hourly series within `hours` of its latest snapshot
+function trailingHours(rows, hours) {
+  const times = rows.map((row) => Date.parse(row.snap_ts)).filter(Number.isFinite)
+  if (!(hours > 0) || times.length === 0) return rows
+  const since = Math.max(...times) - hours * 3_600_000
+  return rows.filter((row) => Date.parse(row.snap_ts) > since)
+}
+
+const SEARCH_FIELDS = ['market_ticker', 'event_ticker', 'title', 'question', 'event_slug']
+
+// The slice of the backend's list semantics the screener relies on:
+// `min_*`/`max_*` bounds, `category`, `q`, `sort_by`/`sort_dir` and
+// `limit`/`offset`. `filter=` clauses are not evaluated. A request with
+// `offset` gets the paged `{ rows, total }` shape, anything else a bare array.
+function queryRows(rows, searchParams) {
+  let out = rows
+  for (const [key, value] of searchParams) {
+    const [, bound, field] = key.match(/^(min|max)_(.+)$/) ?? []
+    const limit = Number(value)
+    if (!bound || value === '' || !Number.isFinite(limit)) continue
+    out = out.filter((row) => {
+      const v = Number(row[field])
+      return Number.isFinite(v) && (bound === 'min' ? v >= limit : v <= limit)
+    })
+  }
+  const category = searchParams.get('category')?.toLowerCase()
+  if (category) out = out.filter((row) => String(row.category ?? '').toLowerCase() === category)
+  const q = searchParams.get('q')?.trim().toLowerCase()
+  if (q) out = out.filter((row) => SEARCH_FIELDS.some((f) => String(row[f] ?? '').toLowerCase().includes(q)))
+
+  const sortBy = searchParams.get('sort_by')
+  if (sortBy && out.some((row) => row[sortBy] != null)) {
+    const dir = searchParams.get('sort_dir') === 'asc' ? 1 : -1
+    const key = (row) => (Number.isFinite(Number(row[sortBy])) ? Number(row[sortBy]) : row[sortBy])
+    out = [...out].sort((a, b) => {
+      const x = key(a)
+      const y = key(b)
+      if (x == null || y == null) return x == null ? (y == null ? 0 : 1) : -1
+      return (x < y ? -1 : x > y ? 1 : 0) * dir
+    })
+  }
+
+  const limit = Number(searchParams.get('limit'))
+  if (!searchParams.has('offset')) return limit > 0 ? out.slice(0, limit) : out
+  const offset = Math.max(0, Number(searchParams.get('offset')) || 0)
+  return { rows: out.slice(offset, limit > 0 ? offset + limit : undefined), total: out.length }
+}
+
+function send(res, status, body) {
+  res.statusCode = status
+  res.setHeader('Content-Type', 'application/json')
+  res.end(JSON.stringify(body))
+}
+
+function createMiddleware({ timeShift }) {
+  return async (req, res, next) => {
+    const url = new URL(req.url, 'http://mock.local')
+    const provider = Object.keys(MOCK_PREFIXES)
+      .find((p) => url.pathname.startsWith(`${MOCK_PREFIXES[p]}/`))
+    if (!provider) return next()
+
+    const pathname = url.pathname.slice(MOCK_PREFIXES[provider].length)
+    if (pathname === '/health') return send(res, 200, { status: 'ok', mock: true })
+
+    try {
+      const fixture = await loadFixture(provider, pathname, url.searchParams)
+      if (!fixture) {
+        return send(res, 404, {
+          detail: `No ${provider} fixture for ${pathname}. Run \`npm run fixtures:record\` against a live backend.`,
+        })
+      }
+      let body = timeShift ? shiftTimestamps(fixture.body, Date.now() - fixture.recordedAt) : fixture.body
+      const entry = matchEndpoint(provider, pathname)
+      if (Array.isArray(body) && entry?.batch && url.searchParams.has('ids')) {
+        const ids = new Set(url.searchParams.get('ids').split(','))
+        body = body.filter((row) => ids.has(row[entry.batch.field]))
+      }
+      if (Array.isArray(body) && entry?.windowed) {
+        body = trailingHours(body, Number(url.searchParams.get('hours')))
+      }
+      send(res, 200, Array.isArray(body) ? queryRows(body, url.searchParams) : body)
+    } catch (err) {
+      send(res, 500, { detail: `Failed to read fixture: ${err.message}` })
+    }
+  }
+}
+
+// Serves /api/* and /poly/* from mock/fixtures/ ahead of the dev proxy.
+// Refuses to start when a fixture listed in MOCK_ENDPOINTS is missing, rather
+// than leaving panels to 404 one by one.
+export default function mockApi({ timeShift = true } = {}) {
+  const middleware = createMiddleware({ timeShift })
+  const install = (server) => {
+    const missing = missingFixtures()
+    if (missing.length > 0) {
+      throw new Error(
+        `Mock API is missing ${missing.length} fixture(s) under mock/fixtures/:\n  ${missing.join('\n  ')}\n` +
+        'Run `npm run fixtures:record` against a live backend.',
+      )
+    }
+    server.middlewares.use(middleware)
+  }
+  return {
+    name: 'predictionshift-mock-api',
+    configureServer: install,
+    configurePreviewServer: install,
+  }
+}
@@ -0,0 +1,78 @@
+// Record fixtures for VITE_MOCK=1 from a running backend.
+//
+//   npm run fixtures:record
+//   KALSHI_API=http://localhost:8000 POLY_API=http://localhost:8001 npm run fixtures:record -- poly
+//
+// Pass provider ids to record only those; defaults to all of them.
+
+import { mkdir, readFile, writeFile } from 'node:fs/promises'
+import { fileURLToPath } from 'node:url'
+import path from 'node:path'
+import { MOCK_ENDPOINTS, concretePath, fixtureIds, fixtureName } from './endpoints.js'
+
+const FIXTURE_DIR = fileURLToPath(new URL('./fixtures/', import.meta.url))
+
+const BASES = {
+  kalshi: process.env.KALSHI_API || 'https://api.predictionshift.com',
+  poly: process.env.POLY_API || 'https://api.predictionshift.com/poly',
+}
+
+async function record(provider, endpoint, params) {
+  const searchParams = new URLSearchParams(Object.entries(params).map(([k, v]) => [k, String(v)]))
+  const query = searchParams.size > 0 ? `?${searchParams}` : ''
+  const res = await fetch(`${BASES[provider]}${endpoint}${query}`, { signal: AbortSignal.timeout(30_000) })
+  if (!res.ok) throw new Error(`HTTP ${res.status}`)
+  const body = await res.json()
+
+  const file = path.join(FIXTURE_DIR, provider, fixtureName(endpoint, searchParams))
+  await mkdir(path.dirname(file), { recursive: true })
+  await writeFile(file, `${JSON.stringify({ recordedAt: Date.now(), body }, null, 2)}\n`)
+  return file
+}
+
+// The concrete requests an entry stands for. `:id` and `batch` entries take
+// their ids from the `from` fixture, which MOCK_ENDPOINTS lists (and so
+// records) first.
+async function requestsFor(provider, entry) {
+  const source = entry.ids ?? entry.batch
+  if (!source) return [{ endpoint: entry.path, params: entry.params }]
+  const from = MOCK_ENDPOINTS[provider].find((e) => e.path === source.from)
+  const name = fixtureName(from.path, new URLSearchParams(from.params))
+  const { body } = JSON.parse(await readFile(path.join(FIXTURE_DIR, provider, name), 'utf8'))
+  const ids = fixtureIds(entry, body)
+  if (entry.batch) return [{ endpoint: entry.path, params: { ...entry.params, ids: ids.join(',') } }]
+  return ids.map((id) => ({ endpoint: concretePath(entry, id), params: entry.params }))
+}
+
+const requested = process.argv.slice(2)
+const providers = requested.length > 0 ? requested : Object.keys(MOCK_ENDPOINTS)
+let failures = 0
+
+for (const provider of providers) {
+  if (!MOCK_ENDPOINTS[provider]) {
+    console.error(`Unknown provider "${provider}"`)
+    failures += 1
+    continue
+  }
+  for (const entry of MOCK_ENDPOINTS[provider]) {
+    let requests
+    try {
+      requests = await requestsFor(provider, entry)
+    } catch (err) {
+      console.error(`✗ ${provider} ${entry.path}: no ids from ${(entry.ids ?? entry.batch).from} (${err.message})`)
+      failures += 1
+      continue
+    }
+    for (const { endpoint, params } of requests) {
+      try {
+        const file = await record(provider, endpoint, params)
+        console.log(`✓ ${provider} ${endpoint} → ${path.relative(process.cwd(), file)}`)
+      } catch (err) {
+        console.error(`✗ ${provider} ${endpoint}: ${err.message}`)
+        failures += 1
+      }
+    }
+  }
+}
+
+process.exitCode = failures > 0 ? 1 : 0
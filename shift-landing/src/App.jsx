@@ -1,25 +1,33 @@
-import { useState, useEffect, useRef, useCallback } from 'react'
-import { Routes, Route, Link, NavLink, useLocation } from 'react-router-dom'
+import { useState, useEffect, useRef, useCallback, useMemo, useSyncExternalStore } from 'react'
+import { Routes, Route, Link, NavLink, useLocation, useParams, useSearchParams } from 'react-router-dom'
+import MATCH_OVERRIDES from './match-overrides.json'
 import './App.css'
 
+// Fixture mode (VITE_MOCK=1): both APIs are served by the dev server from
+// mock/fixtures, so the bases must point at its /api and /poly prefixes.
+const MOCK_MODE = import.meta.env.VITE_MOCK === '1'
+
 // Call the API directly from the browser.
 // Prefer Vite env var, fall back to the public domain (not the :8000 port).
-const API_BASE =
-  import.meta.env.VITE_API_BASE ||
-  'https://api.predictionshift.com'
+const API_BASE = MOCK_MODE
+  ? '/api'
+  : import.meta.env.VITE_API_BASE || 'https://api.predictionshift.com'
 
 // Polymarket API — default to the hosted API to avoid local proxy failures
 // when port 8001 is not running. Set VITE_POLY_API_BASE=/poly to use the
 // local Vite proxy in development.
-const POLY_API_BASE =
-  import.meta.env.VITE_POLY_API_BASE ||
-  'https://api.predictionshift.com/poly'
+const POLY_API_BASE = MOCK_MODE
+  ? '/poly'
+  : import.meta.env.VITE_POLY_API_BASE || 'https://api.predictionshift.com/poly'
 
 const KALSHI_LOGO_URL = '/kalshi-logo.svg'
 const POLYMARKET_LOGO_URL = '/poly-icon-blue.svg'
 
-export async function getHealth() {
-  const response = await fetch(`${API_BASE}/health`)
+const HEALTH_TIMEOUT_MS = 10_000
+
+export async function getHealth(provider = 'kalshi') {
+  const base = provider === 'poly' ? POLY_API_BASE : API_BASE
+  const response = await fetch(`${base}/health`, { signal: AbortSignal.timeout(HEALTH_TIMEOUT_MS) })
   if (!response.ok) {
     throw new Error(await response.text())
   }
@@ -31,1488 +39,2510 @@ export async function getHealth() {
 const _apiCache = new Map()
 const CACHE_TTL = 55 * 60 * 1000
 
-function _cachedFetch(url, setter, setLoading, setError, signal) {
+// Endpoints that go stale faster than the hourly snapshot cadence
+const ENDPOINT_TTLS = {
+  '/health': 60 * 1000,
+  '/markets/expiring-soon': 15 * 60 * 1000,
+  '/markets/screener': 30 * 60 * 1000,
+}
+
+function _ttlFor(url) {
+  const { pathname } = new URL(url, window.location.origin)
+  const match = Object.keys(ENDPOINT_TTLS).find((ep) => pathname.endsWith(ep))
+  return match ? ENDPOINT_TTLS[match] : CACHE_TTL
+}
+
+// ─── Persistent cache (IndexedDB) ────────────────────────────────────────────
+// Responses are written through to IndexedDB and hydrated into _apiCache on
+// load, so a reload renders the last data instantly and revalidates behind it.
+// Bump CACHE_VERSION whenever a response shape changes to drop old entries.
+// `meta` holds size/lastAccess per URL so LRU eviction never loads payloads.
+
+const CACHE_DB_NAME = 'predictionshift-cache'
+const CACHE_VERSION = 1
+const PERSIST_MAX_BYTES = 5 * 1024 * 1024
+const PERSIST_MAX_AGE = 24 * 60 * 60 * 1000
+
+let _cacheDb = null
+let _cacheHydrated = false
+const _touchedUrls = new Set()
+let _touchTimer = null
+
+function _idbDone(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result)
+    req.onerror = () => reject(req.error)
+  })
+}
+
+function _txDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve()
+    tx.onerror = () => reject(tx.error)
+    tx.onabort = () => reject(tx.error)
+  })
+}
+
+function _openCacheDb() {
+  if (_cacheDb) return _cacheDb
+  _cacheDb = new Promise((resolve) => {
+    if (typeof indexedDB === 'undefined') {
+      resolve(null)
+      return
+    }
+    const req = indexedDB.open(CACHE_DB_NAME, 1)
+    req.onupgradeneeded = () => {
+      req.result.createObjectStore('responses', { keyPath: 'url' })
+      req.result.createObjectStore('meta', { keyPath: 'url' })
+    }
+    req.onsuccess = () => resolve(req.result)
+    // Private browsing / blocked storage: run memory-only
+    req.onerror = () => resolve(null)
+    req.onblocked = () => resolve(null)
+  })
+  return _cacheDb
+}
+
+async function _hydrateCache() {
+  const db = await _openCacheDb()
+  if (!db) return
+  const tx = db.transaction(['responses', 'meta'], 'readonly')
+  const [responses, metas] = await Promise.all([
+    _idbDone(tx.objectStore('responses').getAll()),
+    _idbDone(tx.objectStore('meta').getAll()),
+  ])
+  const metaByUrl = new Map(metas.map((m) => [m.url, m]))
+  const expired = []
+  const now = Date.now()
+  responses.forEach((rec) => {
+    const meta = metaByUrl.get(rec.url)
+    if (!meta || meta.version !== CACHE_VERSION || now - meta.ts > PERSIST_MAX_AGE) {
+      expired.push(rec.url)
+      return
+    }
+    if (!_apiCache.has(rec.url)) _apiCache.set(rec.url, { data: rec.data, ts: meta.ts })
+  })
+  if (expired.length > 0) await _deletePersisted(db, expired)
+}
+
+async function _deletePersisted(db, urls) {
+  const tx = db.transaction(['responses', 'meta'], 'readwrite')
+  urls.forEach((url) => {
+    tx.objectStore('responses').delete(url)
+    tx.objectStore('meta').delete(url)
+  })
+  await _txDone(tx)
+}
+
+// Drop least-recently-used entries until the store fits PERSIST_MAX_BYTES
+async function _evictPersisted(db) {
+  const metas = await _idbDone(db.transaction('meta', 'readonly').objectStore('meta').getAll())
+  let total = metas.reduce((sum, m) => sum + (m.size ?? 0), 0)
+  if (total <= PERSIST_MAX_BYTES) return
+  const victims = []
+  for (const meta of [...metas].sort((a, b) => a.lastAccess - b.lastAccess)) {
+    if (total <= PERSIST_MAX_BYTES) break
+    victims.push(meta.url)
+    total -= meta.size ?? 0
+  }
+  await _deletePersisted(db, victims)
+}
+
+async function _persistResponse(url, data, ts) {
+  const db = await _openCacheDb()
+  if (!db) return
+  const size = JSON.stringify(data).length
+  if (size > PERSIST_MAX_BYTES) return
+  const tx = db.transaction(['responses', 'meta'], 'readwrite')
+  tx.objectStore('responses').put({ url, data })
+  tx.objectStore('meta').put({ url, ts, lastAccess: Date.now(), size, version: CACHE_VERSION })
+  await _txDone(tx)
+  await _evictPersisted(db)
+}
+
+// Cache hits only bump lastAccess; flushed in batches to keep reads cheap
+function _touchPersisted(url) {
+  _touchedUrls.add(url)
+  if (_touchTimer) return
+  _touchTimer = setTimeout(async () => {
+    _touchTimer = null
+    const urls = [..._touchedUrls]
+    _touchedUrls.clear()
+    const db = await _openCacheDb()
+    if (!db) return
+    const store = db.transaction('meta', 'readwrite').objectStore('meta')
+    const now = Date.now()
+    urls.forEach((url) => {
+      const req = store.get(url)
+      req.onsuccess = () => {
+        if (req.result) store.put({ ...req.result, lastAccess: now })
+      }
+    })
+  }, 5000)
+}
+
+const _cacheHydration = _hydrateCache()
+  .catch(() => {})
+  .finally(() => { _cacheHydrated = true })
+
+// In-flight requests keyed by URL so concurrent mounts share one network call
+const _inflight = new Map()
+
+// Endpoints whose `limit` is a plain top-N cut of one fixed ordering. A response
+// at a higher limit (same other params) answers any lower-limit request.
+const SLICEABLE_LIMIT_ENDPOINTS = [
+  '/global-deltas',
+  '/global-6h-deltas',
+  '/top-events-volume',
+  '/top-events-liquidity',
+  '/top-events-open-interest',
+]
+
+function _limitKey(url) {
+  const u = new URL(url, window.location.origin)
+  if (!SLICEABLE_LIMIT_ENDPOINTS.some((ep) => u.pathname.endsWith(ep))) return null
+  const limit = Number(u.searchParams.get('limit'))
+  if (!Number.isFinite(limit) || limit <= 0) return null
+  u.searchParams.delete('limit')
+  u.searchParams.sort()
+  return { key: u.toString(), limit }
+}
+
+// Find a fresh cached or in-flight response that contains `url`'s rows
+function _findSuperset(url) {
+  const target = _limitKey(url)
+  if (!target) return null
+  const matches = (otherUrl) => {
+    const other = _limitKey(otherUrl)
+    return other && other.key === target.key && other.limit >= target.limit
+  }
+  for (const [otherUrl, entry] of _apiCache) {
+    if (Date.now() - entry.ts < _ttlFor(otherUrl) && Array.isArray(entry.data) && matches(otherUrl)) {
+      return { limit: target.limit, data: entry.data, ts: entry.ts }
+    }
+  }
+  for (const [otherUrl, entry] of _inflight) {
+    if (matches(otherUrl)) return { limit: target.limit, url: otherUrl, entry }
+  }
+  return null
+}
+
+// ─── Errors & retry ──────────────────────────────────────────────────────────
+// Every data-layer failure is an ApiError with a `kind` the UI can switch on.
+// Network, timeout and 5xx failures are transient and retried with backoff.
+
+const REQUEST_TIMEOUT_MS = 20_000
+const RETRY_ATTEMPTS = 3
+const RETRY_BASE_MS = 1_000
+const RETRY_MAX_MS = 15_000
+
+class ApiError extends Error {
+  constructor(kind, message, { status, body, cause } = {}) {
+    super(message, { cause })
+    this.name = 'ApiError'
+    this.kind = kind // 'network' | 'timeout' | 'client' | 'server' | 'schema'
+    this.status = status
+    this.body = body
+  }
+
+  get transient() {
+    return this.kind === 'network' || this.kind === 'timeout' || this.kind === 'server'
+  }
+}
+
+function _abortError() {
+  return new DOMException('Aborted', 'AbortError')
+}
+
+// One attempt: enforce a timeout and map every failure onto an ApiError
+async function _fetchJson(url, signal) {
+  const controller = new AbortController()
+  let timedOut = false
+  const timer = setTimeout(() => { timedOut = true; controller.abort() }, REQUEST_TIMEOUT_MS)
+  const onAbort = () => controller.abort()
+  signal.addEventListener('abort', onAbort, { once: true })
+
+  try {
+    let res
+    try {
+      res = await fetch(url, { signal: controller.signal })
+    } catch (err) {
+      if (signal.aborted) throw _abortError()
+      if (timedOut) throw new ApiError('timeout', 'Request timed out', { cause: err })
+      throw new ApiError('network', 'Network error — could not reach the server', { cause: err })
+    }
+    if (!res.ok) {
+      const body = await res.text().catch(() => '')
+      const kind = res.status >= 500 ? 'server' : 'client'
+      throw new ApiError(kind, `HTTP ${res.status}`, { status: res.status, body })
+    }
+    try {
+      return await res.json()
+    } catch (err) {
+      if (signal.aborted) throw _abortError()
+      throw new ApiError('schema', 'Malformed response from server', { status: res.status, cause: err })
+    }
+  } finally {
+    clearTimeout(timer)
+    signal.removeEventListener('abort', onAbort)
+  }
+}
+
+// Exponential backoff with full jitter, capped at RETRY_MAX_MS
+function _retryDelay(attempt) {
+  return Math.random() * Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** attempt)
+}
+
+function _sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms)
+    signal.addEventListener('abort', () => {
+      clearTimeout(timer)
+      reject(_abortError())
+    }, { once: true })
+  })
+}
+
+async function _fetchWithRetry(url, signal) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await _fetchJson(url, signal)
+    } catch (err) {
+      const retryable = err instanceof ApiError && err.transient && attempt < RETRY_ATTEMPTS - 1
+      // Retrying while the browser reports offline only burns the backoff budget
+      if (!retryable || !navigator.onLine) throw err
+      await _sleep(_retryDelay(attempt), signal)
+    }
+  }
+}
+
+// ─── Response schemas ────────────────────────────────────────────────────────
+// Declared shape of every endpoint, checked in the data layer before a response
+// is cached. Field types are 'string' | 'numeric' (number or numeric string),
+// with a trailing '?' for optional fields. A required field that is absent from
+// every row (a rename, usually) fails the request with a 'schema' ApiError;
+// anything less is reported to the drift overlay and analytics only.
+
+const KALSHI_MARKET = {
+  market_ticker: 'string',
+  event_ticker: 'string?',
+  title: 'string?',
+  yes_bid: 'numeric?',
+  yes_ask: 'numeric?',
+  volume: 'numeric?',
+  open_interest: 'numeric?',
+  spread_ticks: 'numeric?',
+  expiration_time: 'string?',
+}
+
+const POLY_MARKET = {
+  condition_id: 'string',
+  question: 'string?',
+  event_slug: 'string?',
+  outcome_yes_price: 'numeric?',
+  volume: 'numeric?',
+  liquidity: 'numeric?',
+  end_date: 'string?',
+}
+
+const VOL_INDEX_POINT = { snap_ts: 'string', vol_index: 'numeric' }
+
+const SHARED_MARKET_ENDPOINTS = [
+  '/markets/expiring-soon',
+  '/markets/mid-moves',
+  '/markets/top-changes-24h',
+  '/signals/biggest-moves',
+  '/opportunity-gap',
+  '/market-heat',
+]
+
+// `rows: 'series'` accepts either a bare array or `{ series: [...] }`, and
+// `rows: 'page'` either a bare array or a paged `{ rows: [...], total }`
+const RESPONSE_SCHEMAS = {
+  kalshi: {
+    ...Object.fromEntries(SHARED_MARKET_ENDPOINTS.map((ep) => [ep, { rows: 'array', fields: KALSHI_MARKET }])),
+    '/market-movers': { rows: 'array', fields: KALSHI_MARKET },
+    '/markets/spread-blowouts': { rows: 'array', fields: KALSHI_MARKET },
+    '/markets/screener': { rows: 'page', fields: { ...KALSHI_MARKET, tradability_score: 'numeric?' } },
+    '/tradeability-score': { rows: 'array', fields: { ...KALSHI_MARKET, tradability_score: 'numeric' } },
+    '/top-events-volume': { rows: 'array', fields: { event_ticker: 'string', total_volume: 'numeric?', n_markets: 'numeric?' } },
+    '/top-events-open-interest': { rows: 'array', fields: { event_ticker: 'string', total_open_interest: 'numeric?', n_markets: 'numeric?' } },
+    '/global-6h-deltas': {
+      rows: 'array',
+      fields: { snap_ts: 'string', d_volume_6h: 'numeric', d_oi_6h: 'numeric?', d_wide_6h: 'numeric?', d_spread_6h: 'numeric?' },
+    },
+    '/vol/index/global': { rows: 'series', fields: VOL_INDEX_POINT },
+    '/markets/:id': { rows: 'object', fields: KALSHI_MARKET },
+    '/events/:id/history': {
+      rows: 'array',
+      fields: { snap_ts: 'string', market_ticker: 'string', volume: 'numeric?', open_interest: 'numeric?' },
+    },
+    '/markets/:id/history': {
+      rows: 'array',
+      fields: { snap_ts: 'string', mid: 'numeric?', yes_bid: 'numeric?', yes_ask: 'numeric?', spread_ticks: 'numeric?', volume: 'numeric?', open_interest: 'numeric?' },
+    },
+    '/markets/history': { rows: 'array', fields: { snap_ts: 'string', market_ticker: 'string', mid: 'numeric?' } },
+  },
+  poly: {
+    ...Object.fromEntries(SHARED_MARKET_ENDPOINTS.map((ep) => [ep, { rows: 'array', fields: POLY_MARKET }])),
+    '/markets/screener': { rows: 'page', fields: { ...POLY_MARKET, tradability_score: 'numeric?' } },
+    '/tradeability-score': { rows: 'array', fields: { ...POLY_MARKET, tradability_score: 'numeric' } },
+    '/top-events-volume': { rows: 'array', fields: { event_slug: 'string', event_title: 'string?', total_volume: 'numeric?' } },
+    '/top-events-liquidity': { rows: 'array', fields: { event_slug: 'string', event_title: 'string?', total_liquidity: 'numeric?' } },
+    '/global-deltas': { rows: 'array', fields: { snap_ts: 'string', d_volume: 'numeric', d_liquidity: 'numeric?', d_markets: 'numeric?' } },
+    '/global-snapshot': { rows: 'object', fields: { total_volume: 'numeric', total_liquidity: 'numeric' } },
+    '/vol/index/global': { rows: 'series', fields: VOL_INDEX_POINT },
+    '/markets/:id': { rows: 'object', fields: { ...POLY_MARKET, outcome_no_price: 'numeric?', event_title: 'string?' } },
+    '/events/:id/history': {
+      rows: 'array',
+      fields: { snap_ts: 'string', condition_id: 'string', volume: 'numeric?', liquidity: 'numeric?' },
+    },
+    '/markets/:id/history': {
+      rows: 'array',
+      fields: { snap_ts: 'string', outcome_yes_price: 'numeric?', outcome_no_price: 'numeric?', volume: 'numeric?', liquidity: 'numeric?' },
+    },
+    '/markets/history': { rows: 'array', fields: { snap_ts: 'string', condition_id: 'string', outcome_yes_price: 'numeric?' } },
+  },
+}
+
+// Which provider and endpoint a request URL belongs to. Longest base first:
+// the hosted Polymarket base is nested under the Kalshi one.
+function _routeOf(url) {
+  const providers = Object.values(PROVIDERS).sort((a, b) => b.base.length - a.base.length)
+  const provider = providers.find((p) => url.startsWith(`${p.base}/`))
+  if (!provider) return null
+  return { provider: provider.id, endpoint: url.slice(provider.base.length).split('?')[0] }
+}
+
+function _checkType(value, type) {
+  if (type === 'string') return typeof value === 'string'
+  return num(value) !== null
+}
+
+// Returns { rows, issues } where each issue is { field, problem, count }
+function _checkSchema(schema, json) {
+  let rows
+  if (schema.rows === 'object') rows = json && typeof json === 'object' && !Array.isArray(json) ? [json] : null
+  else if (schema.rows === 'series') rows = Array.isArray(json) ? json : Array.isArray(json?.series) ? json.series : null
+  else if (schema.rows === 'page') rows = Array.isArray(json) ? json : Array.isArray(json?.rows) ? json.rows : null
+  else rows = Array.isArray(json) ? json : null
+  if (!rows) {
+    const expected = { series: 'an array or { series }', page: 'an array or { rows, total }' }[schema.rows] ?? `an ${schema.rows}`
+    return { rows: null, issues: [{ field: '(response)', problem: `expected ${expected}`, count: 1 }] }
+  }
+
+  const issues = []
+  for (const [field, spec] of Object.entries(schema.fields)) {
+    const optional = spec.endsWith('?')
+    const type = optional ? spec.slice(0, -1) : spec
+    let missing = 0
+    let wrongType = 0
+    for (const row of rows) {
+      const value = row?.[field]
+      if (value === undefined) missing += 1
+      else if (value !== null && !_checkType(value, type)) wrongType += 1
+    }
+    if (missing > 0 && !optional) issues.push({ field, problem: 'missing', count: missing })
+    if (wrongType > 0) issues.push({ field, problem: `expected ${type}`, count: wrongType })
+  }
+  return { rows, issues }
+}
+
+let _schemaReports = []
+const _schemaListeners = new Set()
+
+function subscribeSchemaReports(listener) {
+  _schemaListeners.add(listener)
+  return () => _schemaListeners.delete(listener)
+}
+
+// Push to the tag manager queue when the page has one
+function _trackEvent(name, props) {
+  if (Array.isArray(window.dataLayer)) window.dataLayer.push({ event: name, ...props })
+}
+
+function _reportSchemaDrift(route, issues, total, fatal) {
+  const key = `${route.provider} ${route.endpoint}`
+  const previous = _schemaReports.find((r) => r.key === key)
+  const report = { key, ...route, issues, total, fatal, seen: (previous?.seen ?? 0) + 1, at: Date.now() }
+  _schemaReports = [report, ..._schemaReports.filter((r) => r.key !== key)]
+  _schemaListeners.forEach((listener) => listener())
+
+  _trackEvent('schema_violation', {
+    provider: route.provider,
+    endpoint: route.endpoint,
+    fields: issues.map((i) => i.field).join(','),
+    fatal,
+  })
+  if (import.meta.env.DEV) console.warn(`[schema] ${key}`, issues)
+}
+
+// `/markets/KXFOO-24/history` -> `/markets/:id/history`
+function _endpointTemplate(endpoint) {
+  return endpoint.replace(/^\/(markets|events)\/[^/]+/, '/$1/:id')
+}
+
+// Validate `json` for `url`; throws on fatal drift, reports the rest
+function _validateResponse(url, json) {
+  const route = _routeOf(url)
+  const schemas = route && RESPONSE_SCHEMAS[route.provider]
+  const schema = schemas?.[route.endpoint] ?? schemas?.[_endpointTemplate(route.endpoint)]
+  if (!schema) return
+
+  const { rows, issues } = _checkSchema(schema, json)
+  if (issues.length === 0) return
+  const total = rows?.length ?? 0
+  const fatal = !rows || (total > 0 && issues.some((i) => i.problem === 'missing' && i.count === total))
+  _reportSchemaDrift(route, issues, total, fatal)
+  if (fatal) {
+    const body = issues.map((i) => `${i.field} ${i.problem}`).join(', ')
+    throw new ApiError('schema', `Unexpected response from ${route.endpoint}: ${body}`, { body })
+  }
+}
+
+function useSchemaReports() {
+  return useSyncExternalStore(subscribeSchemaReports, () => _schemaReports)
+}
+
+// Always on in dev; in production set localStorage['ps:schema-overlay'] = '1'
+const SCHEMA_OVERLAY_ENABLED = import.meta.env.DEV || (() => {
+  try {
+    return localStorage.getItem('ps:schema-overlay') === '1'
+  } catch {
+    return false
+  }
+})()
+
+// Join (or start) the shared request for `url`. The underlying fetch is only
+// aborted once every subscriber has aborted; the check is deferred a tick so a
+// StrictMode unmount/remount re-subscribes instead of restarting the request.
+function _sharedRequest(url, signal, existing) {
+  let entry = existing ?? _inflight.get(url)
+  if (!entry) {
+    const controller = new AbortController()
+    const promise = _fetchWithRetry(url, controller.signal)
+      .then((json) => {
+        _validateResponse(url, json)
+        const ts = Date.now()
+        _apiCache.set(url, { data: json, ts })
+        _persistResponse(url, json, ts).catch(() => {})
+        return json
+      })
+      .finally(() => {
+        if (_inflight.get(url) === entry) _inflight.delete(url)
+      })
+    entry = { promise, controller, subscribers: 0 }
+    _inflight.set(url, entry)
+  }
+
+  entry.subscribers += 1
+  signal?.addEventListener('abort', () => {
+    entry.subscribers -= 1
+    setTimeout(() => {
+      if (entry.subscribers > 0) return
+      entry.controller.abort()
+      if (_inflight.get(url) === entry) _inflight.delete(url)
+    }, 0)
+  }, { once: true })
+
+  return entry.promise
+}
+
+// `setter` receives (data, fetchedAt). `force` revalidates even when the
+// cached copy is within its TTL (used by snapshot-aligned auto refresh).
+// When a revalidation fails but cached data was already served, `onStale`
+// is called instead of `setError` so the panel keeps its last-known rows.
+function _cachedFetch(url, setter, setLoading, setError, signal, { force = false, onStale } = {}) {
+  // Wait for the persisted cache before deciding whether to hit the network
+  if (!_cacheHydrated) {
+    _cacheHydration.then(() => {
+      if (!signal?.aborted) _cachedFetch(url, setter, setLoading, setError, signal, { force, onStale })
+    })
+    return
+  }
+
   const cached = _apiCache.get(url)
   if (cached) {
     // Serve stale data immediately — no spinner
-    setter(cached.data)
+    setter(cached.data, cached.ts)
     setLoading(false)
+    _touchPersisted(url)
     // If still fresh, skip network request
-    if (Date.now() - cached.ts < CACHE_TTL) return
+    if (!force && Date.now() - cached.ts < _ttlFor(url)) return
   }
 
-  fetch(url, { signal })
-    .then((res) => {
-      if (!res.ok) throw new Error(`HTTP ${res.status}`)
-      return res.json()
-    })
+  let request
+  let sourceUrl = url
+  const superset = cached || force ? null : _findSuperset(url)
+  if (superset?.data) {
+    setter(superset.data.slice(0, superset.limit), superset.ts)
+    setLoading(false)
+    return
+  }
+  if (superset?.entry) {
+    sourceUrl = superset.url
+    request = _sharedRequest(superset.url, signal, superset.entry)
+      .then((json) => (Array.isArray(json) ? json.slice(0, superset.limit) : json))
+  } else {
+    request = _sharedRequest(url, signal)
+  }
+
+  request
     .then((json) => {
-      _apiCache.set(url, { data: json, ts: Date.now() })
-      setter(json)
+      if (!signal?.aborted) setter(json, _apiCache.get(sourceUrl)?.ts ?? Date.now())
     })
     .catch((err) => {
-      if (err.name !== 'AbortError') setError(err)
+      if (err.name === 'AbortError' || signal?.aborted) return
+      if (cached && onStale) onStale(err)
+      else setError(err)
+    })
+    .finally(() => {
+      if (!signal?.aborted) setLoading(false)
     })
-    .finally(() => setLoading(false))
 }
 
-function useApi(endpoint, params) {
-  const [data, setData] = useState(null)
-  const [loading, setLoading] = useState(true)
-  const [error, setError] = useState(null)
+// A validated request that bypasses the cache, for walks too large to keep
+// (screener exports). Failures feed the backend status like hook requests do.
+async function _fetchUncached(provider, url, signal) {
+  try {
+    const json = await _fetchWithRetry(url, signal)
+    _validateResponse(url, json)
+    return json
+  } catch (err) {
+    if (err.name !== 'AbortError') reportProviderFailure(provider, err)
+    throw err
+  }
+}
+
+// ─── Snapshot freshness ──────────────────────────────────────────────────────
+
+// Snapshots land on a fixed cadence; grace covers pipeline lag before we re-fetch
+const SNAPSHOT_GRACE_MS = 2 * 60 * 1000
+const SNAPSHOT_RETRY_MS = 5 * 60 * 1000
+
+// Cadence between the two newest snapshots (rows newest-first), default hourly
+function detectSnapshotInterval(rows) {
+  if (rows.length < 2) return 3_600_000
+  const t0 = new Date(rows[0]?.snap_ts).getTime()
+  const t1 = new Date(rows[1]?.snap_ts).getTime()
+  const diff = t0 - t1
+  return diff > 0 && diff < 7 * 86_400_000 ? diff : 3_600_000
+}
+
+// Latest snap_ts in a payload (array, { series }, { rows }, or single object)
+// and when the next one is expected. Payloads without snap_ts fall back to
+// fetch time.
+function snapshotFreshness(json, fetchedAt) {
+  const rows = Array.isArray(json) ? json
+    : Array.isArray(json?.series) ? json.series
+    : Array.isArray(json?.rows) ? json.rows
+    : json ? [json] : []
+  const snaps = [...new Set(rows.map((r) => new Date(r?.snap_ts).getTime()).filter(Number.isFinite))]
+    .sort((a, b) => b - a)
+    .map((ts) => ({ snap_ts: ts }))
+  const asOf = snaps.length > 0 ? snaps[0].snap_ts : fetchedAt
+  const interval = detectSnapshotInterval(snaps)
+  return { asOf, interval, nextUpdate: asOf + interval }
+}
+
+function FreshnessBadge({ freshness }) {
+  const [now, setNow] = useState(() => Date.now())
 
   useEffect(() => {
-    const controller = new AbortController()
-    const query = params ? `?${new URLSearchParams(params).toString()}` : ''
-    const url = `${API_BASE}${endpoint}${query}`
+    const id = setInterval(() => setNow(Date.now()), 30_000)
+    return () => clearInterval(id)
+  }, [])
+
+  if (!freshness) return null
+  const asOf = new Date(freshness.asOf).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', hourCycle: 'h23' })
+  const overdue = now > freshness.nextUpdate + SNAPSHOT_GRACE_MS
+  const mins = Math.max(0, Math.ceil((freshness.nextUpdate - now) / 60_000))
+  let status = `next update in ${mins} min`
+  if (overdue) status = 'update overdue'
+  if (freshness.stale) status = 'stale — backend unreachable'
+  return (
+    <span
+      className={`freshness-badge${overdue || freshness.stale ? ' freshness-badge--stale' : ''}`}
+      title={`Snapshot cadence: every ${Math.round(freshness.interval / 60_000)} min`}
+    >
+      as of {asOf} · {status}
+    </span>
+  )
+}
 
-    setError(null)
-    _cachedFetch(url, setData, setLoading, setError, controller.signal)
+const ERROR_MESSAGES = {
+  network: 'Could not reach the server.',
+  timeout: 'The server took too long to respond.',
+  client: 'The server rejected this request.',
+  server: 'The backend hit an error while building this data.',
+  schema: 'The server returned data in an unexpected format.',
+}
 
-    return () => controller.abort()
-  }, [endpoint, JSON.stringify(params)])
+// Consistent error UI for a failed useProviderApi call. `messages` overrides
+// the copy per error kind, e.g. to explain what a 4xx means for this panel.
+function ErrorState({ error, onRetry, messages }) {
+  const online = useOnlineStatus()
+  if (!error) return null
+  const text = !online
+    ? 'You\'re offline. This panel will reload when your connection returns.'
+    : messages?.[error.kind] ?? ERROR_MESSAGES[error.kind] ?? error.message
+  return (
+    <div className="error error-state" role="alert">
+      <span>
+        {text}
+        {online && error.status ? <span className="error-state-code"> HTTP {error.status}</span> : null}
+        {online && error.kind === 'schema' && error.body ? <span className="error-state-code"> ({error.body})</span> : null}
+      </span>
+      {onRetry && online && (
+        <button type="button" onClick={onRetry}>Retry</button>
+      )}
+    </div>
+  )
+}
 
-  return { data, loading, error }
+// ─── Data client ─────────────────────────────────────────────────────────────
+// One provider adapter per venue. Adapters know the base URL and map raw rows
+// onto shared market / event / snapshot shapes so pages don't reconcile units:
+//   prob, probPrev, bid, ask, spread, move — all 0–1 probabilities
+//   id    — market_ticker (Kalshi) or condition_id (Polymarket)
+//   depth — open interest (Kalshi) or USDC liquidity (Polymarket)
+//   volumeUsd, depthUsd — volume and depth in dollars, to compare across venues
+// Raw fields are kept on the normalized row for endpoint-specific metrics.
+
+// Finite number from a number or numeric string (what 'numeric' schema fields
+// allow), else null
+const num = (v) => {
+  if (typeof v === 'number') return Number.isFinite(v) ? v : null
+  if (typeof v !== 'string' || v.trim() === '') return null
+  const n = Number(v)
+  return Number.isFinite(n) ? n : null
+}
+const fromCents = (v) => (num(v) === null ? null : num(v) / 100)
+const toPoints = (p) => (num(p) === null ? null : num(p) * 100)
+// Dollar value of a Kalshi contract count at probability `prob`
+const contractsUsd = (contracts, prob) => (num(contracts) === null || prob === null ? null : num(contracts) * prob)
+
+const PROVIDERS = {
+  kalshi: {
+    id: 'kalshi',
+    label: 'Kalshi',
+    base: API_BASE,
+    logo: KALSHI_LOGO_URL,
+    dashboardPath: '/dashboard',
+    marketRoute: '/market',
+    eventRoute: '/event',
+    depthLabel: 'OI',
+    showId: true,
+    fmtProb: (p) => (num(p) === null ? '—' : `${(p * 100).toFixed(1)}¢`),
+    fmtMove: (m) => (num(m) === null ? '—' : `${m >= 0 ? '+' : ''}${(m * 100).toFixed(1)}¢`),
+    market: (row) => {
+      const bid = fromCents(row.yes_bid)
+      const ask = fromCents(row.yes_ask)
+      const mid = fromCents(row.mid ?? row.mid_now ?? row.new_price)
+      const prob = mid ?? (bid !== null && ask !== null ? (bid + ask) / 2 : null)
+      return {
+        ...row,
+        provider: 'kalshi',
+        id: row.market_ticker ?? null,
+        ticker: row.market_ticker ?? null,
+        eventId: row.event_ticker ?? null,
+        title: row.title ?? row.market_ticker ?? '—',
+        category: row.category ?? null,
+        prob,
+        probPrev: fromCents(row.mid_prev ?? row.old_price),
+        move: fromCents(row.move ?? row.d_mid ?? row.price_diff),
+        absMove: fromCents(row.abs_move),
+        bid,
+        ask,
+        spread: fromCents(row.spread_ticks),
+        volume: num(row.volume),
+        depth: num(row.open_interest),
+        volumeUsd: contractsUsd(row.volume, prob),
+        depthUsd: contractsUsd(row.open_interest, prob),
+        expiresAt: row.expiration_time ?? null,
+      }
+    },
+    event: (row) => ({
+      ...row,
+      provider: 'kalshi',
+      id: row.event_ticker ?? null,
+      title: row.event_title ?? row.event_ticker ?? '—',
+      nMarkets: num(row.n_markets),
+      volume: num(row.total_volume),
+      depth: num(row.total_open_interest),
+      avgSpread: fromCents(row.avg_spread_ticks),
+    }),
+    snapshot: (row) => ({
+      ...row,
+      provider: 'kalshi',
+      snapTs: row.snap_ts ?? null,
+      dVolume: num(row.d_volume_6h),
+      dDepth: num(row.d_oi_6h),
+      dWide: num(row.d_wide_6h),
+      dSpread: num(row.d_spread_6h),
+    }),
+  },
+  poly: {
+    id: 'poly',
+    label: 'Polymarket',
+    base: POLY_API_BASE,
+    logo: POLYMARKET_LOGO_URL,
+    dashboardPath: '/poly-dashboard',
+    // Not under /poly/: the dev proxy and mock API own that prefix
+    marketRoute: '/polymarket/market',
+    eventRoute: '/polymarket/event',
+    depthLabel: 'Liquidity',
+    showId: false,
+    fmtProb: (p) => (num(p) === null ? '—' : `${(p * 100).toFixed(1)}%`),
+    fmtMove: (m) => (num(m) === null ? '—' : `${m >= 0 ? '+' : ''}${(m * 100).toFixed(1)}pp`),
+    market: (row) => ({
+      ...row,
+      provider: 'poly',
+      id: row.condition_id ?? null,
+      ticker: null,
+      eventId: row.event_slug ?? null,
+      title: row.question ?? row.title ?? '—',
+      category: row.category ?? null,
+      prob: num(row.outcome_yes_price ?? row.price_now ?? row.new_price),
+      probPrev: num(row.price_prev ?? row.old_price),
+      move: num(row.move ?? row.price_diff),
+      absMove: num(row.abs_move),
+      bid: null,
+      ask: null,
+      spread: num(row.spread),
+      volume: num(row.volume),
+      depth: num(row.liquidity),
+      volumeUsd: num(row.volume),
+      depthUsd: num(row.liquidity),
+      expiresAt: row.end_date ?? null,
+    }),
+    event: (row) => ({
+      ...row,
+      provider: 'poly',
+      id: row.event_slug ?? null,
+      title: row.event_title ?? row.event_slug ?? row.title ?? '—',
+      nMarkets: num(row.n_markets),
+      volume: num(row.total_volume),
+      depth: num(row.total_liquidity),
+      avgSpread: null,
+    }),
+    snapshot: (row) => ({
+      ...row,
+      provider: 'poly',
+      snapTs: row.snap_ts ?? null,
+      dVolume: num(row.d_volume),
+      dDepth: num(row.d_liquidity),
+      dMarkets: num(row.d_markets),
+    }),
+  },
 }
 
-function usePolyApi(endpoint, params) {
-  const [data, setData] = useState(null)
+// Fetch `endpoint` from `provider`. Pass `normalize: 'market' | 'event' | 'snapshot'`
+// to map array payloads through the provider adapter; otherwise the raw JSON is
+// returned. `refreshKey` re-runs the request without changing the URL. A null
+// `endpoint` skips the request, for calls that depend on another response.
+function useProviderApi(provider, endpoint, params, { normalize, refreshKey } = {}) {
+  const [raw, setRaw] = useState(null)
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
+  const [autoTick, setAutoTick] = useState(0)
+  const [retryNonce, setRetryNonce] = useState(0)
+  // Last auto-refresh tick whose forced fetch has landed
+  const forcedTick = useRef(0)
+  const adapter = PROVIDERS[provider]
+  const retry = useCallback(() => setRetryNonce((n) => n + 1), [])
 
   useEffect(() => {
+    if (!endpoint) return
     const controller = new AbortController()
     const query = params ? `?${new URLSearchParams(params).toString()}` : ''
-    const url = `${POLY_API_BASE}${endpoint}${query}`
+    const url = `${adapter.base}${endpoint}${query}`
+    // Only the fetch a tick triggers skips the TTL cache. The tick counts as
+    // handled once a network response or failure lands (not the cached copy
+    // served first), so an aborted run, e.g. StrictMode's, still forces it.
+    const force = autoTick !== forcedTick.current
+    const startedAt = Date.now()
+    const settle = () => { forcedTick.current = autoTick }
 
     setError(null)
-    _cachedFetch(url, setData, setLoading, setError, controller.signal)
+    setLoading(true)
+    _cachedFetch(
+      url,
+      (json, fetchedAt) => {
+        if (fetchedAt >= startedAt) settle()
+        setRaw({ provider, json, fetchedAt, stale: false })
+      },
+      setLoading,
+      (err) => {
+        settle()
+        reportProviderFailure(provider, err)
+        setError(err)
+      },
+      controller.signal,
+      {
+        force,
+        onStale: (err) => {
+          settle()
+          reportProviderFailure(provider, err)
+          setRaw((prev) => (prev ? { ...prev, stale: true } : prev))
+        },
+      },
+    )
 
     return () => controller.abort()
-  }, [endpoint, JSON.stringify(params)])
+  }, [provider, endpoint, JSON.stringify(params), refreshKey, autoTick, retryNonce])
 
-  return { data, loading, error }
+  // A failed request is retried as soon as the browser comes back online
+  useEffect(() => {
+    if (!error) return
+    window.addEventListener('online', retry)
+    return () => window.removeEventListener('online', retry)
+  }, [error, retry])
+
+  // Drop the previous provider's payload while a venue switch is in flight
+  const current = raw && raw.provider === provider ? raw : null
+  const json = current?.json ?? null
+  const data = useMemo(() => (
+    normalize && Array.isArray(json) ? json.map(adapter[normalize]) : json
+  ), [json, adapter, normalize])
+  const freshness = useMemo(() => (
+    current ? { ...snapshotFreshness(current.json, current.fetchedAt), stale: current.stale } : null
+  ), [current])
+
+  // Re-fetch shortly after the next snapshot is due. If the backend still
+  // serves the old one, keep polling every SNAPSHOT_RETRY_MS until it lands.
+  useEffect(() => {
+    if (!freshness) return
+    const due = freshness.nextUpdate + SNAPSHOT_GRACE_MS
+    const delay = Math.max(due - Date.now(), SNAPSHOT_RETRY_MS)
+    const timer = setTimeout(() => setAutoTick((n) => n + 1), delay)
+    return () => clearTimeout(timer)
+  }, [freshness])
+
+  return { data, loading, error, retry, freshness, stale: Boolean(current?.stale) }
 }
 
-const KALSHI_CATEGORIES = [
-  'Trending', 'Politics', 'Sports', 'Culture', 'Crypto',
-  'Climate', 'Economics', 'Mentions', 'Companies', 'Financials', 'Tech & Science',
-]
-
-const POLY_CATEGORIES = [
-  'Trending', 'Breaking', 'New', 'Politics', 'Sports', 'Crypto',
-  'Finance', 'Geopolitics', 'Earnings', 'Tech', 'Culture',
-  'World', 'Economy', 'Climate & Science', 'Mentions',
-]
-
-const TOP_CHANGES_METRICS = {
-  kalshi: [
-    { value: 'volume', label: 'Volume' },
-    { value: 'open_interest', label: 'Open Interest' },
-    { value: 'mid', label: 'Mid' },
-    { value: 'spread_ticks', label: 'Spread (ticks)' },
-  ],
-  poly: [
-    { value: 'volume', label: 'Volume' },
-    { value: 'volume_24hr', label: 'Volume (24h)' },
-    { value: 'liquidity', label: 'Liquidity' },
-    { value: 'outcome_yes_price', label: 'YES Price' },
-  ],
+// ─── Cross-venue matching ────────────────────────────────────────────────────
+// Pairs Kalshi markets with the equivalent Polymarket question. Curated
+// overrides win; everything else is matched on title/question similarity.
+
+// MATCH_OVERRIDES (src/match-overrides.json) holds the curated list:
+// { kalshi: <market_ticker>, poly: <condition_id>, note } pins a pair; a null
+// on either side blocks that market from fuzzy matching.
+
+const MATCH_UNIVERSE_LIMIT = 500
+const MATCH_MIN_SCORE = 0.55
+const MATCH_STOPWORDS = new Set([
+  'will', 'the', 'a', 'an', 'be', 'by', 'in', 'on', 'of', 'to', 'for', 'at', 'and', 'or', 'is', 'are',
+  'than', 'before', 'after', 'end', 'market', 'price', 'yes', 'no',
+])
+
+function _matchTokens(title) {
+  return new Set(
+    String(title ?? '')
+      .toLowerCase()
+      .replace(/[’']s\b/g, '')
+      .split(/[^a-z0-9.%$]+/)
+      .map((t) => t.replace(/^[.$]+|[.]+$/g, ''))
+      .filter((t) => t && !MATCH_STOPWORDS.has(t)),
+  )
 }
 
-const TOP_CHANGES_MAX_ROWS = 10
+// Jaccard similarity over word tokens. Numbers (years, strikes, dates) must
+// agree exactly: "BTC above 100k in 2025" is not "BTC above 120k in 2025".
+function titleSimilarity(a, b) {
+  const numsA = [...a].filter((t) => /\d/.test(t)).sort().join(' ')
+  const numsB = [...b].filter((t) => /\d/.test(t)).sort().join(' ')
+  if (numsA !== numsB) return 0
+  let shared = 0
+  for (const t of a) if (b.has(t)) shared += 1
+  const union = a.size + b.size - shared
+  return union === 0 ? 0 : shared / union
+}
 
-function Last24hChangesPanel({ defaultProvider = 'kalshi' }) {
-  const [provider, setProvider] = useState(defaultProvider)
-  const [metric, setMetric] = useState('volume')
-  const [limit, setLimit] = useState(TOP_CHANGES_MAX_ROWS)
-  const [minPrevValue, setMinPrevValue] = useState(0)
-  const [rows, setRows] = useState([])
-  const [loading, setLoading] = useState(true)
-  const [error, setError] = useState(null)
-  const [retryNonce, setRetryNonce] = useState(0)
-  const [sortBy, setSortBy] = useState('delta_value')
-  const [sortDir, setSortDir] = useState('desc')
+// Returns Map<`${provider}:${id}`, { kalshi, poly, score, source }>
+function matchMarkets(kalshiRows, polyRows) {
+  const pairs = new Map()
+  const kalshiById = new Map(kalshiRows.filter((r) => r.id).map((r) => [r.id, r]))
+  const polyById = new Map(polyRows.filter((r) => r.id).map((r) => [r.id, r]))
+  const taken = { kalshi: new Set(), poly: new Set() }
+
+  const add = (kalshi, poly, score, source) => {
+    const pair = { kalshi, poly, score, source }
+    pairs.set(`kalshi:${kalshi.id}`, pair)
+    pairs.set(`poly:${poly.id}`, pair)
+    taken.kalshi.add(kalshi.id)
+    taken.poly.add(poly.id)
+  }
 
-  const metricOptions = TOP_CHANGES_METRICS[provider] ?? []
+  for (const o of MATCH_OVERRIDES) {
+    if (o.kalshi) taken.kalshi.add(o.kalshi)
+    if (o.poly) taken.poly.add(o.poly)
+    const kalshi = kalshiById.get(o.kalshi)
+    const poly = polyById.get(o.poly)
+    if (kalshi && poly) add(kalshi, poly, 1, 'override')
+  }
 
-  useEffect(() => {
-    if (!metricOptions.some((opt) => opt.value === metric)) {
-      setMetric(metricOptions[0]?.value ?? 'volume')
+  // Greedy one-to-one assignment, best-scoring candidates first
+  const polyTokens = [...polyById.values()]
+    .filter((r) => !taken.poly.has(r.id))
+    .map((r) => ({ row: r, tokens: _matchTokens(r.title) }))
+  const candidates = []
+  for (const kalshi of kalshiById.values()) {
+    if (taken.kalshi.has(kalshi.id)) continue
+    const tokens = _matchTokens(kalshi.title)
+    if (tokens.size < 2) continue
+    for (const p of polyTokens) {
+      const score = titleSimilarity(tokens, p.tokens)
+      if (score >= MATCH_MIN_SCORE) candidates.push({ kalshi, poly: p.row, score })
     }
-  }, [provider])
+  }
+  candidates.sort((a, b) => b.score - a.score)
+  for (const c of candidates) {
+    if (taken.kalshi.has(c.kalshi.id) || taken.poly.has(c.poly.id)) continue
+    add(c.kalshi, c.poly, c.score, 'fuzzy')
+  }
+  return pairs
+}
 
-  useEffect(() => {
-    const controller = new AbortController()
-    const base = provider === 'kalshi' ? API_BASE : POLY_API_BASE
-    const query = new URLSearchParams({
-      metric,
-      limit: String(limit),
-      min_prev_value: String(minPrevValue),
-    }).toString()
+// Keeps the same array across renders while ids and prices are unchanged, so
+// callers can pass freshly filtered rows without re-running the matcher.
+function useStableRows(rows) {
+  const key = (rows ?? []).map((r) => `${r.id}:${r.prob}`).join('|')
+  const [state, setState] = useState({ key, rows })
+  if (state.key !== key) setState({ key, rows })
+  return state.key === key ? state.rows : rows
+}
 
-    setLoading(true)
-    setError(null)
+// Matches across both screener universes plus any rows the caller is
+// showing (`extra.kalshi` / `extra.poly`, already normalized).
+function useMarketMatches(extra = {}) {
+  const kalshi = useProviderApi('kalshi', '/markets/screener', { limit: MATCH_UNIVERSE_LIMIT }, { normalize: 'market' })
+  const poly = useProviderApi('poly', '/markets/screener', { limit: MATCH_UNIVERSE_LIMIT }, { normalize: 'market' })
+  const extraKalshi = useStableRows(extra.kalshi)
+  const extraPoly = useStableRows(extra.poly)
+
+  return useMemo(() => {
+    const rowsOf = (rows) => (Array.isArray(rows) ? rows : [])
+    const merge = (a, b) => [...new Map([...rowsOf(a), ...rowsOf(b)].map((r) => [r.id, r])).values()]
+    return matchMarkets(merge(kalshi.data, extraKalshi), merge(poly.data, extraPoly))
+  }, [kalshi.data, poly.data, extraKalshi, extraPoly])
+}
 
-    fetch(`${base}/markets/top-changes-24h?${query}`, {
-      signal: controller.signal,
-    })
-      .then(async (res) => {
-        if (!res.ok) {
-          const err = new Error(`HTTP ${res.status}`)
-          err.status = res.status
-          err.body = await res.text()
-          throw err
-        }
-        return res.json()
-      })
-      .then((json) => setRows(Array.isArray(json) ? json : []))
-      .catch((err) => {
-        if (err.name !== 'AbortError') {
-          setError(err)
-        }
-      })
-      .finally(() => setLoading(false))
+// "Same question, two prices": the matched market on the other venue
+function CrossVenuePrice({ matches, provider, id }) {
+  const pair = id ? matches?.get(`${provider}:${id}`) : null
+  if (!pair) return null
+  const other = provider === 'kalshi' ? 'poly' : 'kalshi'
+  const here = pair[provider]
+  const there = pair[other]
+  const gap = here.prob !== null && there.prob !== null ? there.prob - here.prob : null
 
-    return () => controller.abort()
-  }, [provider, metric, limit, minPrevValue, retryNonce])
+  return (
+    <div className="cross-venue" title={`${pair.source === 'override' ? 'Curated match' : `Title match ${(pair.score * 100).toFixed(0)}%`}: ${there.title}`}>
+      <img src={PROVIDERS[other].logo} alt="" className="cross-venue-logo" />
+      <MarketLink provider={other} id={there.id}>{PROVIDERS[other].fmtProb(there.prob)}</MarketLink>
+      <span className="cross-venue-here">vs {PROVIDERS[provider].fmtProb(here.prob)}</span>
+      {gap !== null && Math.abs(gap) >= 0.005 && (
+        <span className={gap > 0 ? 'diff-up' : 'diff-down'}>
+          {gap > 0 ? '+' : ''}{(gap * 100).toFixed(1)}pp
+        </span>
+      )}
+    </div>
+  )
+}
 
-  const formatValue = (value) => {
-    if (typeof value !== 'number') return value ?? '—'
-    if (Math.abs(value) >= 1000) return value.toLocaleString('en-US')
-    return value.toFixed(3).replace(/\.0+$/, '').replace(/(\.\d*?)0+$/, '$1')
+// ─── DataTable ───────────────────────────────────────────────────────────────
+// Every tabular view goes through DataTable. Columns are
+// `{ key, label, render(row, context), value?(row), className?(row), optional?, sortable?, defaultSortDir? }`:
+// `value` is what sorting compares (defaults to row[key]), `context` is passed
+// through from the table's props, `optional` columns start hidden and
+// `export: false` keeps a column out of exports.
+//
+// Sorting is internal unless `sort`/`onSortChange` are passed (the screeners
+// sort in the URL and on the server). The column layout is the ordered list of
+// visible keys; it persists in localStorage per `id` unless `layout`/
+// `onLayoutChange` are passed. Past DATA_TABLE_VIRTUAL_THRESHOLD rows only the
+// rows in view are rendered. `exportOptions` (`{ title, filters, snapshotAt,
+// rows? }`) adds the Export menu; `rows()` fetches the full result when the
+// table only holds one page of it.
+
+const DATA_TABLE_VIRTUAL_THRESHOLD = 100
+const DATA_TABLE_ROW_HEIGHT = 45 // estimate until a row has been measured
+const DATA_TABLE_OVERSCAN = 8
+const DATA_TABLE_MAX_HEIGHT = 640
+
+const defaultTableLayout = (columns) => columns.filter((c) => !c.optional).map((c) => c.key)
+
+// Stored/URL layouts can name columns that no longer exist (or exist only for
+// another provider); fall back to the default when nothing usable is left.
+function resolveTableLayout(layout, columns) {
+  const keys = Array.isArray(layout) ? layout.filter((key) => columns.some((c) => c.key === key)) : []
+  return keys.length > 0 ? keys : defaultTableLayout(columns)
+}
+
+function readTableLayout(id) {
+  if (!id) return null
+  try {
+    return JSON.parse(localStorage.getItem(`ps:table:${id}`))
+  } catch {
+    return null
+  }
+}
+
+function writeTableLayout(id, layout) {
+  if (!id) return
+  try {
+    localStorage.setItem(`ps:table:${id}`, JSON.stringify(layout))
+  } catch {
+    // storage disabled; the layout just won't survive a reload
   }
+}
 
-  const formatPct = (value) => {
-    if (typeof value !== 'number') return '—'
-    return `${value.toFixed(2)}%`
+// Nulls sort last in either direction; strings compare case-insensitively
+function compareTableValues(a, b, dir) {
+  const empty = (v) => v === null || v === undefined || v === '' || (typeof v === 'number' && !Number.isFinite(v))
+  if (empty(a) || empty(b)) return empty(a) === empty(b) ? 0 : empty(a) ? 1 : -1
+  const an = typeof a === 'number' ? a : Number(a)
+  const bn = typeof b === 'number' ? b : Number(b)
+  const diff = Number.isFinite(an) && Number.isFinite(bn)
+    ? an - bn
+    : String(a).localeCompare(String(b), undefined, { sensitivity: 'base' })
+  return dir === 'asc' ? diff : -diff
+}
+
+// Stable sort on the column's `value` (or row[key])
+function sortTableRows(rows, col, dir) {
+  const valueOf = col.value ?? ((row) => row[col.key])
+  return rows
+    .map((row, idx) => ({ row, idx, value: valueOf(row) }))
+    .sort((a, b) => compareTableValues(a.value, b.value, dir) || a.idx - b.idx)
+    .map(({ row }) => row)
+}
+
+function DataTableColumnChooser({ columns, layout, onChange }) {
+  const byKey = new Map(columns.map((c) => [c.key, c]))
+  const hidden = columns.filter((c) => !layout.includes(c.key))
+  const move = (key, delta) => {
+    const i = layout.indexOf(key)
+    const j = i + delta
+    if (j < 0 || j >= layout.length) return
+    const next = [...layout]
+    ;[next[i], next[j]] = [next[j], next[i]]
+    onChange(next)
   }
+  return (
+    <details className="data-table-columns">
+      <summary>Columns ({layout.length}/{columns.length})</summary>
+      <div className="data-table-columns-menu">
+        {layout.map((key, i) => (
+          <div className="data-table-columns-item" key={key}>
+            <label>
+              <input
+                type="checkbox"
+                checked
+                disabled={layout.length === 1}
+                onChange={() => onChange(layout.filter((k) => k !== key))}
+              />
+              {byKey.get(key).label}
+            </label>
+            <button type="button" aria-label={`Move ${byKey.get(key).label} left`} disabled={i === 0} onClick={() => move(key, -1)}>↑</button>
+            <button type="button" aria-label={`Move ${byKey.get(key).label} right`} disabled={i === layout.length - 1} onClick={() => move(key, 1)}>↓</button>
+          </div>
+        ))}
+        {hidden.map((col) => (
+          <div className="data-table-columns-item" key={col.key}>
+            <label>
+              <input type="checkbox" checked={false} onChange={() => onChange([...layout, col.key])} />
+              {col.label}
+            </label>
+          </div>
+        ))}
+      </div>
+    </details>
+  )
+}
 
-  const getIdentifier = (row) => {
-    if (provider === 'kalshi') return row.market_ticker ?? '—'
-    return row.condition_id ?? '—'
+function DataTable({
+  id,
+  columns,
+  rows,
+  rowKey = (row, idx) => row.id ?? idx,
+  defaultSort = null,
+  sort: controlledSort,
+  onSortChange,
+  layout: controlledLayout,
+  onLayoutChange,
+  context,
+  maxHeight = DATA_TABLE_MAX_HEIGHT,
+  exportOptions,
+}) {
+  const [ownSort, setOwnSort] = useState(defaultSort)
+  const [ownLayout, setOwnLayout] = useState(() => readTableLayout(id))
+  const [view, setView] = useState({ top: 0, height: maxHeight, rowHeight: DATA_TABLE_ROW_HEIGHT })
+  const [activeIndex, setActiveIndex] = useState(-1)
+  const scrollRef = useRef(null)
+
+  const controlled = Boolean(onSortChange)
+  const sort = controlled ? controlledSort : ownSort
+  const layout = resolveTableLayout(onLayoutChange ? controlledLayout : ownLayout, columns)
+  const visible = layout.map((key) => columns.find((c) => c.key === key))
+
+  const setLayout = (next) => {
+    if (onLayoutChange) {
+      onLayoutChange(next)
+      return
+    }
+    setOwnLayout(next)
+    writeTableLayout(id, next)
   }
 
-  const getTitle = (row) => {
-    if (provider === 'kalshi') return row.title ?? '—'
-    return row.question ?? '—'
+  const toggleSort = (col) => {
+    const key = col.key
+    const dir = sort?.key === key
+      ? (sort.dir === 'asc' ? 'desc' : 'asc')
+      : col.defaultSortDir ?? 'desc'
+    if (controlled) onSortChange({ key, dir })
+    else setOwnSort({ key, dir })
   }
 
-  const getComparableValue = (row, key) => {
-    if (key === 'identifier') return String(getIdentifier(row)).toLowerCase()
-    if (key === 'title') return String(getTitle(row)).toLowerCase()
-    const value = row[key]
-    if (typeof value === 'number') return value
-    if (value === null || value === undefined) return Number.NEGATIVE_INFINITY
-    const asNum = Number(value)
-    if (!Number.isNaN(asNum)) return asNum
-    return String(value).toLowerCase()
+  const sortedRows = useMemo(() => {
+    const list = Array.isArray(rows) ? rows : []
+    const col = !controlled && sort ? columns.find((c) => c.key === sort.key) : null
+    return col ? sortTableRows(list, col, sort.dir) : list
+  }, [rows, columns, sort, controlled])
+
+  const virtual = sortedRows.length > DATA_TABLE_VIRTUAL_THRESHOLD
+  const first = virtual ? Math.max(0, Math.floor(view.top / view.rowHeight) - DATA_TABLE_OVERSCAN) : 0
+  const last = virtual
+    ? Math.min(sortedRows.length, first + Math.ceil(view.height / view.rowHeight) + 2 * DATA_TABLE_OVERSCAN)
+    : sortedRows.length
+
+  // Measured here rather than in an effect: scrolling is what needs it
+  const handleScroll = (e) => {
+    if (!virtual) return
+    const el = e.currentTarget
+    const measured = el.querySelector('tbody tr[data-row-index]')?.offsetHeight
+    setView({ top: el.scrollTop, height: el.clientHeight, rowHeight: measured || view.rowHeight })
   }
 
-  const sortedRows = [...rows].sort((a, b) => {
-    const av = getComparableValue(a, sortBy)
-    const bv = getComparableValue(b, sortBy)
-    if (av < bv) return sortDir === 'asc' ? -1 : 1
-    if (av > bv) return sortDir === 'asc' ? 1 : -1
-    return 0
-  })
+  const focusRow = (index) => {
+    setActiveIndex(index)
+    const el = scrollRef.current
+    if (!el) return
+    const tr = el.querySelector(`tr[data-row-index="${index}"]`)
+    if (tr?.scrollIntoView) tr.scrollIntoView({ block: 'nearest' })
+    else el.scrollTop = index * view.rowHeight - el.clientHeight / 2
+  }
 
-  const handleSort = (column) => {
-    if (sortBy === column) {
-      setSortDir((prev) => (prev === 'asc' ? 'desc' : 'asc'))
-      return
+  const handleKeyDown = (e) => {
+    if (e.target.closest('input, select, textarea, details') || sortedRows.length === 0) return
+    const pageRows = Math.max(1, Math.floor(view.height / view.rowHeight) - 1)
+    const lastIndex = sortedRows.length - 1
+    const moves = {
+      ArrowDown: activeIndex + 1,
+      ArrowUp: activeIndex - 1,
+      PageDown: activeIndex + pageRows,
+      PageUp: activeIndex - pageRows,
+      Home: 0,
+      End: lastIndex,
+    }
+    if (e.key in moves) {
+      e.preventDefault()
+      focusRow(Math.min(lastIndex, Math.max(0, moves[e.key])))
+    } else if (e.key === 'Enter' && activeIndex >= 0 && e.target === e.currentTarget) {
+      scrollRef.current?.querySelector(`tr[data-row-index="${activeIndex}"] a`)?.click()
+    } else if (e.key === 'Escape') {
+      setActiveIndex(-1)
     }
-    setSortBy(column)
-    setSortDir(column === 'identifier' || column === 'title' ? 'asc' : 'desc')
   }
 
-  const renderSortArrow = (column) => {
-    if (sortBy !== column) return '↕'
-    return sortDir === 'asc' ? '↑' : '↓'
+  const exportTable = async (format) => {
+    const all = exportOptions.rows ? await exportOptions.rows() : sortedRows
+    const exported = visible.filter((col) => col.export !== false)
+    downloadTableExport(format, { ...exportOptions, sort, columns: exported, allColumns: columns, rows: all })
   }
 
+  const spacer = (height, key) => height > 0 && (
+    <tr className="data-table-spacer" key={key} aria-hidden="true" style={{ height }}>
+      <td colSpan={visible.length} />
+    </tr>
+  )
+
   return (
-    <div className="panel" style={{ marginTop: '1rem' }}>
-      <div className="panel-header">
-        <div className="panel-title">Last 24h Changes</div>
+    <div className="data-table">
+      <div className="data-table-toolbar">
+        <DataTableColumnChooser columns={columns} layout={layout} onChange={setLayout} />
+        {exportOptions && <TableExportMenu onExport={exportTable} />}
       </div>
-      <div className="panel-body">
+      <div
+        ref={scrollRef}
+        className="markets-table-scroll data-table-scroll"
+        style={{ maxHeight }}
+        tabIndex={0}
+        onScroll={handleScroll}
+        onKeyDown={handleKeyDown}
+      >
+        <table className="markets-table" aria-rowcount={sortedRows.length}>
+          <thead>
+            <tr>
+              {visible.map((col) => {
+                const sortable = col.sortable !== false
+                const active = sort?.key === col.key
+                return (
+                  <th
+                    key={col.key}
+                    aria-sort={active ? (sort.dir === 'asc' ? 'ascending' : 'descending') : undefined}
+                  >
+                    {sortable ? (
+                      <button type="button" className="data-table-sort" onClick={() => toggleSort(col)}>
+                        {col.label}
+                        <span className="data-table-sort-arrow">{active ? (sort.dir === 'asc' ? '↑' : '↓') : '↕'}</span>
+                      </button>
+                    ) : col.label}
+                  </th>
+                )
+              })}
+            </tr>
+          </thead>
+          <tbody>
+            {spacer(first * view.rowHeight, 'top')}
+            {sortedRows.slice(first, last).map((row, i) => {
+              const index = first + i
+              return (
+                <tr
+                  key={rowKey(row, index)}
+                  data-row-index={index}
+                  aria-rowindex={index + 1}
+                  aria-selected={index === activeIndex}
+                  className={index === activeIndex ? 'data-table-active' : undefined}
+                  onClick={() => setActiveIndex(index)}
+                >
+                  {visible.map((col) => (
+                    <td key={col.key} className={col.className?.(row)}>{col.render(row, context)}</td>
+                  ))}
+                </tr>
+              )
+            })}
+            {spacer((sortedRows.length - last) * view.rowHeight, 'bottom')}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  )
+}
 
-        {loading && <div className="loading">Loading 24h changes…</div>}
+// ─── Table export ────────────────────────────────────────────────────────────
+// DataTable's Export menu writes the visible columns of the whole sorted
+// result as CSV, JSON or XLSX. Every file opens with a header block: what was
+// exported, the filters and sort behind it, and the snapshot time. Cells hold
+// raw values (`value(row)` or row[key]), not the formatted text.
 
-        {!loading && error?.status === 400 && (
-          <div className="error">Unsupported metric for selected provider.</div>
-        )}
+const TABLE_EXPORT_FORMATS = [
+  { id: 'csv', label: 'CSV' },
+  { id: 'json', label: 'JSON' },
+  { id: 'xlsx', label: 'Excel (XLSX)' },
+]
 
-        {!loading && error?.status === 500 && (
-          <div className="top-changes-retry">
-            <div className="error">
-              Backend snapshot issue while loading last 24h changes.
-            </div>
-            <button
-              type="button"
-              onClick={() => setRetryNonce((n) => n + 1)}
-            >
-              Retry
-            </button>
-          </div>
-        )}
+const XLSX_MIME = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
 
-        {!loading && error && error.status !== 400 && error.status !== 500 && (
-          <div className="error">{error.message}</div>
-        )}
+function tableExportValue(col, row) {
+  const value = col.value ? col.value(row) : row[col.key]
+  if (value === null || value === undefined) return null
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null
+  return typeof value === 'object' ? JSON.stringify(value) : String(value)
+}
 
-        {!loading && !error && rows.length === 0 && (
-          <span className="muted">No markets matched this filter in last 24h.</span>
-        )}
+function tableExportHeader({ title, filters = [], sort, columns, snapshotAt, rowCount }) {
+  const sortCol = sort && columns.find((c) => c.key === sort.key)
+  return {
+    title,
+    filters,
+    sort: sort ? `${sortCol?.label ?? sort.key} ${sort.dir === 'asc' ? 'ascending' : 'descending'}` : null,
+    snapshot: num(snapshotAt) === null ? null : new Date(num(snapshotAt)).toISOString(),
+    exportedAt: new Date().toISOString(),
+    rowCount,
+  }
+}
 
-        {!loading && !error && rows.length > 0 && (
-          <div className="markets-table-scroll">
-            <table className="markets-table">
-              <thead>
-                <tr>
-                  <th onClick={() => handleSort('title')} className="sortable-header">
-                    Title / Question {renderSortArrow('title')}
-                  </th>
-                  {provider === 'kalshi' && (
-                    <th onClick={() => handleSort('identifier')} className="sortable-header">
-                      Identifier {renderSortArrow('identifier')}
-                    </th>
-                  )}
-                  <th onClick={() => handleSort('current_value')} className="sortable-header">
-                    Current {renderSortArrow('current_value')}
-                  </th>
-                  <th onClick={() => handleSort('prev_value')} className="sortable-header">
-                    Previous {renderSortArrow('prev_value')}
-                  </th>
-                  <th onClick={() => handleSort('delta_value')} className="sortable-header">
-                    Delta {renderSortArrow('delta_value')}
-                  </th>
-                  <th onClick={() => handleSort('pct_change')} className="sortable-header">
-                    % Change {renderSortArrow('pct_change')}
-                  </th>
-                </tr>
-              </thead>
-              <tbody>
-                {sortedRows.slice(0, TOP_CHANGES_MAX_ROWS).map((row, idx) => {
-                  const delta = row.delta_value
-                  const deltaClass = typeof delta === 'number'
-                    ? delta > 0
-                      ? 'delta-positive'
-                      : delta < 0
-                        ? 'delta-negative'
-                        : ''
-                    : ''
-                  return (
-                    <tr key={`${getIdentifier(row)}-${idx}`}>
-                      <td>{getTitle(row)}</td>
-                      {provider === 'kalshi' && <td>{getIdentifier(row)}</td>}
-                      <td>{formatValue(row.current_value)}</td>
-                      <td>{formatValue(row.prev_value)}</td>
-                      <td className={deltaClass}>{formatValue(row.delta_value)}</td>
-                      <td>{formatPct(row.pct_change)}</td>
-                    </tr>
-                  )
-                })}
-              </tbody>
-            </table>
-          </div>
-        )}
-      </div>
-    </div>
-  )
+// The header as label/value lines for the spreadsheet formats
+function tableExportHeaderLines(header) {
+  return [
+    ['Export', header.title],
+    ...(header.filters.length > 0 ? header.filters : [['Filters', 'none']]),
+    ['Sort', header.sort ?? 'none'],
+    ['Snapshot', header.snapshot ?? 'unknown'],
+    ['Exported', header.exportedAt],
+    ['Rows', header.rowCount],
+  ]
 }
 
-function LandingPage() {
-  return (
-    <main className="page">
-      <section className="hero">
-        <div className="hero-content">
-          <h1>Markets reveal truth before headlines.</h1>
+// Venue titles go out as-is, so text a spreadsheet would run as a formula
+// (`=`, `+`, `-`, `@`, tab, CR) gets a leading `'`. Numbers are left alone.
+function csvCell(value) {
+  if (value === null || value === undefined) return ''
+  const text = typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
 
-          <p className="subhead">
-            We track prediction markets and news in real time to show how
-            collective belief is shifting, before it’s obvious.
-          </p>
+// Header lines are `# Label: value` comments so pandas & co. can skip them
+function tableToCsv(header, columns, rows) {
+  const lines = [
+    ...tableExportHeaderLines(header).map(([label, value]) => csvCell(`# ${label}: ${value}`)),
+    '',
+    columns.map((c) => csvCell(c.label)).join(','),
+    ...rows.map((row) => columns.map((c) => csvCell(tableExportValue(c, row))).join(',')),
+  ]
+  // BOM so Excel reads the file as UTF-8
+  return `\uFEFF${lines.join('\r\n')}\r\n`
+}
 
-          <ul className="features">
-            <li>📈 Market-implied probabilities over time</li>
-            <li>📰 News vs market divergence signals</li>
-            <li>⚡ Real-time Kalshi &amp; Polymarket analytics</li>
-          </ul>
+function tableToJson(header, columns, rows) {
+  return {
+    export: {
+      title: header.title,
+      filters: Object.fromEntries(header.filters),
+      sort: header.sort,
+      snapshot: header.snapshot,
+      exported_at: header.exportedAt,
+      row_count: header.rowCount,
+    },
+    columns: columns.map((c) => ({ key: c.key, label: c.label })),
+    rows: rows.map((row) => Object.fromEntries(columns.map((c) => [c.key, tableExportValue(c, row)]))),
+  }
+}
 
-          <form
-            className="signup"
-            method="POST"
-            action="https://formspree.io/f/maqodkvw"
-          >
-            <input
-              name="email"
-              type="email"
-              placeholder="you@email.com"
-              required
-            />
-            <button type="submit">Notify me</button>
-          </form>
+const XML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }
 
-          <p className="fineprint">No spam. One insight-heavy email per day. <br />
-            This site provides informational market data only and does not
-            constitute financial, investment, or trading advice. Past market
-            performance and tradability scores are not indicative of future
-            results. Always do your own research and consult a qualified
-            advisor before making investment decisions.
-          </p>
-          
+// Control characters other than tab/newline are not allowed in XML at all
+const xmlText = (value) => String(value)
+  .replace(/[&<>"]/g, (c) => XML_ESCAPES[c])
+  .replace(/[^\t\n\r\x20-\uFFFD]/g, '')
 
-          <Link to="/dashboard" className="enter-dashboard">
-            Enter dashboard <span>→</span>
-          </Link>
-        </div>
-      </section>
-    </main>
-  )
+function xlsxColumnName(index) {
+  let name = ''
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name
+  }
+  return name
 }
 
-// ─── Guided Tour Component ───────────────────────────────────────────────────
+// Inline strings are never evaluated, so unlike csvCell no formula guard is needed
+function xlsxSheet(matrix) {
+  const cell = (value, ref) => {
+    if (value === null || value === undefined || value === '') return ''
+    if (typeof value === 'number') return `<c r="${ref}"><v>${value}</v></c>`
+    return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${xmlText(value)}</t></is></c>`
+  }
+  const rows = matrix.map((cells, r) => (
+    `<row r="${r + 1}">${cells.map((value, c) => cell(value, `${xlsxColumnName(c)}${r + 1}`)).join('')}</row>`
+  ))
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    `<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>${rows.join('')}</sheetData></worksheet>`
+}
 
-function GuidedTour({ tourKey, steps }) {
-  const [active, setActive] = useState(false)
-  const [step, setStep] = useState(0)
-  const [rect, setRect] = useState(null) // viewport-relative rect of target
-  const rafRef = useRef(null)
-  const scrolledRef = useRef(false)
+let _crcTable = null
 
-  // Show tour on first visit (wait for data to render)
-  useEffect(() => {
-    const seen = localStorage.getItem(`tour_${tourKey}`)
-    if (!seen) {
-      const timer = setTimeout(() => setActive(true), 2500)
-      return () => clearTimeout(timer)
+function crc32(bytes) {
+  if (!_crcTable) {
+    _crcTable = new Uint32Array(256)
+    for (let n = 0; n < 256; n++) {
+      let c = n
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+      _crcTable[n] = c >>> 0
     }
-  }, [tourKey])
+  }
+  let crc = 0xffffffff
+  for (const byte of bytes) crc = _crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8)
+  return (crc ^ 0xffffffff) >>> 0
+}
 
-  // Track target element position (viewport-relative, no scroll offset)
-  useEffect(() => {
-    if (!active) return
-    scrolledRef.current = false
+// An uncompressed ("stored") zip: all an XLSX needs, without a zip library
+function zipStored(files, type) {
+  const encoder = new TextEncoder()
+  const DOS_DATE_1980 = 0x21
+  const parts = []
+  const directory = []
+  let offset = 0
+  for (const file of files) {
+    const name = encoder.encode(file.name)
+    const data = encoder.encode(file.content)
+    const crc = crc32(data)
+
+    const local = new DataView(new ArrayBuffer(30))
+    local.setUint32(0, 0x04034b50, true)
+    local.setUint16(4, 20, true)
+    local.setUint16(12, DOS_DATE_1980, true)
+    local.setUint32(14, crc, true)
+    local.setUint32(18, data.length, true)
+    local.setUint32(22, data.length, true)
+    local.setUint16(26, name.length, true)
+    parts.push(local, name, data)
+
+    const entry = new DataView(new ArrayBuffer(46))
+    entry.setUint32(0, 0x02014b50, true)
+    entry.setUint16(4, 20, true)
+    entry.setUint16(6, 20, true)
+    entry.setUint16(14, DOS_DATE_1980, true)
+    entry.setUint32(16, crc, true)
+    entry.setUint32(20, data.length, true)
+    entry.setUint32(24, data.length, true)
+    entry.setUint16(28, name.length, true)
+    entry.setUint32(42, offset, true)
+    directory.push(entry, name)
+
+    offset += 30 + name.length + data.length
+  }
+  const end = new DataView(new ArrayBuffer(22))
+  end.setUint32(0, 0x06054b50, true)
+  end.setUint16(8, files.length, true)
+  end.setUint16(10, files.length, true)
+  end.setUint32(12, directory.reduce((n, part) => n + part.byteLength, 0), true)
+  end.setUint32(16, offset, true)
+  return new Blob([...parts, ...directory, end], { type })
+}
 
-    const track = () => {
-      const selector = steps[step]?.target
-      if (!selector) { setRect(null); return }
-      const el = document.querySelector(selector)
-      if (!el) {
-        setRect(null)
-        rafRef.current = requestAnimationFrame(track)
-        return
-      }
-      const r = el.getBoundingClientRect()
-      setRect({ top: r.top, left: r.left, width: r.width, height: r.height })
+function tableToXlsx(header, columns, rows) {
+  const matrix = [
+    ...tableExportHeaderLines(header),
+    [],
+    columns.map((c) => c.label),
+    ...rows.map((row) => columns.map((c) => tableExportValue(c, row))),
+  ]
+  const sheetName = xmlText(header.title.replace(/[[\]:*?/\\]/g, ' ').slice(0, 31).trim() || 'Export')
+  const rels = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships'
+  const pkg = 'http://schemas.openxmlformats.org/package/2006'
+  const xml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+  return zipStored([
+    {
+      name: '[Content_Types].xml',
+      content: `${xml}<Types xmlns="${pkg}/content-types">` +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+        '</Types>',
+    },
+    {
+      name: '_rels/.rels',
+      content: `${xml}<Relationships xmlns="${pkg}/relationships">` +
+        `<Relationship Id="rId1" Type="${rels}/officeDocument" Target="xl/workbook.xml"/></Relationships>`,
+    },
+    {
+      name: 'xl/workbook.xml',
+      content: `${xml}<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="${rels}">` +
+        `<sheets><sheet name="${sheetName}" sheetId="1" r:id="rId1"/></sheets></workbook>`,
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      content: `${xml}<Relationships xmlns="${pkg}/relationships">` +
+        `<Relationship Id="rId1" Type="${rels}/worksheet" Target="worksheets/sheet1.xml"/></Relationships>`,
+    },
+    { name: 'xl/worksheets/sheet1.xml', content: xlsxSheet(matrix) },
+  ], XLSX_MIME)
+}
 
-      // Scroll into view once per step
-      if (!scrolledRef.current) {
-        scrolledRef.current = true
-        const viewH = window.innerHeight
-        if (r.top < 80 || r.bottom > viewH - 80) {
-          el.scrollIntoView({ behavior: 'smooth', block: 'center' })
-        }
-      }
+const DOWNLOAD_REVOKE_DELAY_MS = 30_000
+
+function downloadBlob(filename, blob) {
+  const href = URL.createObjectURL(blob)
+  const a = document.createElement('a')
+  a.href = href
+  a.download = filename
+  a.click()
+  // Browsers may read the blob after click() returns; revoking right away can
+  // cancel the download
+  setTimeout(() => URL.revokeObjectURL(href), DOWNLOAD_REVOKE_DELAY_MS)
+}
 
-      rafRef.current = requestAnimationFrame(track)
+function downloadTableExport(format, { title, filters, sort, columns, allColumns, snapshotAt, rows }) {
+  const header = tableExportHeader({ title, filters, sort, columns: allColumns, snapshotAt, rowCount: rows.length })
+  const slug = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'export'
+  const name = `${slug}-${header.exportedAt.slice(0, 16).replace(/[-:]/g, '').replace('T', '-')}`
+  if (format === 'csv') {
+    downloadBlob(`${name}.csv`, new Blob([tableToCsv(header, columns, rows)], { type: 'text/csv;charset=utf-8' }))
+  } else if (format === 'json') {
+    downloadJson(`${name}.json`, tableToJson(header, columns, rows))
+  } else {
+    downloadBlob(`${name}.xlsx`, tableToXlsx(header, columns, rows))
+  }
+}
+
+function TableExportMenu({ onExport }) {
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState(null)
+
+  const run = async (format, event) => {
+    event.currentTarget.closest('details').open = false
+    setBusy(true)
+    setError(null)
+    try {
+      await onExport(format)
+    } catch (err) {
+      if (err.name === 'AbortError') return
+      setError(err instanceof ApiError ? `Export failed: ${ERROR_MESSAGES[err.kind] ?? err.message}` : 'Export failed.')
+    } finally {
+      setBusy(false)
     }
-    rafRef.current = requestAnimationFrame(track)
-    return () => { if (rafRef.current) cancelAnimationFrame(rafRef.current) }
-  }, [active, step, steps])
+  }
 
-  const finish = useCallback(() => {
-    setActive(false)
-    localStorage.setItem(`tour_${tourKey}`, '1')
-  }, [tourKey])
+  return (
+    <>
+      <details className="data-table-export">
+        <summary>{busy ? 'Exporting…' : 'Export'}</summary>
+        <div className="data-table-export-menu">
+          {TABLE_EXPORT_FORMATS.map((format) => (
+            <button key={format.id} type="button" disabled={busy} onClick={(e) => run(format.id, e)}>
+              {format.label}
+            </button>
+          ))}
+        </div>
+      </details>
+      {error && <span className="data-table-export-error" role="alert">{error}</span>}
+    </>
+  )
+}
 
-  const next = useCallback(() => {
-    if (step < steps.length - 1) {
-      scrolledRef.current = false
-      setStep(s => s + 1)
-    } else {
-      finish()
+// ─── Compare tray ────────────────────────────────────────────────────────────
+// Markets picked from any table for /compare, up to COMPARE_MAX. The tray is
+// `{ provider, id, title }` entries kept in localStorage so it follows you
+// between pages; /compare itself reads its selection from `?m=`.
+
+const COMPARE_MAX = 8
+
+const compareKey = (market) => `${market.provider}:${market.id}`
+
+// A list of `{ provider, id, … }` markets kept in localStorage under `key`,
+// capped at `max` and kept in sync across components and tabs.
+function createStoredListStore(key, { max }) {
+  let cached = null
+  const listeners = new Set()
+
+  function read() {
+    if (cached) return cached
+    let list = []
+    try {
+      const parsed = JSON.parse(localStorage.getItem(key) ?? '[]')
+      if (Array.isArray(parsed)) list = parsed.filter((m) => PROVIDERS[m?.provider] && m.id)
+    } catch {
+      // storage disabled or corrupt; start empty
     }
-  }, [step, steps.length, finish])
+    cached = list.slice(0, max)
+    return cached
+  }
 
-  const prev = useCallback(() => {
-    if (step > 0) {
-      scrolledRef.current = false
-      setStep(s => s - 1)
+  function write(markets) {
+    cached = markets.slice(0, max)
+    try {
+      localStorage.setItem(key, JSON.stringify(cached))
+    } catch {
+      // storage disabled; the list lasts until reload
     }
-  }, [step])
+    listeners.forEach((fn) => fn())
+  }
 
-  // Keyboard support
-  useEffect(() => {
-    if (!active) return
-    const onKey = (e) => {
-      if (e.key === 'Escape') finish()
-      if (e.key === 'ArrowRight' || e.key === 'Enter') next()
-      if (e.key === 'ArrowLeft') prev()
+  function subscribe(listener) {
+    listeners.add(listener)
+    // Another tab changed the list
+    const onStorage = (e) => {
+      if (e.key !== key) return
+      cached = null
+      listener()
     }
-    window.addEventListener('keydown', onKey)
-    return () => window.removeEventListener('keydown', onKey)
-  }, [active, next, prev, finish])
+    window.addEventListener('storage', onStorage)
+    return () => {
+      listeners.delete(listener)
+      window.removeEventListener('storage', onStorage)
+    }
+  }
 
-  if (!active || !steps.length) return null
+  const useList = () => useSyncExternalStore(subscribe, read, () => [])
 
-  const currentStep = steps[step]
-  const isLast = step === steps.length - 1
-  const hasTarget = rect !== null
+  function toggle(market) {
+    const list = read()
+    const id = compareKey(market)
+    if (list.some((m) => compareKey(m) === id)) write(list.filter((m) => compareKey(m) !== id))
+    else if (list.length < max) write([...list, market])
+  }
 
-  // Tooltip positioning (viewport-relative, rendered in fixed overlay)
-  const tooltipStyle = {}
-  if (hasTarget) {
-    const viewW = window.innerWidth
-    const viewH = window.innerHeight
-    const tw = Math.min(340, viewW - 32)
-    let tLeft = rect.left + rect.width / 2 - tw / 2
-    if (tLeft < 16) tLeft = 16
-    if (tLeft + tw > viewW - 16) tLeft = viewW - tw - 16
-    tooltipStyle.left = `${tLeft}px`
-    tooltipStyle.width = `${tw}px`
+  return { read, write, useList, toggle }
+}
 
-    const spaceBelow = viewH - rect.top - rect.height
-    if (spaceBelow > 220) {
-      tooltipStyle.top = `${rect.top + rect.height + 14}px`
-    } else {
-      tooltipStyle.top = `${rect.top - 14}px`
-      tooltipStyle.transform = 'translateY(-100%)'
-    }
-  } else {
-    tooltipStyle.top = '50%'
-    tooltipStyle.left = '50%'
-    tooltipStyle.transform = 'translate(-50%, -50%)'
-    tooltipStyle.width = '340px'
-  }
+const {
+  read: readCompareTray,
+  write: writeCompareTray,
+  useList: useCompareTray,
+  toggle: toggleCompare,
+} = createStoredListStore('ps:compare', { max: COMPARE_MAX })
+
+// `kalshi:KXFED-25DEC-T4.00,poly:0xabc` -> entries; unknown venues are dropped
+function parseCompareParam(text, max = COMPARE_MAX) {
+  const seen = new Set()
+  return String(text ?? '').split(',').map((part) => {
+    const sep = part.indexOf(':')
+    return { provider: part.slice(0, sep), id: part.slice(sep + 1) }
+  }).filter((m) => {
+    if (!PROVIDERS[m.provider] || !m.id || seen.has(compareKey(m))) return false
+    seen.add(compareKey(m))
+    return true
+  }).slice(0, max)
+}
 
-  // Spotlight clip path (viewport coords)
-  const clipPath = hasTarget
-    ? `polygon(
-        0% 0%, 0% 100%, 100% 100%, 100% 0%, 0% 0%,
-        ${rect.left - 8}px ${rect.top - 8}px,
-        ${rect.left - 8}px ${rect.top + rect.height + 8}px,
-        ${rect.left + rect.width + 8}px ${rect.top + rect.height + 8}px,
-        ${rect.left + rect.width + 8}px ${rect.top - 8}px,
-        ${rect.left - 8}px ${rect.top - 8}px
-      )`
-    : undefined
+function comparePath(markets) {
+  return `/compare?${new URLSearchParams({ m: markets.map(compareKey).join(',') })}`
+}
 
+function CompareToggle({ market }) {
+  const tray = useCompareTray()
+  if (!market.id) return null
+  const selected = tray.some((m) => compareKey(m) === compareKey(market))
+  const full = !selected && tray.length >= COMPARE_MAX
   return (
-    <>
-      {/* Overlay backdrop with spotlight cutout */}
-      <div
-        className="guided-tour-backdrop"
-        style={hasTarget ? { clipPath } : undefined}
-        onClick={finish}
-      />
+    <button
+      type="button"
+      className={`compare-toggle${selected ? ' selected' : ''}`}
+      aria-pressed={selected}
+      disabled={full}
+      title={full ? `Compare holds up to ${COMPARE_MAX} markets` : selected ? 'Remove from comparison' : 'Add to comparison'}
+      onClick={() => toggleCompare(market)}
+    >
+      {selected ? '✓' : '+'}
+    </button>
+  )
+}
 
-      {/* Highlight ring around target */}
-      {hasTarget && (
-        <div
-          className="guided-tour-highlight"
-          style={{
-            top: `${rect.top - 8}px`,
-            left: `${rect.left - 8}px`,
-            width: `${rect.width + 16}px`,
-            height: `${rect.height + 16}px`,
-          }}
-        />
-      )}
+// Leading DataTable column; `toMarket(row)` gives the tray entry for a row
+const compareColumn = (toMarket) => ({
+  key: 'compare',
+  label: 'Compare',
+  sortable: false,
+  export: false,
+  render: (row) => <CompareToggle market={toMarket(row)} />,
+})
 
-      {/* Tooltip card */}
-      <div className="guided-tour-tooltip" style={tooltipStyle}>
-        <div className="tour-step-counter">
-          Step {step + 1} of {steps.length}
-        </div>
-        <div className="tour-title">{currentStep.title}</div>
-        <div className="tour-body">{currentStep.body}</div>
-        <div className="tour-actions">
-          <button type="button" className="tour-btn tour-skip" onClick={finish}>
-            Skip tour
-          </button>
-          <div className="tour-nav">
-            {step > 0 && (
-              <button type="button" className="tour-btn tour-prev" onClick={prev}>
-                ← Back
-              </button>
-            )}
-            <button type="button" className="tour-btn tour-next" onClick={next}>
-              {isLast ? 'Done ✓' : 'Next →'}
-            </button>
-          </div>
-        </div>
-        {/* Step dots */}
-        <div className="tour-dots">
-          {steps.map((_, i) => (
-            <span key={i} className={`tour-dot${i === step ? ' active' : ''}${i < step ? ' done' : ''}`} />
+// Normalized rows (see the provider adapters) map straight onto tray entries
+const compareNormalized = (row) => ({ provider: row.provider, id: row.id, title: row.title })
+
+function CompareTray() {
+  const tray = useCompareTray()
+  const location = useLocation()
+  if (tray.length === 0 || location.pathname === '/compare') return null
+  return (
+    <div className="compare-tray" role="region" aria-label="Comparison tray">
+      <span className="compare-tray-count">Compare {tray.length}/{COMPARE_MAX}</span>
+      <div className="compare-tray-items">
+        {tray.map((m) => (
+          <span className="compare-tray-item" key={compareKey(m)}>
+            <img src={PROVIDERS[m.provider].logo} alt="" className="venue-cell-logo" />
+            <span className="compare-tray-title">{m.title ?? m.id}</span>
+            <button type="button" aria-label={`Remove ${m.title ?? m.id}`} onClick={() => toggleCompare(m)}>×</button>
+          </span>
+        ))}
+      </div>
+      <button type="button" className="compare-tray-clear" onClick={() => writeCompareTray([])}>Clear</button>
+      <Link to={comparePath(tray)} className="compare-tray-go">Compare →</Link>
+    </div>
+  )
+}
+
+// ─── Watchlist ───────────────────────────────────────────────────────────────
+// Starred markets from either venue, shown on /watchlist. Same storage model
+// as the compare tray: `{ provider, id, title }` entries in localStorage,
+// shared across tabs. Capped because /watchlist fetches each market's detail.
+
+const WATCHLIST_MAX = 100
+const { useList: useWatchlist, toggle: toggleWatch } = createStoredListStore('ps:watchlist', { max: WATCHLIST_MAX })
+
+function WatchStar({ market }) {
+  const list = useWatchlist()
+  if (!market.id) return null
+  const starred = list.some((m) => compareKey(m) === compareKey(market))
+  const full = !starred && list.length >= WATCHLIST_MAX
+  return (
+    <button
+      type="button"
+      className={`watch-star${starred ? ' starred' : ''}`}
+      aria-pressed={starred}
+      disabled={full}
+      title={full ? `The watchlist holds up to ${WATCHLIST_MAX} markets` : starred ? 'Remove from watchlist' : 'Add to watchlist'}
+      onClick={() => toggleWatch(market)}
+    >
+      {starred ? '★' : '☆'}
+    </button>
+  )
+}
+
+// Leading DataTable column, next to compareColumn
+const watchColumn = (toMarket) => ({
+  key: 'watch',
+  label: 'Watch',
+  sortable: false,
+  export: false,
+  render: (row) => <WatchStar market={toMarket(row)} />,
+})
+
+// ─── Backend status ──────────────────────────────────────────────────────────
+// Polls /health on every provider and tracks which ones are down. Data-layer
+// failures trigger an early check so the banner doesn't wait for the next poll.
+
+const HEALTH_POLL_MS = 60_000
+
+let _backendStatus = Object.fromEntries(Object.keys(PROVIDERS).map((p) => [p, 'ok']))
+const _statusListeners = new Set()
+let _healthCheck = null
+
+function _setBackendStatus(next) {
+  const changed = Object.keys(next).some((p) => next[p] !== _backendStatus[p])
+  if (!changed) return
+  _backendStatus = { ..._backendStatus, ...next }
+  _statusListeners.forEach((listener) => listener())
+}
+
+function subscribeBackendStatus(listener) {
+  _statusListeners.add(listener)
+  return () => _statusListeners.delete(listener)
+}
+
+function checkBackendHealth() {
+  // Every probe fails while offline; that says nothing about the backend
+  if (!navigator.onLine) return Promise.resolve()
+  if (_healthCheck) return _healthCheck
+  const providers = Object.keys(PROVIDERS)
+  _healthCheck = Promise.allSettled(providers.map((p) => getHealth(p)))
+    .then((results) => {
+      _setBackendStatus(Object.fromEntries(
+        results.map((r, i) => [providers[i], r.status === 'fulfilled' ? 'ok' : 'down']),
+      ))
+    })
+    .finally(() => { _healthCheck = null })
+  return _healthCheck
+}
+
+// Only network failures, timeouts and 5xx say anything about backend health
+function reportProviderFailure(provider, err) {
+  if (!(err instanceof ApiError) || !err.transient) return
+  if (_backendStatus[provider] === 'down') return
+  checkBackendHealth()
+}
+
+function useBackendStatus() {
+  return useSyncExternalStore(subscribeBackendStatus, () => _backendStatus)
+}
+
+function subscribeOnlineStatus(listener) {
+  window.addEventListener('online', listener)
+  window.addEventListener('offline', listener)
+  return () => {
+    window.removeEventListener('online', listener)
+    window.removeEventListener('offline', listener)
+  }
+}
+
+function useOnlineStatus() {
+  return useSyncExternalStore(subscribeOnlineStatus, () => navigator.onLine)
+}
+
+// Developer overlay listing endpoints whose responses drifted from RESPONSE_SCHEMAS
+function SchemaDriftOverlay() {
+  const reports = useSchemaReports()
+  const [open, setOpen] = useState(false)
+  const [dismissed, setDismissed] = useState(0)
+
+  const visible = reports.filter((r) => r.at > dismissed)
+  if (visible.length === 0) return null
+  const fatal = visible.filter((r) => r.fatal).length
+
+  return (
+    <div className={`schema-overlay${fatal > 0 ? ' schema-overlay--fatal' : ''}`}>
+      <div className="schema-overlay-header">
+        <button type="button" className="schema-overlay-toggle" onClick={() => setOpen((o) => !o)}>
+          Schema drift · {visible.length} endpoint{visible.length === 1 ? '' : 's'}
+          {fatal > 0 && ` (${fatal} failing)`}
+        </button>
+        <button type="button" className="schema-overlay-close" onClick={() => setDismissed(Date.now())} aria-label="Dismiss">
+          ×
+        </button>
+      </div>
+      {open && (
+        <ul className="schema-overlay-list">
+          {visible.map((r) => (
+            <li key={r.key}>
+              <div className="schema-overlay-endpoint">
+                <strong>{PROVIDERS[r.provider].label}</strong> {r.endpoint}
+                <span className="muted"> · {r.total} rows · seen {r.seen}×</span>
+              </div>
+              {r.issues.map((issue) => (
+                <div key={`${issue.field}-${issue.problem}`} className="schema-overlay-issue">
+                  <code>{issue.field}</code> {issue.problem}
+                  {r.total > 0 && <span className="muted"> in {issue.count}/{r.total}</span>}
+                </div>
+              ))}
+            </li>
           ))}
-        </div>
+        </ul>
+      )}
+    </div>
+  )
+}
+
+function BackendStatusBanner() {
+  const status = useBackendStatus()
+  const online = useOnlineStatus()
+
+  useEffect(() => {
+    checkBackendHealth()
+    const id = setInterval(checkBackendHealth, HEALTH_POLL_MS)
+    window.addEventListener('online', checkBackendHealth)
+    return () => {
+      clearInterval(id)
+      window.removeEventListener('online', checkBackendHealth)
+    }
+  }, [])
+
+  if (!online) {
+    return (
+      <div className="backend-status-banner" role="status">
+        <span className="backend-status-dot" />
+        <span>
+          <strong>You're offline.</strong> Showing cached data; panels will reload when your connection returns.
+        </span>
       </div>
-    </>
+    )
+  }
+
+  const down = Object.values(PROVIDERS).filter((p) => status[p.id] === 'down')
+  if (down.length === 0) return null
+  const names = down.map((p) => p.label).join(' and ')
+  return (
+    <div className="backend-status-banner" role="status">
+      <span className="backend-status-dot" />
+      <span>
+        <strong>{names}</strong> data service {down.length > 1 ? 'are' : 'is'} unavailable.
+        Showing last-known data where we have it; panels marked “stale” will update once it recovers.
+      </span>
+    </div>
   )
 }
 
-// Tour step definitions
-const KALSHI_TOUR_STEPS = [
-  {
-    target: '[data-tour="kalshi-hero-stats"]',
-    title: 'Market Overview',
-    body: 'These cards show aggregate volume, open interest, and wide spreads over the past 24 hours and 30 days. Watch the delta arrows to see how activity is changing hour-over-hour.',
-  },
-  {
-    target: '[data-tour="kalshi-movers"]',
-    title: 'Market Movers',
-    body: 'The top 6 markets with the biggest price shifts in the last hour. Green = rising, red = falling. Great for spotting where money is flowing right now.',
-  },
-  {
-    target: '[data-tour="kalshi-mid-moves"]',
-    title: 'Mid-Price Moves',
-    body: 'A detailed table of the largest 24-hour mid-price changes. Shows old vs new mid-price and the change in spread — useful for identifying consensus shifts.',
-  },
-  {
-    target: '[data-tour="kalshi-24h-changes"]',
-    title: '24h Changes Table',
-    body: 'A sortable table showing the biggest metric changes over the past 24 hours. Click column headers to sort by volume, spread, or price delta.',
+const KALSHI_CATEGORIES = [
+  'Trending', 'Politics', 'Sports', 'Culture', 'Crypto',
+  'Climate', 'Economics', 'Mentions', 'Companies', 'Financials', 'Tech & Science',
+]
+
+// Keyword fallbacks for rows that don't carry a backend `category` field.
+// `series` is anchored to the start of the ticker's series code (KXHIGHNY-25JAN01
+// -> HIGHNY); `words` only matches whole words in the title.
+const KALSHI_CATEGORY_PATTERNS = {
+  Politics: {
+    series: /^(pres|senate|house|gov|mayor|approv|scotus|cabinet|pardon|elect|primary|congress)/i,
+    words: /\b(trump|biden|harris|vance|elections?|president(ial)?|congress(ional)?|senate|house (seats?|majority|of representatives)|supreme court|scotus|approval rating|cabinet|nominees?|pardons?|governor|mayor|democrats?|republicans?|primary|ballot)\b/i,
   },
-  {
-    target: '[data-tour="kalshi-shift-index"]',
-    title: 'Market Shift Index',
-    body: 'A composite score combining volume, open interest, and breadth changes. Spikes indicate periods of unusual market activity — useful for timing your research.',
+  Sports: {
+    series: /^(nba|wnba|nfl|mlb|nhl|ufc|mma|f1|golf|pga|tennis|atp|wta|soccer|epl|ucl|mls|ncaa|nascar)/i,
+    words: /\b(nba|wnba|nfl|mlb|nhl|ufc|mma|f1|formula 1|golf|pga|tennis|soccer|ncaa|nascar|playoffs?|super bowl|world series|stanley cup|world cup|grand prix|premier league|championship|mvp)\b/i,
   },
-  {
-    target: '[data-tour="kalshi-events-spreads"]',
-    title: 'Events & Spread Blowouts',
-    body: 'Left panel ranks events by traded volume. Right panel highlights markets where the bid-ask spread widened or tightened dramatically — a signal of liquidity shifts.',
+  Culture: {
+    series: /^(oscar|grammy|emmy|rt|boxoffice|billboard|spotify|netflix|album|song|movie)/i,
+    words: /\b(oscars?|grammys?|emmys?|rotten tomatoes|box office|movies?|films?|albums?|songs?|billboard|spotify|netflix|awards?|celebrit(y|ies))\b/i,
   },
-  {
-    target: '[data-tour="kalshi-expiring"]',
-    title: 'Expiring Soon',
-    body: 'Markets nearing expiration. Urgent ones (< 24h) are highlighted. These often see the most volatile final price moves as outcomes become certain.',
+  Crypto: {
+    series: /^(btc|eth|sol|xrp|doge|shiba|crypto)/i,
+    words: /\b(bitcoin|btc|ethereum|eth|solana|xrp|dogecoin|doge|crypto(currency)?)\b/i,
   },
-]
-
-const POLY_TOUR_STEPS = [
-  {
-    target: '[data-tour="poly-hero-stats"]',
-    title: 'Market Overview',
-    body: 'Volume and liquidity in USDC over 24h and 30d, plus the real-time Volatility Index. The delta arrows show how each metric changed in the latest snapshot.',
+  Climate: {
+    series: /^(high|low|temp|rain|snow|hurricane|tornado|heat|climate|weather)/i,
+    words: /\b(climate|weather|temperatures?|tornado(es)?|hurricanes?|storms?|snow(fall)?|rain(fall)?|floods?|drought|wildfires?|heat ?waves?)\b/i,
   },
-  {
-    target: '[data-tour="poly-movers"]',
-    title: 'Market Pulse',
-    body: 'The 6 markets with the biggest mid-price moves in the last 24 hours. Each card shows the direction, magnitude, and the old → new probability.',
+  Economics: {
+    series: /^(fed|fomc|rate|cpi|ppi|gdp|recess|jobs|nfp|payroll|u3|unemp|mortgage|retail|tariff|inflation)/i,
+    words: /\b(fed|fomc|interest rates?|rate (hikes?|cuts?)|inflation|cpi|ppi|gdp|recession|jobs report|unemployment|payrolls?|housing starts|mortgage rates?|retail sales|tariffs?)\b/i,
   },
-  {
-    target: '[data-tour="poly-24h-changes"]',
-    title: '24h Changes Table',
-    body: 'Drill into the biggest movers by volume, liquidity, or YES price. Sortable columns let you find markets with the most significant recent activity.',
+  Mentions: {
+    series: /^(mention|tweet|speech)/i,
+    words: /\b(mentions?|mentioned|tweets?|speech)\b/i,
   },
-  {
-    target: '[data-tour="poly-vol-index"]',
-    title: 'Realized Vol Index',
-    body: 'Annualized realized volatility across all Polymarket contracts. Higher readings mean more aggressive repricing — a proxy for market uncertainty.',
+  Companies: {
+    series: /^(ipo|merger|acq|layoff|earn|ceo|tsla|aapl|amzn|googl|meta|msft)/i,
+    words: /\b(ipos?|mergers?|acquisitions?|acquires?|layoffs?|earnings|revenue|bankrupt(cy)?|ceo|tesla|apple|amazon|google|meta|microsoft)\b/i,
   },
-  {
-    target: '[data-tour="poly-events"]',
-    title: 'Top Events',
-    body: 'Events ranked by volume (left) and liquidity (right). Use this to find where the most money is concentrated and where deep order books exist.',
+  Financials: {
+    series: /^(inx|nasdaq|ndx|djia|dow|wti|oil|gold|silver|treas|tnote|eurusd|usdjpy)/i,
+    words: /\b(s&p 500|sp500|nasdaq|dow jones|djia|crude oil|oil prices?|gold|silver|treasury|treasuries|bond yields?|eur\/usd|usd\/jpy|stock market)\b/i,
   },
-  {
-    target: '[data-tour="poly-expiring"]',
-    title: 'Expiring Soon',
-    body: 'Markets expiring within 48 hours. The YES probability bar and countdown help you assess near-term resolution opportunities.',
+  'Tech & Science': {
+    series: /^(openai|nvda|spacex|starlink|gpt|nasa|launch|chip)/i,
+    words: /\b(ai|openai|nvidia|spacex|starlink|chatgpt|robots?|chips?|semiconductors?|rocket launch|nasa|science|technology)\b/i,
   },
+}
+
+// Dashboard endpoints take an optional `category` param; 'Trending' is the
+// unfiltered feed so it never adds one.
+function kalshiCategoryParams(category, params) {
+  if (!category || category === 'Trending') return params
+  return { ...params, category }
+}
+
+function matchesKalshiCategory(row, category) {
+  if (!category || category === 'Trending') return true
+  const norm = (s) => String(s).toLowerCase().replace(/[^a-z]/g, '')
+  if (row?.category && norm(row.category) === norm(category)) return true
+  const pattern = KALSHI_CATEGORY_PATTERNS[category]
+  if (!pattern) return true
+  const series = (row?.market_ticker || row?.event_ticker || '').replace(/^KX/i, '').split('-')[0]
+  return pattern.series.test(series) || pattern.words.test(`${row?.title ?? ''} ${row?.category ?? ''}`)
+}
+
+const POLY_CATEGORIES = [
+  'Trending', 'Breaking', 'New', 'Politics', 'Sports', 'Crypto',
+  'Finance', 'Geopolitics', 'Earnings', 'Tech', 'Culture',
+  'World', 'Economy', 'Climate & Science', 'Mentions',
 ]
 
-function Dashboard() {
-  const [activeCategory, setActiveCategory] = useState('Trending')
-  const eventsByVolume = useApi('/top-events-volume')
-  const eventsByOI     = useApi('/top-events-open-interest', { limit: 8 })
-  const spreadBlowouts = useApi('/markets/spread-blowouts')
-  const expiringSoon = useApi('/markets/expiring-soon')
-  const marketMovers = useApi('/market-movers')
-  const midMoves     = useApi('/markets/mid-moves', { hours: 24, limit: 15 })
-  const globalDeltas = useApi('/global-6h-deltas', { limit: 150 })
+// Trending / Breaking / New re-order the feed instead of filtering it
+const POLY_SORT_MODES = {
+  Trending: (row) => num(row.volume_24hr ?? row.volume ?? row.total_volume),
+  Breaking: (row) => (num(row.price_diff) === null ? null : Math.abs(num(row.price_diff))),
+  New: (row) => {
+    const ts = new Date(row.start_date ?? row.created_at ?? '').getTime()
+    return Number.isNaN(ts) ? null : ts
+  },
+}
 
-  let latestIndex = null
-  let shiftChartSeries = null
+// Keyword fallbacks for rows whose backend `category` doesn't match the subnav label.
+// Matched against the question, its event and the category field.
+const POLY_CATEGORY_PATTERNS = {
+  Politics:            /\b(trump|biden|harris|vance|elections?|president(ial)?|senate|congress|votes?|polls?|democrats?|republicans?|governor|cabinet|impeach(ment)?|pardons?|nominees?|speaker of the house|ballot|primary|mayor)\b/i,
+  Sports:              /\b(nba|wnba|nfl|mlb|nhl|soccer|football|basketball|baseball|tennis|golf|olympics|ufc|mma|f1|formula 1|playoffs?|championship|league|world cup|draft|grand prix|premier league|epl|ncaa|super bowl|world series|stanley cup|mvp)\b/i,
+  Crypto:              /\b(bitcoin|btc|eth|ethereum|solana|doge(coin)?|xrp|crypto(currency)?|tokens?|nfts?|defi|blockchain|binance|coinbase)\b/i,
+  Finance:             /\b(fed|rate (hikes?|cuts?)|nasdaq|s&p 500|dow jones|crude oil|gold|treasury|treasuries|stocks?|etfs?|bonds?|yields?|ipos?)\b/i,
+  Geopolitics:         /\b(war|ukraine|russia|israel|gaza|nato|china|taiwan|iran|north korea|middle east|ceasefire|sanctions?|missiles?|invasion|invade|troops|military|peace deal)\b/i,
+  Earnings:            /\b(earnings|revenue|eps|guidance|q[1-4])\b/i,
+  Tech:                /\b(ai|openai|apple|google|microsoft|nvidia|tesla|meta|amazon|chatgpt|robots?|spacex|semiconductors?|chips?|gpt-?\d*|anthropic|gemini)\b/i,
+  Culture:             /\b(oscars?|grammys?|emmys?|movies?|films?|music|streaming|disney|netflix|spotify|tiktok|youtube|awards?|albums?|songs?|box office|celebrit(y|ies))\b/i,
+  World:               /\b(europe(an)?|asia|africa|latin america|uk|britain|france|germany|india|japan|brazil|canada|mexico|prime minister)\b/i,
+  Economy:             /\b(inflation|gdp|recession|economy|cpi|jobs report|unemployment|payrolls?|tariffs?|trade war|interest rates?)\b/i,
+  'Climate & Science': /\b(climate|weather|hurricanes?|earthquakes?|wildfires?|floods?|temperatures?|drought|tornado(es)?|carbon|emissions|science|nasa|space)\b/i,
+  Mentions:            /\b(mentions?|mentioned|tweets?|speech)\b/i,
+}
 
-  if (Array.isArray(globalDeltas.data) && globalDeltas.data.length > 0) {
-    const deltas = [...globalDeltas.data].slice().reverse()
+function polyCategoryParams(category, params) {
+  if (!category || POLY_SORT_MODES[category]) return params
+  return { ...params, category }
+}
 
-    const baseVol = deltas[0].d_volume_6h || 1
-    const baseOi = deltas[0].d_oi_6h || 1
-    const baseWide = deltas[0].d_wide_6h || 1
+function matchesPolyCategory(row, category) {
+  if (!category || POLY_SORT_MODES[category]) return true
+  const norm = (s) => String(s).toLowerCase().replace(/[^a-z]/g, '')
+  if (row?.category && norm(row.category) === norm(category)) return true
+  const pattern = POLY_CATEGORY_PATTERNS[category]
+  if (!pattern) return true
+  const event = row?.event_title ?? row?.event_slug ?? ''
+  return pattern.test(`${row?.question ?? row?.title ?? ''} ${event} ${row?.category ?? ''}`)
+}
 
-    const values = deltas.map((row) => {
-      const relVol = row.d_volume_6h / baseVol
-      const relOi = row.d_oi_6h / baseOi
-      const relWide = row.d_wide_6h / baseWide
-      return (100 * (relVol + relOi + relWide)) / 3
+// Stable descending sort by the sort-mode key; rows without a value keep feed order at the end
+function applyPolySortMode(rows, category) {
+  const key = POLY_SORT_MODES[category]
+  if (!key) return rows
+  return rows
+    .map((row, idx) => ({ row, idx, v: key(row) }))
+    .sort((a, b) => {
+      const av = typeof a.v === 'number' && Number.isFinite(a.v) ? a.v : -Infinity
+      const bv = typeof b.v === 'number' && Number.isFinite(b.v) ? b.v : -Infinity
+      return bv - av || a.idx - b.idx
     })
-    const times = deltas.map((row) => row.snap_ts)
+    .map(({ row }) => row)
+}
 
-    shiftChartSeries = [{ label: 'Market Shift Index', values, times, color: '#6366f1' }]
-    latestIndex = values[values.length - 1]
-  }
+const TOP_CHANGES_METRICS = {
+  kalshi: [
+    { value: 'volume', label: 'Volume' },
+    { value: 'open_interest', label: 'Open Interest' },
+    { value: 'mid', label: 'Mid' },
+    { value: 'spread_ticks', label: 'Spread (ticks)' },
+  ],
+  poly: [
+    { value: 'volume', label: 'Volume' },
+    { value: 'volume_24hr', label: 'Volume (24h)' },
+    { value: 'liquidity', label: 'Liquidity' },
+    { value: 'outcome_yes_price', label: 'YES Price' },
+  ],
+}
 
-  const fmtNum = (v) => (typeof v === 'number' ? v.toLocaleString('en-US') : v)
-  const fmtDec = (v, d = 1) => (typeof v === 'number' ? v.toFixed(d) : v)
-  const fmtCompact = (v) => {
-    if (typeof v !== 'number') return '—'
-    if (Math.abs(v) >= 1_000_000) return (v / 1_000_000).toFixed(1) + 'M'
-    if (Math.abs(v) >= 1_000) return (v / 1_000).toFixed(1) + 'K'
-    return v.toLocaleString('en-US')
+const TOP_CHANGES_MAX_ROWS = 10
+
+function Last24hChangesPanel({ defaultProvider = 'kalshi', category = null }) {
+  const [provider, setProvider] = useState(defaultProvider)
+  const [metric, setMetric] = useState('volume')
+  const [limit, setLimit] = useState(TOP_CHANGES_MAX_ROWS)
+  const [minPrevValue, setMinPrevValue] = useState(0)
+
+  const metricOptions = TOP_CHANGES_METRICS[provider] ?? []
+
+  useEffect(() => {
+    if (!metricOptions.some((opt) => opt.value === metric)) {
+      setMetric(metricOptions[0]?.value ?? 'volume')
+    }
+  }, [provider])
+
+  const categoryParams = provider === 'kalshi' ? kalshiCategoryParams : polyCategoryParams
+  const changes = useProviderApi(provider, '/markets/top-changes-24h', categoryParams(category, {
+    metric,
+    limit: String(limit),
+    min_prev_value: String(minPrevValue),
+  }), { normalize: 'market' })
+  const { loading, error } = changes
+  const rows = Array.isArray(changes.data) ? changes.data : []
+
+  const formatValue = (value) => {
+    if (typeof value !== 'number') return value ?? '—'
+    if (Math.abs(value) >= 1000) return value.toLocaleString('en-US')
+    return value.toFixed(3).replace(/\.0+$/, '').replace(/(\.\d*?)0+$/, '$1')
   }
 
-  // compute time-until-expiry helper
-  const timeUntilK = (dateStr) => {
-    if (!dateStr) return ''
-    const diff = new Date(dateStr) - new Date()
-    if (diff <= 0) return 'Expired'
-    const hrs = Math.floor(diff / 3600000)
-    const mins = Math.floor((diff % 3600000) / 60000)
-    if (hrs >= 24) return `${Math.floor(hrs / 24)}d ${hrs % 24}h`
-    return `${hrs}h ${mins}m`
+  const formatPct = (value) => {
+    if (typeof value !== 'number') return '—'
+    return `${value.toFixed(2)}%`
   }
 
-  // ── Hero stat aggregates from time-windowed delta rows ──
-  const now = Date.now()
-  const deltaRows = Array.isArray(globalDeltas.data) ? globalDeltas.data : []
-  const rows24h = deltaRows.filter((r) => r.snap_ts && (now - new Date(r.snap_ts).getTime()) < 86_400_000)
-  const rows30d = deltaRows.filter((r) => r.snap_ts && (now - new Date(r.snap_ts).getTime()) < 30 * 86_400_000)
-  const sumField = (rows, field) => rows.reduce((s, r) => s + (typeof r[field] === 'number' ? r[field] : 0), 0)
+  const showId = PROVIDERS[provider].showId
 
-  const heroVol24h   = rows24h.length > 0 ? sumField(rows24h, 'd_volume_6h') : null
-  const heroVol30d   = rows30d.length > 0 ? sumField(rows30d, 'd_volume_6h') : null
-  const heroOi24h    = rows24h.length > 0 ? sumField(rows24h, 'd_oi_6h')     : null
-  const heroOi30d    = rows30d.length > 0 ? sumField(rows30d, 'd_oi_6h')     : null
-  const heroWide24h  = rows24h.length > 0 ? sumField(rows24h, 'd_wide_6h')   : null
-  const heroWide30d  = rows30d.length > 0 ? sumField(rows30d, 'd_wide_6h')   : null
+  const categoryRows = rows.filter((row) => (
+    provider === 'kalshi' ? matchesKalshiCategory(row, category) : matchesPolyCategory(row, category)
+  ))
 
-  // latest delta for hero stats
-  const latestDelta = deltaRows.length > 0 ? deltaRows[0] : null
+  const deltaClass = (row) => {
+    const delta = row.delta_value
+    if (typeof delta !== 'number' || delta === 0) return ''
+    return delta > 0 ? 'delta-positive' : 'delta-negative'
+  }
+
+  const columns = [
+    watchColumn(compareNormalized),
+    compareColumn(compareNormalized),
+    { key: 'title', label: 'Title / Question', defaultSortDir: 'asc', render: (row) => row.title },
+    ...(showId ? [{
+      key: 'id',
+      label: 'Identifier',
+      defaultSortDir: 'asc',
+      render: (row) => <MarketLink provider={provider} id={row.id}>{row.id ?? '—'}</MarketLink>,
+    }] : []),
+    { key: 'current_value', label: 'Current', render: (row) => formatValue(row.current_value) },
+    { key: 'prev_value', label: 'Previous', render: (row) => formatValue(row.prev_value) },
+    { key: 'delta_value', label: 'Delta', className: deltaClass, render: (row) => formatValue(row.delta_value) },
+    { key: 'pct_change', label: '% Change', render: (row) => formatPct(row.pct_change) },
+  ]
 
   return (
-    <div className="dashboard kalshi-dash">
-      <GuidedTour tourKey="kalshi" steps={KALSHI_TOUR_STEPS} />
-      <p className="seo-blurb">
-        Market Shift Index hourly deltas, real-time market movers, top events by traded volume, spread blowouts, expiring contracts, and global order-flow metrics across prediction markets.
-      </p>
-      <h2 className="dashboard-title">
-        <img
-          src={KALSHI_LOGO_URL}
-          alt="Kalshi logo"
-          className="dashboard-title-logo dashboard-title-logo--kalshi"
-          loading="lazy"
-        />
-        <span>Prediction Market Dashboard</span>
-      </h2>
-
-      <nav className="category-subnav">
-        {KALSHI_CATEGORIES.map((cat) => (
-          <button
-            key={cat}
-            type="button"
-            className={`category-subnav-item${activeCategory === cat ? ' category-subnav-item--active' : ''}`}
-            onClick={() => setActiveCategory(cat)}
-          >
-            {cat}
-          </button>
-        ))}
-      </nav>
-
-      {/* ═══ HERO STATS BAR ═══ */}
-      {(heroVol24h !== null || globalDeltas.loading) && (
-        <div className="poly-stats-bar" data-tour="kalshi-hero-stats" style={{ marginTop: '1.5rem' }}>
-          {globalDeltas.loading && <div className="loading">Loading stats…</div>}
-          {!globalDeltas.loading && (
-            <>
-              <div className="poly-stat-card">
-                <div className="poly-stat-label">Volume (24h)</div>
-                <div className="poly-stat-value">{fmtCompact(heroVol24h)}</div>
-                {heroVol30d !== null && (
-                  <div className="poly-stat-period-row">
-                    <span className="poly-stat-period-label">30d</span>
-                    <span className="poly-stat-period-value">{fmtCompact(heroVol30d)}</span>
-                  </div>
-                )}
-                {latestDelta && typeof latestDelta.d_volume_6h === 'number' && (
-                  <div className={`poly-stat-delta ${latestDelta.d_volume_6h >= 0 ? 'up' : 'down'}`}>
-                    {latestDelta.d_volume_6h >= 0 ? '▲' : '▼'} {fmtCompact(Math.abs(latestDelta.d_volume_6h))} last 1h
-                  </div>
-                )}
-              </div>
-              <div className="poly-stat-card">
-                <div className="poly-stat-label">Open Interest (24h)</div>
-                <div className="poly-stat-value">{fmtCompact(heroOi24h)}</div>
-                {heroOi30d !== null && (
-                  <div className="poly-stat-period-row">
-                    <span className="poly-stat-period-label">30d</span>
-                    <span className="poly-stat-period-value">{fmtCompact(heroOi30d)}</span>
-                  </div>
-                )}
-                {latestDelta && typeof latestDelta.d_oi_6h === 'number' && (
-                  <div className={`poly-stat-delta ${latestDelta.d_oi_6h >= 0 ? 'up' : 'down'}`}>
-                    {latestDelta.d_oi_6h >= 0 ? '▲' : '▼'} {fmtCompact(Math.abs(latestDelta.d_oi_6h))} last 1h
-                  </div>
-                )}
-              </div>
-              <div className="poly-stat-card">
-                <div className="poly-stat-label">Wide Spreads (24h)</div>
-                <div className="poly-stat-value">{fmtCompact(heroWide24h)}</div>
-                {heroWide30d !== null && (
-                  <div className="poly-stat-period-row">
-                    <span className="poly-stat-period-label">30d</span>
-                    <span className="poly-stat-period-value">{fmtCompact(heroWide30d)}</span>
-                  </div>
-                )}
-                {latestDelta && typeof latestDelta.d_wide_6h === 'number' && (
-                  <div className={`poly-stat-delta ${latestDelta.d_wide_6h >= 0 ? 'up' : 'down'}`}>
-                    {latestDelta.d_wide_6h >= 0 ? '▲' : '▼'} {fmtCompact(Math.abs(latestDelta.d_wide_6h))} last 1h
-                  </div>
-                )}
-              </div>
-            </>
-          )}
-        </div>
-      )}
+    <div className="panel" style={{ marginTop: '1rem' }}>
+      <div className="panel-header">
+        <div className="panel-title">Last 24h Changes <FreshnessBadge freshness={changes.freshness} /></div>
+      </div>
+      <div className="panel-body">
 
-      {/* ═══ MARKET MOVERS — Leaderboard Feed ═══ */}
-      {(Array.isArray(marketMovers.data) && marketMovers.data.length > 0) && (
-        <div className="movers-section" data-tour="kalshi-movers">
-          <div className="movers-section-header">
-            <span className="movers-live-dot" />
-            <span className="movers-section-title">Market Movers</span>
-            <span className="movers-section-sub">Biggest price shifts · 1h window</span>
-          </div>
-          <div className="movers-feed">
-            {marketMovers.data.slice(0, 6).map((row, idx) => {
-              const diff = typeof row.price_diff === 'number' ? row.price_diff : 0
-              const isUp = diff >= 0
-              const tickerName = (row.market_ticker || '')
-                .replace(/^KX/i, '')
-                .split('-')[0]
-                .replace(/([a-z])([A-Z])/g, '$1 $2')
-                .replace(/([A-Z]+)/g, ' $1')
-                .trim()
-              return (
-                <div key={row.market_ticker ?? idx} className={`mover-row ${isUp ? 'mover-up' : 'mover-down'}`}>
-                  <div className="mover-rank">#{idx + 1}</div>
-                  <div className={`mover-delta-block ${isUp ? 'delta-up' : 'delta-down'}`}>
-                    <span className="mover-delta-value">{isUp ? '+' : ''}{fmtDec(diff)}¢</span>
-                    <span className="mover-direction">{isUp ? '▲ Rising' : '▼ Falling'}</span>
-                  </div>
-                  <div className="mover-info">
-                    <div className="mover-name">{tickerName || row.market_ticker}</div>
-                    <div className="mover-ticker-id">{row.market_ticker}</div>
-                    <div className="mover-price-trail">
-                      <span className="mover-label">Was</span>
-                      <span className="mover-old">{fmtDec(row.old_price)}¢</span>
-                      <span className="mover-arrow-trail">→</span>
-                      <span className="mover-label">Now</span>
-                      <span className="mover-new">{fmtDec(row.new_price)}¢</span>
-                    </div>
-                  </div>
-                </div>
-              )
-            })}
-          </div>
-        </div>
-      )}
-      {marketMovers.loading && (
-        <div className="panel" style={{ marginTop: '1rem' }}>
-          <div className="panel-body"><div className="loading">Loading market movers…</div></div>
-        </div>
-      )}
+        {loading && <div className="loading">Loading 24h changes…</div>}
 
-      {/* ═══ MID-PRICE MOVES — 24h ═══ */}
-      {(Array.isArray(midMoves.data) && midMoves.data.length > 0) && (
-        <div className="panel" data-tour="kalshi-mid-moves" style={{ marginTop: '1.5rem' }}>
-          <div className="panel-header">
-            <div className="panel-title">Largest Mid-Price Moves (24h)</div>
-          </div>
-          <div className="panel-body">
-            <div className="markets-table-scroll">
-              <table className="markets-table">
-                <thead>
-                  <tr>
-                    <th>Ticker</th>
-                    <th>Title</th>
-                    <th>Old Mid</th>
-                    <th>New Mid</th>
-                    <th>Δ Mid</th>
-                    <th>Spread Δ</th>
-                  </tr>
-                </thead>
-                <tbody>
-                  {midMoves.data.slice(0, 15).map((row, idx) => {
-                    const dMid = typeof row.d_mid === 'number' ? row.d_mid : 0
-                    const dSpread = typeof row.d_spread === 'number' ? row.d_spread : 0
-                    return (
-                      <tr key={row.market_ticker ?? idx}>
-                        <td>{row.market_ticker}</td>
-                        <td>{row.title}</td>
-                        <td>{fmtDec(row.mid_prev)}¢</td>
-                        <td>{fmtDec(row.mid_now)}¢</td>
-                        <td className={dMid >= 0 ? 'diff-up' : 'diff-down'}>
-                          {dMid >= 0 ? '+' : ''}{fmtDec(dMid)}¢
-                        </td>
-                        <td className={dSpread > 0 ? 'diff-up' : dSpread < 0 ? 'diff-down' : ''}>
-                          {dSpread > 0 ? '+' : ''}{fmtDec(dSpread)}
-                        </td>
-                      </tr>
-                    )
-                  })}
-                </tbody>
-              </table>
-            </div>
-          </div>
-        </div>
-      )}
-      {midMoves.loading && (
-        <div className="panel" style={{ marginTop: '1rem' }}>
-          <div className="panel-body"><div className="loading">Loading mid-price moves…</div></div>
-        </div>
-      )}
+        {!loading && (
+          <ErrorState
+            error={error}
+            onRetry={changes.retry}
+            messages={{
+              client: 'Unsupported metric for selected provider.',
+              server: 'Backend snapshot issue while loading last 24h changes.',
+            }}
+          />
+        )}
 
-      <div data-tour="kalshi-24h-changes">
-        <Last24hChangesPanel defaultProvider="kalshi" />
-      </div>
+        {!loading && !error && categoryRows.length === 0 && (
+          <span className="muted">No markets matched this filter in last 24h.</span>
+        )}
 
-      {/* ═══ MARKET SHIFT INDEX ═══ */}
-      <div className="panel poly-vol-panel" data-tour="kalshi-shift-index" style={{ marginTop: '1.5rem' }}>
-        <div className="panel-header" style={{ borderBottom: 'none', paddingBottom: 0 }}>
-          <div className="panel-title">Market Shift Index</div>
-          {latestIndex !== null && (
-            <div className="poly-vol-badge">
-              <span className="poly-vol-badge-value">{latestIndex.toFixed(1)}</span>
-              <span className="poly-vol-badge-unit">composite</span>
-            </div>
-          )}
-        </div>
-        <div className="panel-body">
-          <ModernLineChart
-            series={shiftChartSeries}
-            loading={globalDeltas.loading}
-            error={globalDeltas.error}
-            showAxes={true}
-            yAxisFormatter={(v) => (typeof v === 'number' && !isNaN(v) ? v.toFixed(1) : '')}
-            xAxisFormatter={(t) => {
-              if (!t) return '';
-              const d = new Date(t);
-              if (isNaN(d.getTime())) return t;
-              return d.toLocaleString('en-US', { month: 'numeric', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+        {!loading && !error && categoryRows.length > 0 && (
+          <DataTable
+            id={`last24h-${provider}`}
+            columns={columns}
+            rows={categoryRows.slice(0, TOP_CHANGES_MAX_ROWS)}
+            rowKey={(row, idx) => `${row.id ?? '—'}-${idx}`}
+            defaultSort={{ key: 'delta_value', dir: 'desc' }}
+            exportOptions={{
+              title: `${PROVIDERS[provider].label} last 24h changes`,
+              filters: [
+                ['Metric', metricOptions.find((opt) => opt.value === metric)?.label ?? metric],
+                ['Min previous value', minPrevValue],
+                ...(category ? [['Category', category]] : []),
+              ],
+              snapshotAt: changes.freshness?.asOf,
             }}
           />
-          <p className="panel-methodology">
-            This index combines 2-hour changes in trading volume, open
-            interest, and market breadth into a single normalized score.
-            Higher values generally correspond to periods of elevated
-            prediction-market activity and crowd repricing, which tend to
-            coincide with higher perceived volatility.
-          </p>
-        </div>
+        )}
       </div>
+    </div>
+  )
+}
 
-      {/* ═══ TOP EVENTS + SPREAD BLOWOUTS — side by side ═══ */}
-      <div className="poly-events-duo" data-tour="kalshi-events-spreads" style={{ gridTemplateColumns: 'repeat(auto-fit, minmax(280px, 1fr))' }}>
-        {/* Top Events by Volume */}
-        <div className="panel poly-events-panel">
-          <div className="panel-header">
-            <div className="panel-title">Top Events by Volume</div>
-          </div>
-          <div className="panel-body">
-            {eventsByVolume.loading && <div className="loading">Loading…</div>}
-            {eventsByVolume.error && <div className="error">{eventsByVolume.error.message}</div>}
-            {Array.isArray(eventsByVolume.data) && eventsByVolume.data.length > 0 && (
-              <div className="poly-event-list">
-                {eventsByVolume.data.slice(0, 8).map((row, idx) => (
-                  <div key={row.event_ticker ?? idx} className="poly-event-row">
-                    <span className="poly-event-rank">{idx + 1}</span>
-                    <div className="poly-event-info">
-                      <div className="poly-event-name">{row.event_ticker}</div>
-                      <div className="poly-event-meta">
-                        {fmtNum(row.n_markets)} markets · spread {fmtDec(row.avg_spread_ticks, 2)}
-                      </div>
-                    </div>
-                    <div className="poly-event-stat">{fmtNum(row.total_volume)}</div>
-                  </div>
-                ))}
-              </div>
-            )}
-          </div>
-        </div>
+function LandingPage() {
+  return (
+    <main className="page">
+      <section className="hero">
+        <div className="hero-content">
+          <h1>Markets reveal truth before headlines.</h1>
 
-        {/* Top Events by Open Interest */}
-        <div className="panel poly-events-panel">
-          <div className="panel-header">
-            <div className="panel-title">Top Events — Open Interest</div>
-          </div>
-          <div className="panel-body">
-            {eventsByOI.loading && <div className="loading">Loading…</div>}
-            {eventsByOI.error && <div className="error">{eventsByOI.error.message}</div>}
-            {Array.isArray(eventsByOI.data) && eventsByOI.data.length > 0 && (
-              <div className="poly-event-list">
-                {eventsByOI.data.slice(0, 8).map((row, idx) => (
-                  <div key={row.event_ticker ?? idx} className="poly-event-row">
-                    <span className="poly-event-rank">{idx + 1}</span>
-                    <div className="poly-event-info">
-                      <div className="poly-event-name">{row.event_ticker}</div>
-                      <div className="poly-event-meta">
-                        {fmtNum(row.n_markets)} markets · spread {fmtDec(row.avg_spread_ticks, 2)}
-                      </div>
-                    </div>
-                    <div className="poly-event-stat">{fmtCompact(row.total_open_interest)}</div>
-                  </div>
-                ))}
-              </div>
-            )}
-          </div>
-        </div>
+          <p className="subhead">
+            We track prediction markets and news in real time to show how
+            collective belief is shifting, before it’s obvious.
+          </p>
 
-        {/* Spread Blowouts */}
-        <div className="panel poly-events-panel">
-          <div className="panel-header">
-            <div className="panel-title">Spread Blowouts</div>
-          </div>
-          <div className="panel-body">
-            {spreadBlowouts.loading && <div className="loading">Loading…</div>}
-            {spreadBlowouts.error && <div className="error">{spreadBlowouts.error.message}</div>}
-            {Array.isArray(spreadBlowouts.data) && spreadBlowouts.data.length > 0 && (
-              <div className="kalshi-blowout-list">
-                {spreadBlowouts.data.slice(0, 8).map((row, idx) => {
-                  const dSpread = typeof row.d_spread === 'number' ? row.d_spread : 0
-                  const isWider = dSpread > 0
-                  return (
-                    <div key={row.market_ticker ?? idx} className={`kalshi-blowout-row ${isWider ? 'blowout-wider' : 'blowout-tighter'}`}>
-                      <div className="blowout-ticker">
-                        <div className="blowout-market">{row.market_ticker}</div>
-                        <div className="blowout-event">{row.event_ticker}</div>
-                      </div>
-                      <div className="blowout-spread-change">
-                        <span className="blowout-prev">{fmtDec(row.spread_prev)}</span>
-                        <span className="pulse-arrow">→</span>
-                        <span className="blowout-now">{fmtDec(row.spread_now)}</span>
-                        <span className={`blowout-delta ${isWider ? 'diff-up' : 'diff-down'}`}>
-                          {isWider ? '+' : ''}{fmtDec(dSpread)}
-                        </span>
-                      </div>
-                    </div>
-                  )
-                })}
-              </div>
-            )}
-            {Array.isArray(spreadBlowouts.data) && spreadBlowouts.data.length === 0 &&
-              !spreadBlowouts.loading && !spreadBlowouts.error && (
-              <span className="muted">No spread blowouts detected.</span>
-            )}
-          </div>
-        </div>
-      </div>
+          <ul className="features">
+            <li>📈 Market-implied probabilities over time</li>
+            <li>📰 News vs market divergence signals</li>
+            <li>⚡ Real-time Kalshi &amp; Polymarket analytics</li>
+          </ul>
 
-      {/* ═══ EXPIRING SOON — countdown cards ═══ */}
-      {(() => {
-        const liveExpiring = Array.isArray(expiringSoon.data)
-          ? expiringSoon.data.filter(r => r.expiration_time && new Date(r.expiration_time) > new Date())
-          : []
-        return liveExpiring.length > 0 && (
-        <div className="poly-expiring-section" data-tour="kalshi-expiring">
-          <h3 className="poly-section-title">⏱ Expiring Soon</h3>
-          <div className="poly-expiring-grid">
-            {liveExpiring.slice(0, 8).map((row, idx) => {
-              const remaining = timeUntilK(row.expiration_time)
-              const midPrice = typeof row.mid === 'number' ? row.mid : null
-              const isUrgent = remaining.includes('h') && !remaining.includes('d')
-              return (
-                <div key={row.market_ticker ?? idx} className={`poly-expiring-card${isUrgent ? ' expiring-urgent' : ''}`}>
-                  <div className="expiring-countdown">{remaining}</div>
-                  <div className="expiring-question">{row.market_ticker}</div>
-                  <div className="expiring-footer">
-                    {midPrice !== null && (
-                      <div className="expiring-price-bar">
-                        <div className="expiring-yes-fill" style={{ width: `${Math.min(midPrice, 99)}%` }} />
-                        <span className="expiring-yes-label">MID {fmtDec(midPrice)}¢</span>
-                      </div>
-                    )}
-                    <div className="expiring-meta">
-                      OI: {fmtNum(row.open_interest)} · Vol: {fmtNum(row.volume)} · Spread: {fmtDec(row.spread_ticks)}
-                    </div>
-                  </div>
-                </div>
-              )
-            })}
-          </div>
-        </div>
-        )
-      })()}
-      {expiringSoon.loading && (
-        <div className="panel" style={{ marginTop: '1rem' }}>
-          <div className="panel-body"><div className="loading">Loading expiring markets…</div></div>
-        </div>
-      )}
+          <form
+            className="signup"
+            method="POST"
+            action="https://formspree.io/f/maqodkvw"
+          >
+            <input
+              name="email"
+              type="email"
+              placeholder="you@email.com"
+              required
+            />
+            <button type="submit">Notify me</button>
+          </form>
 
-      {/* ═══ GLOBAL 6H DELTAS TABLE ═══ */}
-      <div className="panel" style={{ marginTop: '1.5rem', marginBottom: '1.5rem' }}>
-        <div className="panel-header">
-          <div className="panel-title">Global 6h Deltas (run-over-run)</div>
-        </div>
-        <div className="panel-body">
-          {globalDeltas.loading && <div className="loading">Loading deltas…</div>}
-          {globalDeltas.error && <div className="error">{globalDeltas.error.message}</div>}
-          {Array.isArray(globalDeltas.data) && globalDeltas.data.length > 0 && (
-            <div className="markets-table-scroll">
-              <table className="markets-table">
-                <thead>
-                  <tr>
-                    <th>Snapshot</th>
-                    <th>Δ Volume</th>
-                    <th>Δ OI</th>
-                    <th>Δ Priced</th>
-                    <th>Δ Spread</th>
-                    <th>Δ Wide</th>
-                  </tr>
-                </thead>
-                <tbody>
-                  {globalDeltas.data.slice(0, 10).map((row, idx) => (
-                    <tr key={row.snap_ts ?? idx}>
-                      <td>{row.snap_ts}</td>
-                      <td>{fmtNum(row.d_volume_6h)}</td>
-                      <td>{fmtNum(row.d_oi_6h)}</td>
-                      <td>{fmtNum(row.d_priced_6h)}</td>
-                      <td>{typeof row.d_spread_6h === 'number' ? row.d_spread_6h.toFixed(3) : row.d_spread_6h}</td>
-                      <td>{fmtNum(row.d_wide_6h)}</td>
-                    </tr>
-                  ))}
-                </tbody>
-              </table>
-            </div>
-          )}
+          <p className="fineprint">No spam. One insight-heavy email per day. <br />
+            This site provides informational market data only and does not
+            constitute financial, investment, or trading advice. Past market
+            performance and tradability scores are not indicative of future
+            results. Always do your own research and consult a qualified
+            advisor before making investment decisions.
+          </p>
+          
+
+          <Link to="/dashboard" className="enter-dashboard">
+            Enter dashboard <span>→</span>
+          </Link>
         </div>
-      </div>
-    </div>
+      </section>
+    </main>
   )
 }
 
-function ScreenerPage() {
-  const [form, setForm] = useState({
-    minVolume: '',
-    minOpenInterest: '',
-    minSpread: '',
-    minTradability: '',
-    minChurn: '',
-    sortBy: 'tradability_score',
-    sortDir: 'desc',
-  })
-  const [refreshNonce, setRefreshNonce] = useState(0)
-  const [allRows, setAllRows] = useState([])
-  const [filteredRows, setFilteredRows] = useState([])
-  const [page, setPage] = useState(1)
-  const [pageSize, setPageSize] = useState(25)
-
-  // Build query params from form state — only include non-empty filters
-  const screenerParams = { limit: 200, _refresh: refreshNonce }
-  if (form.minVolume !== '') screenerParams.min_volume = Number(form.minVolume)
-  if (form.minOpenInterest !== '') screenerParams.min_open_interest = Number(form.minOpenInterest)
-  if (form.minSpread !== '') screenerParams.max_spread_ticks = Number(form.minSpread)
-  screenerParams.sort_by = form.sortBy
+// ─── Guided Tour Component ───────────────────────────────────────────────────
 
-  const screener = useApi('/markets/screener', screenerParams)
+function GuidedTour({ tourKey, steps }) {
+  const [active, setActive] = useState(false)
+  const [step, setStep] = useState(0)
+  const [rect, setRect] = useState(null) // viewport-relative rect of target
+  const rafRef = useRef(null)
+  const scrolledRef = useRef(false)
 
+  // Show tour on first visit (wait for data to render)
   useEffect(() => {
-    if (Array.isArray(screener.data)) {
-      setAllRows(screener.data)
-      setFilteredRows(screener.data)
-      setPage(1)
+    const seen = localStorage.getItem(`tour_${tourKey}`)
+    if (!seen) {
+      const timer = setTimeout(() => setActive(true), 2500)
+      return () => clearTimeout(timer)
     }
-  }, [screener.data])
+  }, [tourKey])
 
-  const passMin = (value, minValue) => {
-    if (minValue === '' || minValue === null || minValue === undefined) {
-      return true
-    }
-    const min = Number(minValue)
-    if (Number.isNaN(min)) return true
-    if (typeof value === 'number') return value >= min
-    const numericValue = Number(value)
-    if (Number.isNaN(numericValue)) return false
-    return numericValue >= min
-  }
-
-  const sortRows = (rows) => {
-    const sorted = [...rows]
-    sorted.sort((a, b) => {
-      const aVal = a[form.sortBy]
-      const bVal = b[form.sortBy]
-
-      if (typeof aVal === 'string' && typeof bVal === 'string') {
-        return form.sortDir === 'asc'
-          ? aVal.localeCompare(bVal)
-          : bVal.localeCompare(aVal)
+  // Track target element position (viewport-relative, no scroll offset)
+  useEffect(() => {
+    if (!active) return
+    scrolledRef.current = false
+
+    const track = () => {
+      const selector = steps[step]?.target
+      if (!selector) { setRect(null); return }
+      const el = document.querySelector(selector)
+      if (!el) {
+        setRect(null)
+        rafRef.current = requestAnimationFrame(track)
+        return
       }
+      const r = el.getBoundingClientRect()
+      setRect({ top: r.top, left: r.left, width: r.width, height: r.height })
 
-      const aNum = Number(aVal)
-      const bNum = Number(bVal)
-      const safeA = Number.isFinite(aNum) ? aNum : -Infinity
-      const safeB = Number.isFinite(bNum) ? bNum : -Infinity
+      // Scroll into view once per step
+      if (!scrolledRef.current) {
+        scrolledRef.current = true
+        const viewH = window.innerHeight
+        if (r.top < 80 || r.bottom > viewH - 80) {
+          el.scrollIntoView({ behavior: 'smooth', block: 'center' })
+        }
+      }
 
-      return form.sortDir === 'asc' ? safeA - safeB : safeB - safeA
-    })
+      rafRef.current = requestAnimationFrame(track)
+    }
+    rafRef.current = requestAnimationFrame(track)
+    return () => { if (rafRef.current) cancelAnimationFrame(rafRef.current) }
+  }, [active, step, steps])
 
-    return sorted
-  }
+  const finish = useCallback(() => {
+    setActive(false)
+    localStorage.setItem(`tour_${tourKey}`, '1')
+  }, [tourKey])
 
-  const handleChange = (event) => {
-    const { name, value } = event.target
-    setForm((prev) => ({ ...prev, [name]: value }))
-  }
+  const next = useCallback(() => {
+    if (step < steps.length - 1) {
+      scrolledRef.current = false
+      setStep(s => s + 1)
+    } else {
+      finish()
+    }
+  }, [step, steps.length, finish])
 
-  const applyFilters = () => {
-    const filtered = allRows.filter((row) =>
-      passMin(row.volume, form.minVolume) &&
-      passMin(row.open_interest, form.minOpenInterest) &&
-      passMin(row.spread_ticks, form.minSpread) &&
-      passMin(row.tradability_score, form.minTradability) &&
-      passMin(row.churn_rate, form.minChurn)
-    )
+  const prev = useCallback(() => {
+    if (step > 0) {
+      scrolledRef.current = false
+      setStep(s => s - 1)
+    }
+  }, [step])
 
-    const sorted = sortRows(filtered)
-    setFilteredRows(sorted)
-    setPage(1)
-  }
+  // Keyboard support
+  useEffect(() => {
+    if (!active) return
+    const onKey = (e) => {
+      if (e.key === 'Escape') finish()
+      if (e.key === 'ArrowRight' || e.key === 'Enter') next()
+      if (e.key === 'ArrowLeft') prev()
+    }
+    window.addEventListener('keydown', onKey)
+    return () => window.removeEventListener('keydown', onKey)
+  }, [active, next, prev, finish])
 
-  const resetFilters = () => {
-    setForm({
-      minVolume: '',
-      minOpenInterest: '',
-      minSpread: '',
-      minTradability: '',
-      minChurn: '',
-      sortBy: 'tradability_score',
-      sortDir: 'desc',
-    })
-    setFilteredRows(allRows)
-    setPage(1)
-  }
+  if (!active || !steps.length) return null
 
-  const refreshOnly = () => {
-    setRefreshNonce((n) => n + 1)
-  }
+  const currentStep = steps[step]
+  const isLast = step === steps.length - 1
+  const hasTarget = rect !== null
 
-  const totalPages = Math.max(
-    1,
-    Math.ceil((filteredRows?.length ?? 0) / pageSize) || 1,
-  )
+  // Tooltip positioning (viewport-relative, rendered in fixed overlay)
+  const tooltipStyle = {}
+  if (hasTarget) {
+    const viewW = window.innerWidth
+    const viewH = window.innerHeight
+    const tw = Math.min(340, viewW - 32)
+    let tLeft = rect.left + rect.width / 2 - tw / 2
+    if (tLeft < 16) tLeft = 16
+    if (tLeft + tw > viewW - 16) tLeft = viewW - tw - 16
+    tooltipStyle.left = `${tLeft}px`
+    tooltipStyle.width = `${tw}px`
 
-  useEffect(() => {
-    setPage((prev) => Math.min(prev, totalPages))
-  }, [totalPages])
+    const spaceBelow = viewH - rect.top - rect.height
+    if (spaceBelow > 220) {
+      tooltipStyle.top = `${rect.top + rect.height + 14}px`
+    } else {
+      tooltipStyle.top = `${rect.top - 14}px`
+      tooltipStyle.transform = 'translateY(-100%)'
+    }
+  } else {
+    tooltipStyle.top = '50%'
+    tooltipStyle.left = '50%'
+    tooltipStyle.transform = 'translate(-50%, -50%)'
+    tooltipStyle.width = '340px'
+  }
 
-  const pageStart = (page - 1) * pageSize
-  const pageRows = filteredRows.slice(pageStart, pageStart + pageSize)
+  // Spotlight clip path (viewport coords)
+  const clipPath = hasTarget
+    ? `polygon(
+        0% 0%, 0% 100%, 100% 100%, 100% 0%, 0% 0%,
+        ${rect.left - 8}px ${rect.top - 8}px,
+        ${rect.left - 8}px ${rect.top + rect.height + 8}px,
+        ${rect.left + rect.width + 8}px ${rect.top + rect.height + 8}px,
+        ${rect.left + rect.width + 8}px ${rect.top - 8}px,
+        ${rect.left - 8}px ${rect.top - 8}px
+      )`
+    : undefined
 
   return (
-    <div className="dashboard">
-      <p className="seo-blurb">
-        Interactive prediction market screener filtering by volume, open interest, spread tightness, tradability score, churn rate, and price levels for Kalshi and Polymarket contracts.
-      </p>
-      <h2>Market Screener</h2>
+    <>
+      {/* Overlay backdrop with spotlight cutout */}
+      <div
+        className="guided-tour-backdrop"
+        style={hasTarget ? { clipPath } : undefined}
+        onClick={finish}
+      />
 
-      <fieldset className="screener-filters">
-        <div className="screener-filter-group">
-          <label htmlFor="minVolume">Min Volume</label>
-          <input
-            id="minVolume"
-            name="minVolume"
-            type="number"
-            min="0"
-            value={form.minVolume}
-            onChange={handleChange}
-            placeholder="e.g. 1,000,000"
-          />
-        </div>
-        <div className="screener-filter-group">
-          <label htmlFor="minOpenInterest">Min Open Interest</label>
-          <input
-            id="minOpenInterest"
-            name="minOpenInterest"
-            type="number"
-            min="0"
-            value={form.minOpenInterest}
-            onChange={handleChange}
-            placeholder="e.g. 500,000"
-          />
-        </div>
-        <div className="screener-filter-group">
-          <label htmlFor="minSpread">Min Spread (ticks)</label>
-          <input
-            id="minSpread"
-            name="minSpread"
-            type="number"
-            min="0"
-            step="0.1"
-            value={form.minSpread}
-            onChange={handleChange}
-            placeholder="e.g. 0.5"
-          />
-        </div>
-        <div className="screener-filter-group">
-          <label htmlFor="minTradability">Min Tradability Score</label>
-          <input
-            id="minTradability"
-            name="minTradability"
-            type="number"
-            min="0"
-            step="0.1"
-            value={form.minTradability}
-            onChange={handleChange}
-            placeholder="e.g. 20"
-          />
-        </div>
-        <div className="screener-filter-group">
-          <label htmlFor="minChurn">Min Churn Rate</label>
-          <input
-            id="minChurn"
-            name="minChurn"
-            type="number"
-            min="0"
-            step="0.1"
-            value={form.minChurn}
-            onChange={handleChange}
-            placeholder="e.g. 1.5"
-          />
-        </div>
-        <div className="screener-filter-group">
-          <label htmlFor="sortBy">Order by</label>
-          <select
-            id="sortBy"
-            name="sortBy"
-            value={form.sortBy}
-            onChange={handleChange}
-          >
-            <option value="tradability_score">Tradability score</option>
-            <option value="volume">Volume</option>
-            <option value="open_interest">Open interest</option>
-            <option value="churn_rate">Churn rate</option>
-            <option value="spread_ticks">Spread (tightest)</option>
-          </select>
-        </div>
-        <div className="screener-filter-group">
-          <label htmlFor="sortDir">Direction</label>
-          <select
-            id="sortDir"
-            name="sortDir"
-            value={form.sortDir}
-            onChange={handleChange}
-          >
-            <option value="desc">Desc</option>
-            <option value="asc">Asc</option>
-          </select>
-        </div>
-        <div className="screener-filter-actions">
-          <button type="button" onClick={applyFilters}>
-            Apply filters
-          </button>
-          <button type="button" onClick={refreshOnly}>
-            Refresh
-          </button>
-          <button type="button" onClick={resetFilters}>
-            Reset
-          </button>
-        </div>
-      </fieldset>
+      {/* Highlight ring around target */}
+      {hasTarget && (
+        <div
+          className="guided-tour-highlight"
+          style={{
+            top: `${rect.top - 8}px`,
+            left: `${rect.left - 8}px`,
+            width: `${rect.width + 16}px`,
+            height: `${rect.height + 16}px`,
+          }}
+        />
+      )}
 
-      <div className="panel" style={{ marginTop: '0.5rem', marginBottom: '1.5rem' }}>
-        <div className="panel-header">
-          <div className="panel-title">High-Activity Markets</div>
+      {/* Tooltip card */}
+      <div className="guided-tour-tooltip" style={tooltipStyle}>
+        <div className="tour-step-counter">
+          Step {step + 1} of {steps.length}
         </div>
-        <div className="panel-body">
-          {screener.loading && (
-            <div className="loading">Loading screener…</div>
-          )}
-          {screener.error && (
-            <div className="error">{screener.error.message}</div>
-          )}
-          {filteredRows.length > 0 && (
-            <div className="markets-table-scroll">
-              <div className="screener-table-controls">
-                <div className="screener-results-meta">
-                  Showing {filteredRows.length === 0 ? 0 : pageStart + 1}–
-                  {Math.min(pageStart + pageSize, filteredRows.length)} of {filteredRows.length}
-                </div>
-                <div className="screener-page-size">
-                  <label htmlFor="pageSize">Results per page</label>
-                  <select
-                    id="pageSize"
-                    value={pageSize}
-                    onChange={(e) => {
-                      setPageSize(Number(e.target.value))
-                      setPage(1)
-                    }}
-                  >
-                    {[10, 25, 50, 100].map((size) => (
-                      <option key={size} value={size}>
-                        {size}
-                      </option>
-                    ))}
-                  </select>
-                </div>
-                <div className="screener-pagination">
-                  <button
-                    type="button"
-                    onClick={() => setPage(1)}
-                    disabled={page === 1}
-                  >
-                    First
-                  </button>
-                  <button
-                    type="button"
-                    onClick={() => setPage((p) => Math.max(1, p - 1))}
-                    disabled={page === 1}
-                  >
-                    Prev
-                  </button>
-                  <span className="screener-page-indicator">
-                    Page {page} of {totalPages}
-                  </span>
-                  <button
-                    type="button"
-                    onClick={() => setPage((p) => Math.min(totalPages, p + 1))}
-                    disabled={page === totalPages}
-                  >
-                    Next
-                  </button>
-                  <button
-                    type="button"
-                    onClick={() => setPage(totalPages)}
-                    disabled={page === totalPages}
-                  >
-                    Last
-                  </button>
-                </div>
-              </div>
-              <table className="markets-table">
-                <thead>
-                  <tr>
-                    <th>Market Ticker</th>
-                    <th>Title</th>
-                    <th>Volume</th>
-                    <th>Open Interest</th>
-                    <th>Yes Bid</th>
-                    <th>Yes Ask</th>
-                    <th>Mid</th>
-                    <th>Spread (ticks)</th>
-                    <th>Tradability</th>
-                    <th>Churn Rate</th>
-                  </tr>
-                </thead>
-                <tbody>
-                  {pageRows.map((row, idx) => (
-                    <tr key={row.market_ticker ?? idx}>
-                      <td>{row.market_ticker}</td>
-                      <td>{row.title}</td>
-                      <td>
-                        {typeof row.volume === 'number'
-                          ? row.volume.toLocaleString('en-US')
-                          : row.volume}
-                      </td>
-                      <td>
-                        {typeof row.open_interest === 'number'
-                          ? row.open_interest.toLocaleString('en-US')
-                          : row.open_interest}
-                      </td>
-                      <td>
-                        {typeof row.yes_bid === 'number'
-                          ? row.yes_bid.toFixed(0)
-                          : row.yes_bid}
-                      </td>
-                      <td>
-                        {typeof row.yes_ask === 'number'
-                          ? row.yes_ask.toFixed(0)
-                          : row.yes_ask}
-                      </td>
-                      <td>
-                        {typeof row.yes_bid === 'number' &&
-                        typeof row.yes_ask === 'number'
-                          ? ((row.yes_bid + row.yes_ask) / 2).toFixed(1)
-                          : ''}
-                      </td>
-                      <td>
-                        {typeof row.spread_ticks === 'number'
-                          ? row.spread_ticks.toFixed(1)
-                          : row.spread_ticks}
-                      </td>
-                      <td>
-                        {typeof row.tradability_score === 'number'
-                          ? row.tradability_score.toFixed(2)
-                          : row.tradability_score}
-                      </td>
-                      <td>
-                        {typeof row.churn_rate === 'number'
-                          ? row.churn_rate.toFixed(2)
-                          : row.churn_rate}
-                      </td>
-                    </tr>
-                  ))}
-                </tbody>
-              </table>
-            </div>
-          )}
-          {Array.isArray(screener.data) &&
-            filteredRows.length === 0 &&
-            !screener.loading &&
-            !screener.error && (
-              <span className="muted">No screener results available.</span>
+        <div className="tour-title">{currentStep.title}</div>
+        <div className="tour-body">{currentStep.body}</div>
+        <div className="tour-actions">
+          <button type="button" className="tour-btn tour-skip" onClick={finish}>
+            Skip tour
+          </button>
+          <div className="tour-nav">
+            {step > 0 && (
+              <button type="button" className="tour-btn tour-prev" onClick={prev}>
+                ← Back
+              </button>
             )}
+            <button type="button" className="tour-btn tour-next" onClick={next}>
+              {isLast ? 'Done ✓' : 'Next →'}
+            </button>
+          </div>
+        </div>
+        {/* Step dots */}
+        <div className="tour-dots">
+          {steps.map((_, i) => (
+            <span key={i} className={`tour-dot${i === step ? ' active' : ''}${i < step ? ' done' : ''}`} />
+          ))}
         </div>
       </div>
-    </div>
+    </>
   )
 }
 
-// ─── Polymarket Dashboard ────────────────────────────────────────────────────
+// Tour step definitions
+const KALSHI_TOUR_STEPS = [
+  {
+    target: '[data-tour="kalshi-hero-stats"]',
+    title: 'Market Overview',
+    body: 'These cards show aggregate volume, open interest, and wide spreads over the past 24 hours and 30 days. Watch the delta arrows to see how activity is changing hour-over-hour.',
+  },
+  {
+    target: '[data-tour="kalshi-movers"]',
+    title: 'Market Movers',
+    body: 'The top 6 markets with the biggest price shifts in the last hour. Green = rising, red = falling. Great for spotting where money is flowing right now.',
+  },
+  {
+    target: '[data-tour="kalshi-mid-moves"]',
+    title: 'Mid-Price Moves',
+    body: 'A detailed table of the largest 24-hour mid-price changes. Shows old vs new mid-price and the change in spread — useful for identifying consensus shifts.',
+  },
+  {
+    target: '[data-tour="kalshi-24h-changes"]',
+    title: '24h Changes Table',
+    body: 'A sortable table showing the biggest metric changes over the past 24 hours. Click column headers to sort by volume, spread, or price delta.',
+  },
+  {
+    target: '[data-tour="kalshi-shift-index"]',
+    title: 'Market Shift Index',
+    body: 'A composite score combining volume, open interest, and breadth changes. Spikes indicate periods of unusual market activity — useful for timing your research.',
+  },
+  {
+    target: '[data-tour="kalshi-events-spreads"]',
+    title: 'Events & Spread Blowouts',
+    body: 'Left panel ranks events by traded volume. Right panel highlights markets where the bid-ask spread widened or tightened dramatically — a signal of liquidity shifts.',
+  },
+  {
+    target: '[data-tour="kalshi-expiring"]',
+    title: 'Expiring Soon',
+    body: 'Markets nearing expiration. Urgent ones (< 24h) are highlighted. These often see the most volatile final price moves as outcomes become certain.',
+  },
+]
 
-function PolyDashboard() {
-  const [activeCategory, setActiveCategory] = useState('Trending')
-  const globalSnapshot   = usePolyApi('/global-snapshot')
-  const globalDeltas     = usePolyApi('/global-deltas', { limit: 50 })
-  const globalDeltasFull = usePolyApi('/global-deltas', { limit: 200 })
-  const topEventsVolume  = usePolyApi('/top-events-volume', { limit: 15 })
-  const topEventsLiq     = usePolyApi('/top-events-liquidity', { limit: 15 })
-  const expiringSoon     = usePolyApi('/markets/expiring-soon', { hours: 168, limit: 50 })
-  const midMoves         = usePolyApi('/markets/mid-moves', { hours: 24, limit: 15 })
-  const volIndex         = usePolyApi('/vol/index/global', { points: 50 })
+const POLY_TOUR_STEPS = [
+  {
+    target: '[data-tour="poly-hero-stats"]',
+    title: 'Market Overview',
+    body: 'Volume and liquidity in USDC over 24h and 30d, plus the real-time Volatility Index. The delta arrows show how each metric changed in the latest snapshot.',
+  },
+  {
+    target: '[data-tour="poly-movers"]',
+    title: 'Market Pulse',
+    body: 'The 6 markets with the biggest mid-price moves in the last 24 hours. Each card shows the direction, magnitude, and the old → new probability.',
+  },
+  {
+    target: '[data-tour="poly-24h-changes"]',
+    title: '24h Changes Table',
+    body: 'Drill into the biggest movers by volume, liquidity, or YES price. Sortable columns let you find markets with the most significant recent activity.',
+  },
+  {
+    target: '[data-tour="poly-vol-index"]',
+    title: 'Realized Vol Index',
+    body: 'Annualized realized volatility across all Polymarket contracts. Higher readings mean more aggressive repricing — a proxy for market uncertainty.',
+  },
+  {
+    target: '[data-tour="poly-events"]',
+    title: 'Top Events',
+    body: 'Events ranked by volume (left) and liquidity (right). Use this to find where the most money is concentrated and where deep order books exist.',
+  },
+  {
+    target: '[data-tour="poly-expiring"]',
+    title: 'Expiring Soon',
+    body: 'Markets expiring within 48 hours. The YES probability bar and countdown help you assess near-term resolution opportunities.',
+  },
+]
 
-  // Build vol-index series for ModernLineChart
-  let latestVolIndex = null
-  let volChartSeries = null
-  const volSeries = Array.isArray(volIndex.data?.series) ? volIndex.data.series
-                  : Array.isArray(volIndex.data) ? volIndex.data
-                  : []
-  if (volSeries.length > 0) {
-    const rows = [...volSeries].reverse()
-    const values = rows.map((s) => s.vol_index ?? 0)
-    const times = rows.map((s) => s.snap_ts ?? '')
-    volChartSeries = [{ label: 'Realized Vol Index', values, times, color: '#a855f7' }]
-    latestVolIndex = values[values.length - 1]
+function Dashboard() {
+  // Category lives in the URL (?category=Politics) so filtered views can be bookmarked
+  const [searchParams, setSearchParams] = useSearchParams()
+  const categoryParam = searchParams.get('category')
+  const activeCategory = KALSHI_CATEGORIES.includes(categoryParam) ? categoryParam : 'Trending'
+  const setActiveCategory = (cat) => {
+    setSearchParams(cat === 'Trending' ? {} : { category: cat }, { replace: true })
   }
 
-  const fmtPct = (v) => (typeof v === 'number' ? `${(v * 100).toFixed(1)}%` : v)
-  const fmtNum = (v) => (typeof v === 'number' ? v.toLocaleString('en-US') : v)
-  const fmtDec = (v, d = 2) => (typeof v === 'number' ? v.toFixed(d) : v)
-  const fmtUsd = (v) => {
-    if (typeof v !== 'number') return v
-    if (v >= 1_000_000_000) return `$${(v / 1_000_000_000).toFixed(2)}B`
-    if (v >= 1_000_000) return `$${(v / 1_000_000).toFixed(1)}M`
-    if (v >= 1_000) return `$${(v / 1_000).toFixed(1)}K`
-    return `$${v.toLocaleString('en-US')}`
-  }
+  // Backend scopes by `category`; rows are re-checked client-side in case it doesn't
+  const scoped = (result) => (
+    Array.isArray(result.data)
+      ? { ...result, data: result.data.filter((row) => matchesKalshiCategory(row, activeCategory)) }
+      : result
+  )
+  const eventsByVolume = scoped(useProviderApi('kalshi', '/top-events-volume', kalshiCategoryParams(activeCategory)))
+  const eventsByOI     = scoped(useProviderApi('kalshi', '/top-events-open-interest', kalshiCategoryParams(activeCategory, { limit: 8 })))
+  const spreadBlowouts = scoped(useProviderApi('kalshi', '/markets/spread-blowouts', kalshiCategoryParams(activeCategory)))
+  const expiringSoon = scoped(useProviderApi('kalshi', '/markets/expiring-soon', kalshiCategoryParams(activeCategory)))
+  const marketMovers = scoped(useProviderApi('kalshi', '/market-movers', kalshiCategoryParams(activeCategory)))
+  const midMoves     = scoped(useProviderApi('kalshi', '/markets/mid-moves', kalshiCategoryParams(activeCategory, { hours: 24, limit: 15 })))
+  const matches = useMarketMatches({
+    kalshi: [marketMovers.data, midMoves.data].flatMap((rows) => (Array.isArray(rows) ? rows.map(PROVIDERS.kalshi.market) : [])),
+  })
+  const globalDeltas = useProviderApi('kalshi', '/global-6h-deltas', kalshiCategoryParams(activeCategory, { limit: 150 }))
 
-  // compute time-until-expiry helper
-  const timeUntil = (dateStr) => {
+  let latestIndex = null
+  let shiftChartSeries = null
+
+  if (Array.isArray(globalDeltas.data) && globalDeltas.data.length > 0) {
+    const deltas = [...globalDeltas.data].slice().reverse()
+
+    const baseVol = deltas[0].d_volume_6h || 1
+    const baseOi = deltas[0].d_oi_6h || 1
+    const baseWide = deltas[0].d_wide_6h || 1
+
+    const values = deltas.map((row) => {
+      const relVol = row.d_volume_6h / baseVol
+      const relOi = row.d_oi_6h / baseOi
+      const relWide = row.d_wide_6h / baseWide
+      return (100 * (relVol + relOi + relWide)) / 3
+    })
+    const times = deltas.map((row) => row.snap_ts)
+
+    shiftChartSeries = [{ label: 'Market Shift Index', values, times, color: '#6366f1' }]
+    latestIndex = values[values.length - 1]
+  }
+
+  const fmtNum = (v) => (typeof v === 'number' ? v.toLocaleString('en-US') : v)
+  const fmtDec = (v, d = 1) => (typeof v === 'number' ? v.toFixed(d) : v)
+  const fmtCompact = (v) => {
+    if (typeof v !== 'number') return '—'
+    if (Math.abs(v) >= 1_000_000) return (v / 1_000_000).toFixed(1) + 'M'
+    if (Math.abs(v) >= 1_000) return (v / 1_000).toFixed(1) + 'K'
+    return v.toLocaleString('en-US')
+  }
+
+  // compute time-until-expiry helper
+  const timeUntilK = (dateStr) => {
     if (!dateStr) return ''
     const diff = new Date(dateStr) - new Date()
     if (diff <= 0) return 'Expired'
@@ -1522,64 +2552,85 @@ function PolyDashboard() {
     return `${hrs}h ${mins}m`
   }
 
-  // find latest delta for snapshot comparison (uses small-limit hook)
-  const latestDelta = Array.isArray(globalDeltas.data) && globalDeltas.data.length > 0
-    ? globalDeltas.data[0]
-    : null
-
-  // ── Hero stat aggregates: positional slicing from the full-history hook ──
-  // Assumes snapshots are ordered newest-first. Detect cadence from first two rows.
-  const fullRows = Array.isArray(globalDeltasFull.data) ? globalDeltasFull.data : []
-
-  const detectInterval = (rows) => {
-    if (rows.length < 2) return 3_600_000
-    const t0 = new Date(rows[0]?.snap_ts).getTime()
-    const t1 = new Date(rows[1]?.snap_ts).getTime()
-    const diff = t0 - t1
-    return diff > 0 && diff < 7 * 86_400_000 ? diff : 3_600_000
-  }
-  const snapInterval = detectInterval(fullRows)
-
-  const polySnapsIn24h = Math.max(1, Math.round(86_400_000  / snapInterval))
-  const polySnapsIn30d = Math.max(1, Math.round(30 * 86_400_000 / snapInterval))
+  const signedClass = (v) => (v > 0 ? 'diff-up' : v < 0 ? 'diff-down' : '')
+  const midMoveColumns = [
+    watchColumn((row) => ({ provider: 'kalshi', id: row.market_ticker, title: row.title })),
+    compareColumn((row) => ({ provider: 'kalshi', id: row.market_ticker, title: row.title })),
+    { key: 'market_ticker', label: 'Ticker', defaultSortDir: 'asc', render: (row) => <MarketLink id={row.market_ticker} /> },
+    {
+      key: 'title',
+      label: 'Title',
+      defaultSortDir: 'asc',
+      render: (row) => (
+        <>
+          {row.title}
+          <CrossVenuePrice matches={matches} provider="kalshi" id={row.market_ticker} />
+        </>
+      ),
+    },
+    { key: 'mid_prev', label: 'Old Mid', render: (row) => `${fmtDec(row.mid_prev)}¢` },
+    { key: 'mid_now', label: 'New Mid', render: (row) => `${fmtDec(row.mid_now)}¢` },
+    {
+      key: 'd_mid',
+      label: 'Δ Mid',
+      className: (row) => ((num(row.d_mid) ?? 0) >= 0 ? 'diff-up' : 'diff-down'),
+      render: (row) => `${(num(row.d_mid) ?? 0) >= 0 ? '+' : ''}${fmtDec(num(row.d_mid) ?? 0)}¢`,
+    },
+    {
+      key: 'd_spread',
+      label: 'Spread Δ',
+      className: (row) => signedClass(num(row.d_spread) ?? 0),
+      render: (row) => `${(num(row.d_spread) ?? 0) > 0 ? '+' : ''}${fmtDec(num(row.d_spread) ?? 0)}`,
+    },
+  ]
 
-  const polyRows24h = fullRows.slice(0, Math.min(polySnapsIn24h, fullRows.length))
-  const polyRows30d = fullRows.slice(0, Math.min(polySnapsIn30d, fullRows.length))
+  const globalDeltaColumns = [
+    { key: 'snap_ts', label: 'Snapshot', render: (row) => row.snap_ts },
+    { key: 'd_volume_6h', label: 'Δ Volume', render: (row) => fmtNum(row.d_volume_6h) },
+    { key: 'd_oi_6h', label: 'Δ OI', render: (row) => fmtNum(row.d_oi_6h) },
+    { key: 'd_priced_6h', label: 'Δ Priced', render: (row) => fmtNum(row.d_priced_6h) },
+    { key: 'd_spread_6h', label: 'Δ Spread', render: (row) => (typeof row.d_spread_6h === 'number' ? row.d_spread_6h.toFixed(3) : row.d_spread_6h) },
+    { key: 'd_wide_6h', label: 'Δ Wide', render: (row) => fmtNum(row.d_wide_6h) },
+  ]
 
-  const polySum = (rows, field) => rows.reduce((s, r) => s + (typeof r[field] === 'number' ? r[field] : 0), 0)
+  // ── Hero stat aggregates from time-windowed delta rows ──
+  const now = Date.now()
+  const deltaRows = Array.isArray(globalDeltas.data) ? globalDeltas.data : []
+  // Delta rows are market-wide aggregates with no ticker or title to re-check,
+  // so unless the backend echoes the category back they cover every category
+  const deltasGlobal = activeCategory !== 'Trending' && !deltaRows.some((r) => r.category === activeCategory)
+  const rows24h = deltaRows.filter((r) => r.snap_ts && (now - new Date(r.snap_ts).getTime()) < 86_400_000)
+  const rows30d = deltaRows.filter((r) => r.snap_ts && (now - new Date(r.snap_ts).getTime()) < 30 * 86_400_000)
+  const sumField = (rows, field) => rows.reduce((s, r) => s + (typeof r[field] === 'number' ? r[field] : 0), 0)
 
-  const polyVol24h = polyRows24h.length > 0 ? polySum(polyRows24h, 'd_volume')    : null
-  const polyVol30d = polyRows30d.length > 0 ? polySum(polyRows30d, 'd_volume')    : null
-  const polyLiq24h = polyRows24h.length > 0 ? polySum(polyRows24h, 'd_liquidity') : null
-  const polyLiq30d = polyRows30d.length > 0 ? polySum(polyRows30d, 'd_liquidity') : null
+  const heroVol24h   = rows24h.length > 0 ? sumField(rows24h, 'd_volume_6h') : null
+  const heroVol30d   = rows30d.length > 0 ? sumField(rows30d, 'd_volume_6h') : null
+  const heroOi24h    = rows24h.length > 0 ? sumField(rows24h, 'd_oi_6h')     : null
+  const heroOi30d    = rows30d.length > 0 ? sumField(rows30d, 'd_oi_6h')     : null
+  const heroWide24h  = rows24h.length > 0 ? sumField(rows24h, 'd_wide_6h')   : null
+  const heroWide30d  = rows30d.length > 0 ? sumField(rows30d, 'd_wide_6h')   : null
 
-  // Human-readable label for the detected snapshot cadence
-  const snapIntervalLabel = (() => {
-    const mins = Math.round(snapInterval / 60_000)
-    if (mins < 60) return `last ${mins}m`
-    const hrs = Math.round(snapInterval / 3_600_000)
-    return `last ${hrs}h`
-  })()
+  // latest delta for hero stats
+  const latestDelta = deltaRows.length > 0 ? deltaRows[0] : null
 
   return (
-    <div className="dashboard poly-dash">
-      <GuidedTour tourKey="poly" steps={POLY_TOUR_STEPS} />
+    <div className="dashboard kalshi-dash">
+      <GuidedTour tourKey="kalshi" steps={KALSHI_TOUR_STEPS} />
       <p className="seo-blurb">
-        Polymarket real-time analytics: vol index, market mid-moves, top events
-        by volume and liquidity, expiring markets, and global USDC flow metrics.
+        Market Shift Index hourly deltas, real-time market movers, top events by traded volume, spread blowouts, expiring contracts, and global order-flow metrics across prediction markets.
       </p>
       <h2 className="dashboard-title">
         <img
-          src={POLYMARKET_LOGO_URL}
-          alt="Polymarket logo"
-          className="dashboard-title-logo"
+          src={KALSHI_LOGO_URL}
+          alt="Kalshi logo"
+          className="dashboard-title-logo dashboard-title-logo--kalshi"
           loading="lazy"
         />
-        <span>Polymarket Dashboard</span>
+        <span>Prediction Market Dashboard</span>
       </h2>
 
       <nav className="category-subnav">
-        {POLY_CATEGORIES.map((cat) => (
+        {KALSHI_CATEGORIES.map((cat) => (
           <button
             key={cat}
             type="button"
@@ -1592,137 +2643,176 @@ function PolyDashboard() {
       </nav>
 
       {/* ═══ HERO STATS BAR ═══ */}
-      <div className="poly-stats-bar" data-tour="poly-hero-stats">
-        {(globalDeltasFull.loading && globalSnapshot.loading) && <div className="loading">Loading stats…</div>}
-        {(!globalDeltasFull.loading || !globalSnapshot.loading) && (
-          <>
-            <div className="poly-stat-card">
-              <div className="poly-stat-label">Volume (24h)</div>
-              <div className="poly-stat-value">
-                {polyVol24h !== null
-                  ? fmtUsd(polyVol24h)
-                  : globalSnapshot.loading ? '…' : fmtUsd(globalSnapshot.data?.total_volume)}
-              </div>
-              {polyVol30d !== null && polyVol30d !== polyVol24h && (
-                <div className="poly-stat-period-row">
-                  <span className="poly-stat-period-label">30d</span>
-                  <span className="poly-stat-period-value">{fmtUsd(polyVol30d)}</span>
-                </div>
-              )}
-              {latestDelta && typeof latestDelta.d_volume === 'number' && (
-                <div className={`poly-stat-delta ${latestDelta.d_volume >= 0 ? 'up' : 'down'}`}>
-                  {latestDelta.d_volume >= 0 ? '▲' : '▼'} {fmtUsd(Math.abs(latestDelta.d_volume))} {snapIntervalLabel}
-                </div>
-              )}
-            </div>
-            <div className="poly-stat-card">
-              <div className="poly-stat-label">Liquidity (24h)</div>
-              <div className="poly-stat-value">
-                {polyLiq24h !== null
-                  ? fmtUsd(polyLiq24h)
-                  : globalSnapshot.loading ? '…' : fmtUsd(globalSnapshot.data?.total_liquidity)}
-              </div>
-              {polyLiq30d !== null && polyLiq30d !== polyLiq24h && (
-                <div className="poly-stat-period-row">
-                  <span className="poly-stat-period-label">30d</span>
-                  <span className="poly-stat-period-value">{fmtUsd(polyLiq30d)}</span>
-                </div>
-              )}
-              {latestDelta && typeof latestDelta.d_liquidity === 'number' && (
-                <div className={`poly-stat-delta ${latestDelta.d_liquidity >= 0 ? 'up' : 'down'}`}>
-                  {latestDelta.d_liquidity >= 0 ? '▲' : '▼'} {fmtUsd(Math.abs(latestDelta.d_liquidity))} {snapIntervalLabel}
-                </div>
-              )}
-            </div>
-            <div className="poly-stat-card">
-              <div className="poly-stat-label">Vol Index</div>
-              <div className="poly-stat-value">
-                {volIndex.loading ? '…' : latestVolIndex !== null ? fmtDec(latestVolIndex, 2) : '—'}
+      {deltasGlobal && (heroVol24h !== null || globalDeltas.loading) && (
+        <p className="muted category-scope-note">
+          Totals and the Market Shift Index cover all categories; they aren't broken down by {activeCategory}.
+        </p>
+      )}
+      {(heroVol24h !== null || globalDeltas.loading) && (
+        <div className="poly-stats-bar" data-tour="kalshi-hero-stats" style={{ marginTop: '1.5rem' }}>
+          {globalDeltas.loading && <div className="loading">Loading stats…</div>}
+          {!globalDeltas.loading && (
+            <>
+              <div className="poly-stat-card">
+                <div className="poly-stat-label">Volume (24h)</div>
+                <div className="poly-stat-value">{fmtCompact(heroVol24h)}</div>
+                {heroVol30d !== null && (
+                  <div className="poly-stat-period-row">
+                    <span className="poly-stat-period-label">30d</span>
+                    <span className="poly-stat-period-value">{fmtCompact(heroVol30d)}</span>
+                  </div>
+                )}
+                {latestDelta && typeof latestDelta.d_volume_6h === 'number' && (
+                  <div className={`poly-stat-delta ${latestDelta.d_volume_6h >= 0 ? 'up' : 'down'}`}>
+                    {latestDelta.d_volume_6h >= 0 ? '▲' : '▼'} {fmtCompact(Math.abs(latestDelta.d_volume_6h))} last 1h
+                  </div>
+                )}
               </div>
-              <div className="poly-stat-period-row" style={{ visibility: 'hidden' }}>
-                <span className="poly-stat-period-label">30d</span>
-                <span className="poly-stat-period-value">—</span>
+              <div className="poly-stat-card">
+                <div className="poly-stat-label">Open Interest (24h)</div>
+                <div className="poly-stat-value">{fmtCompact(heroOi24h)}</div>
+                {heroOi30d !== null && (
+                  <div className="poly-stat-period-row">
+                    <span className="poly-stat-period-label">30d</span>
+                    <span className="poly-stat-period-value">{fmtCompact(heroOi30d)}</span>
+                  </div>
+                )}
+                {latestDelta && typeof latestDelta.d_oi_6h === 'number' && (
+                  <div className={`poly-stat-delta ${latestDelta.d_oi_6h >= 0 ? 'up' : 'down'}`}>
+                    {latestDelta.d_oi_6h >= 0 ? '▲' : '▼'} {fmtCompact(Math.abs(latestDelta.d_oi_6h))} last 1h
+                  </div>
+                )}
               </div>
-              {(() => {
-                if (!volChartSeries) return null
-                const vals = volChartSeries[0].values
-                if (vals.length < 2) return null
-                const diff = vals[vals.length - 1] - vals[vals.length - 2]
-                const isUp = diff >= 0
-                return (
-                  <div className={`poly-stat-delta ${isUp ? 'up' : 'down'}`}>
-                    {isUp ? '▲' : '▼'} {Math.abs(diff).toFixed(2)} {snapIntervalLabel}
+              <div className="poly-stat-card">
+                <div className="poly-stat-label">Wide Spreads (24h)</div>
+                <div className="poly-stat-value">{fmtCompact(heroWide24h)}</div>
+                {heroWide30d !== null && (
+                  <div className="poly-stat-period-row">
+                    <span className="poly-stat-period-label">30d</span>
+                    <span className="poly-stat-period-value">{fmtCompact(heroWide30d)}</span>
                   </div>
-                )
-              })()}
-            </div>
-          </>
-        )}
-      </div>
+                )}
+                {latestDelta && typeof latestDelta.d_wide_6h === 'number' && (
+                  <div className={`poly-stat-delta ${latestDelta.d_wide_6h >= 0 ? 'up' : 'down'}`}>
+                    {latestDelta.d_wide_6h >= 0 ? '▲' : '▼'} {fmtCompact(Math.abs(latestDelta.d_wide_6h))} last 1h
+                  </div>
+                )}
+              </div>
+            </>
+          )}
+        </div>
+      )}
 
-      {/* ═══ MARKET PULSE — Leaderboard Feed ═══ */}
-      {(Array.isArray(midMoves.data) && midMoves.data.length > 0) && (
-        <div className="movers-section" data-tour="poly-movers">
+      {/* ═══ MARKET MOVERS — Leaderboard Feed ═══ */}
+      {(Array.isArray(marketMovers.data) && marketMovers.data.length > 0) && (
+        <div className="movers-section" data-tour="kalshi-movers">
           <div className="movers-section-header">
             <span className="movers-live-dot" />
-            <span className="movers-section-title">Market Pulse</span>
-            <span className="movers-section-sub">Biggest moves · 24h window</span>
+            <span className="movers-section-title">Market Movers</span>
+            <span className="movers-section-sub">Biggest price shifts · 1h window</span>
+            <FreshnessBadge freshness={marketMovers.freshness} />
           </div>
           <div className="movers-feed">
-            {midMoves.data.slice(0, 6).map((row, idx) => {
-              const diff = typeof row.price_diff === 'number' ? row.price_diff : 0
+            {marketMovers.data.slice(0, 6).map((row, idx) => {
+              const diff = num(row.price_diff) ?? 0
               const isUp = diff >= 0
+              const tickerName = (row.market_ticker || '')
+                .replace(/^KX/i, '')
+                .split('-')[0]
+                .replace(/([a-z])([A-Z])/g, '$1 $2')
+                .replace(/([A-Z]+)/g, ' $1')
+                .trim()
               return (
-                <div key={row.condition_id ?? idx} className={`mover-row ${isUp ? 'mover-up' : 'mover-down'}`}>
+                <div key={row.market_ticker ?? idx} className={`mover-row ${isUp ? 'mover-up' : 'mover-down'}`}>
                   <div className="mover-rank">#{idx + 1}</div>
                   <div className={`mover-delta-block ${isUp ? 'delta-up' : 'delta-down'}`}>
-                    <span className="mover-delta-value">{isUp ? '+' : ''}{(diff * 100).toFixed(1)}pp</span>
+                    <span className="mover-delta-value">{isUp ? '+' : ''}{fmtDec(diff)}¢</span>
                     <span className="mover-direction">{isUp ? '▲ Rising' : '▼ Falling'}</span>
                   </div>
                   <div className="mover-info">
-                    <div className="mover-name">{row.question ?? row.title}</div>
+                    <div className="mover-name">{tickerName || row.market_ticker}</div>
+                    <div className="mover-ticker-id"><MarketLink id={row.market_ticker} /></div>
                     <div className="mover-price-trail">
                       <span className="mover-label">Was</span>
-                      <span className="mover-old">{fmtPct(row.old_price)}</span>
+                      <span className="mover-old">{fmtDec(row.old_price)}¢</span>
                       <span className="mover-arrow-trail">→</span>
                       <span className="mover-label">Now</span>
-                      <span className="mover-new">{fmtPct(row.new_price)}</span>
+                      <span className="mover-new">{fmtDec(row.new_price)}¢</span>
                     </div>
+                    <CrossVenuePrice matches={matches} provider="kalshi" id={row.market_ticker} />
                   </div>
+                  <WatchStar market={{ provider: 'kalshi', id: row.market_ticker, title: row.title ?? row.market_ticker }} />
                 </div>
               )
             })}
           </div>
         </div>
       )}
-      {midMoves.loading && (
+      {marketMovers.loading && (
         <div className="panel" style={{ marginTop: '1rem' }}>
-          <div className="panel-body"><div className="loading">Loading market pulse…</div></div>
+          <div className="panel-body"><div className="loading">Loading market movers…</div></div>
         </div>
       )}
-
-      <div data-tour="poly-24h-changes">
-        <Last24hChangesPanel defaultProvider="poly" />
-      </div>
-
-      {/* ═══ VOLATILITY INDEX ═══ */}
-      <div className="panel poly-vol-panel" data-tour="poly-vol-index" style={{ marginTop: '1.5rem' }}>
-        <div className="panel-header" style={{ borderBottom: 'none', paddingBottom: 0 }}>
-          <div className="panel-title">Realized Vol Index</div>
-          {latestVolIndex !== null && (
-            <div className="poly-vol-badge">
-              <span className="poly-vol-badge-value">{fmtDec(latestVolIndex, 1)}</span>
-              <span className="poly-vol-badge-unit">annualized</span>
-            </div>
-          )}
+      {!marketMovers.loading && activeCategory !== 'Trending' &&
+        Array.isArray(marketMovers.data) && marketMovers.data.length === 0 && (
+        <div className="panel" style={{ marginTop: '1rem' }}>
+          <div className="panel-body"><span className="muted">No {activeCategory} movers in the last hour.</span></div>
         </div>
-        <div className="panel-body">
+      )}
+
+      {/* ═══ MID-PRICE MOVES — 24h ═══ */}
+      {(Array.isArray(midMoves.data) && midMoves.data.length > 0) && (
+        <div className="panel" data-tour="kalshi-mid-moves" style={{ marginTop: '1.5rem' }}>
+          <div className="panel-header">
+            <div className="panel-title">Largest Mid-Price Moves (24h) <FreshnessBadge freshness={midMoves.freshness} /></div>
+          </div>
+          <div className="panel-body">
+            <DataTable
+              id="kalshi-mid-moves"
+              columns={midMoveColumns}
+              rows={midMoves.data.slice(0, 15)}
+              rowKey={(row, idx) => row.market_ticker ?? idx}
+            />
+          </div>
+        </div>
+      )}
+      {midMoves.loading && (
+        <div className="panel" style={{ marginTop: '1rem' }}>
+          <div className="panel-body"><div className="loading">Loading mid-price moves…</div></div>
+        </div>
+      )}
+      {!midMoves.loading && activeCategory !== 'Trending' &&
+        Array.isArray(midMoves.data) && midMoves.data.length === 0 && (
+        <div className="panel" style={{ marginTop: '1rem' }}>
+          <div className="panel-body"><span className="muted">No {activeCategory} mid-price moves in the last 24h.</span></div>
+        </div>
+      )}
+
+      <div data-tour="kalshi-24h-changes">
+        <Last24hChangesPanel defaultProvider="kalshi" category={activeCategory} />
+      </div>
+
+      {/* ═══ MARKET SHIFT INDEX ═══ */}
+      <div className="panel poly-vol-panel" data-tour="kalshi-shift-index" style={{ marginTop: '1.5rem' }}>
+        <div className="panel-header" style={{ borderBottom: 'none', paddingBottom: 0 }}>
+          <div className="panel-title">
+            Market Shift Index{deltasGlobal && <span className="muted"> · all categories</span>} <FreshnessBadge freshness={globalDeltas.freshness} />
+          </div>
+          {latestIndex !== null && (
+            <div className="poly-vol-badge">
+              <span className="poly-vol-badge-value">{latestIndex.toFixed(1)}</span>
+              <span className="poly-vol-badge-unit">composite</span>
+            </div>
+          )}
+        </div>
+        <div className="panel-body">
           <ModernLineChart
-            series={volChartSeries}
-            loading={volIndex.loading}
-            error={volIndex.error}
+            series={shiftChartSeries}
+            loading={globalDeltas.loading}
+            error={globalDeltas.error}
+            onRetry={globalDeltas.retry}
             showAxes={true}
-            yAxisFormatter={(v) => (typeof v === 'number' && !isNaN(v) ? v.toFixed(0) : '')}
+            yAxisFormatter={(v) => (typeof v === 'number' && !isNaN(v) ? v.toFixed(1) : '')}
             xAxisFormatter={(t) => {
               if (!t) return '';
               const d = new Date(t);
@@ -1730,39 +2820,38 @@ function PolyDashboard() {
               return d.toLocaleString('en-US', { month: 'numeric', day: 'numeric', hour: 'numeric', minute: '2-digit' });
             }}
           />
-          {volIndex.data && volSeries.length === 0 &&
-            !volIndex.loading && !volIndex.error && (
-            <span className="muted">No vol-index data available yet.</span>
-          )}
           <p className="panel-methodology">
-            Liquidity-weighted annualized realized volatility computed from
-            log-odds price changes across all tracked Polymarket contracts.
-            Higher values indicate elevated repricing activity.
+            This index combines 2-hour changes in trading volume, open
+            interest, and market breadth into a single normalized score.
+            Higher values generally correspond to periods of elevated
+            prediction-market activity and crowd repricing, which tend to
+            coincide with higher perceived volatility.
           </p>
         </div>
       </div>
 
-      {/* ═══ TOP EVENTS — side by side ═══ */}
-      <div className="poly-events-duo" data-tour="poly-events">
+      {/* ═══ TOP EVENTS + SPREAD BLOWOUTS — side by side ═══ */}
+      <div className="poly-events-duo" data-tour="kalshi-events-spreads" style={{ gridTemplateColumns: 'repeat(auto-fit, minmax(280px, 1fr))' }}>
+        {/* Top Events by Volume */}
         <div className="panel poly-events-panel">
           <div className="panel-header">
-            <div className="panel-title">Top Events by Volume</div>
+            <div className="panel-title">Top Events by Volume <FreshnessBadge freshness={eventsByVolume.freshness} /></div>
           </div>
           <div className="panel-body">
-            {topEventsVolume.loading && <div className="loading">Loading…</div>}
-            {topEventsVolume.error && <div className="error">{topEventsVolume.error.message}</div>}
-            {Array.isArray(topEventsVolume.data) && topEventsVolume.data.length > 0 && (
+            {eventsByVolume.loading && <div className="loading">Loading…</div>}
+            <ErrorState error={eventsByVolume.error} onRetry={eventsByVolume.retry} />
+            {Array.isArray(eventsByVolume.data) && eventsByVolume.data.length > 0 && (
               <div className="poly-event-list">
-                {topEventsVolume.data.slice(0, 8).map((row, idx) => (
-                  <div key={row.event_slug ?? idx} className="poly-event-row">
+                {eventsByVolume.data.slice(0, 8).map((row, idx) => (
+                  <div key={row.event_ticker ?? idx} className="poly-event-row">
                     <span className="poly-event-rank">{idx + 1}</span>
                     <div className="poly-event-info">
-                      <div className="poly-event-name">{row.event_title ?? row.event_slug ?? row.title}</div>
+                      <div className="poly-event-name"><EventLink id={row.event_ticker} /></div>
                       <div className="poly-event-meta">
-                        {fmtNum(row.n_markets)} markets · {fmtUsd(row.total_volume)} vol
+                        {fmtNum(row.n_markets)} markets · spread {fmtDec(row.avg_spread_ticks, 2)}
                       </div>
                     </div>
-                    <div className="poly-event-stat">{fmtUsd(row.total_liquidity)}</div>
+                    <div className="poly-event-stat">{fmtNum(row.total_volume)}</div>
                   </div>
                 ))}
               </div>
@@ -1770,59 +2859,103 @@ function PolyDashboard() {
           </div>
         </div>
 
+        {/* Top Events by Open Interest */}
         <div className="panel poly-events-panel">
           <div className="panel-header">
-            <div className="panel-title">Top Events by Liquidity</div>
+            <div className="panel-title">Top Events — Open Interest <FreshnessBadge freshness={eventsByOI.freshness} /></div>
           </div>
           <div className="panel-body">
-            {topEventsLiq.loading && <div className="loading">Loading…</div>}
-            {topEventsLiq.error && <div className="error">{topEventsLiq.error.message}</div>}
-            {Array.isArray(topEventsLiq.data) && topEventsLiq.data.length > 0 && (
+            {eventsByOI.loading && <div className="loading">Loading…</div>}
+            <ErrorState error={eventsByOI.error} onRetry={eventsByOI.retry} />
+            {Array.isArray(eventsByOI.data) && eventsByOI.data.length > 0 && (
               <div className="poly-event-list">
-                {topEventsLiq.data.slice(0, 8).map((row, idx) => (
-                  <div key={row.event_slug ?? idx} className="poly-event-row">
+                {eventsByOI.data.slice(0, 8).map((row, idx) => (
+                  <div key={row.event_ticker ?? idx} className="poly-event-row">
                     <span className="poly-event-rank">{idx + 1}</span>
                     <div className="poly-event-info">
-                      <div className="poly-event-name">{row.event_title ?? row.event_slug ?? row.title}</div>
+                      <div className="poly-event-name"><EventLink id={row.event_ticker} /></div>
                       <div className="poly-event-meta">
-                        {fmtNum(row.n_markets)} markets · {fmtUsd(row.total_liquidity)} liq
+                        {fmtNum(row.n_markets)} markets · spread {fmtDec(row.avg_spread_ticks, 2)}
                       </div>
                     </div>
-                    <div className="poly-event-stat">{fmtUsd(row.total_volume)}</div>
+                    <div className="poly-event-stat">{fmtCompact(row.total_open_interest)}</div>
                   </div>
                 ))}
               </div>
             )}
           </div>
         </div>
+
+        {/* Spread Blowouts */}
+        <div className="panel poly-events-panel">
+          <div className="panel-header">
+            <div className="panel-title">Spread Blowouts <FreshnessBadge freshness={spreadBlowouts.freshness} /></div>
+          </div>
+          <div className="panel-body">
+            {spreadBlowouts.loading && <div className="loading">Loading…</div>}
+            <ErrorState error={spreadBlowouts.error} onRetry={spreadBlowouts.retry} />
+            {Array.isArray(spreadBlowouts.data) && spreadBlowouts.data.length > 0 && (
+              <div className="kalshi-blowout-list">
+                {spreadBlowouts.data.slice(0, 8).map((row, idx) => {
+                  const dSpread = typeof row.d_spread === 'number' ? row.d_spread : 0
+                  const isWider = dSpread > 0
+                  return (
+                    <div key={row.market_ticker ?? idx} className={`kalshi-blowout-row ${isWider ? 'blowout-wider' : 'blowout-tighter'}`}>
+                      <WatchStar market={{ provider: 'kalshi', id: row.market_ticker, title: row.title ?? row.market_ticker }} />
+                      <div className="blowout-ticker">
+                        <div className="blowout-market"><MarketLink id={row.market_ticker} /></div>
+                        <div className="blowout-event"><EventLink id={row.event_ticker} /></div>
+                      </div>
+                      <div className="blowout-spread-change">
+                        <span className="blowout-prev">{fmtDec(row.spread_prev)}</span>
+                        <span className="pulse-arrow">→</span>
+                        <span className="blowout-now">{fmtDec(row.spread_now)}</span>
+                        <span className={`blowout-delta ${isWider ? 'diff-up' : 'diff-down'}`}>
+                          {isWider ? '+' : ''}{fmtDec(dSpread)}
+                        </span>
+                      </div>
+                    </div>
+                  )
+                })}
+              </div>
+            )}
+            {Array.isArray(spreadBlowouts.data) && spreadBlowouts.data.length === 0 &&
+              !spreadBlowouts.loading && !spreadBlowouts.error && (
+              <span className="muted">No spread blowouts detected.</span>
+            )}
+          </div>
+        </div>
       </div>
 
       {/* ═══ EXPIRING SOON — countdown cards ═══ */}
       {(() => {
         const liveExpiring = Array.isArray(expiringSoon.data)
-          ? expiringSoon.data.filter(r => r.end_date && new Date(r.end_date) > new Date())
+          ? expiringSoon.data.filter(r => r.expiration_time && new Date(r.expiration_time) > new Date())
           : []
         return liveExpiring.length > 0 && (
-        <div className="poly-expiring-section" data-tour="poly-expiring">
-          <h3 className="poly-section-title">⏱ Expiring Soon</h3>
+        <div className="poly-expiring-section" data-tour="kalshi-expiring">
+          <h3 className="poly-section-title">⏱ Expiring Soon <FreshnessBadge freshness={expiringSoon.freshness} /></h3>
           <div className="poly-expiring-grid">
             {liveExpiring.slice(0, 8).map((row, idx) => {
-              const remaining = timeUntil(row.end_date)
-              const yesPrice = typeof row.outcome_yes_price === 'number' ? row.outcome_yes_price : null
+              const remaining = timeUntilK(row.expiration_time)
+              const midPrice = typeof row.mid === 'number' ? row.mid : null
               const isUrgent = remaining.includes('h') && !remaining.includes('d')
               return (
-                <div key={row.condition_id ?? idx} className={`poly-expiring-card${isUrgent ? ' expiring-urgent' : ''}`}>
-                  <div className="expiring-countdown">{remaining}</div>
-                  <div className="expiring-question">{row.question ?? row.title}</div>
+                <div key={row.market_ticker ?? idx} className={`poly-expiring-card${isUrgent ? ' expiring-urgent' : ''}`}>
+                  <div className="expiring-header">
+                    <div className="expiring-countdown">{remaining}</div>
+                    <WatchStar market={{ provider: 'kalshi', id: row.market_ticker, title: row.title ?? row.market_ticker }} />
+                  </div>
+                  <div className="expiring-question"><MarketLink id={row.market_ticker} /></div>
                   <div className="expiring-footer">
-                    {yesPrice !== null && (
+                    {midPrice !== null && (
                       <div className="expiring-price-bar">
-                        <div className="expiring-yes-fill" style={{ width: `${yesPrice * 100}%` }} />
-                        <span className="expiring-yes-label">YES {fmtPct(yesPrice)}</span>
+                        <div className="expiring-yes-fill" style={{ width: `${Math.min(midPrice, 99)}%` }} />
+                        <span className="expiring-yes-label">MID {fmtDec(midPrice)}¢</span>
                       </div>
                     )}
                     <div className="expiring-meta">
-                      Vol: {fmtUsd(row.volume)} · Liq: {fmtUsd(row.liquidity)}
+                      OI: {fmtNum(row.open_interest)} · Vol: {fmtNum(row.volume)} · Spread: {fmtDec(row.spread_ticks)}
                     </div>
                   </div>
                 </div>
@@ -1838,37 +2971,23 @@ function PolyDashboard() {
         </div>
       )}
 
-      {/* ═══ GLOBAL DELTAS TABLE ═══ */}
+      {/* ═══ GLOBAL 6H DELTAS TABLE ═══ */}
       <div className="panel" style={{ marginTop: '1.5rem', marginBottom: '1.5rem' }}>
         <div className="panel-header">
-          <div className="panel-title">Global Deltas (run-over-run)</div>
+          <div className="panel-title">
+            Global 6h Deltas (run-over-run){deltasGlobal && <span className="muted"> · all categories</span>} <FreshnessBadge freshness={globalDeltas.freshness} />
+          </div>
         </div>
         <div className="panel-body">
           {globalDeltas.loading && <div className="loading">Loading deltas…</div>}
-          {globalDeltas.error   && <div className="error">{globalDeltas.error.message}</div>}
+          <ErrorState error={globalDeltas.error} onRetry={globalDeltas.retry} />
           {Array.isArray(globalDeltas.data) && globalDeltas.data.length > 0 && (
-            <div className="markets-table-scroll">
-              <table className="markets-table">
-                <thead>
-                  <tr>
-                    <th>Snapshot</th>
-                    <th>Δ Volume (USDC)</th>
-                    <th>Δ Liquidity (USDC)</th>
-                    <th>Δ Markets</th>
-                  </tr>
-                </thead>
-                <tbody>
-                  {globalDeltas.data.slice(0, 10).map((row, idx) => (
-                    <tr key={row.snap_ts ?? idx}>
-                      <td>{row.snap_ts}</td>
-                      <td>{fmtNum(row.d_volume)}</td>
-                      <td>{fmtNum(row.d_liquidity)}</td>
-                      <td>{fmtNum(row.d_markets)}</td>
-                    </tr>
-                  ))}
-                </tbody>
-              </table>
-            </div>
+            <DataTable
+              id="kalshi-global-deltas"
+              columns={globalDeltaColumns}
+              rows={globalDeltas.data.slice(0, 10)}
+              rowKey={(row, idx) => row.snap_ts ?? idx}
+            />
           )}
         </div>
       </div>
@@ -1876,1383 +2995,4008 @@ function PolyDashboard() {
   )
 }
 
-// ─── Polymarket Screener ─────────────────────────────────────────────────────
+// ─── Screener URL state ──────────────────────────────────────────────────────
+// Applied filters, sort and paging live in the query string so a screen can be
+// shared as a link. The form edits a draft that is only written on Apply.
 
-function PolyScreenerPage() {
-  const [form, setForm] = useState({
-    minVolume: '',
-    minLiquidity: '',
-    category: '',
-    sortBy: 'tradability_score',
-    sortDir: 'desc',
-  })
-  const [refreshNonce, setRefreshNonce] = useState(0)
-  const [allRows, setAllRows] = useState([])
-  const [filteredRows, setFilteredRows] = useState([])
-  const [page, setPage] = useState(1)
-  const [pageSize, setPageSize] = useState(25)
+const SCREENER_PAGE_SIZES = [10, 25, 50, 100]
+const SCREENER_DEFAULT_PAGE_SIZE = 25
+
+// Form key -> query param. Values equal to the default are left out of the URL.
+// Range filters are kept separately in `filter`/`match` (see the filter builder).
+const KALSHI_SCREENER_PARAMS = {
+  q: 'q',
+  sortBy: 'sort',
+  sortDir: 'dir',
+}
 
-  // Build query params from form state — only include non-empty filters
-  const screenerParams = { limit: 200, _refresh: refreshNonce }
-  if (form.minVolume !== '') screenerParams.min_volume = Number(form.minVolume)
-  if (form.minLiquidity !== '') screenerParams.min_liquidity = Number(form.minLiquidity)
-  if (form.category !== '') screenerParams.category = form.category
-  screenerParams.sort_by = form.sortBy
+const KALSHI_SCREENER_DEFAULTS = {
+  q: '',
+  sortBy: 'tradability_score',
+  sortDir: 'desc',
+}
 
-  const screener = usePolyApi('/markets/screener', screenerParams)
+const POLY_SCREENER_PARAMS = {
+  q: 'q',
+  category: 'category',
+  sortBy: 'sort',
+  sortDir: 'dir',
+}
 
-  useEffect(() => {
-    if (Array.isArray(screener.data)) {
-      setAllRows(screener.data)
-      setFilteredRows(screener.data)
-      setPage(1)
+const POLY_SCREENER_DEFAULTS = {
+  q: '',
+  category: '',
+  sortBy: 'tradability_score',
+  sortDir: 'desc',
+}
+
+// `screener` is one of the KALSHI_SCREENER / POLY_SCREENER configs
+function useScreenerUrlState(screener) {
+  const { params: paramNames, defaults, filterFields, columns } = screener
+  const [searchParams, setSearchParams] = useSearchParams()
+
+  // A filter this screener can't evaluate is dropped whole and reported as
+  // `filterError`, never applied with some of its conditions missing
+  const applied = useMemo(() => {
+    let filters = { op: 'and', groups: [] }
+    let filterError = null
+    try {
+      filters = parseScreenerFilter(searchParams.get('filter'), searchParams.get('match'), filterFields)
+    } catch (err) {
+      if (!(err instanceof ScreenerFilterError)) throw err
+      filterError = err.message
     }
-  }, [screener.data])
-
-  const passMin = (value, minValue) => {
-    if (minValue === '' || minValue === null || minValue === undefined) return true
-    const min = Number(minValue)
-    if (Number.isNaN(min)) return true
-    const num = Number(value)
-    if (Number.isNaN(num)) return false
-    return num >= min
-  }
-
-  const passCategory = (value, catFilter) => {
-    if (!catFilter) return true
-    return (value ?? '').toLowerCase().includes(catFilter.toLowerCase())
-  }
-
-  const sortRows = (rows) => {
-    const sorted = [...rows]
-    sorted.sort((a, b) => {
-      const aVal = a[form.sortBy]
-      const bVal = b[form.sortBy]
-      if (typeof aVal === 'string' && typeof bVal === 'string') {
-        return form.sortDir === 'asc'
-          ? aVal.localeCompare(bVal)
-          : bVal.localeCompare(aVal)
-      }
-      const aNum = Number(aVal)
-      const bNum = Number(bVal)
-      const safeA = Number.isFinite(aNum) ? aNum : -Infinity
-      const safeB = Number.isFinite(bNum) ? bNum : -Infinity
-      return form.sortDir === 'asc' ? safeA - safeB : safeB - safeA
-    })
-    return sorted
+    return {
+      ...Object.fromEntries(
+        Object.entries(paramNames).map(([key, param]) => [key, searchParams.get(param) ?? defaults[key]]),
+      ),
+      filters,
+      filterError,
+      columns: parseScreenerColumns(searchParams.get('cols'), columns),
+    }
+  }, [searchParams, paramNames, defaults, filterFields, columns])
+
+  const pageSizeParam = Number(searchParams.get('page_size'))
+  const pageSize = SCREENER_PAGE_SIZES.includes(pageSizeParam) ? pageSizeParam : SCREENER_DEFAULT_PAGE_SIZE
+  const page = Math.max(1, parseInt(searchParams.get('page'), 10) || 1)
+
+  // Writes the given filters and paging; omitted paging falls back to defaults
+  const write = (values, { page: nextPage = 1, pageSize: nextSize = pageSize } = {}, options) => {
+    const next = new URLSearchParams()
+    for (const [key, param] of Object.entries(paramNames)) {
+      const value = String(values[key] ?? '').trim()
+      if (value !== '' && value !== defaults[key]) next.set(param, value)
+    }
+    const filterText = serializeScreenerFilter(values.filters)
+    if (filterText) {
+      next.set('filter', filterText)
+      if (values.filters.op === 'or') next.set('match', 'any')
+    }
+    const columnText = serializeScreenerColumns(values.columns, columns)
+    if (columnText) next.set('cols', columnText)
+    if (nextPage > 1) next.set('page', String(nextPage))
+    if (nextSize !== SCREENER_DEFAULT_PAGE_SIZE) next.set('page_size', String(nextSize))
+    setSearchParams(next, options)
   }
 
-  const handleChange = (e) => {
-    const { name, value } = e.target
-    setForm((prev) => ({ ...prev, [name]: value }))
+  // A saved screen is the query string minus paging
+  const screenParams = Object.fromEntries(
+    [...searchParams].filter(([key]) => key !== 'page' && key !== 'page_size'),
+  )
+
+  return {
+    applied,
+    page,
+    pageSize,
+    screenParams,
+    apply: (values) => write(values),
+    reset: () => write({ ...defaults, columns: applied.columns }),
+    load: (params) => {
+      const next = new URLSearchParams(params)
+      if (pageSize !== SCREENER_DEFAULT_PAGE_SIZE) next.set('page_size', String(pageSize))
+      setSearchParams(next)
+    },
+    setColumns: (keys) => write({ ...applied, columns: keys }, { page }, { replace: true }),
+    setPage: (next) => write(applied, { page: typeof next === 'function' ? next(page) : next }, { replace: true }),
+    setPageSize: (size) => write(applied, { pageSize: size }, { replace: true }),
   }
+}
 
-  const applyFilters = () => {
-    const filtered = allRows.filter(
-      (row) =>
-        passMin(row.volume, form.minVolume) &&
-        passMin(row.liquidity, form.minLiquidity) &&
-        passCategory(row.category, form.category),
-    )
-    setFilteredRows(sortRows(filtered))
-    setPage(1)
+// Keeps the form draft in step with the URL when it changes underneath it
+// (back/forward, a pasted link) without clobbering edits in between.
+function useScreenerDraft(applied) {
+  const [draft, setDraft] = useState({ source: applied, form: applied })
+  if (draft.source !== applied) setDraft({ source: applied, form: applied })
+  const form = draft.source === applied ? draft.form : applied
+  const setForm = (update) => setDraft((prev) => ({ ...prev, form: typeof update === 'function' ? update(prev.form) : update }))
+  return [form, setForm]
+}
+
+// Every whitespace-separated term must appear in the ticker, title or question
+function matchesScreenerQuery(row, q) {
+  const terms = String(q ?? '').toLowerCase().split(/\s+/).filter(Boolean)
+  if (terms.length === 0) return true
+  const haystack = [row.market_ticker, row.event_ticker, row.title, row.question, row.event_title]
+    .filter(Boolean)
+    .join(' ')
+    .toLowerCase()
+  return terms.every((t) => haystack.includes(t))
+}
+
+function sortScreenerRows(rows, sortBy, sortDir) {
+  return [...rows].sort((a, b) => {
+    const aVal = a[sortBy]
+    const bVal = b[sortBy]
+    if (typeof aVal === 'string' && typeof bVal === 'string') {
+      return sortDir === 'asc' ? aVal.localeCompare(bVal) : bVal.localeCompare(aVal)
+    }
+    const aNum = Number(aVal)
+    const bNum = Number(bVal)
+    const safeA = Number.isFinite(aNum) ? aNum : -Infinity
+    const safeB = Number.isFinite(bNum) ? bNum : -Infinity
+    return sortDir === 'asc' ? safeA - safeB : safeB - safeA
+  })
+}
+
+function ScreenerSearchInput({ value, onChange, onSubmit, placeholder }) {
+  return (
+    <div className="screener-filter-group screener-search">
+      <label htmlFor="q">Search</label>
+      <input
+        id="q"
+        name="q"
+        type="search"
+        value={value}
+        onChange={onChange}
+        onKeyDown={(e) => { if (e.key === 'Enter') onSubmit() }}
+        placeholder={placeholder}
+      />
+    </div>
+  )
+}
+
+// ─── Screener history ────────────────────────────────────────────────────────
+// The 24h mid-price history behind the screeners' sparkline and Δ24h columns.
+// `/markets/history?ids=a,b,c&hours=24` answers the rows of
+// `/markets/:id/history` for several markets at once, each tagged with its
+// market_ticker / condition_id, so rows cost one request per
+// MARKET_HISTORY_BATCH markets instead of one each (/compare reuses it). The
+// derived fields are merged onto the rows, where they sort and filter like
+// any other:
+//   history_24h — mid in probability points, oldest first
+//   change_24h  — last minus first point
+//   range_24h   — high minus low (what the sparkline column sorts by)
+
+const SCREENER_HISTORY_HOURS = 24
+const MARKET_HISTORY_BATCH = 50
+
+function marketHistoryUrls(adapter, ids, hours) {
+  const urls = []
+  for (let i = 0; i < ids.length; i += MARKET_HISTORY_BATCH) {
+    const query = new URLSearchParams({ ids: ids.slice(i, i + MARKET_HISTORY_BATCH).join(','), hours })
+    urls.push(`${adapter.base}/markets/history?${query}`)
   }
+  return urls
+}
 
-  const resetFilters = () => {
-    setForm({ minVolume: '', minLiquidity: '', category: '', sortBy: 'tradability_score', sortDir: 'desc' })
-    setFilteredRows(allRows)
-    setPage(1)
+// id -> normalized points oldest first, from the batch responses (non-arrays,
+// i.e. failed batches, are skipped)
+function marketHistoryById(adapter, responses) {
+  const map = new Map()
+  for (const json of responses) {
+    if (!Array.isArray(json)) continue
+    for (const row of json) {
+      const point = adapter.market(row)
+      if (!point.id) continue
+      if (!map.has(point.id)) map.set(point.id, [])
+      map.get(point.id).push(point)
+    }
   }
+  map.forEach((points) => points.sort((a, b) => new Date(a.snap_ts) - new Date(b.snap_ts)))
+  return map
+}
 
-  const refreshOnly = () => setRefreshNonce((n) => n + 1)
+// { byId: id -> normalized points oldest first, loading, error } for `ids`. A
+// failed batch only leaves its markets without history; bumping `refreshKey`
+// revalidates.
+function useMarketHistories(provider, ids, hours, { refreshKey = 0 } = {}) {
+  const [batches, setBatches] = useState({})
+  const adapter = PROVIDERS[provider]
+  const key = ids.join(',')
+
+  const urls = useMemo(() => marketHistoryUrls(adapter, key ? key.split(',') : [], hours), [adapter, key, hours])
 
-  const totalPages = Math.max(1, Math.ceil((filteredRows?.length ?? 0) / pageSize) || 1)
   useEffect(() => {
-    setPage((prev) => Math.min(prev, totalPages))
-  }, [totalPages])
+    const controller = new AbortController()
+    const store = (url, value) => setBatches((prev) => (prev[url] === value ? prev : { ...prev, [url]: value }))
+    for (const url of urls) {
+      _cachedFetch(
+        url,
+        (json) => store(url, json),
+        () => {},
+        (err) => {
+          reportProviderFailure(provider, err)
+          store(url, err)
+        },
+        controller.signal,
+        { force: refreshKey > 0, onStale: (err) => reportProviderFailure(provider, err) },
+      )
+    }
+    return () => controller.abort()
+  }, [provider, urls, refreshKey])
 
-  const pageStart = (page - 1) * pageSize
-  const pageRows = filteredRows.slice(pageStart, pageStart + pageSize)
+  const byId = useMemo(() => marketHistoryById(adapter, urls.map((url) => batches[url])), [urls, batches, adapter])
 
-  const fmtPct = (v) => (typeof v === 'number' ? `${(v * 100).toFixed(1)}%` : v)
-  const fmtNum = (v) => (typeof v === 'number' ? v.toLocaleString('en-US') : v)
-  const fmtDec = (v, d = 2) => (typeof v === 'number' ? v.toFixed(d) : v)
+  return {
+    byId,
+    loading: urls.some((url) => !(url in batches)),
+    error: urls.map((url) => batches[url]).find((value) => value instanceof Error) ?? null,
+  }
+}
 
-  return (
-    <div className="dashboard">
-      <p className="seo-blurb">
-        Polymarket screener — filter by volume, liquidity, and category; sort
-        by tradability score, churn, uncertainty, or any metric.
-      </p>
-      <h2>Polymarket Screener</h2>
+function historyStats(points) {
+  const values = points.map((p) => toPoints(p.prob)).filter((v) => v !== null)
+  return {
+    history_24h: values,
+    change_24h: values.length >= 2 ? values[values.length - 1] - values[0] : null,
+    range_24h: values.length >= 2 ? Math.max(...values) - Math.min(...values) : null,
+  }
+}
 
-      <fieldset className="screener-filters">
-        <div className="screener-filter-group">
-          <label htmlFor="poly-minVolume">Min Volume (USDC)</label>
-          <input
-            id="poly-minVolume"
-            name="minVolume"
-            type="number"
-            min="0"
-            value={form.minVolume}
-            onChange={handleChange}
-            placeholder="e.g. 100000"
-          />
-        </div>
-        <div className="screener-filter-group">
-          <label htmlFor="poly-minLiquidity">Min Liquidity (USDC)</label>
-          <input
-            id="poly-minLiquidity"
-            name="minLiquidity"
-            type="number"
-            min="0"
-            value={form.minLiquidity}
-            onChange={handleChange}
-            placeholder="e.g. 5000"
-          />
-        </div>
-        <div className="screener-filter-group">
-          <label htmlFor="poly-category">Category</label>
-          <input
-            id="poly-category"
-            name="category"
-            type="text"
-            value={form.category}
-            onChange={handleChange}
-            placeholder="e.g. Politics"
-          />
-        </div>
-        <div className="screener-filter-group">
-          <label htmlFor="poly-sortBy">Order by</label>
-          <select id="poly-sortBy" name="sortBy" value={form.sortBy} onChange={handleChange}>
-            <option value="tradability_score">Tradability score</option>
-            <option value="volume">Volume</option>
-            <option value="volume_24hr">Volume 24h</option>
-            <option value="liquidity">Liquidity</option>
-            <option value="churn_rate">Churn rate</option>
-            <option value="uncertainty">Uncertainty</option>
-          </select>
-        </div>
-        <div className="screener-filter-group">
-          <label htmlFor="poly-sortDir">Direction</label>
-          <select id="poly-sortDir" name="sortDir" value={form.sortDir} onChange={handleChange}>
-            <option value="desc">Desc</option>
-            <option value="asc">Asc</option>
-          </select>
-        </div>
-        <div className="screener-filter-actions">
-          <button type="button" onClick={applyFilters}>Apply filters</button>
-          <button type="button" onClick={refreshOnly}>Refresh</button>
-          <button type="button" onClick={resetFilters}>Reset</button>
-        </div>
-      </fieldset>
+const historyStatsById = (byId) => new Map([...byId].map(([id, points]) => [id, historyStats(points)]))
 
-      <div className="panel" style={{ marginTop: '0.5rem', marginBottom: '1.5rem' }}>
-        <div className="panel-header">
-          <div className="panel-title">High-Activity Markets (Polymarket)</div>
-        </div>
-        <div className="panel-body">
-          {screener.loading && <div className="loading">Loading screener…</div>}
-          {screener.error   && <div className="error">{screener.error.message}</div>}
-          {filteredRows.length > 0 && (
-            <div className="markets-table-scroll">
-              <div className="screener-table-controls">
-                <div className="screener-results-meta">
-                  Showing {filteredRows.length === 0 ? 0 : pageStart + 1}–
-                  {Math.min(pageStart + pageSize, filteredRows.length)} of{' '}
-                  {filteredRows.length}
-                </div>
-                <div className="screener-page-size">
-                  <label htmlFor="poly-pageSize">Results per page</label>
-                  <select
-                    id="poly-pageSize"
-                    value={pageSize}
-                    onChange={(e) => { setPageSize(Number(e.target.value)); setPage(1) }}
-                  >
-                    {[10, 25, 50, 100].map((s) => (
-                      <option key={s} value={s}>{s}</option>
-                    ))}
-                  </select>
-                </div>
-                <div className="screener-pagination">
-                  <button type="button" onClick={() => setPage(1)} disabled={page === 1}>First</button>
-                  <button type="button" onClick={() => setPage((p) => Math.max(1, p - 1))} disabled={page === 1}>Prev</button>
-                  <span className="screener-page-indicator">Page {page} of {totalPages}</span>
-                  <button type="button" onClick={() => setPage((p) => Math.min(totalPages, p + 1))} disabled={page === totalPages}>Next</button>
-                  <button type="button" onClick={() => setPage(totalPages)} disabled={page === totalPages}>Last</button>
-                </div>
-              </div>
-              <table className="markets-table">
-                <thead>
-                  <tr>
-                    <th>Question</th>
-                    <th>Category</th>
-                    <th>Volume (USDC)</th>
-                    <th>Vol 24h (USDC)</th>
-                    <th>Liquidity (USDC)</th>
-                    <th>Yes</th>
-                    <th>No</th>
-                    <th>Churn</th>
-                    <th>Uncertainty</th>
-                    <th>Tradability</th>
-                  </tr>
-                </thead>
-                <tbody>
-                  {pageRows.map((row, idx) => (
-                    <tr key={row.condition_id ?? idx}>
-                      <td>{row.question ?? row.title}</td>
-                      <td>{row.category ?? '—'}</td>
-                      <td>{fmtNum(row.volume)}</td>
-                      <td>{fmtNum(row.volume_24hr)}</td>
-                      <td>{fmtNum(row.liquidity)}</td>
-                      <td>{fmtPct(row.outcome_yes_price)}</td>
-                      <td>{fmtPct(row.outcome_no_price)}</td>
-                      <td>{fmtDec(row.churn_rate)}</td>
-                      <td>{fmtDec(row.uncertainty)}</td>
-                      <td>{fmtDec(row.tradability_score)}</td>
-                    </tr>
-                  ))}
-                </tbody>
-              </table>
-            </div>
-          )}
-          {Array.isArray(screener.data) && filteredRows.length === 0 &&
-            !screener.loading && !screener.error && (
-            <span className="muted">No screener results available.</span>
-          )}
-        </div>
-      </div>
-    </div>
+// id -> historyStats for `ids`
+function useScreenerHistory(provider, ids) {
+  const { byId } = useMarketHistories(provider, ids, SCREENER_HISTORY_HOURS)
+  return useMemo(() => historyStatsById(byId), [byId])
+}
+
+// historyStats for `rows` fetched outside the hooks, for exports. As on
+// screen, a failed batch only leaves its markets without history.
+async function fetchScreenerHistory(provider, rows, idOf, signal) {
+  const adapter = PROVIDERS[provider]
+  const responses = []
+  for (const url of marketHistoryUrls(adapter, rows.map(idOf).filter(Boolean), SCREENER_HISTORY_HOURS)) {
+    responses.push(await _fetchUncached(provider, url, signal).catch((err) => {
+      if (err.name === 'AbortError') throw err
+      return null
+    }))
+  }
+  return historyStatsById(marketHistoryById(adapter, responses))
+}
+
+function withHistory(rows, history, idOf) {
+  if (history.size === 0) return rows
+  return rows.map((row) => {
+    const stats = history.get(idOf(row))
+    return stats ? { ...row, ...stats } : row
+  })
+}
+
+function Sparkline({ values, width = 80, height = 24 }) {
+  const points = buildNormPoints(values, width, height, 2)
+  if (!points) return <span className="muted">—</span>
+  const rising = values[values.length - 1] >= values[0]
+  return (
+    <svg
+      className={`sparkline ${rising ? 'delta-positive' : 'delta-negative'}`}
+      width={width}
+      height={height}
+      viewBox={`0 0 ${width} ${height}`}
+      aria-hidden="true"
+    >
+      <polyline points={points} fill="none" stroke="currentColor" strokeWidth="1.5" />
+    </svg>
   )
 }
 
-// ─── Treemap helpers ─────────────────────────────────────────────────────────
+const fmtCellChange = (v) => (typeof v === 'number' ? `${v >= 0 ? '+' : ''}${v.toFixed(1)}` : '—')
+const changeClass = (row) => {
+  if (typeof row.change_24h !== 'number' || row.change_24h === 0) return ''
+  return row.change_24h > 0 ? 'delta-positive' : 'delta-negative'
+}
 
-function tmLayout(items, x = 0, y = 0, w = 100, h = 100) {
-  if (!items || items.length === 0) return []
-  if (items.length === 1) return [{ ...items[0], x, y, w, h }]
-  const sorted = [...items].sort((a, b) => b.value - a.value)
-  const total = sorted.reduce((s, it) => s + it.value, 0)
-  if (total === 0) return sorted.map((it, i) => ({ ...it, x: x + (i / sorted.length) * w, y, w: w / sorted.length, h }))
-  let cum = 0, splitIdx = sorted.length - 1
-  for (let i = 0; i < sorted.length - 1; i++) {
-    cum += sorted[i].value
-    if (cum >= total / 2) { splitIdx = i; break }
-  }
-  const first = sorted.slice(0, splitIdx + 1)
-  const second = sorted.slice(splitIdx + 1)
-  const ratio = first.reduce((s, it) => s + it.value, 0) / total
-  const wide = w >= h
-  const [r1, r2] = wide
-    ? [{ x, y, w: w * ratio, h }, { x: x + w * ratio, y, w: w * (1 - ratio), h }]
-    : [{ x, y, w, h: h * ratio }, { x, y: y + h * ratio, w, h: h * (1 - ratio) }]
-  return [...tmLayout(first, r1.x, r1.y, r1.w, r1.h), ...tmLayout(second, r2.x, r2.y, r2.w, r2.h)]
+// Shared by every screener's column set
+const SCREENER_HISTORY_COLUMNS = [
+  { key: 'range_24h', label: 'Mid 24h', render: (row) => <Sparkline values={row.history_24h} /> },
+  { key: 'change_24h', label: 'Δ24h (pp)', className: changeClass, render: (row) => fmtCellChange(row.change_24h) },
+]
+
+const SCREENER_HISTORY_FILTER_FIELDS = {
+  change_24h: { label: 'Δ24h (pp)' },
+  range_24h: { label: '24h range (pp)' },
 }
 
-function lerpC(a, b, t) { return Math.round(a + (b - a) * t) }
+// ─── Screener filter builder ─────────────────────────────────────────────────
+// A screen's range filters are groups of min/max conditions. Each group joins
+// its conditions with its own AND/OR and the groups are joined by `op`. In the
+// URL a group reads `all:volume:1000~,!spread_ticks:~3` (`any:` for OR, `!`
+// for NOT), groups are separated by `|`, and `match=any` ORs the groups.
+
+// `value` derives columns the API doesn't return; `server` names the screener
+// params a required bound can be pushed down to.
+const KALSHI_FILTER_FIELDS = {
+  volume: { label: 'Volume', server: { min: 'min_volume' } },
+  open_interest: { label: 'Open interest', server: { min: 'min_open_interest' } },
+  yes_bid: { label: 'Yes bid' },
+  yes_ask: { label: 'Yes ask' },
+  mid: {
+    label: 'Mid',
+    value: (row) => (num(row.yes_bid) !== null && num(row.yes_ask) !== null
+      ? (num(row.yes_bid) + num(row.yes_ask)) / 2
+      : null),
+  },
+  spread_ticks: { label: 'Spread (ticks)', server: { max: 'max_spread_ticks' } },
+  tradability_score: { label: 'Tradability' },
+  churn_rate: { label: 'Churn rate' },
+  ...SCREENER_HISTORY_FILTER_FIELDS,
+}
 
-function heatColor(norm, direction = 0) {
-  // Directional: green = probability UP, red = probability DOWN
-  // norm = 0→1 magnitude, direction = sign of the shift
-  // Floor of ~0.18 ensures even quiet tiles are clearly visible against the bg
-  const t = Math.max(0, Math.min(1, norm))
-  const floor = 0.18
-  const s = floor + t * (1 - floor) // effective intensity, never below floor
-  if (direction > 0) {
-    // Up → green: visible dark teal → bright green
-    return `rgb(${lerpC(22, 10, s)},${lerpC(58, 200, s)},${lerpC(52, 90, s)})`
-  }
-  if (direction < 0) {
-    // Down → red: visible dark maroon → bright red
-    return `rgb(${lerpC(62, 210, s)},${lerpC(34, 28, s)},${lerpC(40, 38, s)})`
-  }
-  // Neutral (0 shift) → muted gray (still visible)
-  return `rgb(45,50,58)`
+const POLY_FILTER_FIELDS = {
+  volume: { label: 'Volume (USDC)', server: { min: 'min_volume' } },
+  volume_24hr: { label: 'Vol 24h (USDC)' },
+  liquidity: { label: 'Liquidity (USDC)', server: { min: 'min_liquidity' } },
+  outcome_yes_price: { label: 'Yes (%)', value: (row) => toPoints(row.outcome_yes_price) },
+  outcome_no_price: { label: 'No (%)', value: (row) => toPoints(row.outcome_no_price) },
+  // The API reports spread as a 0–1 price difference
+  spread: { label: 'Spread (pp)', value: (row) => toPoints(row.spread) },
+  churn_rate: { label: 'Churn rate' },
+  uncertainty: { label: 'Uncertainty' },
+  tradability_score: { label: 'Tradability' },
+  ...SCREENER_HISTORY_FILTER_FIELDS,
 }
 
-function VolHeatmap({ groups, loading, error }) {
-  const [hovered, setHovered] = useState(null) // { gi, ci }
-  const [drillCat, setDrillCat] = useState(null) // index into valid[] when drilled-in
+const FILTER_CONDITION_RE = /^(!?)([a-z0-9_]+):([^~]*)~(.*)$/
 
-  if (loading) return <div className="loading">Building heatmap…</div>
-  if (error) return <div className="error">{error.message}</div>
-  const valid = (groups || []).filter((g) => g.totalValue > 0)
-  if (valid.length === 0) return <span className="muted">No sector data available yet.</span>
+const isFilterBound = (v) => v !== '' && Number.isFinite(Number(v))
 
-  // Compute dynamic maxHeat from actual data so color gradient spans the real range
-  const allHeats = (groups || []).flatMap((g) =>
-    (g.children || []).map((c) => Math.abs(c.heat ?? 0))
-  )
-  const maxHeat = allHeats.length > 0
-    ? Math.max(20, ...allHeats) // floor of 20 prevents division by tiny values
-    : 50
-  const GAP = 0.2
-  const HEADER_H = 3.2
+function emptyFilterCondition(fields) {
+  return { field: Object.keys(fields)[0], min: '', max: '', not: false }
+}
 
-  // ── Drilled-in view: one category fills the whole map ──────────────
-  const isDrilled = drillCat != null && valid[drillCat]
-  const drilledGroup = isDrilled ? valid[drillCat] : null
+// Groups with their blank conditions (no min and no max) dropped
+function activeFilterGroups(filter) {
+  return (filter?.groups ?? [])
+    .map((group) => ({
+      ...group,
+      conditions: group.conditions.filter((c) => isFilterBound(c.min) || isFilterBound(c.max)),
+    }))
+    .filter((group) => group.conditions.length > 0)
+}
 
-  const buildElements = () => {
-    if (isDrilled) {
-      // Full-viewport layout for the selected category's markets
-      const drillElements = []
-      const children = drilledGroup.children || []
-      if (children.length === 0) return drillElements
-      const childRects = tmLayout(children, 0, 0, 100, 60)
-      childRects.forEach((rect, ci) => {
-        drillElements.push({
-          type: 'market',
-          x: rect.x, y: rect.y, w: rect.w, h: rect.h,
-          label: rect.label,
-          heat: rect.heat,
-          heatLabel: rect.heatLabel,
-          value: rect.value,
-          oldPct: rect.oldPct,
-          newPct: rect.newPct,
-          ticker: rect.ticker,
-          spread: rect.spread,
-          volume: rect.volume,
-          liquidity: rect.liquidity,
-          timeframe: rect.timeframe,
-          gi: drillCat, ci,
-          norm: Math.abs(rect.heat ?? 0) / maxHeat,
-          direction: (rect.heat ?? 0),
-        })
-      })
-      return drillElements
-    }
+// Thrown for a filter naming fields the screener doesn't have, so a stale link
+// or a screen from another screener isn't applied with conditions missing
+class ScreenerFilterError extends Error {
+  constructor(fields) {
+    super(`Unknown filter field${fields.length === 1 ? '' : 's'}: ${fields.join(', ')}`)
+    this.name = 'ScreenerFilterError'
+    this.fields = fields
+  }
+}
 
-    // ── Normal overview ──────────────────────────────────────────────
-    const catItems = valid.map((g) => ({ value: g.totalValue }))
-    const catRects = tmLayout(catItems, 0, 0, 100, 60)
-    const els = []
-    catRects.forEach((cr, gi) => {
-      const g = valid[gi]
-      els.push({ type: 'cat-bg', x: cr.x, y: cr.y, w: cr.w, h: cr.h, gi, category: g.category })
-      const innerX = cr.x + GAP
-      const innerY = cr.y + HEADER_H
-      const innerW = Math.max(0, cr.w - GAP * 2)
-      const innerH = Math.max(0, cr.h - HEADER_H - GAP)
-      if (innerW > 0.5 && innerH > 0.5 && g.children.length > 0) {
-        const childRects = tmLayout(g.children, innerX, innerY, innerW, innerH)
-        childRects.forEach((rect, ci) => {
-          els.push({
-            type: 'market',
-            x: rect.x, y: rect.y, w: rect.w, h: rect.h,
-            label: rect.label,
-            heat: rect.heat,
-            heatLabel: rect.heatLabel,
-            value: rect.value,
-            oldPct: rect.oldPct,
-            newPct: rect.newPct,
-            ticker: rect.ticker,
-            spread: rect.spread,
-            volume: rect.volume,
-            liquidity: rect.liquidity,
-            timeframe: rect.timeframe,
-            gi, ci,
-            norm: Math.abs(rect.heat ?? 0) / maxHeat,
-            direction: (rect.heat ?? 0),
-          })
-        })
+function parseScreenerFilter(text, match, fields) {
+  const unknown = new Set()
+  const groups = String(text ?? '').split('|').map((part) => {
+    const [, op, body] = part.match(/^(all|any):(.*)$/) ?? []
+    if (!op) return null
+    const conditions = body.split(',').map((token) => {
+      const [, not, field, min, max] = token.match(FILTER_CONDITION_RE) ?? []
+      if (!field) return null
+      if (!fields?.[field]) {
+        unknown.add(field)
+        return null
       }
-    })
-    return els
-  }
+      return { field, min: isFilterBound(min) ? min : '', max: isFilterBound(max) ? max : '', not: not === '!' }
+    }).filter(Boolean)
+    return { op: op === 'any' ? 'or' : 'and', conditions }
+  }).filter(Boolean)
+  if (unknown.size > 0) throw new ScreenerFilterError([...unknown])
+  return { op: match === 'any' ? 'or' : 'and', groups: activeFilterGroups({ groups }) }
+}
 
-  const elements = buildElements()
+function serializeScreenerFilter(filter) {
+  return activeFilterGroups(filter)
+    .map((group) => `${group.op === 'or' ? 'any' : 'all'}:${group.conditions
+      .map((c) => `${c.not ? '!' : ''}${c.field}:${isFilterBound(c.min) ? c.min : ''}~${isFilterBound(c.max) ? c.max : ''}`)
+      .join(',')}`)
+    .join('|')
+}
 
-  const hoveredEl = hovered ? elements.find((e) => e.type === 'market' && e.gi === hovered.gi && e.ci === hovered.ci) : null
-  const hoveredChild = hoveredEl || null
-  const hoveredCat = hovered ? valid[hovered.gi]?.category : null
+function matchesFilterCondition(row, cond, fields) {
+  const def = fields[cond.field]
+  const raw = def?.value ? def.value(row) : row[cond.field]
+  const value = raw === null || raw === undefined || raw === '' ? NaN : Number(raw)
+  const inRange = Number.isFinite(value) &&
+    (!isFilterBound(cond.min) || value >= Number(cond.min)) &&
+    (!isFilterBound(cond.max) || value <= Number(cond.max))
+  return cond.not ? !inRange : inRange
+}
 
-  const handleTileClick = (el) => {
-    if (isDrilled) return // already drilled in, do nothing on tile click
-    setDrillCat(el.gi)
-    setHovered(null)
+function matchesScreenerFilter(row, filter, fields) {
+  const groups = activeFilterGroups(filter)
+  if (groups.length === 0) return true
+  const groupMatches = (group) => (group.op === 'or'
+    ? group.conditions.some((c) => matchesFilterCondition(row, c, fields))
+    : group.conditions.every((c) => matchesFilterCondition(row, c, fields)))
+  return filter.op === 'or' ? groups.some(groupMatches) : groups.every(groupMatches)
+}
+
+// Bounds every row must satisfy narrow the server query too; anything under
+// an OR or a NOT is only applied client-side.
+function screenerServerParams(filter, fields) {
+  const params = {}
+  const groups = activeFilterGroups(filter)
+  if (filter.op === 'or' && groups.length > 1) return params
+  for (const group of groups) {
+    if (group.op === 'or' && group.conditions.length > 1) continue
+    for (const cond of group.conditions) {
+      const server = fields[cond.field]?.server
+      if (!server || cond.not) continue
+      if (server.min && isFilterBound(cond.min)) {
+        params[server.min] = Math.max(params[server.min] ?? -Infinity, Number(cond.min))
+      }
+      if (server.max && isFilterBound(cond.max)) {
+        params[server.max] = Math.min(params[server.max] ?? Infinity, Number(cond.max))
+      }
+    }
   }
+  return params
+}
 
-  const handleCatClick = (gi) => {
-    setDrillCat(gi)
-    setHovered(null)
+// True when screenerServerParams expresses the whole filter: every condition
+// is an AND-ed bound with a server param, so the backend's rows need no
+// re-check here
+function filterRunsOnServer(filter, fields) {
+  const groups = activeFilterGroups(filter)
+  if (filter.op === 'or' && groups.length > 1) return false
+  return groups.every((group) => (group.op !== 'or' || group.conditions.length === 1) &&
+    group.conditions.every((cond) => {
+      const server = fields[cond.field]?.server
+      return Boolean(server) && !cond.not &&
+        (!isFilterBound(cond.min) || Boolean(server.min)) &&
+        (!isFilterBound(cond.max) || Boolean(server.max))
+    }))
+}
+
+function describeFilterCondition(cond, fields) {
+  const label = fields[cond.field]?.label ?? cond.field
+  const fmt = (v) => Number(v).toLocaleString('en-US')
+  let text
+  if (isFilterBound(cond.min) && isFilterBound(cond.max)) text = `${fmt(cond.min)} ≤ ${label} ≤ ${fmt(cond.max)}`
+  else if (isFilterBound(cond.min)) text = `${label} ≥ ${fmt(cond.min)}`
+  else text = `${label} ≤ ${fmt(cond.max)}`
+  return cond.not ? `NOT ${text}` : text
+}
+
+// The whole filter on one line, e.g. `Volume ≥ 1,000 and (Yes (%) ≤ 10 or NOT Churn ≥ 2)`
+function describeScreenerFilter(filter, fields) {
+  const groups = activeFilterGroups(filter)
+  return groups.map((group) => {
+    const text = group.conditions
+      .map((cond) => describeFilterCondition(cond, fields))
+      .join(group.op === 'or' ? ' or ' : ' and ')
+    return groups.length > 1 && group.conditions.length > 1 ? `(${text})` : text
+  }).join(filter.op === 'or' ? ' or ' : ' and ')
+}
+
+function ScreenerFilterBuilder({ fields, value, onChange, idPrefix }) {
+  const groups = value?.groups ?? []
+  const setGroups = (next) => onChange({ ...value, groups: next })
+  const updateGroup = (gi, update) => setGroups(groups.map((g, i) => (i === gi ? { ...g, ...update } : g)))
+  const updateCondition = (gi, ci, update) => updateGroup(gi, {
+    conditions: groups[gi].conditions.map((c, i) => (i === ci ? { ...c, ...update } : c)),
+  })
+  const removeCondition = (gi, ci) => {
+    const conditions = groups[gi].conditions.filter((_, i) => i !== ci)
+    setGroups(conditions.length > 0
+      ? groups.map((g, i) => (i === gi ? { ...g, conditions } : g))
+      : groups.filter((_, i) => i !== gi))
   }
+  const addGroup = () => setGroups([...groups, { op: 'and', conditions: [emptyFilterCondition(fields)] }])
 
   return (
-    <div className="vol-heatmap-wrap">
-      {/* Breadcrumb nav */}
-      <div className="hm-breadcrumb">
-        <span
-          className={`hm-breadcrumb-item${isDrilled ? ' clickable' : ' active'}`}
-          onClick={isDrilled ? () => { setDrillCat(null); setHovered(null) } : undefined}
-        >
-          Whole Market
-        </span>
-        {isDrilled && (
-          <>
-            <span className="hm-breadcrumb-sep">›</span>
-            <span className="hm-breadcrumb-item active">{drilledGroup.category}</span>
-          </>
+    <div className="filter-builder">
+      <div className="filter-builder-header">
+        <span className="filter-builder-title">Range filters</span>
+        {groups.length > 1 && (
+          <select
+            aria-label="Combine groups"
+            value={value.op}
+            onChange={(e) => onChange({ ...value, op: e.target.value })}
+          >
+            <option value="and">Match all groups</option>
+            <option value="or">Match any group</option>
+          </select>
         )}
       </div>
-
-      <svg viewBox="0 0 100 60" className="vol-heatmap-svg" preserveAspectRatio="xMidYMid meet">
-        {elements.map((el, i) => {
-          if (el.type === 'cat-bg') {
-            const rx = el.x + GAP / 2
-            const ry = el.y + GAP / 2
-            const rw = Math.max(0, el.w - GAP)
-            const rh = Math.max(0, el.h - GAP)
-            if (rw < 0.8 || rh < 0.8) return null
-            const fs = Math.min(1.8, Math.max(0.6, Math.min(rw / 8, rh / 4)))
-            const showLabel = rw > 2.5 || rh > 3
+      {groups.map((group, gi) => (
+        <div className="filter-group" key={gi}>
+          <div className="filter-group-header">
+            <select
+              aria-label={`Group ${gi + 1} logic`}
+              value={group.op}
+              onChange={(e) => updateGroup(gi, { op: e.target.value })}
+            >
+              <option value="and">All of (AND)</option>
+              <option value="or">Any of (OR)</option>
+            </select>
+            <button type="button" className="filter-remove" onClick={() => setGroups(groups.filter((_, i) => i !== gi))}>
+              Remove group
+            </button>
+          </div>
+          {group.conditions.map((cond, ci) => {
+            const id = `${idPrefix}-filter-${gi}-${ci}`
             return (
-              <g key={`cat-${i}`} style={{ cursor: 'pointer' }} onClick={() => handleCatClick(el.gi)}>
-                <rect
-                  x={rx} y={ry} width={rw} height={rh}
-                  fill="rgba(255,255,255,0.04)"
-                  stroke="rgba(255,255,255,0.12)"
-                  strokeWidth={0.15}
-                  rx={0.4}
+              <div className="filter-condition" key={ci}>
+                <label className="filter-not" htmlFor={`${id}-not`}>
+                  <input
+                    id={`${id}-not`}
+                    type="checkbox"
+                    checked={cond.not}
+                    onChange={(e) => updateCondition(gi, ci, { not: e.target.checked })}
+                  />
+                  Not
+                </label>
+                <select
+                  aria-label="Field"
+                  value={cond.field}
+                  onChange={(e) => updateCondition(gi, ci, { field: e.target.value })}
+                >
+                  {Object.entries(fields).map(([key, def]) => (
+                    <option key={key} value={key}>{def.label}</option>
+                  ))}
+                </select>
+                <input
+                  aria-label="Minimum"
+                  type="number"
+                  step="any"
+                  value={cond.min}
+                  onChange={(e) => updateCondition(gi, ci, { min: e.target.value })}
+                  placeholder="min"
                 />
-                {showLabel && (() => {
-                  const maxCatChars = Math.max(2, Math.floor(rw / (fs * 0.65)))
-                  const catLabel = el.category.length > maxCatChars
-                    ? el.category.slice(0, maxCatChars - 1) + '…'
-                    : el.category
-                  return (
-                  <text
-                    x={rx + 0.4} y={ry + Math.min(HEADER_H, rh * 0.35) * 0.62}
-                    fontSize={fs}
-                    fontWeight="800"
-                    fill="rgba(255,255,255,0.7)"
-                    style={{ pointerEvents: 'none', userSelect: 'none', textTransform: 'uppercase', letterSpacing: '0.04em' }}
-                  >
-                    {catLabel}
-                  </text>
-                  )
-                })()}
-              </g>
+                <span className="muted">to</span>
+                <input
+                  aria-label="Maximum"
+                  type="number"
+                  step="any"
+                  value={cond.max}
+                  onChange={(e) => updateCondition(gi, ci, { max: e.target.value })}
+                  placeholder="max"
+                />
+                <button type="button" className="filter-remove" aria-label="Remove condition" onClick={() => removeCondition(gi, ci)}>
+                  ×
+                </button>
+              </div>
             )
-          }
-          if (el.type === 'market') {
-            const norm = Math.max(0, Math.min(1, el.norm))
-            const fill = heatColor(norm, el.direction)
-            const pad = 0.12
-            const rx = el.x + pad
-            const ry = el.y + pad
-            const rw = Math.max(0, el.w - pad * 2)
-            const rh = Math.max(0, el.h - pad * 2)
-            if (rw < 0.25 || rh < 0.25) return null
-            const area = rw * rh
-            // Drilled-in tiles are much larger, so we can always show more info
-            const fs = isDrilled
-              ? Math.max(0.7, Math.min(1.8, rw / 8))
-              : Math.max(0.55, Math.min(1.6, rw / 8))
-            const subFs = fs * 0.72
-            const showLabel = isDrilled ? area > 0.5 : area > 1.5
-            const showHeat = isDrilled ? area > 2 : (area > 5 && el.heatLabel)
-            // In drill mode, show extra detail lines (old→new, ticker, volume)
-            const showExtra = isDrilled && area > 10
-            const maxChars = isDrilled
-              ? Math.max(6, Math.floor(rw / fs * 1.8))
-              : Math.max(2, Math.floor(rw / fs * 1.5))
-            const label = (el.label || '').length > maxChars
-              ? (el.label || '').slice(0, maxChars - 1) + '…'
-              : (el.label || '')
-            const isHov = hovered && hovered.gi === el.gi && hovered.ci === el.ci
-
-            // Count how many text lines we'll draw for vertical centering
-            const lineCount = 1 + (showHeat ? 1 : 0) + (showExtra ? 1 : 0) + (showExtra && el.volume ? 1 : 0)
-            const lineH = fs * 1.15
-            const blockH = lineCount * lineH
-            const startY = ry + rh / 2 - blockH / 2 + fs * 0.4
-
-            return (
-              <g key={`mk-${i}`}>
-                <rect
-                  x={rx} y={ry} width={rw} height={rh}
-                  fill={fill}
-                  rx={0.25}
-                  stroke={isHov ? 'rgba(255,255,255,0.55)' : 'rgba(0,0,0,0.4)'}
-                  strokeWidth={isHov ? 0.25 : 0.08}
-                  style={{ cursor: 'pointer', transition: 'stroke 0.12s' }}
-                  onMouseEnter={() => setHovered({ gi: el.gi, ci: el.ci })}
-                  onMouseLeave={() => setHovered(null)}
-                  onClick={() => handleTileClick(el)}
-                />
-                {showLabel && (
-                  <>
-                    <text
-                      x={rx + rw / 2}
-                      y={startY}
-                      textAnchor="middle" dominantBaseline="middle"
-                      fontSize={fs} fontWeight="700"
-                      fill="rgba(255,255,255,0.92)"
-                      style={{ pointerEvents: 'none', userSelect: 'none' }}
-                    >
-                      {label}
-                    </text>
-                    {showHeat && (
-                      <text
-                        x={rx + rw / 2}
-                        y={startY + lineH}
-                        textAnchor="middle" dominantBaseline="middle"
-                        fontSize={subFs} fontWeight="600"
-                        fill={norm > 0.5 ? 'rgba(30,30,50,0.95)' : 'rgba(255,255,255,0.85)'}
-                        style={{ pointerEvents: 'none', userSelect: 'none' }}
-                      >
-                        {el.heatLabel}
-                      </text>
-                    )}
-                    {showExtra && el.oldPct != null && el.newPct != null && (
-                      <text
-                        x={rx + rw / 2}
-                        y={startY + lineH * 2}
-                        textAnchor="middle" dominantBaseline="middle"
-                        fontSize={subFs * 0.9} fontWeight="500"
-                        fill="rgba(255,255,255,0.6)"
-                        style={{ pointerEvents: 'none', userSelect: 'none' }}
-                      >
-                        {el.oldPct}% → {el.newPct}%
-                      </text>
-                    )}
-                    {showExtra && el.volume != null && (
-                      <text
-                        x={rx + rw / 2}
-                        y={startY + lineH * (el.oldPct != null ? 3 : 2)}
-                        textAnchor="middle" dominantBaseline="middle"
-                        fontSize={subFs * 0.8} fontWeight="400"
-                        fill="rgba(255,255,255,0.45)"
-                        style={{ pointerEvents: 'none', userSelect: 'none' }}
-                      >
-                        Vol: {el.volume}
-                      </text>
-                    )}
-                  </>
-                )}
-              </g>
-            )
-          }
-          return null
-        })}
-      </svg>
+          })}
+          <button
+            type="button"
+            className="filter-add"
+            onClick={() => updateGroup(gi, { conditions: [...group.conditions, emptyFilterCondition(fields)] })}
+          >
+            + Condition
+          </button>
+        </div>
+      ))}
+      <button type="button" className="filter-add" onClick={addGroup}>
+        {groups.length === 0 ? '+ Add filter' : '+ Group'}
+      </button>
+    </div>
+  )
+}
 
-      {/* Hover detail card */}
-      <div className={`vol-heatmap-detail${hoveredChild ? ' visible' : ''}`}>
-        {hoveredChild ? (
-          <>
-            <div className="hm-detail-name">{hoveredChild.label}</div>
-            <div className="hm-detail-sub">{hoveredCat}{hoveredChild.ticker ? ` · ${hoveredChild.ticker}` : ''}</div>
-            <div className="hm-detail-grid">
-              {hoveredChild.oldPct != null && (
-                <>
-                  <span className="hm-detail-key">Was</span>
-                  <span className="hm-detail-val">{hoveredChild.oldPct}%</span>
-                </>
-              )}
-              {hoveredChild.newPct != null && (
-                <>
-                  <span className="hm-detail-key">Now</span>
-                  <span className="hm-detail-val">{hoveredChild.newPct}%</span>
-                </>
-              )}
-              <span className="hm-detail-key">Shift</span>
-              <span className={`hm-detail-val ${(hoveredChild.heat ?? 0) >= 0 ? 'tip-up' : 'tip-down'}`}>
-                {hoveredChild.heatLabel || '—'}
+// One chip per applied condition; removing one re-applies the screen without it
+function ScreenerFilterChips({ fields, filter, onRemove }) {
+  const groups = activeFilterGroups(filter)
+  if (groups.length === 0) return null
+  return (
+    <div className="filter-chips">
+      {groups.map((group, gi) => (
+        <span className="filter-chip-group" key={gi}>
+          {gi > 0 && <span className="filter-chip-joiner">{filter.op === 'or' ? 'or' : 'and'}</span>}
+          {groups.length > 1 && group.conditions.length > 1 && '('}
+          {group.conditions.map((cond, ci) => (
+            <span key={ci}>
+              {ci > 0 && <span className="filter-chip-joiner">{group.op === 'or' ? 'or' : 'and'}</span>}
+              <span className={`filter-chip${cond.not ? ' filter-chip-not' : ''}`}>
+                {describeFilterCondition(cond, fields)}
+                <button type="button" aria-label="Remove filter" onClick={() => onRemove(gi, ci)}>×</button>
               </span>
-              {hoveredChild.spread != null && (
-                <>
-                  <span className="hm-detail-key">Spread</span>
-                  <span className="hm-detail-val">{hoveredChild.spread}</span>
-                </>
-              )}
-              {hoveredChild.volume != null && (
-                <>
-                  <span className="hm-detail-key">Volume</span>
-                  <span className="hm-detail-val">{hoveredChild.volume}</span>
-                </>
-              )}
-              {hoveredChild.liquidity != null && (
-                <>
-                  <span className="hm-detail-key">Liquidity</span>
-                  <span className="hm-detail-val">{hoveredChild.liquidity}</span>
-                </>
-              )}
-              {hoveredChild.timeframe != null && (
-                <>
-                  <span className="hm-detail-key">Window</span>
-                  <span className="hm-detail-val">{hoveredChild.timeframe}</span>
-                </>
-              )}
-            </div>
-          </>
-        ) : (
-          <span className="hm-detail-hint">{isDrilled ? 'Hover a tile for details' : 'Click a category to drill in'}</span>
-        )}
-      </div>
-
-      {/* Legend */}
-      <div className="vol-heatmap-legend">
-        <span className="hm-leg-label down">▼ Down</span>
-        <div className="hm-leg-bar-down" />
-        <span className="hm-leg-label quiet">Quiet</span>
-        <div className="hm-leg-bar-up" />
-        <span className="hm-leg-label up">▲ Up</span>
-      </div>
+            </span>
+          ))}
+          {groups.length > 1 && group.conditions.length > 1 && ')'}
+        </span>
+      ))}
     </div>
   )
 }
 
-// ─── Vol Index Page ───────────────────────────────────────────────────────────
-
-function buildNormPoints(values, w = 100, h = 40, pad = 4) {
-  if (!values || values.length < 2) return ''
-  const validValues = values.filter(v => typeof v === 'number' && !isNaN(v));
-  if (validValues.length < 2) return ''
-  const min = Math.min(...validValues)
-  const max = Math.max(...validValues)
-  const span = max - min || 1
-  return values
-    .map((v, i) => {
-      if (typeof v !== 'number' || isNaN(v)) return null;
-      const x = (i / (values.length - 1)) * w
-      // Clamp the value between min and max to ensure it never goes out of bounds
-      const clampedV = Math.max(min, Math.min(max, v));
-      const norm = (clampedV - min) / span
-      const y = h - pad - norm * (h - pad * 2)
-      return `${x},${y}`
-    })
-    .filter(Boolean)
-    .join(' ')
+// Drops one condition (and its group if that was the last one) from an applied filter
+function withoutFilterCondition(filter, gi, ci) {
+  const groups = activeFilterGroups(filter)
+    .map((group, i) => (i === gi ? { ...group, conditions: group.conditions.filter((_, j) => j !== ci) } : group))
+  return { ...filter, groups: groups.filter((group) => group.conditions.length > 0) }
 }
 
-function ModernLineChart({ series, loading, error, showAxes = true, yAxisFormatter = (v) => v, xAxisFormatter = (v) => v }) {
-  const COLORS = ['#7c6af7', '#38bdf8', '#10b981', '#f59e0b', '#ef4444']
-  const [hoveredIndex, setHoveredIndex] = useState(null)
+// ─── Screener columns ────────────────────────────────────────────────────────
+// DataTable columns; `render` also gets `{ matches }`. Sorting is done by the
+// backend, so only columns it can `sort_by` are sortable; `value` on the others
+// is what exports write. The ordered visible set is kept in `cols` only when
+// it differs from the default.
+
+const fmtCellNum = (v) => (typeof v === 'number' ? v.toLocaleString('en-US') : v)
+const fmtCellDec = (v, d = 2) => (typeof v === 'number' ? v.toFixed(d) : v)
+const fmtCellPct = (v) => (typeof v === 'number' ? `${(v * 100).toFixed(1)}%` : v)
+const fmtCellUsd = (v) => (typeof v === 'number' ? `$${Math.round(v).toLocaleString('en-US')}` : '—')
+
+const KALSHI_SCREENER_COLUMNS = [
+  watchColumn((row) => ({ provider: 'kalshi', id: row.market_ticker, title: row.title })),
+  compareColumn((row) => ({ provider: 'kalshi', id: row.market_ticker, title: row.title })),
+  { key: 'ticker', label: 'Market Ticker', sortable: false, value: (row) => row.market_ticker, render: (row) => <MarketLink id={row.market_ticker} /> },
+  {
+    key: 'title',
+    label: 'Title',
+    sortable: false,
+    render: (row, { matches }) => (
+      <>
+        {row.title}
+        <CrossVenuePrice matches={matches} provider="kalshi" id={row.market_ticker} />
+      </>
+    ),
+  },
+  { key: 'volume', label: 'Volume', render: (row) => fmtCellNum(row.volume) },
+  { key: 'open_interest', label: 'Open Interest', render: (row) => fmtCellNum(row.open_interest) },
+  { key: 'yes_bid', label: 'Yes Bid', sortable: false, render: (row) => fmtCellDec(row.yes_bid, 0) },
+  { key: 'yes_ask', label: 'Yes Ask', sortable: false, render: (row) => fmtCellDec(row.yes_ask, 0) },
+  { key: 'mid', label: 'Mid', sortable: false, value: KALSHI_FILTER_FIELDS.mid.value, render: (row) => fmtCellDec(KALSHI_FILTER_FIELDS.mid.value(row), 1) ?? '' },
+  ...SCREENER_HISTORY_COLUMNS,
+  { key: 'spread_ticks', label: 'Spread (ticks)', render: (row) => fmtCellDec(row.spread_ticks, 1) },
+  { key: 'tradability_score', label: 'Tradability', render: (row) => fmtCellDec(row.tradability_score) },
+  { key: 'churn_rate', label: 'Churn Rate', render: (row) => fmtCellDec(row.churn_rate) },
+  { key: 'event', label: 'Event', sortable: false, optional: true, value: (row) => row.event_ticker, render: (row) => <EventLink id={row.event_ticker} /> },
+]
 
-  if (loading) return <div className="loading">Loading chart…</div>
-  if (error) return <div className="error">{error.message}</div>
-  if (!series || series.every((s) => !s.values || s.values.length < 2)) {
-    return <span className="muted">No chart data yet.</span>
-  }
+const POLY_SCREENER_COLUMNS = [
+  watchColumn((row) => ({ provider: 'poly', id: row.condition_id, title: row.question ?? row.title })),
+  compareColumn((row) => ({ provider: 'poly', id: row.condition_id, title: row.question ?? row.title })),
+  {
+    key: 'question',
+    label: 'Question',
+    sortable: false,
+    value: (row) => row.question ?? row.title,
+    render: (row, { matches }) => (
+      <>
+        <MarketLink provider="poly" id={row.condition_id}>{row.question ?? row.title}</MarketLink>
+        <CrossVenuePrice matches={matches} provider="poly" id={row.condition_id} />
+      </>
+    ),
+  },
+  { key: 'category', label: 'Category', sortable: false, render: (row) => row.category ?? '—' },
+  { key: 'volume', label: 'Volume (USDC)', render: (row) => fmtCellNum(row.volume) },
+  { key: 'volume_24hr', label: 'Vol 24h (USDC)', render: (row) => fmtCellNum(row.volume_24hr) },
+  { key: 'liquidity', label: 'Liquidity (USDC)', render: (row) => fmtCellNum(row.liquidity) },
+  { key: 'yes', label: 'Yes', sortable: false, value: (row) => row.outcome_yes_price, render: (row) => fmtCellPct(row.outcome_yes_price) },
+  { key: 'no', label: 'No', sortable: false, value: (row) => row.outcome_no_price, render: (row) => fmtCellPct(row.outcome_no_price) },
+  ...SCREENER_HISTORY_COLUMNS,
+  { key: 'spread', label: 'Spread', sortable: false, optional: true, render: (row) => fmtCellPct(row.spread) },
+  { key: 'churn_rate', label: 'Churn', render: (row) => fmtCellDec(row.churn_rate) },
+  { key: 'uncertainty', label: 'Uncertainty', render: (row) => fmtCellDec(row.uncertainty) },
+  { key: 'tradability_score', label: 'Tradability', render: (row) => fmtCellDec(row.tradability_score) },
+]
 
-  // Find global min/max for all series to scale them together if needed
-  // Or scale them independently if they have vastly different ranges
-  // For simplicity, we'll scale each series independently to fit the 0-40 viewBox height
-  // but we'll calculate the min/max for the first series to show on the Y axis
-  const primarySeries = series[0];
-  const validValues = primarySeries.values.filter(v => typeof v === 'number' && !isNaN(v));
-  const primaryMin = validValues.length ? Math.min(...validValues) : 0;
-  const primaryMax = validValues.length ? Math.max(...validValues) : 100;
-  const primarySpan = primaryMax - primaryMin || 1;
+function parseScreenerColumns(text, columns) {
+  return resolveTableLayout(text ? text.split(',') : null, columns)
+}
 
-  const yAxisLabels = [
-    primaryMax,
-    primaryMin + primarySpan * 0.75,
-    primaryMin + primarySpan * 0.5,
-    primaryMin + primarySpan * 0.25,
-    primaryMin
-  ];
+// Empty when the layout is the default, so it stays out of the URL
+function serializeScreenerColumns(keys, columns) {
+  if (!keys) return ''
+  const text = resolveTableLayout(keys, columns).join(',')
+  return text === defaultTableLayout(columns).join(',') ? '' : text
+}
 
-  // Generate X-axis labels (e.g., 3 evenly spaced labels to prevent overlap)
-  const xAxisLabels = [];
-  if (primarySeries.times && primarySeries.times.length > 0) {
-    const len = primarySeries.times.length;
-    const numLabels = Math.min(3, len); // Use 3 labels max
-    
-    for (let i = 0; i < numLabels; i++) {
-      // Calculate index: 0, middle, end
-      const index = i === 0 ? 0 : i === numLabels - 1 ? len - 1 : Math.floor((len - 1) * (i / (numLabels - 1)));
-      
-      // Avoid duplicates if len is very small
-      if (!xAxisLabels.find(l => l.index === index)) {
-        xAxisLabels.push({
-          index,
-          time: primarySeries.times[index],
-          percent: len > 1 ? (index / (len - 1)) * 100 : 50
-        });
-      }
-    }
-  }
+// ─── Saved screens ───────────────────────────────────────────────────────────
+// A screen is the screener's query params (filters, sort, columns) under a
+// name. Presets ship with the app; saved screens live in localStorage per
+// provider and can be exported/imported as JSON to share with a team.
 
-  const handleMouseMove = (e) => {
-    const rect = e.currentTarget.getBoundingClientRect();
-    const x = e.clientX - rect.left;
-    const width = rect.width;
-    const percentage = x / width;
-    const dataLength = primarySeries.values.length;
-    const index = Math.min(Math.max(Math.round(percentage * (dataLength - 1)), 0), dataLength - 1);
-    setHoveredIndex(index);
-  };
+const KALSHI_SCREEN_PRESETS = [
+  { name: 'Tight spreads, high volume', params: { sort: 'volume', filter: 'all:spread_ticks:~2,volume:100000~' } },
+  { name: 'Cheap longshots', params: { sort: 'volume', filter: 'all:yes_ask:~10,volume:1000~' } },
+  { name: 'High churn', params: { sort: 'churn_rate', filter: 'all:churn_rate:1~' } },
+]
 
-  const handleMouseLeave = () => {
-    setHoveredIndex(null);
-  };
+const POLY_SCREEN_PRESETS = [
+  {
+    name: 'Tight spreads, high volume',
+    params: { sort: 'volume', filter: 'all:spread:~2,volume:100000~', cols: 'watch,compare,question,category,volume,volume_24hr,liquidity,yes,no,spread,tradability_score' },
+  },
+  { name: 'Cheap longshots', params: { sort: 'volume', filter: 'all:outcome_yes_price:~10,volume:10000~' } },
+  { name: 'High churn', params: { sort: 'churn_rate', filter: 'all:churn_rate:1~' } },
+]
 
-  return (
-    <div className="modern-chart-wrapper" style={{ background: '#0f172a', borderRadius: '12px', padding: '1.5rem', border: '1px solid #1e293b', position: 'relative' }}>
-      <div className="dual-chart-legend" style={{ marginBottom: '1rem', display: 'flex', gap: '1rem', justifyContent: 'center', flexWrap: 'wrap' }}>
-        {hoveredIndex !== null && primarySeries.times && primarySeries.times[hoveredIndex] && (
-          <span style={{ color: '#94a3b8', fontSize: '0.875rem', marginRight: '1rem', fontWeight: 'bold' }}>
-            {xAxisFormatter(primarySeries.times[hoveredIndex])}
-          </span>
-        )}
-        {series.map((s, si) => (
-          <span key={si} className="legend-item" style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', fontSize: '0.875rem', color: '#cbd5e1' }}>
-            <span
-              className="legend-dot"
-              style={{ background: s.color ?? COLORS[si % COLORS.length], width: '10px', height: '10px', borderRadius: '50%', display: 'inline-block' }}
-            />
-            {s.label}
-            {hoveredIndex !== null && s.values[hoveredIndex] !== undefined && s.values[hoveredIndex] !== null && (
-              <strong style={{ color: '#fff', marginLeft: '4px' }}>
-                {yAxisFormatter(s.values[hoveredIndex])}
-              </strong>
-            )}
-          </span>
-        ))}
-      </div>
-      
-      <div style={{ display: 'flex', width: '100%', height: '14rem' }}>
-        {showAxes && (
-          <div style={{ display: 'flex', flexDirection: 'column', justifyContent: 'space-between', paddingRight: '10px', paddingBottom: '20px', color: '#64748b', fontSize: '0.7rem', textAlign: 'right', width: '50px', flexShrink: 0 }}>
-            {yAxisLabels.map((val, i) => (
-              <span key={i}>{yAxisFormatter(val)}</span>
+const SCREEN_FILE_VERSION = 1
+
+// Optional `serverParams(applied)` adds screener-specific query params,
+// `matchesRow(row, applied)` re-checks them on the client-side path and
+// `exportFilters(applied)` lists them in export headers. `label` stands in for
+// the venue name on screeners that aren't tied to one (see ALL_SCREENER).
+// `rowId(row)` is the market id history is fetched by.
+const KALSHI_SCREENER = {
+  provider: 'kalshi',
+  params: KALSHI_SCREENER_PARAMS,
+  defaults: KALSHI_SCREENER_DEFAULTS,
+  filterFields: KALSHI_FILTER_FIELDS,
+  columns: KALSHI_SCREENER_COLUMNS,
+  presets: KALSHI_SCREEN_PRESETS,
+  rowId: (row) => row.market_ticker,
+}
+
+const POLY_SCREENER = {
+  provider: 'poly',
+  params: POLY_SCREENER_PARAMS,
+  defaults: POLY_SCREENER_DEFAULTS,
+  filterFields: POLY_FILTER_FIELDS,
+  columns: POLY_SCREENER_COLUMNS,
+  presets: POLY_SCREEN_PRESETS,
+  rowId: (row) => row.condition_id,
+  serverParams: (applied) => (applied.category ? { category: applied.category } : {}),
+  matchesRow: (row, applied) => (
+    !applied.category || (row.category ?? '').toLowerCase().includes(applied.category.toLowerCase())
+  ),
+  exportFilters: (applied) => (applied.category ? [['Category', applied.category]] : []),
+}
+
+const savedScreensKey = (provider) => `ps:screens:${provider}`
+const _savedScreens = {}
+const _savedScreensListeners = new Set()
+
+// Snapshot is cached per raw string so useSyncExternalStore sees a stable value
+function readSavedScreens(provider) {
+  let raw = null
+  try {
+    raw = localStorage.getItem(savedScreensKey(provider))
+  } catch {
+    // storage disabled (private mode); behave as empty
+  }
+  const cached = _savedScreens[provider]
+  if (cached && cached.raw === raw) return cached.screens
+  let screens = []
+  try {
+    const parsed = JSON.parse(raw ?? '[]')
+    if (Array.isArray(parsed)) screens = parsed
+  } catch {
+    // corrupt entry; start over
+  }
+  _savedScreens[provider] = { raw, screens }
+  return screens
+}
+
+function writeSavedScreens(provider, screens) {
+  try {
+    localStorage.setItem(savedScreensKey(provider), JSON.stringify(screens))
+  } catch {
+    return false
+  }
+  _savedScreensListeners.forEach((fn) => fn())
+  return true
+}
+
+function subscribeSavedScreens(listener) {
+  _savedScreensListeners.add(listener)
+  // Other tabs saving a screen
+  const onStorage = (e) => { if (e.key?.startsWith('ps:screens:')) listener() }
+  window.addEventListener('storage', onStorage)
+  return () => {
+    _savedScreensListeners.delete(listener)
+    window.removeEventListener('storage', onStorage)
+  }
+}
+
+function useSavedScreens(provider) {
+  return useSyncExternalStore(subscribeSavedScreens, () => readSavedScreens(provider), () => [])
+}
+
+// Keeps only params the screener understands; null if `def` isn't a screen for
+// it. Throws ScreenerFilterError when its filter names unknown fields.
+function normalizeScreen(def, screener) {
+  if (!def || typeof def !== 'object' || typeof def.name !== 'string' || !def.name.trim()) return null
+  if (def.provider !== screener.provider || !def.params || typeof def.params !== 'object') return null
+  const allowed = [...Object.values(screener.params), 'filter', 'match', 'cols']
+  const params = Object.fromEntries(
+    Object.entries(def.params).filter(([key, value]) => allowed.includes(key) && typeof value === 'string' && value !== ''),
+  )
+  parseScreenerFilter(params.filter, params.match, screener.filterFields)
+  return { name: def.name.trim(), provider: screener.provider, params }
+}
+
+// Order-insensitive identity for "is this screen the one on screen now"
+const screenKey = (params) => new URLSearchParams(
+  Object.entries(params).filter(([, v]) => v !== '').sort(([a], [b]) => a.localeCompare(b)),
+).toString()
+
+function upsertScreens(existing, incoming) {
+  const byName = new Map(existing.map((s) => [s.name, s]))
+  incoming.forEach((s) => byName.set(s.name, s))
+  return [...byName.values()]
+}
+
+function downloadJson(filename, data) {
+  downloadBlob(filename, new Blob([`${JSON.stringify(data, null, 2)}\n`], { type: 'application/json' }))
+}
+
+function SavedScreensBar({ screener, url }) {
+  const saved = useSavedScreens(screener.provider)
+  const [name, setName] = useState('')
+  const [message, setMessage] = useState(null)
+  const fileInput = useRef(null)
+  const label = screener.label ?? PROVIDERS[screener.provider].label
+
+  const options = [
+    ...screener.presets.map((screen) => ({ value: `preset:${screen.name}`, screen })),
+    ...saved.map((screen) => ({ value: `saved:${screen.name}`, screen })),
+  ]
+  const currentKey = screenKey(url.screenParams)
+  const selected = options.find((o) => screenKey(o.screen.params) === currentKey)
+
+  const select = (value) => {
+    const option = options.find((o) => o.value === value)
+    if (option) url.load(option.screen.params)
+    setMessage(null)
+  }
+
+  const save = () => {
+    if (url.applied.filterError) {
+      setMessage({ error: true, text: 'Fix or reset the filters before saving.' })
+      return
+    }
+    const screen = normalizeScreen({ name, provider: screener.provider, params: url.screenParams }, screener)
+    if (!screen) {
+      setMessage({ error: true, text: 'Give the screen a name first.' })
+      return
+    }
+    const ok = writeSavedScreens(screener.provider, upsertScreens(saved, [screen]))
+    setMessage(ok ? { text: `Saved “${screen.name}”.` } : { error: true, text: 'Could not write to local storage.' })
+    if (ok) setName('')
+  }
+
+  const remove = () => {
+    writeSavedScreens(screener.provider, saved.filter((s) => s.name !== selected.screen.name))
+    setMessage({ text: `Deleted “${selected.screen.name}”.` })
+  }
+
+  const exportScreen = () => {
+    const screenName = selected?.screen.name ?? 'Custom screen'
+    const slug = screenName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')
+    downloadJson(`${screener.provider}-${slug || 'screen'}.json`, {
+      version: SCREEN_FILE_VERSION,
+      screens: [{ name: screenName, provider: screener.provider, params: url.screenParams }],
+    })
+  }
+
+  // Accepts an export file, a bare screen, or an array of screens
+  const importScreens = async (event) => {
+    const file = event.target.files?.[0]
+    event.target.value = ''
+    if (!file) return
+    let list
+    try {
+      const parsed = JSON.parse(await file.text())
+      list = Array.isArray(parsed) ? parsed : Array.isArray(parsed?.screens) ? parsed.screens : [parsed]
+    } catch {
+      setMessage({ error: true, text: `${file.name} is not valid JSON.` })
+      return
+    }
+    const rejected = []
+    const screens = list.map((def) => {
+      try {
+        return normalizeScreen(def, screener)
+      } catch (err) {
+        if (!(err instanceof ScreenerFilterError)) throw err
+        rejected.push(`“${def.name}” (${err.message})`)
+        return null
+      }
+    }).filter(Boolean)
+    const skipped = rejected.length > 0 ? ` Skipped ${rejected.join(', ')}.` : ''
+    if (screens.length === 0) {
+      setMessage({ error: true, text: `No ${label} screens imported from ${file.name}.${skipped}` })
+      return
+    }
+    writeSavedScreens(screener.provider, upsertScreens(saved, screens))
+    setMessage({ error: rejected.length > 0, text: `Imported ${screens.length} screen${screens.length === 1 ? '' : 's'}.${skipped}` })
+  }
+
+  return (
+    <div className="saved-screens">
+      <label htmlFor={`${screener.provider}-screen`}>Screen</label>
+      <select id={`${screener.provider}-screen`} value={selected?.value ?? ''} onChange={(e) => select(e.target.value)}>
+        <option value="" disabled>Custom</option>
+        <optgroup label="Presets">
+          {screener.presets.map((screen) => (
+            <option key={screen.name} value={`preset:${screen.name}`}>{screen.name}</option>
+          ))}
+        </optgroup>
+        {saved.length > 0 && (
+          <optgroup label="Saved">
+            {saved.map((screen) => (
+              <option key={screen.name} value={`saved:${screen.name}`}>{screen.name}</option>
             ))}
-          </div>
+          </optgroup>
         )}
-        
-        <div style={{ display: 'flex', flexDirection: 'column', flexGrow: 1, height: '100%' }}>
-          <div 
-            style={{ position: 'relative', flexGrow: 1, cursor: 'crosshair', overflow: 'hidden' }}
-            onMouseMove={handleMouseMove}
-            onMouseLeave={handleMouseLeave}
+      </select>
+      {selected?.value.startsWith('saved:') && (
+        <button type="button" onClick={remove}>Delete</button>
+      )}
+      <input
+        type="text"
+        aria-label="Screen name"
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        onKeyDown={(e) => { if (e.key === 'Enter') save() }}
+        placeholder="Name this screen"
+      />
+      <button type="button" onClick={save}>Save</button>
+      <button type="button" onClick={exportScreen}>Export</button>
+      <button type="button" onClick={() => fileInput.current?.click()}>Import</button>
+      <input ref={fileInput} type="file" accept="application/json,.json" hidden onChange={importScreens} />
+      {message && (
+        <span className={`saved-screens-message${message.error ? ' error' : ''}`}>{message.text}</span>
+      )}
+      {url.applied.filterError && (
+        <span className="saved-screens-message error">{url.applied.filterError}; this link's filters were not applied.</span>
+      )}
+    </div>
+  )
+}
+
+// ─── Screener data ───────────────────────────────────────────────────────────
+// A screener request that carries `offset` asks the backend to page: it applies
+// `q`, the screener params and `sort_by`/`sort_dir` itself and answers
+// `{ rows, total }`. Only screens the backend can run whole go that way; a
+// filter with OR groups, NOTs or fields without server params, or a sort on
+// the history columns (change_24h, range_24h are derived here), takes the
+// fallback below. A bare array back means the endpoint doesn't page, so the
+// screener falls back to its top SCREENER_FALLBACK_LIMIT rows and filters,
+// sorts and pages those here.
+
+const SCREENER_FALLBACK_LIMIT = 200
+const SCREENER_EXPORT_PAGE_SIZE = 500
+const SCREENER_EXPORT_MAX_ROWS = 10_000
+
+// provider -> false once its screener has answered a paged request with an array
+const _screenerPaging = {}
+
+function useScreenerRows(screener, url, refreshNonce) {
+  const { provider, filterFields } = screener
+  const { applied, pageSize } = url
+  const [pages, setPages] = useState(() => _screenerPaging[provider] !== false)
+  const historySort = Object.hasOwn(SCREENER_HISTORY_FILTER_FIELDS, applied.sortBy)
+  const paged = pages && !historySort && filterRunsOnServer(applied.filters, filterFields)
+
+  // Bounds and screener-specific params go to both paths; the fallback
+  // re-checks them client-side anyway. A history sort fetches the default
+  // order's top rows and sorts them here.
+  const baseParams = {
+    _refresh: refreshNonce,
+    ...screenerServerParams(applied.filters, filterFields),
+    ...screener.serverParams?.(applied),
+    sort_by: historySort ? screener.defaults.sortBy : applied.sortBy,
+  }
+  const pagedParams = { ...baseParams, sort_dir: applied.sortDir, limit: pageSize, offset: (url.page - 1) * pageSize }
+  if (applied.q) pagedParams.q = applied.q
+
+  const pagedResult = useProviderApi(provider, paged ? '/markets/screener' : null, pagedParams)
+  const fullResult = useProviderApi(provider, paged ? null : '/markets/screener', { ...baseParams, limit: SCREENER_FALLBACK_LIMIT })
+
+  const unpaged = paged && Array.isArray(pagedResult.data)
+  if (unpaged) setPages(false)
+  useEffect(() => {
+    if (unpaged) _screenerPaging[provider] = false
+  }, [unpaged, provider])
+
+  // History for every row the client filters and sorts, or just the page the
+  // server picked
+  const serverRows = paged && Array.isArray(pagedResult.data?.rows) ? pagedResult.data.rows : []
+  const fullRows = !paged && Array.isArray(fullResult.data) ? fullResult.data : []
+  const history = useScreenerHistory(provider, (paged ? serverRows : fullRows).map(screener.rowId).filter(Boolean))
+
+  const clientRows = useMemo(() => {
+    if (paged || !Array.isArray(fullResult.data)) return []
+    const filtered = withHistory(fullResult.data, history, screener.rowId).filter((row) =>
+      matchesScreenerQuery(row, applied.q) &&
+      matchesScreenerFilter(row, applied.filters, filterFields) &&
+      (!screener.matchesRow || screener.matchesRow(row, applied))
+    )
+    return sortScreenerRows(filtered, applied.sortBy, applied.sortDir)
+  }, [paged, fullResult.data, history, applied, filterFields, screener])
+
+  const result = paged ? pagedResult : fullResult
+  const total = paged ? (num(Number(pagedResult.data?.total)) ?? serverRows.length) : clientRows.length
+  const totalPages = Math.max(1, Math.ceil(total / pageSize))
+  const page = Math.min(url.page, totalPages)
+  const pageStart = (page - 1) * pageSize
+
+  // A stale link can point past the last page; step back to it
+  const { setPage } = url
+  const pastEnd = paged && pagedResult.data && url.page > totalPages
+  useEffect(() => {
+    if (pastEnd) setPage(totalPages)
+  }, [pastEnd, totalPages, setPage])
+
+  // Leaving the page stops an export walk that is still running
+  const exportController = useRef(null)
+  useEffect(() => () => exportController.current?.abort(), [])
+
+  // Exports want every matching row, not the page on screen. The fallback
+  // already holds them; the paged backend is walked page by page and its rows
+  // get the same 24h history columns as the page on screen.
+  const exportRows = async () => {
+    if (!paged) return clientRows
+    exportController.current?.abort()
+    const controller = new AbortController()
+    exportController.current = controller
+    const rows = []
+    while (rows.length < SCREENER_EXPORT_MAX_ROWS) {
+      const query = new URLSearchParams({ ...pagedParams, limit: SCREENER_EXPORT_PAGE_SIZE, offset: rows.length })
+      const json = await _fetchUncached(provider, `${PROVIDERS[provider].base}/markets/screener?${query}`, controller.signal)
+      const batch = Array.isArray(json?.rows) ? json.rows : []
+      rows.push(...batch)
+      if (batch.length < SCREENER_EXPORT_PAGE_SIZE) break
+    }
+    const exported = rows.slice(0, SCREENER_EXPORT_MAX_ROWS)
+    const history = await fetchScreenerHistory(provider, exported, screener.rowId, controller.signal)
+    return withHistory(exported, history, screener.rowId)
+  }
+
+  const exportFilters = [
+    ...(applied.q ? [['Search', applied.q]] : []),
+    ...(activeFilterGroups(applied.filters).length > 0
+      ? [['Filters', describeScreenerFilter(applied.filters, filterFields)]]
+      : []),
+    ...(screener.exportFilters?.(applied) ?? []),
+  ]
+
+  return {
+    loading: result.loading,
+    error: result.error,
+    retry: result.retry,
+    freshness: result.freshness,
+    exportOptions: {
+      title: `${PROVIDERS[provider].label} screener`,
+      filters: exportFilters,
+      snapshotAt: result.freshness?.asOf,
+      rows: exportRows,
+    },
+    loaded: Boolean(result.data),
+    serverPaged: paged,
+    total,
+    totalPages,
+    page,
+    pageStart,
+    pageRows: paged ? withHistory(serverRows, history, screener.rowId) : clientRows.slice(pageStart, pageStart + pageSize),
+  }
+}
+
+function ScreenerPage() {
+  const url = useScreenerUrlState(KALSHI_SCREENER)
+  const { applied, pageSize, setPage, setPageSize } = url
+  const [form, setForm] = useScreenerDraft(applied)
+  const [refreshNonce, setRefreshNonce] = useState(0)
+
+  // Requests follow the applied (URL) filters, not the draft
+  const screener = useScreenerRows(KALSHI_SCREENER, url, refreshNonce)
+  const { page, totalPages, pageStart, pageRows, total } = screener
+
+  const handleChange = (event) => {
+    const { name, value } = event.target
+    setForm((prev) => ({ ...prev, [name]: value }))
+  }
+
+  const applyFilters = () => url.apply(form)
+
+  const removeFilter = (gi, ci) => url.apply({ ...applied, filters: withoutFilterCondition(applied.filters, gi, ci) })
+
+  const resetFilters = () => url.reset()
+
+  const refreshOnly = () => {
+    setRefreshNonce((n) => n + 1)
+  }
+
+  const matches = useMarketMatches({ kalshi: pageRows.map(PROVIDERS.kalshi.market) })
+
+  return (
+    <div className="dashboard">
+      <p className="seo-blurb">
+        Interactive prediction market screener filtering by volume, open interest, spread tightness, tradability score, churn rate, and price levels for Kalshi and Polymarket contracts.
+      </p>
+      <h2>Market Screener</h2>
+
+      <SavedScreensBar screener={KALSHI_SCREENER} url={url} />
+      <fieldset className="screener-filters">
+        <ScreenerSearchInput
+          value={form.q}
+          onChange={handleChange}
+          onSubmit={applyFilters}
+          placeholder="Ticker or title"
+        />
+        <div className="screener-filter-group">
+          <label htmlFor="sortBy">Order by</label>
+          <select
+            id="sortBy"
+            name="sortBy"
+            value={form.sortBy}
+            onChange={handleChange}
           >
-            <svg
-              className="modern-chart"
-              viewBox="0 0 100 40"
-              preserveAspectRatio="none"
-              style={{ width: '100%', height: '100%', display: 'block', overflow: 'hidden' }}
-            >
-              {/* Grid lines */}
-              <line x1="0" y1="0" x2="100" y2="0" stroke="#1e293b" strokeWidth="0.5" strokeDasharray="2 2" />
-              <line x1="0" y1="10" x2="100" y2="10" stroke="#1e293b" strokeWidth="0.5" strokeDasharray="2 2" />
-              <line x1="0" y1="20" x2="100" y2="20" stroke="#1e293b" strokeWidth="0.5" strokeDasharray="2 2" />
-              <line x1="0" y1="30" x2="100" y2="30" stroke="#1e293b" strokeWidth="0.5" strokeDasharray="2 2" />
-              <line x1="0" y1="40" x2="100" y2="40" stroke="#1e293b" strokeWidth="0.5" strokeDasharray="2 2" />
-              
-              {series.map((s, si) => {
-                const pts = buildNormPoints(s.values)
-                if (!pts) return null;
-                const color = s.color ?? COLORS[si % COLORS.length];
-                const fillId = `gradient-${s.label.replace(/[^a-zA-Z0-9]/g, '-')}-${si}`;
-                return (
-                  <g key={si}>
-                    <defs>
-                      <linearGradient id={fillId} x1="0" y1="0" x2="0" y2="1">
-                        <stop offset="0%" stopColor={color} stopOpacity="0.3" />
-                        <stop offset="100%" stopColor={color} stopOpacity="0.0" />
-                      </linearGradient>
-                    </defs>
-                    <polygon
-                      points={`0,40 ${pts} 100,40`}
-                      fill={`url(#${fillId})`}
-                    />
-                    <polyline
-                      points={pts}
-                      fill="none"
-                      stroke={color}
-                      strokeWidth="1.5"
-                      vectorEffect="non-scaling-stroke"
-                      strokeLinecap="round"
-                      strokeLinejoin="round"
-                    />
-                  </g>
-                )
-              })}
+            <option value="tradability_score">Tradability score</option>
+            <option value="volume">Volume</option>
+            <option value="open_interest">Open interest</option>
+            <option value="churn_rate">Churn rate</option>
+            <option value="spread_ticks">Spread (tightest)</option>
+            <option value="change_24h">Δ24h</option>
+            <option value="range_24h">24h range</option>
+          </select>
+        </div>
+        <div className="screener-filter-group">
+          <label htmlFor="sortDir">Direction</label>
+          <select
+            id="sortDir"
+            name="sortDir"
+            value={form.sortDir}
+            onChange={handleChange}
+          >
+            <option value="desc">Desc</option>
+            <option value="asc">Asc</option>
+          </select>
+        </div>
+        <ScreenerFilterBuilder
+          fields={KALSHI_FILTER_FIELDS}
+          value={form.filters}
+          onChange={(filters) => setForm((prev) => ({ ...prev, filters }))}
+          idPrefix="kalshi"
+        />
+        <div className="screener-filter-actions">
+          <button type="button" onClick={applyFilters}>
+            Apply filters
+          </button>
+          <button type="button" onClick={refreshOnly}>
+            Refresh
+          </button>
+          <button type="button" onClick={resetFilters}>
+            Reset
+          </button>
+        </div>
+      </fieldset>
+      <ScreenerFilterChips fields={KALSHI_FILTER_FIELDS} filter={applied.filters} onRemove={removeFilter} />
+
+      <div className="panel" style={{ marginTop: '0.5rem', marginBottom: '1.5rem' }}>
+        <div className="panel-header">
+          <div className="panel-title">High-Activity Markets <FreshnessBadge freshness={screener.freshness} /></div>
+        </div>
+        <div className="panel-body">
+          {screener.loading && (
+            <div className="loading">Loading screener…</div>
+          )}
+          <ErrorState error={screener.error} onRetry={screener.retry} />
+          {pageRows.length > 0 && (
+            <div className="screener-results">
+              <div className="screener-table-controls">
+                <div className="screener-results-meta">
+                  Showing {pageStart + 1}–{pageStart + pageRows.length} of {total.toLocaleString('en-US')}
+                  {!screener.serverPaged && ` (top ${SCREENER_FALLBACK_LIMIT} by ${applied.sortBy})`}
+                </div>
+                <div className="screener-page-size">
+                  <label htmlFor="pageSize">Results per page</label>
+                  <select
+                    id="pageSize"
+                    value={pageSize}
+                    onChange={(e) => setPageSize(Number(e.target.value))}
+                  >
+                    {SCREENER_PAGE_SIZES.map((size) => (
+                      <option key={size} value={size}>
+                        {size}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div className="screener-pagination">
+                  <button
+                    type="button"
+                    onClick={() => setPage(1)}
+                    disabled={page === 1}
+                  >
+                    First
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setPage((p) => Math.max(1, p - 1))}
+                    disabled={page === 1}
+                  >
+                    Prev
+                  </button>
+                  <span className="screener-page-indicator">
+                    Page {page} of {totalPages}
+                  </span>
+                  <button
+                    type="button"
+                    onClick={() => setPage((p) => Math.min(totalPages, p + 1))}
+                    disabled={page === totalPages}
+                  >
+                    Next
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setPage(totalPages)}
+                    disabled={page === totalPages}
+                  >
+                    Last
+                  </button>
+                </div>
+              </div>
+              <DataTable
+                columns={KALSHI_SCREENER_COLUMNS}
+                rows={pageRows}
+                rowKey={(row, idx) => row.market_ticker ?? idx}
+                context={{ matches }}
+                sort={{ key: applied.sortBy, dir: applied.sortDir }}
+                onSortChange={({ key, dir }) => url.apply({ ...applied, sortBy: key, sortDir: dir })}
+                layout={applied.columns}
+                onLayoutChange={url.setColumns}
+                exportOptions={screener.exportOptions}
+              />
+            </div>
+          )}
+          {screener.loaded &&
+            pageRows.length === 0 &&
+            !screener.loading &&
+            !screener.error && (
+              <span className="muted">No screener results available.</span>
+            )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+// ─── Polymarket Dashboard ────────────────────────────────────────────────────
+
+function PolyDashboard() {
+  const [searchParams, setSearchParams] = useSearchParams()
+  const categoryParam = searchParams.get('category')
+  const activeCategory = POLY_CATEGORIES.includes(categoryParam) ? categoryParam : 'Trending'
+  const setActiveCategory = (cat) => {
+    setSearchParams(cat === 'Trending' ? {} : { category: cat }, { replace: true })
+  }
+
+  // Verticals filter (server param + client re-check). A sort mode only
+  // re-orders panels listed in `sortModes`, i.e. ones whose ranking it refines;
+  // the rest keep their feed order (moves by size, liquidity, expiry).
+  const scoped = (result, { sortModes = [] } = {}) => {
+    if (!Array.isArray(result.data)) return result
+    const rows = result.data.filter((row) => matchesPolyCategory(row, activeCategory))
+    return { ...result, data: sortModes.includes(activeCategory) ? applyPolySortMode(rows, activeCategory) : rows }
+  }
+  const catParams = (params) => polyCategoryParams(activeCategory, params)
+
+  // Full history is requested first so the 50-row hook can be served from it
+  const globalSnapshot   = useProviderApi('poly', '/global-snapshot', catParams())
+  const globalDeltasFull = useProviderApi('poly', '/global-deltas', catParams({ limit: 200 }))
+  const globalDeltas     = useProviderApi('poly', '/global-deltas', catParams({ limit: 50 }))
+  const topEventsVolume  = scoped(useProviderApi('poly', '/top-events-volume', catParams({ limit: 15 })), { sortModes: ['Trending', 'New'] })
+  const topEventsLiq     = scoped(useProviderApi('poly', '/top-events-liquidity', catParams({ limit: 15 })))
+  const expiringSoon     = scoped(useProviderApi('poly', '/markets/expiring-soon', catParams({ hours: 168, limit: 50 })))
+  const midMoves         = scoped(useProviderApi('poly', '/markets/mid-moves', catParams({ hours: 24, limit: 15 })), { sortModes: ['Breaking'] })
+  const matches = useMarketMatches({
+    poly: Array.isArray(midMoves.data) ? midMoves.data.map(PROVIDERS.poly.market) : [],
+  })
+  const volIndex         = useProviderApi('poly', '/vol/index/global', catParams({ points: 50 }))
+
+  // Build vol-index series for ModernLineChart
+  let latestVolIndex = null
+  let volChartSeries = null
+  const volSeries = Array.isArray(volIndex.data?.series) ? volIndex.data.series
+                  : Array.isArray(volIndex.data) ? volIndex.data
+                  : []
+  if (volSeries.length > 0) {
+    const rows = [...volSeries].reverse()
+    const values = rows.map((s) => s.vol_index ?? 0)
+    const times = rows.map((s) => s.snap_ts ?? '')
+    volChartSeries = [{ label: 'Realized Vol Index', values, times, color: '#a855f7' }]
+    latestVolIndex = values[values.length - 1]
+  }
+
+  const fmtPct = (v) => (typeof v === 'number' ? `${(v * 100).toFixed(1)}%` : v)
+  const fmtNum = (v) => (typeof v === 'number' ? v.toLocaleString('en-US') : v)
+  const fmtDec = (v, d = 2) => (typeof v === 'number' ? v.toFixed(d) : v)
+  const fmtUsd = (v) => {
+    if (typeof v !== 'number') return v
+    if (v >= 1_000_000_000) return `$${(v / 1_000_000_000).toFixed(2)}B`
+    if (v >= 1_000_000) return `$${(v / 1_000_000).toFixed(1)}M`
+    if (v >= 1_000) return `$${(v / 1_000).toFixed(1)}K`
+    return `$${v.toLocaleString('en-US')}`
+  }
+
+  // compute time-until-expiry helper
+  const timeUntil = (dateStr) => {
+    if (!dateStr) return ''
+    const diff = new Date(dateStr) - new Date()
+    if (diff <= 0) return 'Expired'
+    const hrs = Math.floor(diff / 3600000)
+    const mins = Math.floor((diff % 3600000) / 60000)
+    if (hrs >= 24) return `${Math.floor(hrs / 24)}d ${hrs % 24}h`
+    return `${hrs}h ${mins}m`
+  }
+
+  // find latest delta for snapshot comparison (uses small-limit hook)
+  const latestDelta = Array.isArray(globalDeltas.data) && globalDeltas.data.length > 0
+    ? globalDeltas.data[0]
+    : null
+
+  // ── Hero stat aggregates: positional slicing from the full-history hook ──
+  // Assumes snapshots are ordered newest-first. Detect cadence from first two rows.
+  const fullRows = Array.isArray(globalDeltasFull.data) ? globalDeltasFull.data : []
+
+  const snapInterval = detectSnapshotInterval(fullRows)
+
+  const polySnapsIn24h = Math.max(1, Math.round(86_400_000  / snapInterval))
+  const polySnapsIn30d = Math.max(1, Math.round(30 * 86_400_000 / snapInterval))
+
+  const polyRows24h = fullRows.slice(0, Math.min(polySnapsIn24h, fullRows.length))
+  const polyRows30d = fullRows.slice(0, Math.min(polySnapsIn30d, fullRows.length))
+
+  const polySum = (rows, field) => rows.reduce((s, r) => s + (typeof r[field] === 'number' ? r[field] : 0), 0)
+
+  const polyVol24h = polyRows24h.length > 0 ? polySum(polyRows24h, 'd_volume')    : null
+  const polyVol30d = polyRows30d.length > 0 ? polySum(polyRows30d, 'd_volume')    : null
+  const polyLiq24h = polyRows24h.length > 0 ? polySum(polyRows24h, 'd_liquidity') : null
+  const polyLiq30d = polyRows30d.length > 0 ? polySum(polyRows30d, 'd_liquidity') : null
+
+  // The snapshot, deltas and vol index are venue-wide aggregates with no
+  // question or title to re-check, so unless the backend echoes the category
+  // back they cover every category
+  const filtering = !POLY_SORT_MODES[activeCategory]
+  const echoesCategory = (json) => (
+    [json, ...(Array.isArray(json) ? json : json?.series ?? [])].some((r) => r?.category === activeCategory)
+  )
+  const statsGlobal = filtering && !echoesCategory(fullRows.length > 0 ? globalDeltasFull.data : globalSnapshot.data)
+  const volGlobal = filtering && !echoesCategory(volIndex.data)
+  const deltasGlobal = filtering && !echoesCategory(globalDeltas.data)
+
+  // Human-readable label for the detected snapshot cadence
+  const snapIntervalLabel = (() => {
+    const mins = Math.round(snapInterval / 60_000)
+    if (mins < 60) return `last ${mins}m`
+    const hrs = Math.round(snapInterval / 3_600_000)
+    return `last ${hrs}h`
+  })()
+
+  return (
+    <div className="dashboard poly-dash">
+      <GuidedTour tourKey="poly" steps={POLY_TOUR_STEPS} />
+      <p className="seo-blurb">
+        Polymarket real-time analytics: vol index, market mid-moves, top events
+        by volume and liquidity, expiring markets, and global USDC flow metrics.
+      </p>
+      <h2 className="dashboard-title">
+        <img
+          src={POLYMARKET_LOGO_URL}
+          alt="Polymarket logo"
+          className="dashboard-title-logo"
+          loading="lazy"
+        />
+        <span>Polymarket Dashboard</span>
+      </h2>
+
+      <nav className="category-subnav">
+        {POLY_CATEGORIES.map((cat) => (
+          <button
+            key={cat}
+            type="button"
+            className={`category-subnav-item${activeCategory === cat ? ' category-subnav-item--active' : ''}`}
+            onClick={() => setActiveCategory(cat)}
+          >
+            {cat}
+          </button>
+        ))}
+      </nav>
+
+      {/* ═══ HERO STATS BAR ═══ */}
+      {statsGlobal && (
+        <p className="muted category-scope-note">
+          Totals cover all categories; they aren't broken down by {activeCategory}.
+        </p>
+      )}
+      <div className="poly-stats-bar" data-tour="poly-hero-stats">
+        {(globalDeltasFull.loading && globalSnapshot.loading) && <div className="loading">Loading stats…</div>}
+        {(!globalDeltasFull.loading || !globalSnapshot.loading) && (
+          <>
+            <div className="poly-stat-card">
+              <div className="poly-stat-label">Volume (24h)</div>
+              <div className="poly-stat-value">
+                {polyVol24h !== null
+                  ? fmtUsd(polyVol24h)
+                  : globalSnapshot.loading ? '…' : fmtUsd(globalSnapshot.data?.total_volume)}
+              </div>
+              {polyVol30d !== null && polyVol30d !== polyVol24h && (
+                <div className="poly-stat-period-row">
+                  <span className="poly-stat-period-label">30d</span>
+                  <span className="poly-stat-period-value">{fmtUsd(polyVol30d)}</span>
+                </div>
+              )}
+              {latestDelta && typeof latestDelta.d_volume === 'number' && (
+                <div className={`poly-stat-delta ${latestDelta.d_volume >= 0 ? 'up' : 'down'}`}>
+                  {latestDelta.d_volume >= 0 ? '▲' : '▼'} {fmtUsd(Math.abs(latestDelta.d_volume))} {snapIntervalLabel}
+                </div>
+              )}
+            </div>
+            <div className="poly-stat-card">
+              <div className="poly-stat-label">Liquidity (24h)</div>
+              <div className="poly-stat-value">
+                {polyLiq24h !== null
+                  ? fmtUsd(polyLiq24h)
+                  : globalSnapshot.loading ? '…' : fmtUsd(globalSnapshot.data?.total_liquidity)}
+              </div>
+              {polyLiq30d !== null && polyLiq30d !== polyLiq24h && (
+                <div className="poly-stat-period-row">
+                  <span className="poly-stat-period-label">30d</span>
+                  <span className="poly-stat-period-value">{fmtUsd(polyLiq30d)}</span>
+                </div>
+              )}
+              {latestDelta && typeof latestDelta.d_liquidity === 'number' && (
+                <div className={`poly-stat-delta ${latestDelta.d_liquidity >= 0 ? 'up' : 'down'}`}>
+                  {latestDelta.d_liquidity >= 0 ? '▲' : '▼'} {fmtUsd(Math.abs(latestDelta.d_liquidity))} {snapIntervalLabel}
+                </div>
+              )}
+            </div>
+            <div className="poly-stat-card">
+              <div className="poly-stat-label">Vol Index</div>
+              <div className="poly-stat-value">
+                {volIndex.loading ? '…' : latestVolIndex !== null ? fmtDec(latestVolIndex, 2) : '—'}
+              </div>
+              <div className="poly-stat-period-row" style={{ visibility: 'hidden' }}>
+                <span className="poly-stat-period-label">30d</span>
+                <span className="poly-stat-period-value">—</span>
+              </div>
+              {(() => {
+                if (!volChartSeries) return null
+                const vals = volChartSeries[0].values
+                if (vals.length < 2) return null
+                const diff = vals[vals.length - 1] - vals[vals.length - 2]
+                const isUp = diff >= 0
+                return (
+                  <div className={`poly-stat-delta ${isUp ? 'up' : 'down'}`}>
+                    {isUp ? '▲' : '▼'} {Math.abs(diff).toFixed(2)} {snapIntervalLabel}
+                  </div>
+                )
+              })()}
+            </div>
+          </>
+        )}
+      </div>
+
+      {/* ═══ MARKET PULSE — Leaderboard Feed ═══ */}
+      {(Array.isArray(midMoves.data) && midMoves.data.length > 0) && (
+        <div className="movers-section" data-tour="poly-movers">
+          <div className="movers-section-header">
+            <span className="movers-live-dot" />
+            <span className="movers-section-title">Market Pulse</span>
+            <span className="movers-section-sub">Biggest moves · 24h window</span>
+            <FreshnessBadge freshness={midMoves.freshness} />
+          </div>
+          <div className="movers-feed">
+            {midMoves.data.slice(0, 6).map((row, idx) => {
+              const diff = num(row.price_diff) ?? 0
+              const isUp = diff >= 0
+              return (
+                <div key={row.condition_id ?? idx} className={`mover-row ${isUp ? 'mover-up' : 'mover-down'}`}>
+                  <div className="mover-rank">#{idx + 1}</div>
+                  <div className={`mover-delta-block ${isUp ? 'delta-up' : 'delta-down'}`}>
+                    <span className="mover-delta-value">{isUp ? '+' : ''}{(diff * 100).toFixed(1)}pp</span>
+                    <span className="mover-direction">{isUp ? '▲ Rising' : '▼ Falling'}</span>
+                  </div>
+                  <div className="mover-info">
+                    <div className="mover-name">
+                      <MarketLink provider="poly" id={row.condition_id}>{row.question ?? row.title}</MarketLink>
+                    </div>
+                    <div className="mover-price-trail">
+                      <span className="mover-label">Was</span>
+                      <span className="mover-old">{fmtPct(row.old_price)}</span>
+                      <span className="mover-arrow-trail">→</span>
+                      <span className="mover-label">Now</span>
+                      <span className="mover-new">{fmtPct(row.new_price)}</span>
+                    </div>
+                    <CrossVenuePrice matches={matches} provider="poly" id={row.condition_id} />
+                  </div>
+                  <WatchStar market={{ provider: 'poly', id: row.condition_id, title: row.question ?? row.title }} />
+                </div>
+              )
+            })}
+          </div>
+        </div>
+      )}
+      {midMoves.loading && (
+        <div className="panel" style={{ marginTop: '1rem' }}>
+          <div className="panel-body"><div className="loading">Loading market pulse…</div></div>
+        </div>
+      )}
+      {!midMoves.loading && !POLY_SORT_MODES[activeCategory] &&
+        Array.isArray(midMoves.data) && midMoves.data.length === 0 && (
+        <div className="panel" style={{ marginTop: '1rem' }}>
+          <div className="panel-body"><span className="muted">No {activeCategory} moves in the last 24h.</span></div>
+        </div>
+      )}
+
+      <div data-tour="poly-24h-changes">
+        <Last24hChangesPanel defaultProvider="poly" category={activeCategory} />
+      </div>
+
+      {/* ═══ VOLATILITY INDEX ═══ */}
+      <div className="panel poly-vol-panel" data-tour="poly-vol-index" style={{ marginTop: '1.5rem' }}>
+        <div className="panel-header" style={{ borderBottom: 'none', paddingBottom: 0 }}>
+          <div className="panel-title">Realized Vol Index{volGlobal && <span className="muted"> · all categories</span>} <FreshnessBadge freshness={volIndex.freshness} /></div>
+          {latestVolIndex !== null && (
+            <div className="poly-vol-badge">
+              <span className="poly-vol-badge-value">{fmtDec(latestVolIndex, 1)}</span>
+              <span className="poly-vol-badge-unit">annualized</span>
+            </div>
+          )}
+        </div>
+        <div className="panel-body">
+          <ModernLineChart
+            series={volChartSeries}
+            loading={volIndex.loading}
+            error={volIndex.error}
+            onRetry={volIndex.retry}
+            showAxes={true}
+            yAxisFormatter={(v) => (typeof v === 'number' && !isNaN(v) ? v.toFixed(0) : '')}
+            xAxisFormatter={(t) => {
+              if (!t) return '';
+              const d = new Date(t);
+              if (isNaN(d.getTime())) return t;
+              return d.toLocaleString('en-US', { month: 'numeric', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+            }}
+          />
+          {volIndex.data && volSeries.length === 0 &&
+            !volIndex.loading && !volIndex.error && (
+            <span className="muted">No vol-index data available yet.</span>
+          )}
+          <p className="panel-methodology">
+            Liquidity-weighted annualized realized volatility computed from
+            log-odds price changes across all tracked Polymarket contracts.
+            Higher values indicate elevated repricing activity.
+          </p>
+        </div>
+      </div>
+
+      {/* ═══ TOP EVENTS — side by side ═══ */}
+      <div className="poly-events-duo" data-tour="poly-events">
+        <div className="panel poly-events-panel">
+          <div className="panel-header">
+            <div className="panel-title">Top Events by Volume <FreshnessBadge freshness={topEventsVolume.freshness} /></div>
+          </div>
+          <div className="panel-body">
+            {topEventsVolume.loading && <div className="loading">Loading…</div>}
+            <ErrorState error={topEventsVolume.error} onRetry={topEventsVolume.retry} />
+            {Array.isArray(topEventsVolume.data) && topEventsVolume.data.length > 0 && (
+              <div className="poly-event-list">
+                {topEventsVolume.data.slice(0, 8).map((row, idx) => (
+                  <div key={row.event_slug ?? idx} className="poly-event-row">
+                    <span className="poly-event-rank">{idx + 1}</span>
+                    <div className="poly-event-info">
+                      <div className="poly-event-name">
+                        <EventLink provider="poly" id={row.event_slug}>{row.event_title ?? row.event_slug ?? row.title}</EventLink>
+                      </div>
+                      <div className="poly-event-meta">
+                        {fmtNum(row.n_markets)} markets · {fmtUsd(row.total_volume)} vol
+                      </div>
+                    </div>
+                    <div className="poly-event-stat">{fmtUsd(row.total_liquidity)}</div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+
+        <div className="panel poly-events-panel">
+          <div className="panel-header">
+            <div className="panel-title">Top Events by Liquidity <FreshnessBadge freshness={topEventsLiq.freshness} /></div>
+          </div>
+          <div className="panel-body">
+            {topEventsLiq.loading && <div className="loading">Loading…</div>}
+            <ErrorState error={topEventsLiq.error} onRetry={topEventsLiq.retry} />
+            {Array.isArray(topEventsLiq.data) && topEventsLiq.data.length > 0 && (
+              <div className="poly-event-list">
+                {topEventsLiq.data.slice(0, 8).map((row, idx) => (
+                  <div key={row.event_slug ?? idx} className="poly-event-row">
+                    <span className="poly-event-rank">{idx + 1}</span>
+                    <div className="poly-event-info">
+                      <div className="poly-event-name">
+                        <EventLink provider="poly" id={row.event_slug}>{row.event_title ?? row.event_slug ?? row.title}</EventLink>
+                      </div>
+                      <div className="poly-event-meta">
+                        {fmtNum(row.n_markets)} markets · {fmtUsd(row.total_liquidity)} liq
+                      </div>
+                    </div>
+                    <div className="poly-event-stat">{fmtUsd(row.total_volume)}</div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+
+      {/* ═══ EXPIRING SOON — countdown cards ═══ */}
+      {(() => {
+        const liveExpiring = Array.isArray(expiringSoon.data)
+          ? expiringSoon.data.filter(r => r.end_date && new Date(r.end_date) > new Date())
+          : []
+        return liveExpiring.length > 0 && (
+        <div className="poly-expiring-section" data-tour="poly-expiring">
+          <h3 className="poly-section-title">⏱ Expiring Soon <FreshnessBadge freshness={expiringSoon.freshness} /></h3>
+          <div className="poly-expiring-grid">
+            {liveExpiring.slice(0, 8).map((row, idx) => {
+              const remaining = timeUntil(row.end_date)
+              const yesPrice = typeof row.outcome_yes_price === 'number' ? row.outcome_yes_price : null
+              const isUrgent = remaining.includes('h') && !remaining.includes('d')
+              return (
+                <div key={row.condition_id ?? idx} className={`poly-expiring-card${isUrgent ? ' expiring-urgent' : ''}`}>
+                  <div className="expiring-header">
+                    <div className="expiring-countdown">{remaining}</div>
+                    <WatchStar market={{ provider: 'poly', id: row.condition_id, title: row.question ?? row.title }} />
+                  </div>
+                  <div className="expiring-question">
+                    <MarketLink provider="poly" id={row.condition_id}>{row.question ?? row.title}</MarketLink>
+                  </div>
+                  <div className="expiring-footer">
+                    {yesPrice !== null && (
+                      <div className="expiring-price-bar">
+                        <div className="expiring-yes-fill" style={{ width: `${yesPrice * 100}%` }} />
+                        <span className="expiring-yes-label">YES {fmtPct(yesPrice)}</span>
+                      </div>
+                    )}
+                    <div className="expiring-meta">
+                      Vol: {fmtUsd(row.volume)} · Liq: {fmtUsd(row.liquidity)}
+                    </div>
+                  </div>
+                </div>
+              )
+            })}
+          </div>
+        </div>
+        )
+      })()}
+      {expiringSoon.loading && (
+        <div className="panel" style={{ marginTop: '1rem' }}>
+          <div className="panel-body"><div className="loading">Loading expiring markets…</div></div>
+        </div>
+      )}
+
+      {/* ═══ GLOBAL DELTAS TABLE ═══ */}
+      <div className="panel" style={{ marginTop: '1.5rem', marginBottom: '1.5rem' }}>
+        <div className="panel-header">
+          <div className="panel-title">Global Deltas (run-over-run){deltasGlobal && <span className="muted"> · all categories</span>} <FreshnessBadge freshness={globalDeltas.freshness} /></div>
+        </div>
+        <div className="panel-body">
+          {globalDeltas.loading && <div className="loading">Loading deltas…</div>}
+          <ErrorState error={globalDeltas.error} onRetry={globalDeltas.retry} />
+          {Array.isArray(globalDeltas.data) && globalDeltas.data.length > 0 && (
+            <DataTable
+              id="poly-global-deltas"
+              columns={[
+                { key: 'snap_ts', label: 'Snapshot', render: (row) => row.snap_ts },
+                { key: 'd_volume', label: 'Δ Volume (USDC)', render: (row) => fmtNum(row.d_volume) },
+                { key: 'd_liquidity', label: 'Δ Liquidity (USDC)', render: (row) => fmtNum(row.d_liquidity) },
+                { key: 'd_markets', label: 'Δ Markets', render: (row) => fmtNum(row.d_markets) },
+              ]}
+              rows={globalDeltas.data.slice(0, 10)}
+              rowKey={(row, idx) => row.snap_ts ?? idx}
+            />
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+// ─── Polymarket Screener ─────────────────────────────────────────────────────
+
+function PolyScreenerPage() {
+  const url = useScreenerUrlState(POLY_SCREENER)
+  const { applied, pageSize, setPage, setPageSize } = url
+  const [form, setForm] = useScreenerDraft(applied)
+  const [refreshNonce, setRefreshNonce] = useState(0)
+
+  // Requests follow the applied (URL) filters, not the draft
+  const screener = useScreenerRows(POLY_SCREENER, url, refreshNonce)
+  const { page, totalPages, pageStart, pageRows, total } = screener
+
+  const handleChange = (e) => {
+    const { name, value } = e.target
+    setForm((prev) => ({ ...prev, [name]: value }))
+  }
+
+  const applyFilters = () => url.apply(form)
+
+  const removeFilter = (gi, ci) => url.apply({ ...applied, filters: withoutFilterCondition(applied.filters, gi, ci) })
+
+  const resetFilters = () => url.reset()
+
+  const refreshOnly = () => setRefreshNonce((n) => n + 1)
+
+  const matches = useMarketMatches({ poly: pageRows.map(PROVIDERS.poly.market) })
+
+  return (
+    <div className="dashboard">
+      <p className="seo-blurb">
+        Polymarket screener — filter by volume, liquidity, and category; sort
+        by tradability score, churn, uncertainty, or any metric.
+      </p>
+      <h2>Polymarket Screener</h2>
+
+      <SavedScreensBar screener={POLY_SCREENER} url={url} />
+      <fieldset className="screener-filters">
+        <ScreenerSearchInput
+          value={form.q}
+          onChange={handleChange}
+          onSubmit={applyFilters}
+          placeholder="Question or event"
+        />
+        <div className="screener-filter-group">
+          <label htmlFor="poly-category">Category</label>
+          <input
+            id="poly-category"
+            name="category"
+            type="text"
+            value={form.category}
+            onChange={handleChange}
+            placeholder="e.g. Politics"
+          />
+        </div>
+        <div className="screener-filter-group">
+          <label htmlFor="poly-sortBy">Order by</label>
+          <select id="poly-sortBy" name="sortBy" value={form.sortBy} onChange={handleChange}>
+            <option value="tradability_score">Tradability score</option>
+            <option value="volume">Volume</option>
+            <option value="volume_24hr">Volume 24h</option>
+            <option value="liquidity">Liquidity</option>
+            <option value="churn_rate">Churn rate</option>
+            <option value="uncertainty">Uncertainty</option>
+            <option value="change_24h">Δ24h</option>
+            <option value="range_24h">24h range</option>
+          </select>
+        </div>
+        <div className="screener-filter-group">
+          <label htmlFor="poly-sortDir">Direction</label>
+          <select id="poly-sortDir" name="sortDir" value={form.sortDir} onChange={handleChange}>
+            <option value="desc">Desc</option>
+            <option value="asc">Asc</option>
+          </select>
+        </div>
+        <ScreenerFilterBuilder
+          fields={POLY_FILTER_FIELDS}
+          value={form.filters}
+          onChange={(filters) => setForm((prev) => ({ ...prev, filters }))}
+          idPrefix="poly"
+        />
+        <div className="screener-filter-actions">
+          <button type="button" onClick={applyFilters}>Apply filters</button>
+          <button type="button" onClick={refreshOnly}>Refresh</button>
+          <button type="button" onClick={resetFilters}>Reset</button>
+        </div>
+      </fieldset>
+      <ScreenerFilterChips fields={POLY_FILTER_FIELDS} filter={applied.filters} onRemove={removeFilter} />
+
+      <div className="panel" style={{ marginTop: '0.5rem', marginBottom: '1.5rem' }}>
+        <div className="panel-header">
+          <div className="panel-title">High-Activity Markets (Polymarket) <FreshnessBadge freshness={screener.freshness} /></div>
+        </div>
+        <div className="panel-body">
+          {screener.loading && <div className="loading">Loading screener…</div>}
+          <ErrorState error={screener.error} onRetry={screener.retry} />
+          {pageRows.length > 0 && (
+            <div className="screener-results">
+              <div className="screener-table-controls">
+                <div className="screener-results-meta">
+                  Showing {pageStart + 1}–{pageStart + pageRows.length} of {total.toLocaleString('en-US')}
+                  {!screener.serverPaged && ` (top ${SCREENER_FALLBACK_LIMIT} by ${applied.sortBy})`}
+                </div>
+                <div className="screener-page-size">
+                  <label htmlFor="poly-pageSize">Results per page</label>
+                  <select
+                    id="poly-pageSize"
+                    value={pageSize}
+                    onChange={(e) => setPageSize(Number(e.target.value))}
+                  >
+                    {SCREENER_PAGE_SIZES.map((s) => (
+                      <option key={s} value={s}>{s}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="screener-pagination">
+                  <button type="button" onClick={() => setPage(1)} disabled={page === 1}>First</button>
+                  <button type="button" onClick={() => setPage((p) => Math.max(1, p - 1))} disabled={page === 1}>Prev</button>
+                  <span className="screener-page-indicator">Page {page} of {totalPages}</span>
+                  <button type="button" onClick={() => setPage((p) => Math.min(totalPages, p + 1))} disabled={page === totalPages}>Next</button>
+                  <button type="button" onClick={() => setPage(totalPages)} disabled={page === totalPages}>Last</button>
+                </div>
+              </div>
+              <DataTable
+                columns={POLY_SCREENER_COLUMNS}
+                rows={pageRows}
+                rowKey={(row, idx) => row.condition_id ?? idx}
+                context={{ matches }}
+                sort={{ key: applied.sortBy, dir: applied.sortDir }}
+                onSortChange={({ key, dir }) => url.apply({ ...applied, sortBy: key, sortDir: dir })}
+                layout={applied.columns}
+                onLayoutChange={url.setColumns}
+                exportOptions={screener.exportOptions}
+              />
+            </div>
+          )}
+          {screener.loaded && pageRows.length === 0 &&
+            !screener.loading && !screener.error && (
+            <span className="muted">No screener results available.</span>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+// ─── Cross-venue screener ────────────────────────────────────────────────────
+// /screener/all merges both screener feeds into one table of normalized
+// markets (see the provider adapters): probability and spread in percentage
+// points, volume and depth in USD. Kalshi counts contracts, so its volume and
+// open interest are valued at the market's mid (volumeUsd / depthUsd);
+// Polymarket reports USDC. Each venue sends its top SCREENER_FALLBACK_LIMIT
+// rows for the chosen sort, with the bounds it understands pushed down;
+// filtering, sorting and paging across the merged set happen here.
+
+const ALL_SCREENER_PARAMS = {
+  q: 'q',
+  venue: 'venue',
+  sortBy: 'sort',
+  sortDir: 'dir',
+}
+
+const ALL_SCREENER_DEFAULTS = {
+  q: '',
+  venue: '',
+  sortBy: 'tradability_score',
+  sortDir: 'desc',
+}
+
+// `server` is per venue here: the screener params each one accepts for the
+// bound. Kalshi's take contracts, and a contract is worth at most $1, so a
+// dollar minimum is a looser contract minimum; rows are re-checked in dollars.
+const ALL_FILTER_FIELDS = {
+  prob: { label: 'Probability (%)', value: (row) => toPoints(row.prob) },
+  volume: {
+    label: 'Volume (USD)',
+    value: (row) => row.volumeUsd,
+    server: { kalshi: { min: 'min_volume' }, poly: { min: 'min_volume' } },
+  },
+  depth: {
+    label: 'Depth (USD)',
+    value: (row) => row.depthUsd,
+    server: { kalshi: { min: 'min_open_interest' }, poly: { min: 'min_liquidity' } },
+  },
+  // A Kalshi tick is 1¢ on a $1 contract, i.e. one point
+  spread: { label: 'Spread (pp)', value: (row) => toPoints(row.spread), server: { kalshi: { max: 'max_spread_ticks' } } },
+  tradability_score: { label: 'Tradability' },
+  churn_rate: { label: 'Churn rate' },
+  uncertainty: { label: 'Uncertainty' },
+  ...SCREENER_HISTORY_FILTER_FIELDS,
+}
+
+const ALL_VENUE_FILTER_FIELDS = Object.fromEntries(Object.keys(PROVIDERS).map((provider) => [
+  provider,
+  Object.fromEntries(Object.entries(ALL_FILTER_FIELDS).map(([key, def]) => [key, { ...def, server: def.server?.[provider] }])),
+]))
+
+function VenueCell({ provider }) {
+  return (
+    <span className="venue-cell">
+      <img src={PROVIDERS[provider].logo} alt="" className="venue-cell-logo" />
+      {PROVIDERS[provider].label}
+    </span>
+  )
+}
+
+// Sorting is client-side, so every column sorts; `sort` names the venue
+// `sort_by` whose top rows best cover that order.
+const ALL_SCREENER_COLUMNS = [
+  watchColumn(compareNormalized),
+  compareColumn(compareNormalized),
+  {
+    key: 'venue',
+    label: 'Venue',
+    defaultSortDir: 'asc',
+    value: (row) => PROVIDERS[row.provider].label,
+    render: (row) => <VenueCell provider={row.provider} />,
+  },
+  {
+    key: 'title',
+    label: 'Market',
+    defaultSortDir: 'asc',
+    render: (row) => (
+      <>
+        <MarketLink provider={row.provider} id={row.id}>{row.title}</MarketLink>
+        {row.ticker && <div className="market-cell-id">{row.ticker}</div>}
+      </>
+    ),
+  },
+  { key: 'category', label: 'Category', defaultSortDir: 'asc', optional: true, render: (row) => row.category ?? '—' },
+  { key: 'prob', label: 'Probability', value: ALL_FILTER_FIELDS.prob.value, render: (row) => fmtCellPct(row.prob) ?? '—' },
+  ...SCREENER_HISTORY_COLUMNS,
+  {
+    key: 'volume',
+    label: 'Volume (USD)',
+    sort: { kalshi: 'volume', poly: 'volume' },
+    value: ALL_FILTER_FIELDS.volume.value,
+    render: (row) => fmtCellUsd(row.volumeUsd),
+  },
+  {
+    key: 'depth',
+    label: 'Depth (USD)',
+    sort: { kalshi: 'open_interest', poly: 'liquidity' },
+    value: ALL_FILTER_FIELDS.depth.value,
+    render: (row) => fmtCellUsd(row.depthUsd),
+  },
+  {
+    key: 'spread',
+    label: 'Spread (pp)',
+    defaultSortDir: 'asc',
+    sort: { kalshi: 'spread_ticks' },
+    value: ALL_FILTER_FIELDS.spread.value,
+    render: (row) => fmtCellDec(toPoints(row.spread), 1) ?? '—',
+  },
+  {
+    key: 'tradability_score',
+    label: 'Tradability',
+    sort: { kalshi: 'tradability_score', poly: 'tradability_score' },
+    render: (row) => fmtCellDec(row.tradability_score) ?? '—',
+  },
+  { key: 'churn_rate', label: 'Churn', sort: { kalshi: 'churn_rate', poly: 'churn_rate' }, render: (row) => fmtCellDec(row.churn_rate) ?? '—' },
+  { key: 'uncertainty', label: 'Uncertainty', sort: { poly: 'uncertainty' }, render: (row) => fmtCellDec(row.uncertainty) ?? '—' },
+]
+
+const ALL_SCREEN_PRESETS = [
+  { name: 'Tightest liquid markets', params: { sort: 'spread', dir: 'asc', filter: 'all:depth:10000~,volume:10000~' } },
+  { name: 'Coin flips with depth', params: { sort: 'depth', filter: 'all:prob:40~60,depth:5000~' } },
+  { name: 'High churn', params: { sort: 'churn_rate', filter: 'all:churn_rate:1~' } },
+]
+
+const ALL_SCREENER = {
+  provider: 'all',
+  label: 'Cross-venue',
+  params: ALL_SCREENER_PARAMS,
+  defaults: ALL_SCREENER_DEFAULTS,
+  filterFields: ALL_FILTER_FIELDS,
+  columns: ALL_SCREENER_COLUMNS,
+  presets: ALL_SCREEN_PRESETS,
+}
+
+function useAllScreenerRows(url, refreshNonce) {
+  const { applied, pageSize } = url
+  const sortColumn = ALL_SCREENER_COLUMNS.find((c) => c.key === applied.sortBy)
+
+  const skipped = (provider) => Boolean(applied.venue) && applied.venue !== provider
+  const venueParams = (provider) => ({
+    _refresh: refreshNonce,
+    ...screenerServerParams(applied.filters, ALL_VENUE_FILTER_FIELDS[provider]),
+    sort_by: sortColumn?.sort?.[provider] ?? 'tradability_score',
+    limit: SCREENER_FALLBACK_LIMIT,
+  })
+  const kalshi = useProviderApi('kalshi', skipped('kalshi') ? null : '/markets/screener', venueParams('kalshi'), { normalize: 'market' })
+  const poly = useProviderApi('poly', skipped('poly') ? null : '/markets/screener', venueParams('poly'), { normalize: 'market' })
+  const venues = [{ provider: 'kalshi', ...kalshi }, { provider: 'poly', ...poly }]
+    .filter((venue) => !skipped(venue.provider))
+
+  const venueIds = (result) => (Array.isArray(result.data) ? result.data.map((row) => row.id).filter(Boolean) : [])
+  const kalshiHistory = useScreenerHistory('kalshi', skipped('kalshi') ? [] : venueIds(kalshi))
+  const polyHistory = useScreenerHistory('poly', skipped('poly') ? [] : venueIds(poly))
+
+  const rows = useMemo(() => {
+    const byId = (row) => row.id
+    const merged = [
+      ...(Array.isArray(kalshi.data) ? withHistory(kalshi.data, kalshiHistory, byId) : []),
+      ...(Array.isArray(poly.data) ? withHistory(poly.data, polyHistory, byId) : []),
+    ]
+      .filter((row) =>
+        (!applied.venue || row.provider === applied.venue) &&
+        matchesScreenerQuery(row, applied.q) &&
+        matchesScreenerFilter(row, applied.filters, ALL_FILTER_FIELDS)
+      )
+    const column = ALL_SCREENER_COLUMNS.find((c) => c.key === applied.sortBy)
+    return column ? sortTableRows(merged, column, applied.sortDir) : merged
+  }, [kalshi.data, poly.data, kalshiHistory, polyHistory, applied])
+
+  const total = rows.length
+  const totalPages = Math.max(1, Math.ceil(total / pageSize))
+  const page = Math.min(url.page, totalPages)
+  const pageStart = (page - 1) * pageSize
+
+  // The badge shows the older of the two snapshots
+  const freshness = venues
+    .map((venue) => venue.freshness)
+    .filter(Boolean)
+    .reduce((oldest, f) => (!oldest || f.asOf < oldest.asOf ? f : oldest), null)
+
+  return {
+    loading: venues.some((venue) => venue.loading),
+    venues,
+    freshness,
+    exportOptions: {
+      title: 'Cross-venue screener',
+      filters: [
+        ['Venue', applied.venue ? PROVIDERS[applied.venue].label : 'All'],
+        ...(applied.q ? [['Search', applied.q]] : []),
+        ...(activeFilterGroups(applied.filters).length > 0
+          ? [['Filters', describeScreenerFilter(applied.filters, ALL_FILTER_FIELDS)]]
+          : []),
+      ],
+      snapshotAt: freshness?.asOf,
+      rows: async () => rows,
+    },
+    loaded: venues.some((venue) => venue.data),
+    total,
+    totalPages,
+    page,
+    pageStart,
+    pageRows: rows.slice(pageStart, pageStart + pageSize),
+  }
+}
+
+// Prefixes the shared error copy with the venue that failed
+const venueErrorMessages = (provider) => Object.fromEntries(
+  Object.entries(ERROR_MESSAGES).map(([kind, text]) => [kind, `${PROVIDERS[provider].label}: ${text}`]),
+)
+
+function AllScreenerPage() {
+  const url = useScreenerUrlState(ALL_SCREENER)
+  const { applied, pageSize, setPage, setPageSize } = url
+  const [form, setForm] = useScreenerDraft(applied)
+  const [refreshNonce, setRefreshNonce] = useState(0)
+
+  // Requests follow the applied (URL) filters, not the draft
+  const screener = useAllScreenerRows(url, refreshNonce)
+  const { page, totalPages, pageStart, pageRows, total } = screener
+  const sortLabel = ALL_SCREENER_COLUMNS.find((c) => c.key === applied.sortBy)?.label ?? applied.sortBy
+
+  const handleChange = (e) => {
+    const { name, value } = e.target
+    setForm((prev) => ({ ...prev, [name]: value }))
+  }
+
+  const applyFilters = () => url.apply(form)
+
+  const removeFilter = (gi, ci) => url.apply({ ...applied, filters: withoutFilterCondition(applied.filters, gi, ci) })
+
+  const resetFilters = () => url.reset()
+
+  const refreshOnly = () => setRefreshNonce((n) => n + 1)
+
+  return (
+    <div className="dashboard">
+      <p className="seo-blurb">
+        Cross-venue prediction market screener: Kalshi and Polymarket in one
+        table with probability, USD volume, depth and spread in the same units.
+      </p>
+      <h2>All Venues Screener</h2>
+
+      <SavedScreensBar screener={ALL_SCREENER} url={url} />
+      <fieldset className="screener-filters">
+        <ScreenerSearchInput
+          value={form.q}
+          onChange={handleChange}
+          onSubmit={applyFilters}
+          placeholder="Ticker, title or question"
+        />
+        <div className="screener-filter-group">
+          <label htmlFor="all-venue">Venue</label>
+          <select id="all-venue" name="venue" value={form.venue} onChange={handleChange}>
+            <option value="">All venues</option>
+            {Object.values(PROVIDERS).map((p) => (
+              <option key={p.id} value={p.id}>{p.label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="screener-filter-group">
+          <label htmlFor="all-sortBy">Order by</label>
+          <select id="all-sortBy" name="sortBy" value={form.sortBy} onChange={handleChange}>
+            <option value="tradability_score">Tradability score</option>
+            <option value="volume">Volume</option>
+            <option value="depth">Depth</option>
+            <option value="spread">Spread</option>
+            <option value="prob">Probability</option>
+            <option value="churn_rate">Churn rate</option>
+            <option value="uncertainty">Uncertainty</option>
+            <option value="change_24h">Δ24h</option>
+            <option value="range_24h">24h range</option>
+          </select>
+        </div>
+        <div className="screener-filter-group">
+          <label htmlFor="all-sortDir">Direction</label>
+          <select id="all-sortDir" name="sortDir" value={form.sortDir} onChange={handleChange}>
+            <option value="desc">Desc</option>
+            <option value="asc">Asc</option>
+          </select>
+        </div>
+        <ScreenerFilterBuilder
+          fields={ALL_FILTER_FIELDS}
+          value={form.filters}
+          onChange={(filters) => setForm((prev) => ({ ...prev, filters }))}
+          idPrefix="all"
+        />
+        <div className="screener-filter-actions">
+          <button type="button" onClick={applyFilters}>Apply filters</button>
+          <button type="button" onClick={refreshOnly}>Refresh</button>
+          <button type="button" onClick={resetFilters}>Reset</button>
+        </div>
+      </fieldset>
+      <ScreenerFilterChips fields={ALL_FILTER_FIELDS} filter={applied.filters} onRemove={removeFilter} />
+
+      <div className="panel" style={{ marginTop: '0.5rem', marginBottom: '1.5rem' }}>
+        <div className="panel-header">
+          <div className="panel-title">Markets on every venue <FreshnessBadge freshness={screener.freshness} /></div>
+        </div>
+        <div className="panel-body">
+          {screener.loading && <div className="loading">Loading screener…</div>}
+          {screener.venues.map((venue) => (
+            <ErrorState
+              key={venue.provider}
+              error={venue.error}
+              onRetry={venue.retry}
+              messages={venueErrorMessages(venue.provider)}
+            />
+          ))}
+          {pageRows.length > 0 && (
+            <div className="screener-results">
+              <div className="screener-table-controls">
+                <div className="screener-results-meta">
+                  Showing {pageStart + 1}–{pageStart + pageRows.length} of {total.toLocaleString('en-US')}
+                  {` (top ${SCREENER_FALLBACK_LIMIT} per venue by ${sortLabel})`}
+                </div>
+                <div className="screener-page-size">
+                  <label htmlFor="all-pageSize">Results per page</label>
+                  <select id="all-pageSize" value={pageSize} onChange={(e) => setPageSize(Number(e.target.value))}>
+                    {SCREENER_PAGE_SIZES.map((size) => (
+                      <option key={size} value={size}>{size}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="screener-pagination">
+                  <button type="button" onClick={() => setPage(1)} disabled={page === 1}>First</button>
+                  <button type="button" onClick={() => setPage((p) => Math.max(1, p - 1))} disabled={page === 1}>Prev</button>
+                  <span className="screener-page-indicator">Page {page} of {totalPages}</span>
+                  <button type="button" onClick={() => setPage((p) => Math.min(totalPages, p + 1))} disabled={page === totalPages}>Next</button>
+                  <button type="button" onClick={() => setPage(totalPages)} disabled={page === totalPages}>Last</button>
+                </div>
+              </div>
+              <DataTable
+                columns={ALL_SCREENER_COLUMNS}
+                rows={pageRows}
+                rowKey={(row, idx) => (row.id ? `${row.provider}:${row.id}` : idx)}
+                sort={{ key: applied.sortBy, dir: applied.sortDir }}
+                onSortChange={({ key, dir }) => url.apply({ ...applied, sortBy: key, sortDir: dir })}
+                layout={applied.columns}
+                onLayoutChange={url.setColumns}
+                exportOptions={screener.exportOptions}
+              />
+            </div>
+          )}
+          {screener.loaded && pageRows.length === 0 && !screener.loading && (
+            <span className="muted">No markets match this screen on either venue.</span>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+// ─── Treemap helpers ─────────────────────────────────────────────────────────
+
+function tmLayout(items, x = 0, y = 0, w = 100, h = 100) {
+  if (!items || items.length === 0) return []
+  if (items.length === 1) return [{ ...items[0], x, y, w, h }]
+  const sorted = [...items].sort((a, b) => b.value - a.value)
+  const total = sorted.reduce((s, it) => s + it.value, 0)
+  if (total === 0) return sorted.map((it, i) => ({ ...it, x: x + (i / sorted.length) * w, y, w: w / sorted.length, h }))
+  let cum = 0, splitIdx = sorted.length - 1
+  for (let i = 0; i < sorted.length - 1; i++) {
+    cum += sorted[i].value
+    if (cum >= total / 2) { splitIdx = i; break }
+  }
+  const first = sorted.slice(0, splitIdx + 1)
+  const second = sorted.slice(splitIdx + 1)
+  const ratio = first.reduce((s, it) => s + it.value, 0) / total
+  const wide = w >= h
+  const [r1, r2] = wide
+    ? [{ x, y, w: w * ratio, h }, { x: x + w * ratio, y, w: w * (1 - ratio), h }]
+    : [{ x, y, w, h: h * ratio }, { x, y: y + h * ratio, w, h: h * (1 - ratio) }]
+  return [...tmLayout(first, r1.x, r1.y, r1.w, r1.h), ...tmLayout(second, r2.x, r2.y, r2.w, r2.h)]
+}
+
+function lerpC(a, b, t) { return Math.round(a + (b - a) * t) }
+
+function heatColor(norm, direction = 0) {
+  // Directional: green = probability UP, red = probability DOWN
+  // norm = 0→1 magnitude, direction = sign of the shift
+  // Floor of ~0.18 ensures even quiet tiles are clearly visible against the bg
+  const t = Math.max(0, Math.min(1, norm))
+  const floor = 0.18
+  const s = floor + t * (1 - floor) // effective intensity, never below floor
+  if (direction > 0) {
+    // Up → green: visible dark teal → bright green
+    return `rgb(${lerpC(22, 10, s)},${lerpC(58, 200, s)},${lerpC(52, 90, s)})`
+  }
+  if (direction < 0) {
+    // Down → red: visible dark maroon → bright red
+    return `rgb(${lerpC(62, 210, s)},${lerpC(34, 28, s)},${lerpC(40, 38, s)})`
+  }
+  // Neutral (0 shift) → muted gray (still visible)
+  return `rgb(45,50,58)`
+}
+
+function VolHeatmap({ groups, loading, error, onRetry }) {
+  const [hovered, setHovered] = useState(null) // { gi, ci }
+  const [pinned, setPinned] = useState(null) // { gi, ci } kept in the detail card after a click
+  const [drillCat, setDrillCat] = useState(null) // index into valid[] when drilled-in
+
+  if (loading) return <div className="loading">Building heatmap…</div>
+  if (error) return <ErrorState error={error} onRetry={onRetry} />
+  const valid = (groups || []).filter((g) => g.totalValue > 0)
+  if (valid.length === 0) return <span className="muted">No sector data available yet.</span>
+
+  // Compute dynamic maxHeat from actual data so color gradient spans the real range
+  const allHeats = (groups || []).flatMap((g) =>
+    (g.children || []).map((c) => Math.abs(c.heat ?? 0))
+  )
+  const maxHeat = allHeats.length > 0
+    ? Math.max(20, ...allHeats) // floor of 20 prevents division by tiny values
+    : 50
+  const GAP = 0.2
+  const HEADER_H = 3.2
+
+  // ── Drilled-in view: one category fills the whole map ──────────────
+  const isDrilled = drillCat != null && valid[drillCat]
+  const drilledGroup = isDrilled ? valid[drillCat] : null
+
+  const buildElements = () => {
+    if (isDrilled) {
+      // Full-viewport layout for the selected category's markets
+      const drillElements = []
+      const children = drilledGroup.children || []
+      if (children.length === 0) return drillElements
+      const childRects = tmLayout(children, 0, 0, 100, 60)
+      childRects.forEach((rect, ci) => {
+        drillElements.push({
+          type: 'market',
+          x: rect.x, y: rect.y, w: rect.w, h: rect.h,
+          label: rect.label,
+          heat: rect.heat,
+          heatLabel: rect.heatLabel,
+          value: rect.value,
+          oldPct: rect.oldPct,
+          newPct: rect.newPct,
+          ticker: rect.ticker,
+          spread: rect.spread,
+          volume: rect.volume,
+          liquidity: rect.liquidity,
+          timeframe: rect.timeframe,
+          market: rect.market,
+          gi: drillCat, ci,
+          norm: Math.abs(rect.heat ?? 0) / maxHeat,
+          direction: (rect.heat ?? 0),
+        })
+      })
+      return drillElements
+    }
+
+    // ── Normal overview ──────────────────────────────────────────────
+    const catItems = valid.map((g) => ({ value: g.totalValue }))
+    const catRects = tmLayout(catItems, 0, 0, 100, 60)
+    const els = []
+    catRects.forEach((cr, gi) => {
+      const g = valid[gi]
+      els.push({ type: 'cat-bg', x: cr.x, y: cr.y, w: cr.w, h: cr.h, gi, category: g.category })
+      const innerX = cr.x + GAP
+      const innerY = cr.y + HEADER_H
+      const innerW = Math.max(0, cr.w - GAP * 2)
+      const innerH = Math.max(0, cr.h - HEADER_H - GAP)
+      if (innerW > 0.5 && innerH > 0.5 && g.children.length > 0) {
+        const childRects = tmLayout(g.children, innerX, innerY, innerW, innerH)
+        childRects.forEach((rect, ci) => {
+          els.push({
+            type: 'market',
+            x: rect.x, y: rect.y, w: rect.w, h: rect.h,
+            label: rect.label,
+            heat: rect.heat,
+            heatLabel: rect.heatLabel,
+            value: rect.value,
+            oldPct: rect.oldPct,
+            newPct: rect.newPct,
+            ticker: rect.ticker,
+            spread: rect.spread,
+            volume: rect.volume,
+            liquidity: rect.liquidity,
+            timeframe: rect.timeframe,
+            market: rect.market,
+            gi, ci,
+            norm: Math.abs(rect.heat ?? 0) / maxHeat,
+            direction: (rect.heat ?? 0),
+          })
+        })
+      }
+    })
+    return els
+  }
+
+  const elements = buildElements()
+
+  // Hover wins; otherwise the card holds the pinned tile so its star can be clicked
+  const shown = hovered ?? pinned
+  const hoveredEl = shown ? elements.find((e) => e.type === 'market' && e.gi === shown.gi && e.ci === shown.ci) : null
+  const hoveredChild = hoveredEl || null
+  const hoveredCat = shown ? valid[shown.gi]?.category : null
+
+  const handleTileClick = (el) => {
+    setPinned({ gi: el.gi, ci: el.ci })
+    if (isDrilled) return
+    setDrillCat(el.gi)
+    setHovered(null)
+  }
+
+  const handleCatClick = (gi) => {
+    setDrillCat(gi)
+    setHovered(null)
+    setPinned(null)
+  }
+
+  return (
+    <div className="vol-heatmap-wrap">
+      {/* Breadcrumb nav */}
+      <div className="hm-breadcrumb">
+        <span
+          className={`hm-breadcrumb-item${isDrilled ? ' clickable' : ' active'}`}
+          onClick={isDrilled ? () => { setDrillCat(null); setHovered(null); setPinned(null) } : undefined}
+        >
+          Whole Market
+        </span>
+        {isDrilled && (
+          <>
+            <span className="hm-breadcrumb-sep">›</span>
+            <span className="hm-breadcrumb-item active">{drilledGroup.category}</span>
+          </>
+        )}
+      </div>
+
+      <svg viewBox="0 0 100 60" className="vol-heatmap-svg" preserveAspectRatio="xMidYMid meet">
+        {elements.map((el, i) => {
+          if (el.type === 'cat-bg') {
+            const rx = el.x + GAP / 2
+            const ry = el.y + GAP / 2
+            const rw = Math.max(0, el.w - GAP)
+            const rh = Math.max(0, el.h - GAP)
+            if (rw < 0.8 || rh < 0.8) return null
+            const fs = Math.min(1.8, Math.max(0.6, Math.min(rw / 8, rh / 4)))
+            const showLabel = rw > 2.5 || rh > 3
+            return (
+              <g key={`cat-${i}`} style={{ cursor: 'pointer' }} onClick={() => handleCatClick(el.gi)}>
+                <rect
+                  x={rx} y={ry} width={rw} height={rh}
+                  fill="rgba(255,255,255,0.04)"
+                  stroke="rgba(255,255,255,0.12)"
+                  strokeWidth={0.15}
+                  rx={0.4}
+                />
+                {showLabel && (() => {
+                  const maxCatChars = Math.max(2, Math.floor(rw / (fs * 0.65)))
+                  const catLabel = el.category.length > maxCatChars
+                    ? el.category.slice(0, maxCatChars - 1) + '…'
+                    : el.category
+                  return (
+                  <text
+                    x={rx + 0.4} y={ry + Math.min(HEADER_H, rh * 0.35) * 0.62}
+                    fontSize={fs}
+                    fontWeight="800"
+                    fill="rgba(255,255,255,0.7)"
+                    style={{ pointerEvents: 'none', userSelect: 'none', textTransform: 'uppercase', letterSpacing: '0.04em' }}
+                  >
+                    {catLabel}
+                  </text>
+                  )
+                })()}
+              </g>
+            )
+          }
+          if (el.type === 'market') {
+            const norm = Math.max(0, Math.min(1, el.norm))
+            const fill = heatColor(norm, el.direction)
+            const pad = 0.12
+            const rx = el.x + pad
+            const ry = el.y + pad
+            const rw = Math.max(0, el.w - pad * 2)
+            const rh = Math.max(0, el.h - pad * 2)
+            if (rw < 0.25 || rh < 0.25) return null
+            const area = rw * rh
+            // Drilled-in tiles are much larger, so we can always show more info
+            const fs = isDrilled
+              ? Math.max(0.7, Math.min(1.8, rw / 8))
+              : Math.max(0.55, Math.min(1.6, rw / 8))
+            const subFs = fs * 0.72
+            const showLabel = isDrilled ? area > 0.5 : area > 1.5
+            const showHeat = isDrilled ? area > 2 : (area > 5 && el.heatLabel)
+            // In drill mode, show extra detail lines (old→new, ticker, volume)
+            const showExtra = isDrilled && area > 10
+            const maxChars = isDrilled
+              ? Math.max(6, Math.floor(rw / fs * 1.8))
+              : Math.max(2, Math.floor(rw / fs * 1.5))
+            const label = (el.label || '').length > maxChars
+              ? (el.label || '').slice(0, maxChars - 1) + '…'
+              : (el.label || '')
+            const isHov = shown && shown.gi === el.gi && shown.ci === el.ci
+
+            // Count how many text lines we'll draw for vertical centering
+            const lineCount = 1 + (showHeat ? 1 : 0) + (showExtra ? 1 : 0) + (showExtra && el.volume ? 1 : 0)
+            const lineH = fs * 1.15
+            const blockH = lineCount * lineH
+            const startY = ry + rh / 2 - blockH / 2 + fs * 0.4
+
+            return (
+              <g key={`mk-${i}`}>
+                <rect
+                  x={rx} y={ry} width={rw} height={rh}
+                  fill={fill}
+                  rx={0.25}
+                  stroke={isHov ? 'rgba(255,255,255,0.55)' : 'rgba(0,0,0,0.4)'}
+                  strokeWidth={isHov ? 0.25 : 0.08}
+                  style={{ cursor: 'pointer', transition: 'stroke 0.12s' }}
+                  onMouseEnter={() => setHovered({ gi: el.gi, ci: el.ci })}
+                  onMouseLeave={() => setHovered(null)}
+                  onClick={() => handleTileClick(el)}
+                />
+                {showLabel && (
+                  <>
+                    <text
+                      x={rx + rw / 2}
+                      y={startY}
+                      textAnchor="middle" dominantBaseline="middle"
+                      fontSize={fs} fontWeight="700"
+                      fill="rgba(255,255,255,0.92)"
+                      style={{ pointerEvents: 'none', userSelect: 'none' }}
+                    >
+                      {label}
+                    </text>
+                    {showHeat && (
+                      <text
+                        x={rx + rw / 2}
+                        y={startY + lineH}
+                        textAnchor="middle" dominantBaseline="middle"
+                        fontSize={subFs} fontWeight="600"
+                        fill={norm > 0.5 ? 'rgba(30,30,50,0.95)' : 'rgba(255,255,255,0.85)'}
+                        style={{ pointerEvents: 'none', userSelect: 'none' }}
+                      >
+                        {el.heatLabel}
+                      </text>
+                    )}
+                    {showExtra && el.oldPct != null && el.newPct != null && (
+                      <text
+                        x={rx + rw / 2}
+                        y={startY + lineH * 2}
+                        textAnchor="middle" dominantBaseline="middle"
+                        fontSize={subFs * 0.9} fontWeight="500"
+                        fill="rgba(255,255,255,0.6)"
+                        style={{ pointerEvents: 'none', userSelect: 'none' }}
+                      >
+                        {el.oldPct}% → {el.newPct}%
+                      </text>
+                    )}
+                    {showExtra && el.volume != null && (
+                      <text
+                        x={rx + rw / 2}
+                        y={startY + lineH * (el.oldPct != null ? 3 : 2)}
+                        textAnchor="middle" dominantBaseline="middle"
+                        fontSize={subFs * 0.8} fontWeight="400"
+                        fill="rgba(255,255,255,0.45)"
+                        style={{ pointerEvents: 'none', userSelect: 'none' }}
+                      >
+                        Vol: {el.volume}
+                      </text>
+                    )}
+                  </>
+                )}
+              </g>
+            )
+          }
+          return null
+        })}
+      </svg>
+
+      {/* Hover detail card */}
+      <div className={`vol-heatmap-detail${hoveredChild ? ' visible' : ''}`}>
+        {hoveredChild ? (
+          <>
+            <div className="hm-detail-head">
+              <div className="hm-detail-name">{hoveredChild.label}</div>
+              {hoveredChild.market && <WatchStar market={hoveredChild.market} />}
+            </div>
+            <div className="hm-detail-sub">{hoveredCat}{hoveredChild.ticker ? ` · ${hoveredChild.ticker}` : ''}</div>
+            <div className="hm-detail-grid">
+              {hoveredChild.oldPct != null && (
+                <>
+                  <span className="hm-detail-key">Was</span>
+                  <span className="hm-detail-val">{hoveredChild.oldPct}%</span>
+                </>
+              )}
+              {hoveredChild.newPct != null && (
+                <>
+                  <span className="hm-detail-key">Now</span>
+                  <span className="hm-detail-val">{hoveredChild.newPct}%</span>
+                </>
+              )}
+              <span className="hm-detail-key">Shift</span>
+              <span className={`hm-detail-val ${(hoveredChild.heat ?? 0) >= 0 ? 'tip-up' : 'tip-down'}`}>
+                {hoveredChild.heatLabel || '—'}
+              </span>
+              {hoveredChild.spread != null && (
+                <>
+                  <span className="hm-detail-key">Spread</span>
+                  <span className="hm-detail-val">{hoveredChild.spread}</span>
+                </>
+              )}
+              {hoveredChild.volume != null && (
+                <>
+                  <span className="hm-detail-key">Volume</span>
+                  <span className="hm-detail-val">{hoveredChild.volume}</span>
+                </>
+              )}
+              {hoveredChild.liquidity != null && (
+                <>
+                  <span className="hm-detail-key">Liquidity</span>
+                  <span className="hm-detail-val">{hoveredChild.liquidity}</span>
+                </>
+              )}
+              {hoveredChild.timeframe != null && (
+                <>
+                  <span className="hm-detail-key">Window</span>
+                  <span className="hm-detail-val">{hoveredChild.timeframe}</span>
+                </>
+              )}
+            </div>
+          </>
+        ) : (
+          <span className="hm-detail-hint">{isDrilled ? 'Hover a tile for details, click to pin it' : 'Click a category to drill in'}</span>
+        )}
+      </div>
+
+      {/* Legend */}
+      <div className="vol-heatmap-legend">
+        <span className="hm-leg-label down">▼ Down</span>
+        <div className="hm-leg-bar-down" />
+        <span className="hm-leg-label quiet">Quiet</span>
+        <div className="hm-leg-bar-up" />
+        <span className="hm-leg-label up">▲ Up</span>
+      </div>
+    </div>
+  )
+}
+
+// ─── Vol Index Page ───────────────────────────────────────────────────────────
+
+function buildNormPoints(values, w = 100, h = 40, pad = 4, range = null) {
+  if (!values || values.length < 2) return ''
+  const validValues = values.filter(v => typeof v === 'number' && !isNaN(v));
+  if (validValues.length < 2) return ''
+  const min = range ? range.min : Math.min(...validValues)
+  const max = range ? range.max : Math.max(...validValues)
+  const span = max - min || 1
+  return values
+    .map((v, i) => {
+      if (typeof v !== 'number' || isNaN(v)) return null;
+      const x = (i / (values.length - 1)) * w
+      // Clamp the value between min and max to ensure it never goes out of bounds
+      const clampedV = Math.max(min, Math.min(max, v));
+      const norm = (clampedV - min) / span
+      const y = h - pad - norm * (h - pad * 2)
+      return `${x},${y}`
+    })
+    .filter(Boolean)
+    .join(' ')
+}
+
+// `sharedScale` plots every series against one y-range (e.g. bid/mid/ask)
+// instead of fitting each line to the full height.
+function ModernLineChart({ series, loading, error, onRetry, sharedScale = false, showAxes = true, yAxisFormatter = (v) => v, xAxisFormatter = (v) => v }) {
+  const COLORS = ['#7c6af7', '#38bdf8', '#10b981', '#f59e0b', '#ef4444']
+  const [hoveredIndex, setHoveredIndex] = useState(null)
+
+  if (loading) return <div className="loading">Loading chart…</div>
+  if (error) return <ErrorState error={error} onRetry={onRetry} />
+  if (!series || series.every((s) => !s.values || s.values.length < 2)) {
+    return <span className="muted">No chart data yet.</span>
+  }
+
+  // Find global min/max for all series to scale them together if needed
+  // Or scale them independently if they have vastly different ranges
+  // For simplicity, we'll scale each series independently to fit the 0-40 viewBox height
+  // but we'll calculate the min/max for the first series to show on the Y axis
+  const primarySeries = series[0];
+  const validValues = (sharedScale ? series.flatMap((s) => s.values ?? []) : primarySeries.values)
+    .filter(v => typeof v === 'number' && !isNaN(v));
+  const primaryMin = validValues.length ? Math.min(...validValues) : 0;
+  const primaryMax = validValues.length ? Math.max(...validValues) : 100;
+  const primarySpan = primaryMax - primaryMin || 1;
+
+  const yAxisLabels = [
+    primaryMax,
+    primaryMin + primarySpan * 0.75,
+    primaryMin + primarySpan * 0.5,
+    primaryMin + primarySpan * 0.25,
+    primaryMin
+  ];
+
+  // Generate X-axis labels (e.g., 3 evenly spaced labels to prevent overlap)
+  const xAxisLabels = [];
+  if (primarySeries.times && primarySeries.times.length > 0) {
+    const len = primarySeries.times.length;
+    const numLabels = Math.min(3, len); // Use 3 labels max
+    
+    for (let i = 0; i < numLabels; i++) {
+      // Calculate index: 0, middle, end
+      const index = i === 0 ? 0 : i === numLabels - 1 ? len - 1 : Math.floor((len - 1) * (i / (numLabels - 1)));
+      
+      // Avoid duplicates if len is very small
+      if (!xAxisLabels.find(l => l.index === index)) {
+        xAxisLabels.push({
+          index,
+          time: primarySeries.times[index],
+          percent: len > 1 ? (index / (len - 1)) * 100 : 50
+        });
+      }
+    }
+  }
+
+  const handleMouseMove = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const x = e.clientX - rect.left;
+    const width = rect.width;
+    const percentage = x / width;
+    const dataLength = primarySeries.values.length;
+    const index = Math.min(Math.max(Math.round(percentage * (dataLength - 1)), 0), dataLength - 1);
+    setHoveredIndex(index);
+  };
+
+  const handleMouseLeave = () => {
+    setHoveredIndex(null);
+  };
+
+  return (
+    <div className="modern-chart-wrapper" style={{ background: '#0f172a', borderRadius: '12px', padding: '1.5rem', border: '1px solid #1e293b', position: 'relative' }}>
+      <div className="dual-chart-legend" style={{ marginBottom: '1rem', display: 'flex', gap: '1rem', justifyContent: 'center', flexWrap: 'wrap' }}>
+        {hoveredIndex !== null && primarySeries.times && primarySeries.times[hoveredIndex] && (
+          <span style={{ color: '#94a3b8', fontSize: '0.875rem', marginRight: '1rem', fontWeight: 'bold' }}>
+            {xAxisFormatter(primarySeries.times[hoveredIndex])}
+          </span>
+        )}
+        {series.map((s, si) => (
+          <span key={si} className="legend-item" style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', fontSize: '0.875rem', color: '#cbd5e1' }}>
+            <span
+              className="legend-dot"
+              style={{ background: s.color ?? COLORS[si % COLORS.length], width: '10px', height: '10px', borderRadius: '50%', display: 'inline-block' }}
+            />
+            {s.label}
+            {hoveredIndex !== null && s.values[hoveredIndex] !== undefined && s.values[hoveredIndex] !== null && (
+              <strong style={{ color: '#fff', marginLeft: '4px' }}>
+                {yAxisFormatter(s.values[hoveredIndex])}
+              </strong>
+            )}
+          </span>
+        ))}
+      </div>
+      
+      <div style={{ display: 'flex', width: '100%', height: '14rem' }}>
+        {showAxes && (
+          <div style={{ display: 'flex', flexDirection: 'column', justifyContent: 'space-between', paddingRight: '10px', paddingBottom: '20px', color: '#64748b', fontSize: '0.7rem', textAlign: 'right', width: '50px', flexShrink: 0 }}>
+            {yAxisLabels.map((val, i) => (
+              <span key={i}>{yAxisFormatter(val)}</span>
+            ))}
+          </div>
+        )}
+        
+        <div style={{ display: 'flex', flexDirection: 'column', flexGrow: 1, height: '100%' }}>
+          <div 
+            style={{ position: 'relative', flexGrow: 1, cursor: 'crosshair', overflow: 'hidden' }}
+            onMouseMove={handleMouseMove}
+            onMouseLeave={handleMouseLeave}
+          >
+            <svg
+              className="modern-chart"
+              viewBox="0 0 100 40"
+              preserveAspectRatio="none"
+              style={{ width: '100%', height: '100%', display: 'block', overflow: 'hidden' }}
+            >
+              {/* Grid lines */}
+              <line x1="0" y1="0" x2="100" y2="0" stroke="#1e293b" strokeWidth="0.5" strokeDasharray="2 2" />
+              <line x1="0" y1="10" x2="100" y2="10" stroke="#1e293b" strokeWidth="0.5" strokeDasharray="2 2" />
+              <line x1="0" y1="20" x2="100" y2="20" stroke="#1e293b" strokeWidth="0.5" strokeDasharray="2 2" />
+              <line x1="0" y1="30" x2="100" y2="30" stroke="#1e293b" strokeWidth="0.5" strokeDasharray="2 2" />
+              <line x1="0" y1="40" x2="100" y2="40" stroke="#1e293b" strokeWidth="0.5" strokeDasharray="2 2" />
+              
+              {series.map((s, si) => {
+                const pts = buildNormPoints(s.values, 100, 40, 4, sharedScale ? { min: primaryMin, max: primaryMax } : null)
+                if (!pts) return null;
+                const color = s.color ?? COLORS[si % COLORS.length];
+                const fillId = `gradient-${s.label.replace(/[^a-zA-Z0-9]/g, '-')}-${si}`;
+                return (
+                  <g key={si}>
+                    <defs>
+                      <linearGradient id={fillId} x1="0" y1="0" x2="0" y2="1">
+                        <stop offset="0%" stopColor={color} stopOpacity="0.3" />
+                        <stop offset="100%" stopColor={color} stopOpacity="0.0" />
+                      </linearGradient>
+                    </defs>
+                    <polygon
+                      points={`0,40 ${pts} 100,40`}
+                      fill={`url(#${fillId})`}
+                    />
+                    <polyline
+                      points={pts}
+                      fill="none"
+                      stroke={color}
+                      strokeWidth="1.5"
+                      vectorEffect="non-scaling-stroke"
+                      strokeLinecap="round"
+                      strokeLinejoin="round"
+                    />
+                  </g>
+                )
+              })}
+
+              {/* Hover Line */}
+              {hoveredIndex !== null && (
+                <line 
+                  x1={(hoveredIndex / (primarySeries.values.length - 1)) * 100} 
+                  y1="0" 
+                  x2={(hoveredIndex / (primarySeries.values.length - 1)) * 100} 
+                  y2="40" 
+                  stroke="#94a3b8" 
+                  strokeWidth="0.5" 
+                  strokeDasharray="1 1" 
+                  vectorEffect="non-scaling-stroke"
+                />
+              )}
+            </svg>
+          </div>
+          
+          {/* X-Axis Labels */}
+          {showAxes && xAxisLabels.length > 0 && (
+            <div style={{ position: 'relative', height: '20px', marginTop: '8px', color: '#64748b', fontSize: '0.7rem' }}>
+              {xAxisLabels.map((label, i) => {
+                // Adjust alignment for first and last labels to prevent overflow
+                let transform = `translateX(-50%)`;
+                let left = `${label.percent}%`;
+                if (i === 0) {
+                  transform = `translateX(0)`;
+                  left = `0%`;
+                } else if (i === xAxisLabels.length - 1) {
+                  transform = `translateX(-100%)`;
+                  left = `100%`;
+                }
+                
+                return (
+                  <span 
+                    key={i} 
+                    style={{ 
+                      position: 'absolute', 
+                      left: left, 
+                      transform: transform,
+                      whiteSpace: 'nowrap'
+                    }}
+                  >
+                    {xAxisFormatter(label.time)}
+                  </span>
+                );
+              })}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+function VolatilityGauge({ value, min = 0, max = 100, label }) {
+  const numericValue = parseFloat(value) || 0;
+  const clampedValue = Math.min(Math.max(numericValue, min), max);
+  const percentage = max > min ? (clampedValue - min) / (max - min) : 0;
+  
+  const radius = 40;
+  const circumference = Math.PI * radius;
+  const strokeDashoffset = circumference - percentage * circumference;
+
+  let statusText = "NORMAL";
+  let statusColor = "#f59e0b";
+  if (percentage < 0.33) {
+    statusText = "LOW VOLATILITY";
+    statusColor = "#10b981";
+  } else if (percentage > 0.66) {
+    statusText = "HIGH VOLATILITY";
+    statusColor = "#ef4444";
+  }
+
+  return (
+    <div className="vol-gauge-container" style={{ textAlign: 'center', margin: '2rem 0' }}>
+      <div style={{ position: 'relative', width: '240px', height: '130px', margin: '0 auto' }}>
+        <svg viewBox="0 0 100 55" style={{ width: '100%', height: '100%', overflow: 'visible' }}>
+          <path
+            d="M 10 50 A 40 40 0 0 1 90 50"
+            fill="none"
+            stroke="#1e293b"
+            strokeWidth="12"
+            strokeLinecap="round"
+          />
+          <path
+            d="M 10 50 A 40 40 0 0 1 90 50"
+            fill="none"
+            stroke="url(#gauge-gradient)"
+            strokeWidth="12"
+            strokeLinecap="round"
+            strokeDasharray={circumference}
+            strokeDashoffset={strokeDashoffset}
+            style={{ transition: 'stroke-dashoffset 1s ease-out' }}
+          />
+          <defs>
+            <linearGradient id="gauge-gradient" x1="0%" y1="0%" x2="100%" y2="0%">
+              <stop offset="0%" stopColor="#10b981" />
+              <stop offset="50%" stopColor="#f59e0b" />
+              <stop offset="100%" stopColor="#ef4444" />
+            </linearGradient>
+          </defs>
+        </svg>
+        <div style={{
+          position: 'absolute',
+          bottom: '-10px',
+          left: '0',
+          width: '100%',
+          textAlign: 'center',
+          display: 'flex',
+          flexDirection: 'column',
+          alignItems: 'center'
+        }}>
+          <span style={{ fontSize: '3.5rem', fontWeight: '800', lineHeight: '1', color: '#f8fafc', textShadow: '0 2px 10px rgba(0,0,0,0.2)' }}>
+            {value}
+          </span>
+          <span style={{ fontSize: '0.875rem', color: statusColor, fontWeight: '700', letterSpacing: '0.05em', marginTop: '0.5rem' }}>
+            {statusText}
+          </span>
+        </div>
+      </div>
+      <div style={{ display: 'flex', justifyContent: 'space-between', width: '220px', margin: '1.5rem auto 0', fontSize: '0.75rem', color: '#64748b', fontWeight: '700', letterSpacing: '0.05em' }}>
+        <span>LOW</span>
+        <span>HIGH</span>
+      </div>
+    </div>
+  );
+}
+
+function VolIndexPage() {
+  const [hmProvider, setHmProvider] = useState('kalshi')
+
+  const kalshiDeltas   = useProviderApi('kalshi', '/global-6h-deltas', { limit: 50 })
+  const kalshiVolIndex = useProviderApi('kalshi', '/vol/index/global', { points: 50 })
+  const polyVolIndex   = useProviderApi('poly', '/vol/index/global', { points: 50 })
+  const polyDeltas     = useProviderApi('poly', '/global-deltas', { limit: 50 })
+
+  // ── Extra data for sector heatmap (top-changes-24h has volume+OI+title) ──
+  const kalshiMovers   = useProviderApi('kalshi', '/markets/top-changes-24h', { metric: 'mid', limit: 100 })
+  const polyMidMoves   = useProviderApi('poly', '/markets/mid-moves', { hours: 24, limit: 100 })
+
+  // ── Kalshi index (volume + OI + breadth normalized composite) ──
+  let kalshiIndexPoints = ''
+  let kalshiLatest = null
+  let kalshiValues = []
+  let kalshiTimes = []
+  if (Array.isArray(kalshiDeltas.data) && kalshiDeltas.data.length > 0) {
+    const rows = [...kalshiDeltas.data].reverse()
+    const baseVol  = rows[0].d_volume_6h || 1
+    const baseOi   = rows[0].d_oi_6h || 1
+    const baseWide = rows[0].d_wide_6h || 1
+    kalshiValues = rows.map((r) => {
+      const relVol  = r.d_volume_6h / baseVol
+      const relOi   = r.d_oi_6h / baseOi
+      const relWide = r.d_wide_6h / baseWide
+      return (100 * (relVol + relOi + relWide)) / 3
+    })
+    kalshiTimes = rows.map(r => r.snap_ts)
+    kalshiIndexPoints = buildNormPoints(kalshiValues)
+    kalshiLatest = kalshiValues[kalshiValues.length - 1]?.toFixed(1)
+  }
+
+  // ── Kalshi Δ volume / Δ OI chart ──
+  const kalshiChartSeries = Array.isArray(kalshiDeltas.data) && kalshiDeltas.data.length > 1
+    ? (() => {
+        const rows = [...kalshiDeltas.data].reverse()
+        return [
+          { label: 'Δ Volume (6h)', values: rows.map((r) => r.d_volume_6h ?? 0), times: rows.map(r => r.snap_ts), color: '#7c6af7' },
+          { label: 'Δ Open Interest (6h)', values: rows.map((r) => r.d_oi_6h ?? 0), times: rows.map(r => r.snap_ts), color: '#38bdf8' },
+        ]
+      })()
+    : null
+
+  // ── Poly vol index (log-odds, annualized) ──
+  let polyIndexPoints = ''
+  let polyLatest = null
+  let polyValues = []
+  let polyTimes = []
+  const polyVolSeries = polyVolIndex.data?.series || (Array.isArray(polyVolIndex.data) ? polyVolIndex.data : [])
+  if (polyVolSeries.length > 0) {
+    const rows = [...polyVolSeries].reverse()
+    polyValues = rows.map((r) => r.vol_index ?? 0)
+    polyTimes = rows.map((r) => r.snap_ts ?? '')
+    polyIndexPoints = buildNormPoints(polyValues)
+    polyLatest = polyValues[polyValues.length - 1]?.toFixed(4)
+  }
+
+  // ── Kalshi vol index (log-odds, annualized) ──
+  let kalshiVolValues = []
+  let kalshiVolTimes = []
+  let kalshiVolLatest = null
+  const kalshiVolSeries = kalshiVolIndex.data?.series || (Array.isArray(kalshiVolIndex.data) ? kalshiVolIndex.data : [])
+  if (kalshiVolSeries.length > 0) {
+    const rows = [...kalshiVolSeries].reverse()
+    kalshiVolValues = rows.map((r) => r.vol_index ?? 0)
+    kalshiVolTimes = rows.map((r) => r.snap_ts ?? '')
+    kalshiVolLatest = kalshiVolValues[kalshiVolValues.length - 1]?.toFixed(4)
+  }
+
+  // ── Poly Δ volume / Δ liquidity chart ──
+  const polyChartSeries = Array.isArray(polyDeltas.data) && polyDeltas.data.length > 1
+    ? (() => {
+        const rows = [...polyDeltas.data].reverse()
+        return [
+          { label: 'Δ Volume (USDC)', values: rows.map((r) => r.d_volume ?? 0), times: rows.map(r => r.snap_ts), color: '#7c6af7' },
+          { label: 'Δ Liquidity (USDC)', values: rows.map((r) => r.d_liquidity ?? 0), times: rows.map(r => r.snap_ts), color: '#38bdf8' },
+        ]
+      })()
+    : null
+
+  // ── Global Volatility Index (Kalshi Only) ──
+  let combinedLatest = null;
+  let combinedValues = [];
+  let combinedTimes = [];
+  let combinedIndexPoints = '';
+
+  const isCombinedLoading = kalshiDeltas.loading;
+
+  if (kalshiValues.length > 0) {
+    const kalshiMax = Math.max(...kalshiValues) || 1;
+    combinedValues = kalshiValues.map(k => {
+      const val = (k / kalshiMax) * 100;
+      return isNaN(val) ? null : val;
+    });
+    combinedTimes = kalshiTimes;
+    combinedIndexPoints = buildNormPoints(combinedValues);
+    const validCombined = combinedValues.filter(v => v !== null);
+    combinedLatest = validCombined[validCombined.length - 1]?.toFixed(1);
+  }
+
+  // ── Heatmap tiles: Kalshi — group movers by category, nested structure ──
+  const KALSHI_CATS = [
+    ['Politics',      /trump|biden|harris|elect|pres|congress|senat|scotus|approv|cabinet|nomine|pardon|border|exec|gop|eo\d|party|vote|poll|doge(?!coin)/i],
+    ['Weather',       /high[a-z]{2,}|temp|tornado|hurricane|storm|snow|rain|flood|drought|wildfire|freeze|wind|cold|heat(?!h)/i],
+    ['Finance',       /sp500|nasdaq|djia|inx|oil|gold|fedfund|fomc|rate(?!d)|inflation|gdp|cpi|yield|recession|jobs|unemp|payroll|housing|mortgage|treasury|ppi|retail/i],
+    ['Crypto',        /btc|eth\b|sol\b|xrp|crypto|bitcoin|ethereum|doge(?=coin)/i],
+    ['Sports',        /nba|nfl|mlb|nhl|ufc|mma|f1\b|golf|tennis|soccer|ncaa|playoff|bowl|champion|nascar|pga|cup\b/i],
+    ['Entertainment', /\brt\b|oscar|grammy|emmy|boxoffice|disney|netflix|movie|film|award|stream/i],
+    ['Tech',          /\bai\b|openai|nvidia|spacex|starlink|chatgpt|robot|chip|semi/i],
+    ['Business',      /acquannounce|ipo|merger|layoff|earn|revenue|bankrupt|ceo/i],
+  ]
+  function kalshiCategory(ticker) {
+    const t = (ticker || '').replace(/^KX/i, '')
+    for (const [cat, re] of KALSHI_CATS) { if (re.test(t)) return cat }
+    return 'Other'
+  }
+
+  const kalshiGroups = (() => {
+    const movers = Array.isArray(kalshiMovers.data) ? kalshiMovers.data : []
+    if (movers.length === 0) return []
+    const groups = {}
+    movers.forEach((m) => {
+      const cat = kalshiCategory(m.market_ticker)
+      if (!groups[cat]) groups[cat] = { children: [] }
+      // Prefer API title, fall back to ticker-derived label
+      const rawTitle = m.title || ''
+      const series = (m.market_ticker || '').replace(/^KX/i, '').split('-')[0]
+      const tickerLabel = series
+        .replace(/([a-z])([A-Z])/g, '$1 $2')
+        .replace(/([A-Z]+)/g, ' $1')
+        .trim()
+      const label = rawTitle || tickerLabel
+      const oldP = typeof m.prev_value === 'number' ? m.prev_value : null
+      const newP = typeof m.current_value === 'number' ? m.current_value : null
+      const diff = typeof m.delta_value === 'number' ? m.delta_value : 0
+      const shiftPct = Math.abs(diff)
+      const spread = (oldP != null && newP != null) ? Math.abs(newP - oldP) : null
+      const fmtVol = typeof m.current_volume === 'number'
+        ? (m.current_volume >= 1_000_000 ? `${(m.current_volume/1e6).toFixed(1)}M` : m.current_volume >= 1_000 ? `${(m.current_volume/1e3).toFixed(0)}K` : m.current_volume.toLocaleString('en-US'))
+        : null
+      const fmtOI = typeof m.current_open_interest === 'number'
+        ? (m.current_open_interest >= 1_000_000 ? `${(m.current_open_interest/1e6).toFixed(1)}M` : m.current_open_interest >= 1_000 ? `${(m.current_open_interest/1e3).toFixed(0)}K` : m.current_open_interest.toLocaleString('en-US'))
+        : null
+      groups[cat].children.push({
+        label,
+        value: Math.max(1, shiftPct),
+        heat: diff,
+        heatLabel: `${oldP != null ? oldP.toFixed(0) : '?'}→${newP != null ? newP.toFixed(0) : '?'}¢`,
+        oldPct: oldP != null ? oldP.toFixed(0) : null,
+        newPct: newP != null ? newP.toFixed(0) : null,
+        ticker: m.market_ticker || null,
+        market: { provider: 'kalshi', id: m.market_ticker || null, title: label },
+        spread: spread != null ? `${spread.toFixed(1)}¢` : null,
+        volume: fmtVol,
+        liquidity: fmtOI,
+        timeframe: '24h',
+      })
+    })
+    return Object.entries(groups)
+      .map(([category, g]) => ({
+        category,
+        totalValue: g.children.reduce((s, c) => s + c.value, 0),
+        avgHeat: g.children.reduce((s, c) => s + c.heat, 0) / g.children.length,
+        children: g.children.sort((a, b) => b.value - a.value),
+      }))
+      .sort((a, b) => b.totalValue - a.totalValue)
+  })()
+
+  // ── Heatmap tiles: Polymarket — group mid-moves by keyword category, nested ──
+  const POLY_KEYWORD_CATS = [
+    ['Crypto',        /bitcoin|btc|eth|ethereum|sol|solana|doge|xrp|crypto|coin|token|nft|defi|blockchain|binance|coinbase/i],
+    ['Politics',      /trump|biden|harris|election|president|senate|congress|vote|poll|democrat|republican|governor|cabinet|impeach|pardon|executive|border|immigration|gop|dnc|rnc|nominee|speaker|filibuster|veto|ballot|primary|swing.state/i],
+    ['Sports',        /nba|nfl|mlb|nhl|soccer|football|basketball|baseball|tennis|golf|olympics|ufc|mma|f1|formula|spread|match|playoff|champion|league|cup\b|seed|draft|scoring|winner|medal|grand.prix|premier|serie.a|la.liga|bundesliga|ligue|epl|ncaa|super.bowl|world.series|stanley|mvp/i],
+    ['Finance',       /fed\b|inflation|gdp|rate\b|economy|recession|market|nasdaq|s&p|dow|interest|oil|gold|treasury|cpi|stock|etf|bond|yield|earnings|ipo|tariff|trade.war|magnificent|amzn|aapl|msft|googl|nvda|tsla|meta\b/i],
+    ['Geopolitics',   /war|ukraine|russia|israel|gaza|nato|china|taiwan|iran|north.korea|middle.east|ceasefire|sanction|missile|invasion|troops|military|peace/i],
+    ['Tech',          /\bai\b|openai|apple|google|microsoft|nvidia|tesla|meta\b|amazon|twitter|chatgpt|model|robot|spacex|starlink|semiconductor|chip|gpt|anthropic|gemini|llama/i],
+    ['Entertainment', /oscar|grammy|emmy|movie|film|music|streaming|disney|netflix|spotify|tiktok|youtube|award|album|song|concert|box.office|reality.tv|bachelor/i],
+    ['Climate',       /climate|weather|hurricane|earthquake|wildfire|flood|temperature|drought|tornado|sea.level|carbon|emission/i],
+  ]
+  function polyCategory(question) {
+    const q = (question || '')
+    for (const [cat, re] of POLY_KEYWORD_CATS) { if (re.test(q)) return cat }
+    return 'Other'
+  }
+
+  const polyGroups = (() => {
+    const moves = Array.isArray(polyMidMoves.data) ? polyMidMoves.data : []
+    if (moves.length === 0) return []
+    const groups = {}
+    moves.forEach((row) => {
+      const cat = polyCategory(row.question ?? row.title ?? '')
+      if (!groups[cat]) groups[cat] = { children: [] }
+      const vol = num(row.volume) ?? 1
+      const liq = num(row.liquidity)
+      const diff = (num(row.price_diff) ?? 0) * 100
+      const oldP = num(row.price_prev) === null ? null : (num(row.price_prev) * 100).toFixed(0)
+      const newP = num(row.price_now) === null ? null : (num(row.price_now) * 100).toFixed(0)
+      const q = (row.question ?? row.title ?? '').replace(/^Will\s+/i, '').replace(/\?$/, '')
+      const label = q.length > 35 ? q.slice(0, 33) + '…' : q
+      const fmtVol = vol >= 1_000_000 ? `$${(vol/1e6).toFixed(1)}M` : vol >= 1_000 ? `$${(vol/1e3).toFixed(0)}K` : `$${vol.toFixed(0)}`
+      const fmtLiq = liq != null ? (liq >= 1_000_000 ? `$${(liq/1e6).toFixed(1)}M` : liq >= 1_000 ? `$${(liq/1e3).toFixed(0)}K` : `$${liq.toFixed(0)}`) : null
+      groups[cat].children.push({
+        label,
+        value: Math.max(1, vol),
+        heat: diff,
+        heatLabel: `${oldP ?? '?'}→${newP ?? '?'}%`,
+        oldPct: oldP,
+        newPct: newP,
+        ticker: null,
+        market: { provider: 'poly', id: row.condition_id ?? null, title: row.question ?? row.title ?? label },
+        spread: (oldP != null && newP != null) ? `${Math.abs(Number(newP) - Number(oldP)).toFixed(0)}pp` : null,
+        volume: fmtVol,
+        liquidity: fmtLiq,
+        timeframe: '24h',
+      })
+    })
+    return Object.entries(groups)
+      .map(([category, g]) => ({
+        category,
+        totalValue: g.children.reduce((s, c) => s + c.value, 0),
+        avgHeat: g.children.reduce((s, c) => s + c.heat, 0) / g.children.length,
+        children: g.children.sort((a, b) => b.value - a.value),
+      }))
+      .sort((a, b) => b.totalValue - a.totalValue)
+  })()
+
+  const hmLoading = hmProvider === 'kalshi'
+    ? kalshiMovers.loading
+    : polyMidMoves.loading
+  const hmSource = hmProvider === 'kalshi' ? kalshiMovers : polyMidMoves
+  const hmGroups = hmProvider === 'kalshi' ? kalshiGroups : polyGroups
+
+  return (
+    <div className="dashboard">
+      <p className="seo-blurb">
+        A realized volatility index based on Kalshi data —
+        tracking Kalshi's Market Shift Index (volume, open-interest, and breadth deltas).
+      </p>
+      <h2>Global Volatility Index</h2>
+
+      {/* ═══ PROBABILITY SHIFT MAP ═══ */}
+      <div className="panel" style={{ marginTop: '1.5rem' }}>
+        <div className="panel-header" style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', flexWrap: 'wrap', gap: '0.5rem' }}>
+          <div>
+            <div className="panel-title">Probability Shift Map <FreshnessBadge freshness={(hmProvider === 'kalshi' ? kalshiMovers : polyMidMoves).freshness} /></div>
+            <div style={{ fontSize: '0.72rem', color: 'rgba(255,255,255,0.35)', marginTop: '0.15rem' }}>
+              Where consensus is moving right now &nbsp;·&nbsp; Brighter = bigger shift
+            </div>
+          </div>
+          <div className="hm-provider-tabs">
+            <button
+              type="button"
+              className={`hm-tab${hmProvider === 'kalshi' ? ' active' : ''}`}
+              onClick={() => setHmProvider('kalshi')}
+            >
+              <img src={KALSHI_LOGO_URL} alt="" style={{ height: '14px', width: '14px', objectFit: 'contain' }} />
+              Kalshi
+            </button>
+            <button
+              type="button"
+              className={`hm-tab${hmProvider === 'poly' ? ' active' : ''}`}
+              onClick={() => setHmProvider('poly')}
+            >
+              <img src={POLYMARKET_LOGO_URL} alt="" style={{ height: '14px', width: '14px', objectFit: 'contain' }} />
+              Polymarket
+            </button>
+          </div>
+        </div>
+        <div className="panel-body">
+          <VolHeatmap
+            groups={hmGroups}
+            loading={hmLoading}
+            error={hmSource.error}
+            onRetry={hmSource.retry}
+          />
+          <p className="panel-methodology" style={{ marginTop: '0.75rem' }}>
+            {hmProvider === 'kalshi'
+              ? 'Each tile is a prediction market where probability shifted significantly. The label shows the old → new probability (e.g. 4→99¢ = went from 4% to 99% likely). Tile size = magnitude of shift. Categories are auto-detected from market tickers.'
+              : 'Each tile is a Polymarket question where mid-price moved significantly in 24h. The label shows old → new probability. Tile size = traded volume. Categories are keyword-classified from question text.'}
+          </p>
+        </div>
+      </div>
+
+      <div
+        className="vol-index-grid"
+        style={{
+          display: 'flex',
+          flexDirection: 'column',
+          gap: '2rem',
+          marginTop: '1.5rem',
+        }}
+      >
+        <div className="panel">
+          <div className="panel-header">
+            <div className="panel-title">Market Volatility <FreshnessBadge freshness={kalshiDeltas.freshness} /></div>
+          </div>
+          <div className="panel-body">
+            {isCombinedLoading && <div className="loading">Loading…</div>}
+            {!isCombinedLoading && (
+              <ErrorState
+                error={kalshiDeltas.error}
+                onRetry={kalshiDeltas.retry}
+                messages={{ server: 'Failed to load volatility data.' }}
+              />
+            )}
+            {!isCombinedLoading && combinedIndexPoints && (
+              <VolatilityGauge 
+                value={combinedLatest} 
+                min={0} 
+                max={100} 
+                label="Global Volatility Index" 
+              />
+            )}
+            {!isCombinedLoading && !combinedIndexPoints && (
+              <span className="muted">No volatility index data available.</span>
+            )}
+
+            <p className="panel-methodology" style={{ marginTop: '1rem', marginBottom: '2rem' }}>
+              <strong>Methodology:</strong> The Global Volatility Index is a measure that 
+              synthesizes activity across Kalshi. It normalizes Kalshi's Market Shift Index 
+              (which tracks 2-hour changes in volume, open interest, and market breadth). 
+              The resulting score is scaled from 0 to 100, where higher values indicate periods 
+              of rapid collective repricing, elevated order flow, and broad market uncertainty.
+            </p>
+
+            <div style={{ marginTop: '1.25rem', display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(320px, 1fr))', gap: '1.5rem' }}>
+              <div>
+                <div
+                  className="panel-section-label"
+                  style={{ fontSize: '0.75rem', opacity: 0.6, marginBottom: '0.4rem' }}
+                >
+                  KALSHI: Δ VOLUME &amp; Δ OPEN INTEREST (6h)
+                </div>
+                <ModernLineChart
+                  series={kalshiChartSeries}
+                  loading={kalshiDeltas.loading}
+                  error={kalshiDeltas.error}
+                  onRetry={kalshiDeltas.retry}
+                  yAxisFormatter={(v) => {
+                    if (Math.abs(v) >= 1000000) return (v / 1000000).toFixed(1) + 'M';
+                    if (Math.abs(v) >= 1000) return (v / 1000).toFixed(1) + 'k';
+                    return v.toFixed(0);
+                  }}
+                  xAxisFormatter={(t) => {
+                    if (!t) return '';
+                    const d = new Date(t);
+                    if (isNaN(d.getTime())) return t;
+                    return d.toLocaleString('en-US', { month: 'numeric', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+                  }}
+                />
+              </div>
+              <div>
+                <div
+                  className="panel-section-label"
+                  style={{ fontSize: '0.75rem', opacity: 0.6, marginBottom: '0.4rem' }}
+                >
+                  POLYMARKET: Δ VOLUME &amp; Δ LIQUIDITY (USDC)
+                </div>
+                <ModernLineChart
+                  series={polyChartSeries}
+                  loading={polyDeltas.loading}
+                  error={polyDeltas.error}
+                  onRetry={polyDeltas.retry}
+                  yAxisFormatter={(v) => {
+                    if (Math.abs(v) >= 1000000) return '$' + (v / 1000000).toFixed(1) + 'M';
+                    if (Math.abs(v) >= 1000) return '$' + (v / 1000).toFixed(1) + 'k';
+                    return '$' + v.toFixed(0);
+                  }}
+                  xAxisFormatter={(t) => {
+                    if (!t) return '';
+                    const d = new Date(t);
+                    if (isNaN(d.getTime())) return t;
+                    return d.toLocaleString('en-US', { month: 'numeric', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+                  }}
+                />
+              </div>
+            </div>
+
+            <div style={{ marginTop: '2rem' }}>
+              <div
+                className="panel-section-label"
+                style={{ fontSize: '0.75rem', opacity: 0.6, marginBottom: '0.4rem' }}
+              >
+                HISTORICAL GLOBAL VOLATILITY INDEX
+              </div>
+              <ModernLineChart
+                series={[{ label: 'Global Volatility Index', values: combinedValues, times: combinedTimes, color: '#f59e0b' }]}
+                loading={isCombinedLoading}
+                error={!kalshiValues.length ? kalshiDeltas.error : null}
+                onRetry={kalshiDeltas.retry}
+                showAxes={true}
+                yAxisFormatter={(v) => (typeof v === 'number' && !isNaN(v) ? v.toFixed(1) : '')}
+                xAxisFormatter={(t) => {
+                  if (!t) return '';
+                  // Handle both ISO strings and unix timestamps
+                  const d = new Date(t);
+                  if (isNaN(d.getTime())) return t; // fallback if invalid date
+                  return d.toLocaleString('en-US', { month: 'numeric', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+                }}
+              />
+            </div>
+
+            {/* ── Kalshi Realized Vol Index ── */}
+            <div style={{ marginTop: '2rem' }}>
+              <div
+                className="panel-section-label"
+                style={{ fontSize: '0.75rem', opacity: 0.6, marginBottom: '0.4rem' }}
+              >
+                KALSHI REALIZED VOL INDEX (ANNUALIZED)
+              </div>
+              {kalshiVolIndex.loading && <div className="loading">Loading…</div>}
+              {!kalshiVolIndex.loading && kalshiVolValues.length > 0 && (
+                <ModernLineChart
+                  series={[{ label: 'Kalshi Vol Index', values: kalshiVolValues, times: kalshiVolTimes, color: '#6366f1' }]}
+                  loading={false}
+                  error={null}
+                  showAxes={true}
+                  yAxisFormatter={(v) => (typeof v === 'number' && !isNaN(v) ? v.toFixed(2) : '')}
+                  xAxisFormatter={(t) => {
+                    if (!t) return '';
+                    const d = new Date(t);
+                    if (isNaN(d.getTime())) return t;
+                    return d.toLocaleString('en-US', { month: 'numeric', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+                  }}
+                />
+              )}
+              {!kalshiVolIndex.loading && kalshiVolValues.length === 0 && !kalshiVolIndex.error && (
+                <span className="muted">No Kalshi vol-index data available yet.</span>
+              )}
+            </div>
 
-              {/* Hover Line */}
-              {hoveredIndex !== null && (
-                <line 
-                  x1={(hoveredIndex / (primarySeries.values.length - 1)) * 100} 
-                  y1="0" 
-                  x2={(hoveredIndex / (primarySeries.values.length - 1)) * 100} 
-                  y2="40" 
-                  stroke="#94a3b8" 
-                  strokeWidth="0.5" 
-                  strokeDasharray="1 1" 
-                  vectorEffect="non-scaling-stroke"
+            {/* ── Poly Realized Vol Index ── */}
+            <div style={{ marginTop: '2rem' }}>
+              <div
+                className="panel-section-label"
+                style={{ fontSize: '0.75rem', opacity: 0.6, marginBottom: '0.4rem' }}
+              >
+                POLYMARKET REALIZED VOL INDEX (ANNUALIZED)
+              </div>
+              {polyVolIndex.loading && <div className="loading">Loading…</div>}
+              {!polyVolIndex.loading && polyValues.length > 0 && (
+                <ModernLineChart
+                  series={[{ label: 'Poly Vol Index', values: polyValues, times: polyTimes, color: '#a855f7' }]}
+                  loading={false}
+                  error={null}
+                  showAxes={true}
+                  yAxisFormatter={(v) => (typeof v === 'number' && !isNaN(v) ? v.toFixed(2) : '')}
+                  xAxisFormatter={(t) => {
+                    if (!t) return '';
+                    const d = new Date(t);
+                    if (isNaN(d.getTime())) return t;
+                    return d.toLocaleString('en-US', { month: 'numeric', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+                  }}
                 />
               )}
-            </svg>
-          </div>
-          
-          {/* X-Axis Labels */}
-          {showAxes && xAxisLabels.length > 0 && (
-            <div style={{ position: 'relative', height: '20px', marginTop: '8px', color: '#64748b', fontSize: '0.7rem' }}>
-              {xAxisLabels.map((label, i) => {
-                // Adjust alignment for first and last labels to prevent overflow
-                let transform = `translateX(-50%)`;
-                let left = `${label.percent}%`;
-                if (i === 0) {
-                  transform = `translateX(0)`;
-                  left = `0%`;
-                } else if (i === xAxisLabels.length - 1) {
-                  transform = `translateX(-100%)`;
-                  left = `100%`;
-                }
-                
-                return (
-                  <span 
-                    key={i} 
-                    style={{ 
-                      position: 'absolute', 
-                      left: left, 
-                      transform: transform,
-                      whiteSpace: 'nowrap'
-                    }}
-                  >
-                    {xAxisFormatter(label.time)}
-                  </span>
-                );
-              })}
+              {!polyVolIndex.loading && polyValues.length === 0 && !polyVolIndex.error && (
+                <span className="muted">No Polymarket vol-index data available yet.</span>
+              )}
             </div>
-          )}
+          </div>
         </div>
       </div>
     </div>
   )
 }
 
-function VolatilityGauge({ value, min = 0, max = 100, label }) {
-  const numericValue = parseFloat(value) || 0;
-  const clampedValue = Math.min(Math.max(numericValue, min), max);
-  const percentage = max > min ? (clampedValue - min) / (max - min) : 0;
-  
-  const radius = 40;
-  const circumference = Math.PI * radius;
-  const strokeDashoffset = circumference - percentage * circumference;
+// ─── Signals Page ────────────────────────────────────────────────────────────
 
-  let statusText = "NORMAL";
-  let statusColor = "#f59e0b";
-  if (percentage < 0.33) {
-    statusText = "LOW VOLATILITY";
-    statusColor = "#10b981";
-  } else if (percentage > 0.66) {
-    statusText = "HIGH VOLATILITY";
-    statusColor = "#ef4444";
-  }
+function SignalsPage() {
+  const [platform, setPlatform] = useState('kalshi')
+  const [movesHours, setMovesHours] = useState(1)
+  const [movesMinVol, setMovesMinVol] = useState(0)
+  const [movesLimit, setMovesLimit] = useState(10)
+  const [oppLimit, setOppLimit] = useState(10)
+  const [heatLimit, setHeatLimit] = useState(10)
+  const [tradeLimit, setTradeLimit] = useState(10)
+
+  const adapter = PROVIDERS[platform]
+
+  // ── Biggest Moves ──
+  const movesData = useProviderApi(platform, '/signals/biggest-moves', { limit: movesLimit, hours: movesHours, min_volume: movesMinVol }, { normalize: 'market' })
+
+  // ── Opportunity Gap ──
+  const oppData = useProviderApi(platform, '/opportunity-gap', { limit: oppLimit }, { normalize: 'market' })
+
+  // ── Market Heat ──
+  const heatData = useProviderApi(platform, '/market-heat', { limit: heatLimit }, { normalize: 'market' })
+
+  // ── Tradability Score ──
+  const tradeData = useProviderApi(platform, '/tradeability-score', { limit: tradeLimit }, { normalize: 'market' })
+
+  const fmtNum = (v) => (typeof v === 'number' ? v.toLocaleString('en-US') : '—')
+  const fmtDec = (v, d = 2) => (typeof v === 'number' ? v.toFixed(d) : '—')
+  const fmtPts = (v) => (typeof v === 'number' ? fmtDec(v * 100, 1) : '—')
+
+  const renderLoading = (msg) => <div className="loading">{msg}</div>
+  const renderError = (result) => <ErrorState error={result.error} onRetry={result.retry} />
+
+  // Column defs shared by every table; `providers` limits venue-specific metrics
+  const marketColumns = [
+    watchColumn(compareNormalized),
+    compareColumn(compareNormalized),
+    {
+      key: 'title',
+      label: 'Market',
+      defaultSortDir: 'asc',
+      render: (row) => (
+        <>
+          <MarketLink provider={platform} id={row.id}>{row.title}</MarketLink>
+          {row.ticker && row.ticker !== row.title && <div className="market-cell-id">{row.ticker}</div>}
+        </>
+      ),
+    },
+    { key: 'category', label: 'Category', defaultSortDir: 'asc', providers: ['poly'], render: (row) => row.category ?? '—' },
+  ]
+  const volumeColumn = { key: 'volume', label: 'Volume', render: (row) => fmtNum(row.volume) }
+  const depthColumn = { key: 'depth', label: adapter.depthLabel, render: (row) => fmtNum(row.depth) }
+  const spreadColumn = { key: 'spread', label: 'Spread', providers: ['kalshi'], render: (row) => fmtPts(row.spread) }
+
+  const movesColumns = [
+    ...marketColumns,
+    { key: 'prob', label: 'Now', render: (row) => adapter.fmtProb(row.prob) },
+    { key: 'probPrev', label: 'Prev', render: (row) => adapter.fmtProb(row.probPrev) },
+    {
+      key: 'move',
+      label: 'Move',
+      className: (row) => ((row.move ?? 0) >= 0 ? 'diff-up' : 'diff-down'),
+      render: (row) => adapter.fmtMove(row.move ?? 0),
+    },
+    { key: 'absMove', label: '|Move|', render: (row) => fmtPts(row.absMove ?? 0) },
+    { key: 'move_score', label: 'Score', render: (row) => fmtDec(row.move_score, 2) },
+    { key: 'avg_move_24h', label: 'Avg 24h', render: (row) => fmtDec(row.avg_move_24h, 2) },
+    volumeColumn,
+    depthColumn,
+    spreadColumn,
+  ]
+
+  const oppColumns = [
+    ...marketColumns,
+    { key: 'spread_points', label: 'Spread Pts', providers: ['kalshi'], render: (row) => fmtDec(row.spread_points, 1) },
+    { key: 'spread_percentage', label: 'Spread %', providers: ['kalshi'], render: (row) => `${fmtDec(row.spread_percentage, 1)}%` },
+    { ...volumeColumn, providers: ['poly'] },
+    { key: 'prob', label: 'Yes Price', providers: ['poly'], render: (row) => adapter.fmtProb(row.prob) },
+    { key: 'uncertainty', label: 'Uncertainty', providers: ['poly'], render: (row) => fmtDec(row.uncertainty, 4) },
+    { key: 'opportunity_score', label: 'Opp Score', providers: ['poly'], render: (row) => fmtDec(row.opportunity_score, 4) },
+  ]
+
+  const heatColumns = [
+    ...marketColumns,
+    { ...volumeColumn, providers: ['poly'] },
+    { key: 'volume_24hr', label: 'Vol 24h', providers: ['poly'], render: (row) => fmtNum(row.volume_24hr) },
+    { key: 'churn_rate', label: 'Churn Rate', render: (row) => fmtDec(row.churn_rate, 4) },
+  ]
+
+  const tradeColumns = [
+    ...marketColumns,
+    volumeColumn,
+    depthColumn,
+    { key: 'bid', label: 'Yes Bid', providers: ['kalshi'], render: (row) => adapter.fmtProb(row.bid) },
+    { key: 'ask', label: 'Yes Ask', providers: ['kalshi'], render: (row) => adapter.fmtProb(row.ask) },
+    { key: 'prob', label: 'Yes Price', providers: ['poly'], render: (row) => adapter.fmtProb(row.prob) },
+    spreadColumn,
+    { key: 'tradability_score', label: 'Tradability', render: (row) => fmtDec(row.tradability_score, 4) },
+  ]
+
+  const renderTable = (id, result, columns, title, filters = []) => (
+    <DataTable
+      id={`signals-${id}-${platform}`}
+      columns={columns.filter((col) => !col.providers || col.providers.includes(platform))}
+      rows={result.data}
+      exportOptions={{ title: `${adapter.label} ${title}`, filters, snapshotAt: result.freshness?.asOf }}
+    />
+  )
 
   return (
-    <div className="vol-gauge-container" style={{ textAlign: 'center', margin: '2rem 0' }}>
-      <div style={{ position: 'relative', width: '240px', height: '130px', margin: '0 auto' }}>
-        <svg viewBox="0 0 100 55" style={{ width: '100%', height: '100%', overflow: 'visible' }}>
-          <path
-            d="M 10 50 A 40 40 0 0 1 90 50"
-            fill="none"
-            stroke="#1e293b"
-            strokeWidth="12"
-            strokeLinecap="round"
-          />
-          <path
-            d="M 10 50 A 40 40 0 0 1 90 50"
-            fill="none"
-            stroke="url(#gauge-gradient)"
-            strokeWidth="12"
-            strokeLinecap="round"
-            strokeDasharray={circumference}
-            strokeDashoffset={strokeDashoffset}
-            style={{ transition: 'stroke-dashoffset 1s ease-out' }}
-          />
-          <defs>
-            <linearGradient id="gauge-gradient" x1="0%" y1="0%" x2="100%" y2="0%">
-              <stop offset="0%" stopColor="#10b981" />
-              <stop offset="50%" stopColor="#f59e0b" />
-              <stop offset="100%" stopColor="#ef4444" />
-            </linearGradient>
-          </defs>
-        </svg>
-        <div style={{
-          position: 'absolute',
-          bottom: '-10px',
-          left: '0',
-          width: '100%',
-          textAlign: 'center',
-          display: 'flex',
-          flexDirection: 'column',
-          alignItems: 'center'
-        }}>
-          <span style={{ fontSize: '3.5rem', fontWeight: '800', lineHeight: '1', color: '#f8fafc', textShadow: '0 2px 10px rgba(0,0,0,0.2)' }}>
-            {value}
-          </span>
-          <span style={{ fontSize: '0.875rem', color: statusColor, fontWeight: '700', letterSpacing: '0.05em', marginTop: '0.5rem' }}>
-            {statusText}
-          </span>
+    <div className="dashboard signals-page">
+      <p className="seo-blurb">
+        Advanced prediction market signals: biggest movers, opportunity gaps,
+        market heat, and tradability scores for Kalshi and Polymarket.
+      </p>
+      <h2 className="dashboard-title">Signals &amp; Analysis</h2>
+
+      {/* ── Platform Toggle ── */}
+      <div className="signals-platform-toggle">
+        {Object.values(PROVIDERS).map((p) => (
+          <button
+            key={p.id}
+            type="button"
+            className={`signals-toggle-btn${platform === p.id ? ' active' : ''}`}
+            onClick={() => setPlatform(p.id)}
+          >
+            <img src={p.logo} alt="" style={{ height: 14, width: 14, objectFit: 'contain' }} />
+            {p.label}
+          </button>
+        ))}
+      </div>
+
+      {/* ═══ BIGGEST MOVES ═══ */}
+      <div className="panel" style={{ marginTop: '1.5rem' }}>
+        <div className="panel-header" style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', flexWrap: 'wrap', gap: '0.5rem' }}>
+          <div className="panel-title">Biggest Moves <FreshnessBadge freshness={movesData.freshness} /></div>
+          <div className="signals-controls">
+            <label>
+              Hours
+              <select value={movesHours} onChange={(e) => setMovesHours(Number(e.target.value))}>
+                {[1, 2, 4, 6, 12, 24, 48, 168].map((h) => (
+                  <option key={h} value={h}>{h}h</option>
+                ))}
+              </select>
+            </label>
+            <label>
+              Min Vol
+              <input
+                type="number"
+                min="0"
+                value={movesMinVol}
+                onChange={(e) => setMovesMinVol(Number(e.target.value) || 0)}
+                style={{ width: '5rem' }}
+              />
+            </label>
+            <label>
+              Limit
+              <select value={movesLimit} onChange={(e) => setMovesLimit(Number(e.target.value))}>
+                {[5, 10].map((n) => <option key={n} value={n}>{n}</option>)}
+              </select>
+            </label>
+          </div>
+        </div>
+        <div className="panel-body">
+          {movesData.loading && renderLoading('Loading biggest moves…')}
+          {renderError(movesData)}
+          {Array.isArray(movesData.data) && movesData.data.length > 0 && renderTable('moves', movesData, movesColumns, 'biggest moves', [
+            ['Hours', movesHours],
+            ['Min volume', movesMinVol],
+            ['Limit', movesLimit],
+          ])}
+          {Array.isArray(movesData.data) && movesData.data.length === 0 && !movesData.loading && (
+            <span className="muted">No moves found for this window.</span>
+          )}
+        </div>
+      </div>
+
+      {/* ═══ OPPORTUNITY GAP ═══ */}
+      <div className="panel" style={{ marginTop: '1.5rem' }}>
+        <div className="panel-header" style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', flexWrap: 'wrap', gap: '0.5rem' }}>
+          <div className="panel-title">Opportunity Gap <FreshnessBadge freshness={oppData.freshness} /></div>
+          <div className="signals-controls">
+            <label>
+              Limit
+              <select value={oppLimit} onChange={(e) => setOppLimit(Number(e.target.value))}>
+                {[5, 10].map((n) => <option key={n} value={n}>{n}</option>)}
+              </select>
+            </label>
+          </div>
+        </div>
+        <div className="panel-body">
+          {oppData.loading && renderLoading('Loading opportunity gaps…')}
+          {renderError(oppData)}
+          {Array.isArray(oppData.data) && oppData.data.length > 0 && renderTable('opp', oppData, oppColumns, 'opportunity gap', [['Limit', oppLimit]])}
+          {Array.isArray(oppData.data) && oppData.data.length === 0 && !oppData.loading && (
+            <span className="muted">No opportunity gaps found.</span>
+          )}
+        </div>
+      </div>
+
+      {/* ═══ MARKET HEAT ═══ */}
+      <div className="panel" style={{ marginTop: '1.5rem' }}>
+        <div className="panel-header" style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', flexWrap: 'wrap', gap: '0.5rem' }}>
+          <div className="panel-title">Market Heat (Churn Rate) <FreshnessBadge freshness={heatData.freshness} /></div>
+          <div className="signals-controls">
+            <label>
+              Limit
+              <select value={heatLimit} onChange={(e) => setHeatLimit(Number(e.target.value))}>
+                {[5, 10].map((n) => <option key={n} value={n}>{n}</option>)}
+              </select>
+            </label>
+          </div>
+        </div>
+        <div className="panel-body">
+          {heatData.loading && renderLoading('Loading market heat…')}
+          {renderError(heatData)}
+          {Array.isArray(heatData.data) && heatData.data.length > 0 && renderTable('heat', heatData, heatColumns, 'market heat', [['Limit', heatLimit]])}
+          {Array.isArray(heatData.data) && heatData.data.length === 0 && !heatData.loading && (
+            <span className="muted">No market heat data available.</span>
+          )}
         </div>
       </div>
-      <div style={{ display: 'flex', justifyContent: 'space-between', width: '220px', margin: '1.5rem auto 0', fontSize: '0.75rem', color: '#64748b', fontWeight: '700', letterSpacing: '0.05em' }}>
-        <span>LOW</span>
-        <span>HIGH</span>
+
+      {/* ═══ TRADABILITY SCORE ═══ */}
+      <div className="panel" style={{ marginTop: '1.5rem', marginBottom: '2rem' }}>
+        <div className="panel-header" style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', flexWrap: 'wrap', gap: '0.5rem' }}>
+          <div className="panel-title">Tradability Score <FreshnessBadge freshness={tradeData.freshness} /></div>
+          <div className="signals-controls">
+            <label>
+              Limit
+              <select value={tradeLimit} onChange={(e) => setTradeLimit(Number(e.target.value))}>
+                {[5, 10].map((n) => <option key={n} value={n}>{n}</option>)}
+              </select>
+            </label>
+          </div>
+        </div>
+        <div className="panel-body">
+          {tradeData.loading && renderLoading('Loading tradability scores…')}
+          {renderError(tradeData)}
+          {Array.isArray(tradeData.data) && tradeData.data.length > 0 && renderTable('trade', tradeData, tradeColumns, 'tradability score', [['Limit', tradeLimit]])}
+          {Array.isArray(tradeData.data) && tradeData.data.length === 0 && !tradeData.loading && (
+            <span className="muted">No tradability data available.</span>
+          )}
+        </div>
       </div>
     </div>
-  );
+  )
 }
 
-function VolIndexPage() {
-  const [hmProvider, setHmProvider] = useState('kalshi')
-
-  const kalshiDeltas   = useApi('/global-6h-deltas', { limit: 50 })
-  const kalshiVolIndex = useApi('/vol/index/global', { points: 50 })
-  const polyVolIndex   = usePolyApi('/vol/index/global', { points: 50 })
-  const polyDeltas     = usePolyApi('/global-deltas', { limit: 50 })
+// ─── Market Detail Page ──────────────────────────────────────────────────────
 
-  // ── Extra data for sector heatmap (top-changes-24h has volume+OI+title) ──
-  const kalshiMovers   = useApi('/markets/top-changes-24h', { metric: 'mid', limit: 100 })
-  const polyMidMoves   = usePolyApi('/markets/mid-moves', { hours: 24, limit: 100 })
+const MARKET_HISTORY_WINDOWS = [24, 72, 168]
+const MARKET_RANK_LIMIT = 200
 
-  // ── Kalshi index (volume + OI + breadth normalized composite) ──
-  let kalshiIndexPoints = ''
-  let kalshiLatest = null
-  let kalshiValues = []
-  let kalshiTimes = []
-  if (Array.isArray(kalshiDeltas.data) && kalshiDeltas.data.length > 0) {
-    const rows = [...kalshiDeltas.data].reverse()
-    const baseVol  = rows[0].d_volume_6h || 1
-    const baseOi   = rows[0].d_oi_6h || 1
-    const baseWide = rows[0].d_wide_6h || 1
-    kalshiValues = rows.map((r) => {
-      const relVol  = r.d_volume_6h / baseVol
-      const relOi   = r.d_oi_6h / baseOi
-      const relWide = r.d_wide_6h / baseWide
-      return (100 * (relVol + relOi + relWide)) / 3
-    })
-    kalshiTimes = rows.map(r => r.snap_ts)
-    kalshiIndexPoints = buildNormPoints(kalshiValues)
-    kalshiLatest = kalshiValues[kalshiValues.length - 1]?.toFixed(1)
-  }
+// Signal leaderboards a market is ranked against on its detail page
+const MARKET_SIGNALS = [
+  { key: 'moves', label: 'Move score', endpoint: '/signals/biggest-moves', params: { hours: 24 }, value: (row) => row.move_score },
+  { key: 'heat', label: 'Heat (churn rate)', endpoint: '/market-heat', value: (row) => row.churn_rate },
+  { key: 'trade', label: 'Tradability', endpoint: '/tradeability-score', value: (row) => row.tradability_score },
+  { key: 'opp', label: 'Opportunity gap', endpoint: '/opportunity-gap', value: (row) => row.opportunity_score ?? row.spread_percentage },
+]
 
-  // ── Kalshi Δ volume / Δ OI chart ──
-  const kalshiChartSeries = Array.isArray(kalshiDeltas.data) && kalshiDeltas.data.length > 1
-    ? (() => {
-        const rows = [...kalshiDeltas.data].reverse()
-        return [
-          { label: 'Δ Volume (6h)', values: rows.map((r) => r.d_volume_6h ?? 0), times: rows.map(r => r.snap_ts), color: '#7c6af7' },
-          { label: 'Δ Open Interest (6h)', values: rows.map((r) => r.d_oi_6h ?? 0), times: rows.map(r => r.snap_ts), color: '#38bdf8' },
-        ]
-      })()
-    : null
+// The screener param that scopes it to one event
+const EVENT_SCREENER_PARAMS = { kalshi: 'event_ticker', poly: 'event_slug' }
+const EVENT_MARKETS_PAGE_SIZE = 500
+const EVENT_MARKETS_MAX_ROWS = 10_000
+
+const screenerPageRows = (json) => (Array.isArray(json?.rows) ? json.rows : Array.isArray(json) ? json : [])
+
+// Every market in `eventId`, normalized, for the event page and a market's
+// siblings. The screener is paged with the event param; if the backend
+// ignores the param its pages cover the whole venue, so the rest are walked
+// (up to EVENT_MARKETS_MAX_ROWS) and the event re-checked here. A screener
+// that doesn't page answers one capped list, flagged `partial` when full.
+function useEventMarkets(provider, eventId) {
+  const adapter = PROVIDERS[provider]
+  const eventParam = EVENT_SCREENER_PARAMS[provider]
+  const first = useProviderApi(
+    provider,
+    eventId ? '/markets/screener' : null,
+    { [eventParam]: eventId, limit: EVENT_MARKETS_PAGE_SIZE, offset: 0 },
+  )
+  const [walked, setWalked] = useState({ key: null, rows: [], error: null })
+  const [walkNonce, setWalkNonce] = useState(0)
 
-  // ── Poly vol index (log-odds, annualized) ──
-  let polyIndexPoints = ''
-  let polyLatest = null
-  let polyValues = []
-  let polyTimes = []
-  const polyVolSeries = polyVolIndex.data?.series || (Array.isArray(polyVolIndex.data) ? polyVolIndex.data : [])
-  if (polyVolSeries.length > 0) {
-    const rows = [...polyVolSeries].reverse()
-    polyValues = rows.map((r) => r.vol_index ?? 0)
-    polyTimes = rows.map((r) => r.snap_ts ?? '')
-    polyIndexPoints = buildNormPoints(polyValues)
-    polyLatest = polyValues[polyValues.length - 1]?.toFixed(4)
-  }
+  const paged = Array.isArray(first.data?.rows)
+  const firstRows = screenerPageRows(first.data)
+  const total = Math.min(num(first.data?.total) ?? 0, EVENT_MARKETS_MAX_ROWS)
+  const walkKey = paged && total > firstRows.length ? `${provider}:${eventId}:${total}:${walkNonce}` : null
 
-  // ── Kalshi vol index (log-odds, annualized) ──
-  let kalshiVolValues = []
-  let kalshiVolTimes = []
-  let kalshiVolLatest = null
-  const kalshiVolSeries = kalshiVolIndex.data?.series || (Array.isArray(kalshiVolIndex.data) ? kalshiVolIndex.data : [])
-  if (kalshiVolSeries.length > 0) {
-    const rows = [...kalshiVolSeries].reverse()
-    kalshiVolValues = rows.map((r) => r.vol_index ?? 0)
-    kalshiVolTimes = rows.map((r) => r.snap_ts ?? '')
-    kalshiVolLatest = kalshiVolValues[kalshiVolValues.length - 1]?.toFixed(4)
+  useEffect(() => {
+    if (!walkKey) return
+    const controller = new AbortController()
+    const walk = async () => {
+      const rows = []
+      for (let offset = EVENT_MARKETS_PAGE_SIZE; offset < total; offset += EVENT_MARKETS_PAGE_SIZE) {
+        const query = new URLSearchParams({ [eventParam]: eventId, limit: EVENT_MARKETS_PAGE_SIZE, offset })
+        const json = await _fetchUncached(provider, `${PROVIDERS[provider].base}/markets/screener?${query}`, controller.signal)
+        const batch = Array.isArray(json?.rows) ? json.rows : []
+        rows.push(...batch.filter((row) => adapter.market(row).eventId === eventId))
+        if (batch.length < EVENT_MARKETS_PAGE_SIZE) break
+      }
+      return rows
+    }
+    walk().then(
+      (rows) => setWalked({ key: walkKey, rows, error: null }),
+      (error) => {
+        if (error.name !== 'AbortError') setWalked({ key: walkKey, rows: [], error })
+      },
+    )
+    return () => controller.abort()
+  }, [walkKey, total, provider, adapter, eventParam, eventId])
+
+  const walkDone = !walkKey || walked.key === walkKey
+  const markets = useMemo(() => {
+    const rest = walkKey && walked.key === walkKey ? walked.rows : []
+    return [...screenerPageRows(first.data), ...rest].map(adapter.market).filter((m) => m.eventId === eventId)
+  }, [first.data, walked, walkKey, adapter, eventId])
+
+  return {
+    markets,
+    loading: first.loading || (Boolean(first.data) && !walkDone),
+    error: first.error ?? (walkKey && walkDone ? walked.error : null),
+    retry: () => {
+      first.retry()
+      setWalkNonce((n) => n + 1)
+    },
+    freshness: first.freshness,
+    partial: !paged && firstRows.length >= EVENT_MARKETS_PAGE_SIZE,
   }
+}
 
-  // ── Poly Δ volume / Δ liquidity chart ──
-  const polyChartSeries = Array.isArray(polyDeltas.data) && polyDeltas.data.length > 1
-    ? (() => {
-        const rows = [...polyDeltas.data].reverse()
-        return [
-          { label: 'Δ Volume (USDC)', values: rows.map((r) => r.d_volume ?? 0), times: rows.map(r => r.snap_ts), color: '#7c6af7' },
-          { label: 'Δ Liquidity (USDC)', values: rows.map((r) => r.d_liquidity ?? 0), times: rows.map(r => r.snap_ts), color: '#38bdf8' },
-        ]
-      })()
-    : null
+// Route to a market's detail page, or null when the venue has none
+function marketPath(provider, id) {
+  const route = PROVIDERS[provider]?.marketRoute
+  return id && route ? `${route}/${encodeURIComponent(id)}` : null
+}
 
-  // ── Global Volatility Index (Kalshi Only) ──
-  let combinedLatest = null;
-  let combinedValues = [];
-  let combinedTimes = [];
-  let combinedIndexPoints = '';
+function MarketLink({ provider = 'kalshi', id, className = '', children }) {
+  const to = marketPath(provider, id)
+  if (!to) return children ?? id
+  return (
+    <Link to={to} className={`market-link ${className}`.trim()}>
+      {children ?? id}
+    </Link>
+  )
+}
 
-  const isCombinedLoading = kalshiDeltas.loading;
+function fmtCountdown(ms) {
+  if (ms <= 0) return 'Expired'
+  const days = Math.floor(ms / 86_400_000)
+  const hrs = Math.floor((ms % 86_400_000) / 3_600_000)
+  const mins = Math.floor((ms % 3_600_000) / 60_000)
+  if (days > 0) return `${days}d ${hrs}h`
+  if (hrs > 0) return `${hrs}h ${mins}m`
+  return `${mins}m ${Math.floor((ms % 60_000) / 1000)}s`
+}
 
-  if (kalshiValues.length > 0) {
-    const kalshiMax = Math.max(...kalshiValues) || 1;
-    combinedValues = kalshiValues.map(k => {
-      const val = (k / kalshiMax) * 100;
-      return isNaN(val) ? null : val;
-    });
-    combinedTimes = kalshiTimes;
-    combinedIndexPoints = buildNormPoints(combinedValues);
-    const validCombined = combinedValues.filter(v => v !== null);
-    combinedLatest = validCombined[validCombined.length - 1]?.toFixed(1);
-  }
+function ExpiryCountdown({ expiresAt }) {
+  const [now, setNow] = useState(() => Date.now())
 
-  // ── Heatmap tiles: Kalshi — group movers by category, nested structure ──
-  const KALSHI_CATS = [
-    ['Politics',      /trump|biden|harris|elect|pres|congress|senat|scotus|approv|cabinet|nomine|pardon|border|exec|gop|eo\d|party|vote|poll|doge(?!coin)/i],
-    ['Weather',       /high[a-z]{2,}|temp|tornado|hurricane|storm|snow|rain|flood|drought|wildfire|freeze|wind|cold|heat(?!h)/i],
-    ['Finance',       /sp500|nasdaq|djia|inx|oil|gold|fedfund|fomc|rate(?!d)|inflation|gdp|cpi|yield|recession|jobs|unemp|payroll|housing|mortgage|treasury|ppi|retail/i],
-    ['Crypto',        /btc|eth\b|sol\b|xrp|crypto|bitcoin|ethereum|doge(?=coin)/i],
-    ['Sports',        /nba|nfl|mlb|nhl|ufc|mma|f1\b|golf|tennis|soccer|ncaa|playoff|bowl|champion|nascar|pga|cup\b/i],
-    ['Entertainment', /\brt\b|oscar|grammy|emmy|boxoffice|disney|netflix|movie|film|award|stream/i],
-    ['Tech',          /\bai\b|openai|nvidia|spacex|starlink|chatgpt|robot|chip|semi/i],
-    ['Business',      /acquannounce|ipo|merger|layoff|earn|revenue|bankrupt|ceo/i],
-  ]
-  function kalshiCategory(ticker) {
-    const t = (ticker || '').replace(/^KX/i, '')
-    for (const [cat, re] of KALSHI_CATS) { if (re.test(t)) return cat }
-    return 'Other'
-  }
+  useEffect(() => {
+    const id = setInterval(() => setNow(Date.now()), 1000)
+    return () => clearInterval(id)
+  }, [])
 
-  const kalshiGroups = (() => {
-    const movers = Array.isArray(kalshiMovers.data) ? kalshiMovers.data : []
-    if (movers.length === 0) return []
-    const groups = {}
-    movers.forEach((m) => {
-      const cat = kalshiCategory(m.market_ticker)
-      if (!groups[cat]) groups[cat] = { children: [] }
-      // Prefer API title, fall back to ticker-derived label
-      const rawTitle = m.title || ''
-      const series = (m.market_ticker || '').replace(/^KX/i, '').split('-')[0]
-      const tickerLabel = series
-        .replace(/([a-z])([A-Z])/g, '$1 $2')
-        .replace(/([A-Z]+)/g, ' $1')
-        .trim()
-      const label = rawTitle || tickerLabel
-      const oldP = typeof m.prev_value === 'number' ? m.prev_value : null
-      const newP = typeof m.current_value === 'number' ? m.current_value : null
-      const diff = typeof m.delta_value === 'number' ? m.delta_value : 0
-      const shiftPct = Math.abs(diff)
-      const spread = (oldP != null && newP != null) ? Math.abs(newP - oldP) : null
-      const fmtVol = typeof m.current_volume === 'number'
-        ? (m.current_volume >= 1_000_000 ? `${(m.current_volume/1e6).toFixed(1)}M` : m.current_volume >= 1_000 ? `${(m.current_volume/1e3).toFixed(0)}K` : m.current_volume.toLocaleString('en-US'))
-        : null
-      const fmtOI = typeof m.current_open_interest === 'number'
-        ? (m.current_open_interest >= 1_000_000 ? `${(m.current_open_interest/1e6).toFixed(1)}M` : m.current_open_interest >= 1_000 ? `${(m.current_open_interest/1e3).toFixed(0)}K` : m.current_open_interest.toLocaleString('en-US'))
-        : null
-      groups[cat].children.push({
-        label,
-        value: Math.max(1, shiftPct),
-        heat: diff,
-        heatLabel: `${oldP != null ? oldP.toFixed(0) : '?'}→${newP != null ? newP.toFixed(0) : '?'}¢`,
-        oldPct: oldP != null ? oldP.toFixed(0) : null,
-        newPct: newP != null ? newP.toFixed(0) : null,
-        ticker: m.market_ticker || null,
-        spread: spread != null ? `${spread.toFixed(1)}¢` : null,
-        volume: fmtVol,
-        liquidity: fmtOI,
-        timeframe: '24h',
-      })
-    })
-    return Object.entries(groups)
-      .map(([category, g]) => ({
-        category,
-        totalValue: g.children.reduce((s, c) => s + c.value, 0),
-        avgHeat: g.children.reduce((s, c) => s + c.heat, 0) / g.children.length,
-        children: g.children.sort((a, b) => b.value - a.value),
-      }))
-      .sort((a, b) => b.totalValue - a.totalValue)
-  })()
+  const t = new Date(expiresAt).getTime()
+  if (!expiresAt || !Number.isFinite(t)) return '—'
+  return fmtCountdown(t - now)
+}
 
-  // ── Heatmap tiles: Polymarket — group mid-moves by keyword category, nested ──
-  const POLY_KEYWORD_CATS = [
-    ['Crypto',        /bitcoin|btc|eth|ethereum|sol|solana|doge|xrp|crypto|coin|token|nft|defi|blockchain|binance|coinbase/i],
-    ['Politics',      /trump|biden|harris|election|president|senate|congress|vote|poll|democrat|republican|governor|cabinet|impeach|pardon|executive|border|immigration|gop|dnc|rnc|nominee|speaker|filibuster|veto|ballot|primary|swing.state/i],
-    ['Sports',        /nba|nfl|mlb|nhl|soccer|football|basketball|baseball|tennis|golf|olympics|ufc|mma|f1|formula|spread|match|playoff|champion|league|cup\b|seed|draft|scoring|winner|medal|grand.prix|premier|serie.a|la.liga|bundesliga|ligue|epl|ncaa|super.bowl|world.series|stanley|mvp/i],
-    ['Finance',       /fed\b|inflation|gdp|rate\b|economy|recession|market|nasdaq|s&p|dow|interest|oil|gold|treasury|cpi|stock|etf|bond|yield|earnings|ipo|tariff|trade.war|magnificent|amzn|aapl|msft|googl|nvda|tsla|meta\b/i],
-    ['Geopolitics',   /war|ukraine|russia|israel|gaza|nato|china|taiwan|iran|north.korea|middle.east|ceasefire|sanction|missile|invasion|troops|military|peace/i],
-    ['Tech',          /\bai\b|openai|apple|google|microsoft|nvidia|tesla|meta\b|amazon|twitter|chatgpt|model|robot|spacex|starlink|semiconductor|chip|gpt|anthropic|gemini|llama/i],
-    ['Entertainment', /oscar|grammy|emmy|movie|film|music|streaming|disney|netflix|spotify|tiktok|youtube|award|album|song|concert|box.office|reality.tv|bachelor/i],
-    ['Climate',       /climate|weather|hurricane|earthquake|wildfire|flood|temperature|drought|tornado|sea.level|carbon|emission/i],
-  ]
-  function polyCategory(question) {
-    const q = (question || '')
-    for (const [cat, re] of POLY_KEYWORD_CATS) { if (re.test(q)) return cat }
-    return 'Other'
-  }
+function MarketSignalRank({ provider, id, signal }) {
+  const result = useProviderApi(provider, signal.endpoint, { ...signal.params, limit: MARKET_RANK_LIMIT }, { normalize: 'market' })
+  const rows = Array.isArray(result.data) ? result.data : []
+  const idx = rows.findIndex((row) => row.id === id)
+  const value = idx >= 0 ? num(signal.value(rows[idx])) : null
 
-  const polyGroups = (() => {
-    const moves = Array.isArray(polyMidMoves.data) ? polyMidMoves.data : []
-    if (moves.length === 0) return []
-    const groups = {}
-    moves.forEach((row) => {
-      const cat = polyCategory(row.question ?? row.title ?? '')
-      if (!groups[cat]) groups[cat] = { children: [] }
-      const vol = typeof row.volume === 'number' ? row.volume : 1
-      const liq = typeof row.liquidity === 'number' ? row.liquidity : null
-      const diff = typeof row.price_diff === 'number' ? row.price_diff * 100 : 0
-      const oldP = typeof row.price_prev === 'number' ? (row.price_prev * 100).toFixed(0) : null
-      const newP = typeof row.price_now === 'number' ? (row.price_now * 100).toFixed(0) : null
-      const q = (row.question ?? row.title ?? '').replace(/^Will\s+/i, '').replace(/\?$/, '')
-      const label = q.length > 35 ? q.slice(0, 33) + '…' : q
-      const fmtVol = vol >= 1_000_000 ? `$${(vol/1e6).toFixed(1)}M` : vol >= 1_000 ? `$${(vol/1e3).toFixed(0)}K` : `$${vol.toFixed(0)}`
-      const fmtLiq = liq != null ? (liq >= 1_000_000 ? `$${(liq/1e6).toFixed(1)}M` : liq >= 1_000 ? `$${(liq/1e3).toFixed(0)}K` : `$${liq.toFixed(0)}`) : null
-      groups[cat].children.push({
-        label,
-        value: Math.max(1, vol),
-        heat: diff,
-        heatLabel: `${oldP ?? '?'}→${newP ?? '?'}%`,
-        oldPct: oldP,
-        newPct: newP,
-        ticker: null,
-        spread: (oldP != null && newP != null) ? `${Math.abs(Number(newP) - Number(oldP)).toFixed(0)}pp` : null,
-        volume: fmtVol,
-        liquidity: fmtLiq,
-        timeframe: '24h',
-      })
-    })
-    return Object.entries(groups)
-      .map(([category, g]) => ({
-        category,
-        totalValue: g.children.reduce((s, c) => s + c.value, 0),
-        avgHeat: g.children.reduce((s, c) => s + c.heat, 0) / g.children.length,
-        children: g.children.sort((a, b) => b.value - a.value),
-      }))
-      .sort((a, b) => b.totalValue - a.totalValue)
-  })()
+  return (
+    <div className="poly-stat-card">
+      <div className="poly-stat-label">{signal.label}</div>
+      {result.loading && <div className="loading">Loading…</div>}
+      <ErrorState error={result.error} onRetry={result.retry} />
+      {!result.loading && !result.error && (
+        idx >= 0 ? (
+          <>
+            <div className="poly-stat-value">#{idx + 1}</div>
+            <div className="poly-stat-period-row">
+              <span className="poly-stat-period-label">of {rows.length}</span>
+              {value !== null && <span className="poly-stat-period-value">{value.toFixed(2)}</span>}
+            </div>
+          </>
+        ) : (
+          <span className="muted">Outside the top {rows.length}</span>
+        )
+      )}
+    </div>
+  )
+}
 
-  const hmLoading = hmProvider === 'kalshi'
-    ? kalshiMovers.loading
-    : polyMidMoves.loading
-  const hmError = hmProvider === 'kalshi'
-    ? kalshiMovers.error
-    : polyMidMoves.error
-  const hmGroups = hmProvider === 'kalshi' ? kalshiGroups : polyGroups
+const fmtCompactAmount = (v, prefix = '') => {
+  if (typeof v !== 'number') return '—'
+  if (Math.abs(v) >= 1_000_000) return `${prefix}${(v / 1_000_000).toFixed(1)}M`
+  if (Math.abs(v) >= 1_000) return `${prefix}${(v / 1_000).toFixed(1)}K`
+  return prefix ? `${prefix}${v.toFixed(0)}` : v.toLocaleString('en-US')
+}
+
+const fmtHistoryTime = (t) => {
+  if (!t) return ''
+  const d = new Date(t)
+  if (isNaN(d.getTime())) return t
+  return d.toLocaleString('en-US', { month: 'numeric', day: 'numeric', hour: 'numeric', minute: '2-digit' })
+}
+
+// NO price of a market or history point, implied from YES when not reported
+const noPrice = (row) => num(row.outcome_no_price) ?? (row.prob === null ? null : 1 - row.prob)
+
+// What differs between the venues' detail pages: Kalshi quotes a bid/ask book
+// in cents and counts contracts, Polymarket quotes YES/NO in percent, counts
+// USDC and lists the other questions in the same event.
+const MARKET_PAGE_VIEWS = {
+  kalshi: {
+    noun: 'market',
+    missing: (id) => `No Kalshi market “${id}”.`,
+    expiryLabel: 'Expires in',
+    fmtAmount: (v) => fmtCompactAmount(v),
+    fmtAxis: (v) => (typeof v === 'number' && !isNaN(v) ? `${v.toFixed(1)}¢` : ''),
+    priceCards: [
+      { label: 'Mid', value: (m, adapter) => adapter.fmtProb(m.prob), showMove: true },
+      { label: 'Bid / Ask', value: (m, adapter) => `${adapter.fmtProb(m.bid)} / ${adapter.fmtProb(m.ask)}` },
+      { label: 'Spread', value: (m, adapter) => adapter.fmtProb(m.spread) },
+    ],
+    priceSeries: [
+      { label: 'Mid', value: (p) => p.prob, color: '#7c6af7' },
+      { label: 'Bid', value: (p) => p.bid, color: '#10b981' },
+      { label: 'Ask', value: (p) => p.ask, color: '#ef4444' },
+    ],
+    spreadChart: true,
+    volumeTitle: 'Volume',
+    depthTitle: 'Open Interest',
+  },
+  poly: {
+    noun: 'question',
+    missing: (id) => `No Polymarket question with condition ID “${id}”.`,
+    expiryLabel: 'Ends in',
+    fmtAmount: (v) => fmtCompactAmount(v, '$'),
+    fmtAxis: (v) => (typeof v === 'number' && !isNaN(v) ? `${v.toFixed(1)}%` : ''),
+    priceCards: [
+      { label: 'YES', value: (m, adapter) => adapter.fmtProb(m.prob), showMove: true },
+      { label: 'NO', value: (m, adapter) => adapter.fmtProb(noPrice(m)) },
+    ],
+    priceSeries: [
+      { label: 'YES', value: (p) => p.prob, color: '#10b981' },
+      { label: 'NO', value: noPrice, color: '#ef4444' },
+    ],
+    spreadChart: false,
+    volumeTitle: 'Volume (USDC)',
+    depthTitle: 'Liquidity (USDC)',
+    // Lists the other questions in the market's event (useEventMarkets)
+    siblings: true,
+    externalUrl: (eventId) => `https://polymarket.com/event/${encodeURIComponent(eventId)}`,
+  },
+}
+
+function MarketPage({ provider = 'kalshi' }) {
+  const { id } = useParams()
+  const [hours, setHours] = useState(MARKET_HISTORY_WINDOWS[0])
+  const adapter = PROVIDERS[provider]
+  const view = MARKET_PAGE_VIEWS[provider]
+  const path = `/markets/${encodeURIComponent(id)}`
+
+  const marketResult = useProviderApi(provider, path, null)
+  const history = useProviderApi(provider, `${path}/history`, { hours }, { normalize: 'market' })
+  const market = marketResult.data ? adapter.market(marketResult.data) : null
+  const eventId = market?.eventId ?? null
+
+  const siblingsResult = useEventMarkets(provider, view.siblings ? eventId : null)
+  const siblings = siblingsResult.markets.filter((row) => row.id !== id)
+
+  const points = Array.isArray(history.data) ? history.data : []
+  const times = points.map((p) => p.snap_ts)
+  const pick = (value, scale = 1) => points.map((p) => {
+    const v = num(value(p))
+    return v === null ? null : v * scale
+  })
+  const volume24h = market ? num(market.volume_24hr) : null
 
   return (
-    <div className="dashboard">
-      <p className="seo-blurb">
-        A realized volatility index based on Kalshi data —
-        tracking Kalshi's Market Shift Index (volume, open-interest, and breadth deltas).
-      </p>
-      <h2>Global Volatility Index</h2>
+    <div className="dashboard market-page">
+      <Link to={adapter.dashboardPath} className="market-page-back">← {adapter.label} dashboard</Link>
+
+      {marketResult.loading && <div className="loading">Loading {view.noun}…</div>}
+      <ErrorState error={marketResult.error} onRetry={marketResult.retry} messages={{ client: view.missing(id) }} />
+
+      {market && (
+        <>
+          <h2 className="dashboard-title">
+            <img src={adapter.logo} alt="" className="dashboard-title-logo" />
+            {market.title}
+          </h2>
+          <div className="market-page-ids">
+            {adapter.showId && <span className="market-cell-id">{market.id}</span>}
+            {eventId && (
+              <span className="market-cell-id">
+                Event: <EventLink provider={provider} id={eventId}>{market.event_title ?? eventId}</EventLink>
+              </span>
+            )}
+            {market.category && <span className="market-cell-id">{market.category}</span>}
+            {eventId && view.externalUrl && (
+              <a className="market-link" href={view.externalUrl(eventId)} target="_blank" rel="noopener noreferrer">
+                View on {adapter.label} ↗
+              </a>
+            )}
+            <FreshnessBadge freshness={marketResult.freshness} />
+          </div>
 
-      {/* ═══ PROBABILITY SHIFT MAP ═══ */}
-      <div className="panel" style={{ marginTop: '1.5rem' }}>
-        <div className="panel-header" style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', flexWrap: 'wrap', gap: '0.5rem' }}>
-          <div>
-            <div className="panel-title">Probability Shift Map</div>
-            <div style={{ fontSize: '0.72rem', color: 'rgba(255,255,255,0.35)', marginTop: '0.15rem' }}>
-              Where consensus is moving right now &nbsp;·&nbsp; Brighter = bigger shift
+          <div className="poly-stats-bar market-stats-bar">
+            {view.priceCards.map((card) => (
+              <div key={card.label} className="poly-stat-card">
+                <div className="poly-stat-label">{card.label}</div>
+                <div className="poly-stat-value">{card.value(market, adapter)}</div>
+                {card.showMove && market.move !== null && (
+                  <div className={`poly-stat-delta ${market.move >= 0 ? 'up' : 'down'}`}>
+                    {market.move >= 0 ? '▲' : '▼'} {adapter.fmtMove(market.move)}
+                  </div>
+                )}
+              </div>
+            ))}
+            <div className="poly-stat-card">
+              <div className="poly-stat-label">Volume</div>
+              <div className="poly-stat-value">{view.fmtAmount(market.volume)}</div>
+              {volume24h !== null && (
+                <div className="poly-stat-period-row">
+                  <span className="poly-stat-period-label">24h</span>
+                  <span className="poly-stat-period-value">{view.fmtAmount(volume24h)}</span>
+                </div>
+              )}
+            </div>
+            <div className="poly-stat-card">
+              <div className="poly-stat-label">{adapter.depthLabel}</div>
+              <div className="poly-stat-value">{view.fmtAmount(market.depth)}</div>
+            </div>
+            <div className="poly-stat-card">
+              <div className="poly-stat-label">{view.expiryLabel}</div>
+              <div className="poly-stat-value"><ExpiryCountdown expiresAt={market.expiresAt} /></div>
+              {market.expiresAt && (
+                <div className="poly-stat-period-row">
+                  <span className="poly-stat-period-label">{new Date(market.expiresAt).toLocaleString('en-US')}</span>
+                </div>
+              )}
             </div>
           </div>
-          <div className="hm-provider-tabs">
-            <button
-              type="button"
-              className={`hm-tab${hmProvider === 'kalshi' ? ' active' : ''}`}
-              onClick={() => setHmProvider('kalshi')}
-            >
-              <img src={KALSHI_LOGO_URL} alt="" style={{ height: '14px', width: '14px', objectFit: 'contain' }} />
-              Kalshi
-            </button>
-            <button
-              type="button"
-              className={`hm-tab${hmProvider === 'poly' ? ' active' : ''}`}
-              onClick={() => setHmProvider('poly')}
-            >
-              <img src={POLYMARKET_LOGO_URL} alt="" style={{ height: '14px', width: '14px', objectFit: 'contain' }} />
-              Polymarket
-            </button>
+        </>
+      )}
+
+      <div className="panel" style={{ marginTop: '1.5rem' }}>
+        <div className="panel-header" style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', flexWrap: 'wrap', gap: '0.5rem' }}>
+          <div className="panel-title">Price History <FreshnessBadge freshness={history.freshness} /></div>
+          <div className="signals-controls">
+            <label>
+              Window
+              <select value={hours} onChange={(e) => setHours(Number(e.target.value))}>
+                {MARKET_HISTORY_WINDOWS.map((h) => <option key={h} value={h}>{h < 48 ? `${h}h` : `${h / 24}d`}</option>)}
+              </select>
+            </label>
           </div>
         </div>
-        <div className="panel-body">
-          <VolHeatmap
-            groups={hmGroups}
-            loading={hmLoading}
-            error={hmError}
+        <div className="panel-body market-history-grid">
+          <ModernLineChart
+            series={view.priceSeries.map((s) => ({ label: s.label, values: pick(s.value, 100), times, color: s.color }))}
+            sharedScale
+            loading={history.loading}
+            error={history.error}
+            onRetry={history.retry}
+            yAxisFormatter={view.fmtAxis}
+            xAxisFormatter={fmtHistoryTime}
+          />
+          {view.spreadChart && (
+            <ModernLineChart
+              series={[{ label: 'Spread', values: pick((p) => p.spread, 100), times, color: '#f59e0b' }]}
+              loading={history.loading}
+              error={history.error}
+              onRetry={history.retry}
+              yAxisFormatter={view.fmtAxis}
+              xAxisFormatter={fmtHistoryTime}
+            />
+          )}
+          <ModernLineChart
+            series={[{ label: view.volumeTitle, values: pick((p) => p.volume), times, color: '#38bdf8' }]}
+            loading={history.loading}
+            error={history.error}
+            onRetry={history.retry}
+            yAxisFormatter={view.fmtAmount}
+            xAxisFormatter={fmtHistoryTime}
+          />
+          <ModernLineChart
+            series={[{ label: view.depthTitle, values: pick((p) => p.depth), times, color: '#7c6af7' }]}
+            loading={history.loading}
+            error={history.error}
+            onRetry={history.retry}
+            yAxisFormatter={view.fmtAmount}
+            xAxisFormatter={fmtHistoryTime}
           />
-          <p className="panel-methodology" style={{ marginTop: '0.75rem' }}>
-            {hmProvider === 'kalshi'
-              ? 'Each tile is a prediction market where probability shifted significantly. The label shows the old → new probability (e.g. 4→99¢ = went from 4% to 99% likely). Tile size = magnitude of shift. Categories are auto-detected from market tickers.'
-              : 'Each tile is a Polymarket question where mid-price moved significantly in 24h. The label shows old → new probability. Tile size = traded volume. Categories are keyword-classified from question text.'}
-          </p>
         </div>
       </div>
 
-      <div
-        className="vol-index-grid"
-        style={{
-          display: 'flex',
-          flexDirection: 'column',
-          gap: '2rem',
-          marginTop: '1.5rem',
-        }}
-      >
-        <div className="panel">
+      {view.siblings && eventId && (
+        <div className="panel" style={{ marginTop: '1.5rem' }}>
           <div className="panel-header">
-            <div className="panel-title">Market Volatility</div>
+            <div className="panel-title">Other Questions in this Event <FreshnessBadge freshness={siblingsResult.freshness} /></div>
           </div>
           <div className="panel-body">
-            {isCombinedLoading && <div className="loading">Loading…</div>}
-            {!isCombinedLoading && kalshiDeltas.error && (
-              <div className="error">
-                Failed to load volatility data.
-              </div>
-            )}
-            {!isCombinedLoading && combinedIndexPoints && (
-              <VolatilityGauge 
-                value={combinedLatest} 
-                min={0} 
-                max={100} 
-                label="Global Volatility Index" 
-              />
+            {siblingsResult.loading && <div className="loading">Loading event questions…</div>}
+            <ErrorState error={siblingsResult.error} onRetry={siblingsResult.retry} />
+            {!siblingsResult.loading && !siblingsResult.error && siblings.length === 0 && (
+              <span className="muted">No other questions in this event.</span>
             )}
-            {!isCombinedLoading && !combinedIndexPoints && (
-              <span className="muted">No volatility index data available.</span>
+            {siblingsResult.partial && (
+              <span className="muted">Only the screener's top {EVENT_MARKETS_PAGE_SIZE} questions were searched.</span>
             )}
-
-            <p className="panel-methodology" style={{ marginTop: '1rem', marginBottom: '2rem' }}>
-              <strong>Methodology:</strong> The Global Volatility Index is a measure that 
-              synthesizes activity across Kalshi. It normalizes Kalshi's Market Shift Index 
-              (which tracks 2-hour changes in volume, open interest, and market breadth). 
-              The resulting score is scaled from 0 to 100, where higher values indicate periods 
-              of rapid collective repricing, elevated order flow, and broad market uncertainty.
-            </p>
-
-            <div style={{ marginTop: '1.25rem', display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(320px, 1fr))', gap: '1.5rem' }}>
-              <div>
-                <div
-                  className="panel-section-label"
-                  style={{ fontSize: '0.75rem', opacity: 0.6, marginBottom: '0.4rem' }}
-                >
-                  KALSHI: Δ VOLUME &amp; Δ OPEN INTEREST (6h)
-                </div>
-                <ModernLineChart
-                  series={kalshiChartSeries}
-                  loading={kalshiDeltas.loading}
-                  error={kalshiDeltas.error}
-                  yAxisFormatter={(v) => {
-                    if (Math.abs(v) >= 1000000) return (v / 1000000).toFixed(1) + 'M';
-                    if (Math.abs(v) >= 1000) return (v / 1000).toFixed(1) + 'k';
-                    return v.toFixed(0);
-                  }}
-                  xAxisFormatter={(t) => {
-                    if (!t) return '';
-                    const d = new Date(t);
-                    if (isNaN(d.getTime())) return t;
-                    return d.toLocaleString('en-US', { month: 'numeric', day: 'numeric', hour: 'numeric', minute: '2-digit' });
-                  }}
-                />
-              </div>
-              <div>
-                <div
-                  className="panel-section-label"
-                  style={{ fontSize: '0.75rem', opacity: 0.6, marginBottom: '0.4rem' }}
-                >
-                  POLYMARKET: Δ VOLUME &amp; Δ LIQUIDITY (USDC)
-                </div>
-                <ModernLineChart
-                  series={polyChartSeries}
-                  loading={polyDeltas.loading}
-                  error={polyDeltas.error}
-                  yAxisFormatter={(v) => {
-                    if (Math.abs(v) >= 1000000) return '$' + (v / 1000000).toFixed(1) + 'M';
-                    if (Math.abs(v) >= 1000) return '$' + (v / 1000).toFixed(1) + 'k';
-                    return '$' + v.toFixed(0);
-                  }}
-                  xAxisFormatter={(t) => {
-                    if (!t) return '';
-                    const d = new Date(t);
-                    if (isNaN(d.getTime())) return t;
-                    return d.toLocaleString('en-US', { month: 'numeric', day: 'numeric', hour: 'numeric', minute: '2-digit' });
-                  }}
-                />
-              </div>
-            </div>
-
-            <div style={{ marginTop: '2rem' }}>
-              <div
-                className="panel-section-label"
-                style={{ fontSize: '0.75rem', opacity: 0.6, marginBottom: '0.4rem' }}
-              >
-                HISTORICAL GLOBAL VOLATILITY INDEX
-              </div>
-              <ModernLineChart
-                series={[{ label: 'Global Volatility Index', values: combinedValues, times: combinedTimes, color: '#f59e0b' }]}
-                loading={isCombinedLoading}
-                error={!kalshiValues.length ? kalshiDeltas.error : null}
-                showAxes={true}
-                yAxisFormatter={(v) => (typeof v === 'number' && !isNaN(v) ? v.toFixed(1) : '')}
-                xAxisFormatter={(t) => {
-                  if (!t) return '';
-                  // Handle both ISO strings and unix timestamps
-                  const d = new Date(t);
-                  if (isNaN(d.getTime())) return t; // fallback if invalid date
-                  return d.toLocaleString('en-US', { month: 'numeric', day: 'numeric', hour: 'numeric', minute: '2-digit' });
-                }}
+            {siblings.length > 0 && (
+              <DataTable
+                id={`${provider}-market-siblings`}
+                columns={[
+                  {
+                    key: 'title',
+                    label: 'Question',
+                    defaultSortDir: 'asc',
+                    render: (row) => <MarketLink provider={provider} id={row.id}>{row.title}</MarketLink>,
+                  },
+                  { key: 'prob', label: view.priceCards[0].label, render: (row) => adapter.fmtProb(row.prob) },
+                  { key: 'volume', label: 'Volume', render: (row) => view.fmtAmount(row.volume) },
+                  { key: 'depth', label: adapter.depthLabel, render: (row) => view.fmtAmount(row.depth) },
+                ]}
+                rows={siblings}
               />
-            </div>
-
-            {/* ── Kalshi Realized Vol Index ── */}
-            <div style={{ marginTop: '2rem' }}>
-              <div
-                className="panel-section-label"
-                style={{ fontSize: '0.75rem', opacity: 0.6, marginBottom: '0.4rem' }}
-              >
-                KALSHI REALIZED VOL INDEX (ANNUALIZED)
-              </div>
-              {kalshiVolIndex.loading && <div className="loading">Loading…</div>}
-              {!kalshiVolIndex.loading && kalshiVolValues.length > 0 && (
-                <ModernLineChart
-                  series={[{ label: 'Kalshi Vol Index', values: kalshiVolValues, times: kalshiVolTimes, color: '#6366f1' }]}
-                  loading={false}
-                  error={null}
-                  showAxes={true}
-                  yAxisFormatter={(v) => (typeof v === 'number' && !isNaN(v) ? v.toFixed(2) : '')}
-                  xAxisFormatter={(t) => {
-                    if (!t) return '';
-                    const d = new Date(t);
-                    if (isNaN(d.getTime())) return t;
-                    return d.toLocaleString('en-US', { month: 'numeric', day: 'numeric', hour: 'numeric', minute: '2-digit' });
-                  }}
-                />
-              )}
-              {!kalshiVolIndex.loading && kalshiVolValues.length === 0 && !kalshiVolIndex.error && (
-                <span className="muted">No Kalshi vol-index data available yet.</span>
-              )}
-            </div>
-
-            {/* ── Poly Realized Vol Index ── */}
-            <div style={{ marginTop: '2rem' }}>
-              <div
-                className="panel-section-label"
-                style={{ fontSize: '0.75rem', opacity: 0.6, marginBottom: '0.4rem' }}
-              >
-                POLYMARKET REALIZED VOL INDEX (ANNUALIZED)
-              </div>
-              {polyVolIndex.loading && <div className="loading">Loading…</div>}
-              {!polyVolIndex.loading && polyValues.length > 0 && (
-                <ModernLineChart
-                  series={[{ label: 'Poly Vol Index', values: polyValues, times: polyTimes, color: '#a855f7' }]}
-                  loading={false}
-                  error={null}
-                  showAxes={true}
-                  yAxisFormatter={(v) => (typeof v === 'number' && !isNaN(v) ? v.toFixed(2) : '')}
-                  xAxisFormatter={(t) => {
-                    if (!t) return '';
-                    const d = new Date(t);
-                    if (isNaN(d.getTime())) return t;
-                    return d.toLocaleString('en-US', { month: 'numeric', day: 'numeric', hour: 'numeric', minute: '2-digit' });
-                  }}
-                />
-              )}
-              {!polyVolIndex.loading && polyValues.length === 0 && !polyVolIndex.error && (
-                <span className="muted">No Polymarket vol-index data available yet.</span>
-              )}
-            </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      <div className="panel" style={{ marginTop: '1.5rem', marginBottom: '2rem' }}>
+        <div className="panel-header">
+          <div className="panel-title">Signal Ranks</div>
+        </div>
+        <div className="panel-body">
+          <div className="poly-stats-bar market-stats-bar" style={{ margin: 0 }}>
+            {MARKET_SIGNALS.map((signal) => (
+              <MarketSignalRank key={signal.key} provider={provider} id={id} signal={signal} />
+            ))}
           </div>
         </div>
       </div>
@@ -3260,342 +7004,797 @@ function VolIndexPage() {
   )
 }
 
-// ─── Signals Page ────────────────────────────────────────────────────────────
-
-function SignalsPage() {
-  const [platform, setPlatform] = useState('kalshi')
-  const [movesHours, setMovesHours] = useState(1)
-  const [movesMinVol, setMovesMinVol] = useState(0)
-  const [movesLimit, setMovesLimit] = useState(10)
-  const [oppLimit, setOppLimit] = useState(10)
-  const [heatLimit, setHeatLimit] = useState(10)
-  const [tradeLimit, setTradeLimit] = useState(10)
+// ─── Event Detail Page ───────────────────────────────────────────────────────
 
-  // ── Biggest Moves ──
-  const kalshiMoves = useApi('/signals/biggest-moves', { limit: movesLimit, hours: movesHours, min_volume: movesMinVol })
-  const polyMoves   = usePolyApi('/signals/biggest-moves', { limit: movesLimit, hours: movesHours, min_volume: movesMinVol })
-  const movesData   = platform === 'kalshi' ? kalshiMoves : polyMoves
+const EVENT_STACK_LAYERS = 6
+const EVENT_SUM_TOLERANCE = 0.05
 
-  // ── Opportunity Gap ──
-  const kalshiOpp = useApi('/opportunity-gap', { limit: oppLimit })
-  const polyOpp   = usePolyApi('/opportunity-gap', { limit: oppLimit })
-  const oppData   = platform === 'kalshi' ? kalshiOpp : polyOpp
+function eventPath(provider, id) {
+  const route = PROVIDERS[provider]?.eventRoute
+  return id && route ? `${route}/${encodeURIComponent(id)}` : null
+}
 
-  // ── Market Heat ──
-  const kalshiHeat = useApi('/market-heat', { limit: heatLimit })
-  const polyHeat   = usePolyApi('/market-heat', { limit: heatLimit })
-  const heatData   = platform === 'kalshi' ? kalshiHeat : polyHeat
+function EventLink({ provider = 'kalshi', id, className = '', children }) {
+  const to = eventPath(provider, id)
+  if (!to) return children ?? id
+  return (
+    <Link to={to} className={`market-link ${className}`.trim()}>
+      {children ?? id}
+    </Link>
+  )
+}
 
-  // ── Tradability Score ──
-  const kalshiTrade = useApi('/tradeability-score', { limit: tradeLimit })
-  const polyTrade   = usePolyApi('/tradeability-score', { limit: tradeLimit })
-  const tradeData   = platform === 'kalshi' ? kalshiTrade : polyTrade
+// 100%-stacked area chart: each layer's share of the per-timestamp total
+function StackedShareChart({ layers, times, loading, error, onRetry, xAxisFormatter = (v) => v }) {
+  const COLORS = ['#7c6af7', '#38bdf8', '#10b981', '#f59e0b', '#ef4444', '#ec4899', '#64748b']
+  const [hoveredIndex, setHoveredIndex] = useState(null)
 
-  const fmtNum = (v) => (typeof v === 'number' ? v.toLocaleString('en-US') : '—')
-  const fmtDec = (v, d = 2) => (typeof v === 'number' ? v.toFixed(d) : '—')
-  const fmtPct = (v) => (typeof v === 'number' ? `${(v * 100).toFixed(1)}%` : '—')
+  if (loading) return <div className="loading">Loading chart…</div>
+  if (error) return <ErrorState error={error} onRetry={onRetry} />
+  if (!layers?.length || !times || times.length < 2) return <span className="muted">No chart data yet.</span>
+
+  const totals = times.map((_, i) => layers.reduce((sum, l) => sum + (l.values[i] ?? 0), 0))
+  const x = (i) => (i / (times.length - 1)) * 100
+  // Cumulative top edge of each layer, as a 0–40 viewBox y
+  let base = times.map(() => 0)
+  const bands = layers.map((layer) => {
+    const top = base.map((b, i) => b + (totals[i] > 0 ? (layer.values[i] ?? 0) / totals[i] : 0))
+    const upper = top.map((v, i) => `${x(i)},${40 - v * 40}`)
+    const lower = base.map((v, i) => `${x(i)},${40 - v * 40}`).reverse()
+    base = top
+    return [...upper, ...lower].join(' ')
+  })
 
-  const renderLoading = (msg) => <div className="loading">{msg}</div>
-  const renderError = (err) => err ? <div className="error">{err.message}</div> : null
+  const handleMouseMove = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect()
+    const i = Math.round(((e.clientX - rect.left) / rect.width) * (times.length - 1))
+    setHoveredIndex(Math.min(Math.max(i, 0), times.length - 1))
+  }
 
   return (
-    <div className="dashboard signals-page">
-      <p className="seo-blurb">
-        Advanced prediction market signals: biggest movers, opportunity gaps,
-        market heat, and tradability scores for Kalshi and Polymarket.
-      </p>
-      <h2 className="dashboard-title">Signals &amp; Analysis</h2>
+    <div className="modern-chart-wrapper" style={{ background: '#0f172a', borderRadius: '12px', padding: '1.5rem', border: '1px solid #1e293b' }}>
+      <div className="dual-chart-legend" style={{ marginBottom: '1rem', display: 'flex', gap: '1rem', justifyContent: 'center', flexWrap: 'wrap' }}>
+        {hoveredIndex !== null && (
+          <span style={{ color: '#94a3b8', fontSize: '0.875rem', fontWeight: 'bold' }}>{xAxisFormatter(times[hoveredIndex])}</span>
+        )}
+        {layers.map((layer, li) => (
+          <span key={layer.label} className="legend-item" style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', fontSize: '0.875rem', color: '#cbd5e1' }}>
+            <span className="legend-dot" style={{ background: COLORS[li % COLORS.length], width: '10px', height: '10px', borderRadius: '50%', display: 'inline-block' }} />
+            {layer.label}
+            {hoveredIndex !== null && totals[hoveredIndex] > 0 && (
+              <strong style={{ color: '#fff' }}>
+                {(((layer.values[hoveredIndex] ?? 0) / totals[hoveredIndex]) * 100).toFixed(1)}%
+              </strong>
+            )}
+          </span>
+        ))}
+      </div>
+      <div style={{ height: '14rem', cursor: 'crosshair' }} onMouseMove={handleMouseMove} onMouseLeave={() => setHoveredIndex(null)}>
+        <svg viewBox="0 0 100 40" preserveAspectRatio="none" style={{ width: '100%', height: '100%', display: 'block' }}>
+          {bands.map((points, li) => (
+            <polygon key={layers[li].label} points={points} fill={COLORS[li % COLORS.length]} fillOpacity="0.75" />
+          ))}
+          {hoveredIndex !== null && (
+            <line x1={x(hoveredIndex)} y1="0" x2={x(hoveredIndex)} y2="40" stroke="#fff" strokeWidth="0.5" vectorEffect="non-scaling-stroke" />
+          )}
+        </svg>
+      </div>
+      <div style={{ display: 'flex', justifyContent: 'space-between', marginTop: '8px', color: '#64748b', fontSize: '0.7rem' }}>
+        <span>{xAxisFormatter(times[0])}</span>
+        <span>{xAxisFormatter(times[times.length - 1])}</span>
+      </div>
+    </div>
+  )
+}
 
-      {/* ── Platform Toggle ── */}
-      <div className="signals-platform-toggle">
-        <button
-          type="button"
-          className={`signals-toggle-btn${platform === 'kalshi' ? ' active' : ''}`}
-          onClick={() => setPlatform('kalshi')}
-        >
-          <img src={KALSHI_LOGO_URL} alt="" style={{ height: 14, width: 14, objectFit: 'contain' }} />
-          Kalshi
-        </button>
-        <button
-          type="button"
-          className={`signals-toggle-btn${platform === 'poly' ? ' active' : ''}`}
-          onClick={() => setPlatform('poly')}
-        >
-          <img src={POLYMARKET_LOGO_URL} alt="" style={{ height: 14, width: 14, objectFit: 'contain' }} />
-          Polymarket
-        </button>
+// Sum of child YES probabilities. Mutually exclusive outcomes should land
+// near 100%; brackets and independent questions legitimately won't.
+function probabilitySumCheck(markets) {
+  const probs = markets.map((m) => m.prob).filter((p) => p !== null)
+  if (probs.length < 2) return null
+  const sum = probs.reduce((a, b) => a + b, 0)
+  if (Math.abs(sum - 1) <= EVENT_SUM_TOLERANCE) return { sum, status: 'ok', note: 'Outcomes sum to ~100%, consistent with a mutually exclusive event.' }
+  if (sum > 1) return { sum, status: 'over', note: 'Outcomes sum above 100% — overround, or the outcomes are not mutually exclusive.' }
+  return { sum, status: 'under', note: 'Outcomes sum below 100% — underround, missing outcomes, or independent questions.' }
+}
+
+function EventPage({ provider = 'kalshi' }) {
+  const { id } = useParams()
+  const [hours, setHours] = useState(MARKET_HISTORY_WINDOWS[1])
+  const adapter = PROVIDERS[provider]
+  const { fmtAmount } = MARKET_PAGE_VIEWS[provider]
+
+  const marketsResult = useEventMarkets(provider, id)
+  const history = useProviderApi(provider, `/events/${encodeURIComponent(id)}/history`, { hours }, { normalize: 'market' })
+
+  const markets = [...marketsResult.markets].sort((a, b) => (b.prob ?? -1) - (a.prob ?? -1))
+  const title = markets.find((m) => m.event_title)?.event_title ?? id
+  const sumCheck = probabilitySumCheck(markets)
+
+  // History rows are per market per snapshot; fold them into event totals
+  // and per-market volume layers (largest markets, the rest as "Other")
+  const historyRows = Array.isArray(history.data) ? history.data : []
+  const times = [...new Set(historyRows.map((r) => r.snap_ts))].sort((a, b) => new Date(a) - new Date(b))
+  const timeIndex = new Map(times.map((t, i) => [t, i]))
+  const byMarket = new Map()
+  const totalVolume = times.map(() => 0)
+  const totalDepth = times.map(() => 0)
+  for (const row of historyRows) {
+    const i = timeIndex.get(row.snap_ts)
+    totalVolume[i] += row.volume ?? 0
+    totalDepth[i] += row.depth ?? 0
+    if (!byMarket.has(row.id)) byMarket.set(row.id, { label: row.title, values: times.map(() => 0) })
+    byMarket.get(row.id).values[i] += row.volume ?? 0
+  }
+  const ranked = [...byMarket.values()].sort((a, b) => b.values[b.values.length - 1] - a.values[a.values.length - 1])
+  const layers = ranked.slice(0, EVENT_STACK_LAYERS)
+  if (ranked.length > EVENT_STACK_LAYERS) {
+    layers.push({
+      label: 'Other',
+      values: times.map((_, i) => ranked.slice(EVENT_STACK_LAYERS).reduce((sum, m) => sum + m.values[i], 0)),
+    })
+  }
+
+  return (
+    <div className="dashboard market-page">
+      <Link to={adapter.dashboardPath} className="market-page-back">
+        ← {adapter.label} dashboard
+      </Link>
+      <h2 className="dashboard-title">
+        <img src={adapter.logo} alt="" className="dashboard-title-logo" />
+        {title}
+      </h2>
+      <div className="market-page-ids">
+        {title !== id && <span className="market-cell-id">{id}</span>}
+        {!marketsResult.loading && <span className="market-cell-id">{markets.length} markets</span>}
+        <FreshnessBadge freshness={marketsResult.freshness} />
       </div>
 
-      {/* ═══ BIGGEST MOVES ═══ */}
       <div className="panel" style={{ marginTop: '1.5rem' }}>
-        <div className="panel-header" style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', flexWrap: 'wrap', gap: '0.5rem' }}>
-          <div className="panel-title">Biggest Moves</div>
-          <div className="signals-controls">
-            <label>
-              Hours
-              <select value={movesHours} onChange={(e) => setMovesHours(Number(e.target.value))}>
-                {[1, 2, 4, 6, 12, 24, 48, 168].map((h) => (
-                  <option key={h} value={h}>{h}h</option>
-                ))}
-              </select>
-            </label>
-            <label>
-              Min Vol
-              <input
-                type="number"
-                min="0"
-                value={movesMinVol}
-                onChange={(e) => setMovesMinVol(Number(e.target.value) || 0)}
-                style={{ width: '5rem' }}
-              />
-            </label>
-            <label>
-              Limit
-              <select value={movesLimit} onChange={(e) => setMovesLimit(Number(e.target.value))}>
-                {[5, 10].map((n) => <option key={n} value={n}>{n}</option>)}
-              </select>
-            </label>
-          </div>
+        <div className="panel-header">
+          <div className="panel-title">Outcomes</div>
         </div>
         <div className="panel-body">
-          {movesData.loading && renderLoading('Loading biggest moves…')}
-          {renderError(movesData.error)}
-          {Array.isArray(movesData.data) && movesData.data.length > 0 && (
-            <div className="markets-table-scroll">
-              <table className="markets-table">
-                <thead>
-                  <tr>
-                    <th>{platform === 'kalshi' ? 'Ticker' : 'Question'}</th>
-                    {platform === 'kalshi' && <th>Title</th>}
-                    {platform === 'poly' && <th>Category</th>}
-                    <th>Now</th>
-                    <th>Prev</th>
-                    <th>Move</th>
-                    <th>|Move|</th>
-                    <th>Score</th>
-                    <th>Avg 24h</th>
-                    <th>Volume</th>
-                    <th>{platform === 'kalshi' ? 'OI' : 'Liquidity'}</th>
-                    {platform === 'kalshi' && <th>Spread</th>}
-                  </tr>
-                </thead>
-                <tbody>
-                  {movesData.data.map((row, idx) => {
-                    const move = typeof row.move === 'number' ? row.move : 0
-                    const isKalshi = platform === 'kalshi'
-                    return (
-                      <tr key={(isKalshi ? row.market_ticker : row.condition_id) ?? idx}>
-                        <td>{isKalshi ? row.market_ticker : row.question}</td>
-                        <td>{isKalshi ? row.title : (row.category ?? '—')}</td>
-                        <td>{isKalshi ? `${fmtDec(row.mid_now, 1)}¢` : fmtPct(row.price_now)}</td>
-                        <td>{isKalshi ? `${fmtDec(row.mid_prev, 1)}¢` : fmtPct(row.price_prev)}</td>
-                        <td className={move >= 0 ? 'diff-up' : 'diff-down'}>
-                          {move >= 0 ? '+' : ''}{isKalshi ? `${fmtDec(move, 1)}¢` : fmtDec(move * 100, 1) + 'pp'}
-                        </td>
-                        <td>{isKalshi ? fmtDec(row.abs_move, 1) : fmtDec((row.abs_move ?? 0) * 100, 1)}</td>
-                        <td>{row.move_score != null ? fmtDec(row.move_score, 2) : '—'}</td>
-                        <td>{row.avg_move_24h != null ? fmtDec(row.avg_move_24h, 2) : '—'}</td>
-                        <td>{fmtNum(row.volume)}</td>
-                        <td>{fmtNum(isKalshi ? row.open_interest : row.liquidity)}</td>
-                        {isKalshi && <td>{fmtDec(row.spread_ticks, 1)}</td>}
-                      </tr>
-                    )
-                  })}
-                </tbody>
-              </table>
+          {sumCheck && (
+            <div className={`event-sum-check event-sum-check--${sumCheck.status}`}>
+              <strong>Σ {(sumCheck.sum * 100).toFixed(1)}%</strong> {sumCheck.note}
             </div>
           )}
-          {Array.isArray(movesData.data) && movesData.data.length === 0 && !movesData.loading && (
-            <span className="muted">No moves found for this window.</span>
+          {marketsResult.loading && <div className="loading">Loading markets…</div>}
+          <ErrorState error={marketsResult.error} onRetry={marketsResult.retry} />
+          {!marketsResult.loading && !marketsResult.error && markets.length === 0 && (
+            <span className="muted">No markets found for this event.</span>
+          )}
+          {marketsResult.partial && (
+            <span className="muted">Only the screener's top {EVENT_MARKETS_PAGE_SIZE} markets were searched.</span>
+          )}
+          {markets.length > 0 && (
+            <DataTable
+              id={`${provider}-event-markets`}
+              columns={[
+                {
+                  key: 'title',
+                  label: 'Market',
+                  defaultSortDir: 'asc',
+                  render: (m) => (
+                    <>
+                      <MarketLink provider={provider} id={m.id}>{m.title}</MarketLink>
+                      {adapter.showId && m.ticker !== m.title && <div className="market-cell-id">{m.ticker}</div>}
+                    </>
+                  ),
+                },
+                {
+                  key: 'prob',
+                  label: 'Probability',
+                  render: (m) => (
+                    <div className="event-prob-bar">
+                      <div className="event-prob-fill" style={{ width: `${Math.min((m.prob ?? 0) * 100, 100)}%` }} />
+                      <span>{adapter.fmtProb(m.prob)}</span>
+                    </div>
+                  ),
+                },
+                { key: 'volume', label: 'Volume', render: (m) => fmtAmount(m.volume) },
+                { key: 'depth', label: adapter.depthLabel, render: (m) => fmtAmount(m.depth) },
+              ]}
+              rows={markets}
+            />
           )}
         </div>
       </div>
 
-      {/* ═══ OPPORTUNITY GAP ═══ */}
-      <div className="panel" style={{ marginTop: '1.5rem' }}>
+      <div className="panel" style={{ marginTop: '1.5rem', marginBottom: '2rem' }}>
         <div className="panel-header" style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', flexWrap: 'wrap', gap: '0.5rem' }}>
-          <div className="panel-title">Opportunity Gap</div>
+          <div className="panel-title">Event History <FreshnessBadge freshness={history.freshness} /></div>
           <div className="signals-controls">
             <label>
-              Limit
-              <select value={oppLimit} onChange={(e) => setOppLimit(Number(e.target.value))}>
-                {[5, 10].map((n) => <option key={n} value={n}>{n}</option>)}
+              Window
+              <select value={hours} onChange={(e) => setHours(Number(e.target.value))}>
+                {MARKET_HISTORY_WINDOWS.map((h) => <option key={h} value={h}>{h < 48 ? `${h}h` : `${h / 24}d`}</option>)}
               </select>
             </label>
           </div>
         </div>
-        <div className="panel-body">
-          {oppData.loading && renderLoading('Loading opportunity gaps…')}
-          {renderError(oppData.error)}
-          {Array.isArray(oppData.data) && oppData.data.length > 0 && (
-            <div className="markets-table-scroll">
-              <table className="markets-table">
-                <thead>
-                  <tr>
-                    <th>{platform === 'kalshi' ? 'Ticker' : 'Question'}</th>
-                    {platform === 'kalshi' && <th>Title</th>}
-                    {platform === 'poly' && <th>Category</th>}
-                    {platform === 'kalshi' ? (
-                      <>
-                        <th>Spread Pts</th>
-                        <th>Spread %</th>
-                      </>
-                    ) : (
-                      <>
-                        <th>Volume</th>
-                        <th>Yes Price</th>
-                        <th>Uncertainty</th>
-                        <th>Opp Score</th>
-                      </>
-                    )}
-                  </tr>
-                </thead>
-                <tbody>
-                  {oppData.data.map((row, idx) => {
-                    const isKalshi = platform === 'kalshi'
-                    return (
-                      <tr key={(isKalshi ? row.market_ticker : row.condition_id) ?? idx}>
-                        <td>{isKalshi ? row.market_ticker : row.question}</td>
-                        {isKalshi && <td>{row.title}</td>}
-                        {!isKalshi && <td>{row.category ?? '—'}</td>}
-                        {isKalshi ? (
-                          <>
-                            <td>{fmtDec(row.spread_points, 1)}</td>
-                            <td>{fmtDec(row.spread_percentage, 1)}%</td>
-                          </>
-                        ) : (
-                          <>
-                            <td>{fmtNum(row.volume)}</td>
-                            <td>{fmtPct(row.outcome_yes_price)}</td>
-                            <td>{fmtDec(row.uncertainty, 4)}</td>
-                            <td>{fmtDec(row.opportunity_score, 4)}</td>
-                          </>
-                        )}
-                      </tr>
-                    )
-                  })}
-                </tbody>
-              </table>
-            </div>
-          )}
-          {Array.isArray(oppData.data) && oppData.data.length === 0 && !oppData.loading && (
-            <span className="muted">No opportunity gaps found.</span>
-          )}
+        <div className="panel-body market-history-grid">
+          <StackedShareChart
+            layers={layers}
+            times={times}
+            loading={history.loading}
+            error={history.error}
+            onRetry={history.retry}
+            xAxisFormatter={fmtHistoryTime}
+          />
+          <ModernLineChart
+            series={[
+              { label: 'Total Volume', values: totalVolume, times, color: '#38bdf8' },
+              { label: `Total ${adapter.depthLabel === 'OI' ? 'Open Interest' : adapter.depthLabel}`, values: totalDepth, times, color: '#10b981' },
+            ]}
+            loading={history.loading}
+            error={history.error}
+            onRetry={history.retry}
+            yAxisFormatter={fmtAmount}
+            xAxisFormatter={fmtHistoryTime}
+          />
         </div>
       </div>
+    </div>
+  )
+}
 
-      {/* ═══ MARKET HEAT ═══ */}
-      <div className="panel" style={{ marginTop: '1.5rem' }}>
-        <div className="panel-header" style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', flexWrap: 'wrap', gap: '0.5rem' }}>
-          <div className="panel-title">Market Heat (Churn Rate)</div>
-          <div className="signals-controls">
-            <label>
-              Limit
-              <select value={heatLimit} onChange={(e) => setHeatLimit(Number(e.target.value))}>
-                {[5, 10].map((n) => <option key={n} value={n}>{n}</option>)}
-              </select>
-            </label>
+// ─── Compare Page ────────────────────────────────────────────────────────────
+// /compare?m=kalshi:ID,poly:ID overlays up to COMPARE_MAX markets' probability
+// histories on one scale next to their stats. Without `m` it opens the tray's
+// selection; either way the tray follows what is on the page.
+
+const COMPARE_COLORS = ['#7c6af7', '#38bdf8', '#10b981', '#f59e0b', '#ef4444', '#ec4899', '#a3e635', '#f97316']
+
+// provider:id -> { market, fetchedAt } or { error } from each market's detail
+// endpoint. Bumping `refreshKey` revalidates; a failed revalidation keeps the
+// last-known market.
+function useMarketDetails(markets, { refreshKey = 0 } = {}) {
+  const [details, setDetails] = useState({})
+  const key = markets.map(compareKey).join(',')
+
+  useEffect(() => {
+    const controller = new AbortController()
+    for (const m of parseCompareParam(key, Infinity)) {
+      const adapter = PROVIDERS[m.provider]
+      const store = (entry) => setDetails((prev) => ({ ...prev, [compareKey(m)]: entry }))
+      _cachedFetch(
+        `${adapter.base}/markets/${encodeURIComponent(m.id)}`,
+        (json, fetchedAt) => store({ market: adapter.market(json), fetchedAt }),
+        () => {},
+        (error) => {
+          reportProviderFailure(m.provider, error)
+          store({ error })
+        },
+        controller.signal,
+        { force: refreshKey > 0, onStale: (error) => reportProviderFailure(m.provider, error) },
+      )
+    }
+    return () => controller.abort()
+  }, [key, refreshKey])
+
+  return details
+}
+
+function ComparePage() {
+  const [searchParams, setSearchParams] = useSearchParams()
+  const tray = useCompareTray()
+  const [hours, setHours] = useState(MARKET_HISTORY_WINDOWS[0])
+  const param = searchParams.get('m')
+  const fromUrl = useMemo(() => parseCompareParam(param), [param])
+  const selection = param === null ? tray : fromUrl
+
+  const details = useMarketDetails(selection)
+  const idsFor = (provider) => selection.filter((m) => m.provider === provider).map((m) => m.id)
+  const histories = {
+    kalshi: useMarketHistories('kalshi', idsFor('kalshi'), hours),
+    poly: useMarketHistories('poly', idsFor('poly'), hours),
+  }
+  // Tradability when the detail endpoint doesn't carry it
+  const ranked = {
+    kalshi: useProviderApi('kalshi', idsFor('kalshi').length > 0 ? '/tradeability-score' : null, { limit: MARKET_RANK_LIMIT }, { normalize: 'market' }),
+    poly: useProviderApi('poly', idsFor('poly').length > 0 ? '/tradeability-score' : null, { limit: MARKET_RANK_LIMIT }, { normalize: 'market' }),
+  }
+
+  const markets = selection.map((m, i) => {
+    const entry = details[compareKey(m)]
+    const points = histories[m.provider].byId.get(m.id) ?? []
+    const values = points.map((p) => toPoints(p.prob)).filter((v) => v !== null)
+    const rankedRow = Array.isArray(ranked[m.provider].data) ? ranked[m.provider].data.find((row) => row.id === m.id) : null
+    return {
+      ...entry?.market,
+      key: compareKey(m),
+      provider: m.provider,
+      id: m.id,
+      title: entry?.market?.title ?? m.title ?? m.id,
+      error: entry?.error ?? null,
+      color: COMPARE_COLORS[i % COMPARE_COLORS.length],
+      points,
+      change: values.length >= 2 ? values[values.length - 1] - values[0] : null,
+      tradability_score: num(entry?.market?.tradability_score) ?? num(rankedRow?.tradability_score),
+    }
+  })
+
+  // Opening /compare bare takes the tray's selection into the URL
+  const trayParam = tray.map(compareKey).join(',')
+  useEffect(() => {
+    if (param === null && trayParam) setSearchParams({ m: trayParam }, { replace: true })
+  }, [param, trayParam, setSearchParams])
+
+  // ...and the tray follows the page, titles included once they load
+  const trayJson = JSON.stringify(markets.map(({ provider, id, title }) => ({ provider, id, title })))
+  useEffect(() => {
+    if (JSON.stringify(readCompareTray()) !== trayJson) writeCompareTray(JSON.parse(trayJson))
+  }, [trayJson])
+
+  const remove = (key) => setSearchParams({ m: selection.filter((m) => compareKey(m) !== key).map(compareKey).join(',') })
+
+  // One time axis across venues; a market without a point at a time is a gap
+  const times = [...new Set(markets.flatMap((m) => m.points.map((p) => Date.parse(p.snap_ts))))]
+    .filter(Number.isFinite)
+    .sort((a, b) => a - b)
+  const series = markets.map((m) => {
+    const byTime = new Map(m.points.map((p) => [Date.parse(p.snap_ts), toPoints(p.prob)]))
+    return {
+      label: m.title.length > 40 ? `${m.title.slice(0, 39)}…` : m.title,
+      values: times.map((t) => byTime.get(t) ?? null),
+      times: times.map((t) => new Date(t).toISOString()),
+      color: m.color,
+    }
+  })
+  const historyLoading = Object.values(histories).some((h) => h.loading) && times.length === 0
+  const historyError = Object.values(histories).find((h) => h.error)?.error ?? null
+
+  const windowLabel = hours < 48 ? `${hours}h` : `${hours / 24}d`
+
+  const columns = [
+    {
+      key: 'title',
+      label: 'Market',
+      defaultSortDir: 'asc',
+      render: (row) => (
+        <>
+          <span className="compare-swatch" style={{ background: row.color }} />
+          <MarketLink provider={row.provider} id={row.id}>{row.title}</MarketLink>
+          {row.error && <span className="muted"> (unavailable)</span>}
+        </>
+      ),
+    },
+    {
+      key: 'venue',
+      label: 'Venue',
+      defaultSortDir: 'asc',
+      value: (row) => PROVIDERS[row.provider].label,
+      render: (row) => <VenueCell provider={row.provider} />,
+    },
+    { key: 'prob', label: 'Probability', render: (row) => fmtCellPct(row.prob) ?? '—' },
+    {
+      key: 'change',
+      label: `Δ ${windowLabel} (pp)`,
+      className: (row) => (num(row.change) === null || row.change === 0 ? '' : row.change > 0 ? 'delta-positive' : 'delta-negative'),
+      render: (row) => fmtCellChange(row.change),
+    },
+    { key: 'volume', label: 'Volume (USD)', render: (row) => fmtCellNum(row.volume) ?? '—' },
+    { key: 'depth', label: 'OI / Liquidity (USD)', render: (row) => fmtCellNum(row.depth) ?? '—' },
+    { key: 'spread', label: 'Spread (pp)', value: (row) => toPoints(row.spread), render: (row) => fmtCellDec(toPoints(row.spread), 1) ?? '—' },
+    { key: 'tradability_score', label: 'Tradability', render: (row) => fmtCellDec(row.tradability_score) ?? '—' },
+    {
+      key: 'remove',
+      label: 'Remove',
+      sortable: false,
+      export: false,
+      render: (row) => (
+        <button type="button" className="compare-remove" aria-label={`Remove ${row.title}`} onClick={() => remove(row.key)}>×</button>
+      ),
+    },
+  ]
+
+  return (
+    <div className="dashboard compare-page">
+      <p className="seo-blurb">
+        Compare up to {COMPARE_MAX} Kalshi and Polymarket contracts side by side:
+        overlaid probability history and volume, depth, spread and tradability.
+      </p>
+      <h2 className="dashboard-title">Compare Markets</h2>
+
+      {selection.length === 0 ? (
+        <div className="panel">
+          <div className="panel-body">
+            <span className="muted">
+              Nothing to compare yet. Add markets with the + button in the screeners, Signals or mid-move tables.
+            </span>
           </div>
         </div>
-        <div className="panel-body">
-          {heatData.loading && renderLoading('Loading market heat…')}
-          {renderError(heatData.error)}
-          {Array.isArray(heatData.data) && heatData.data.length > 0 && (
-            <div className="markets-table-scroll">
-              <table className="markets-table">
-                <thead>
-                  <tr>
-                    <th>{platform === 'kalshi' ? 'Ticker' : 'Question'}</th>
-                    {platform === 'kalshi' && <th>Title</th>}
-                    {platform === 'poly' && <th>Category</th>}
-                    {platform === 'poly' && <th>Volume</th>}
-                    {platform === 'poly' && <th>Vol 24h</th>}
-                    <th>Churn Rate</th>
-                  </tr>
-                </thead>
-                <tbody>
-                  {heatData.data.map((row, idx) => {
-                    const isKalshi = platform === 'kalshi'
-                    return (
-                      <tr key={(isKalshi ? row.market_ticker : row.condition_id) ?? idx}>
-                        <td>{isKalshi ? row.market_ticker : row.question}</td>
-                        {isKalshi && <td>{row.title}</td>}
-                        {!isKalshi && <td>{row.category ?? '—'}</td>}
-                        {!isKalshi && <td>{fmtNum(row.volume)}</td>}
-                        {!isKalshi && <td>{fmtNum(row.volume_24hr)}</td>}
-                        <td>{fmtDec(row.churn_rate, 4)}</td>
-                      </tr>
-                    )
-                  })}
-                </tbody>
-              </table>
+      ) : (
+        <>
+          <div className="panel" style={{ marginTop: '1.5rem' }}>
+            <div className="panel-header" style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', flexWrap: 'wrap', gap: '0.5rem' }}>
+              <div className="panel-title">Probability History</div>
+              <div className="signals-controls">
+                <label>
+                  Window
+                  <select value={hours} onChange={(e) => setHours(Number(e.target.value))}>
+                    {MARKET_HISTORY_WINDOWS.map((h) => <option key={h} value={h}>{h < 48 ? `${h}h` : `${h / 24}d`}</option>)}
+                  </select>
+                </label>
+              </div>
             </div>
-          )}
-          {Array.isArray(heatData.data) && heatData.data.length === 0 && !heatData.loading && (
-            <span className="muted">No market heat data available.</span>
-          )}
+            <div className="panel-body">
+              <ModernLineChart
+                series={series}
+                sharedScale
+                loading={historyLoading}
+                error={times.length === 0 ? historyError : null}
+                yAxisFormatter={(v) => `${v.toFixed(1)}%`}
+                xAxisFormatter={fmtHistoryTime}
+              />
+            </div>
+          </div>
+
+          <div className="panel" style={{ marginTop: '1.5rem', marginBottom: '2rem' }}>
+            <div className="panel-header">
+              <div className="panel-title">Stats</div>
+            </div>
+            <div className="panel-body">
+              <DataTable
+                id="compare"
+                columns={columns}
+                rows={markets}
+                rowKey={(row) => row.key}
+                exportOptions={{ title: 'Market comparison', filters: [['Window', windowLabel]] }}
+              />
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+// ─── Watchlist Page ──────────────────────────────────────────────────────────
+// Every starred market from both venues with its latest mid, 1h/24h change,
+// spread and expiry. Reloads when the next snapshot is due, like useProviderApi.
+
+const HOUR_MS = 3_600_000
+
+// Change from the snapshot an hour before the newest one, in points
+function changeOverLastHour(points) {
+  const last = points[points.length - 1]
+  if (!last) return null
+  const cutoff = Date.parse(last.snap_ts) - HOUR_MS + SNAPSHOT_GRACE_MS
+  const before = points.filter((p) => Date.parse(p.snap_ts) <= cutoff).at(-1)
+  const now = toPoints(last.prob)
+  const then = toPoints(before?.prob)
+  return now !== null && then !== null ? now - then : null
+}
+
+function WatchlistPage() {
+  const watchlist = useWatchlist()
+  const [refreshKey, setRefreshKey] = useState(0)
+  const details = useMarketDetails(watchlist, { refreshKey })
+  const idsFor = (provider) => watchlist.filter((m) => m.provider === provider).map((m) => m.id)
+  const histories = {
+    kalshi: useMarketHistories('kalshi', idsFor('kalshi'), SCREENER_HISTORY_HOURS, { refreshKey }),
+    poly: useMarketHistories('poly', idsFor('poly'), SCREENER_HISTORY_HOURS, { refreshKey }),
+  }
+
+  const freshness = useMemo(() => {
+    const loaded = Object.values(details).filter((entry) => entry.market)
+    if (loaded.length === 0) return null
+    return snapshotFreshness(loaded.map((entry) => entry.market), Math.max(...loaded.map((entry) => entry.fetchedAt)))
+  }, [details])
+
+  useEffect(() => {
+    if (!freshness) return
+    const delay = Math.max(freshness.nextUpdate + SNAPSHOT_GRACE_MS - Date.now(), SNAPSHOT_RETRY_MS)
+    const timer = setTimeout(() => setRefreshKey((n) => n + 1), delay)
+    return () => clearTimeout(timer)
+  }, [freshness])
+
+  const rows = watchlist.map((m) => {
+    const entry = details[compareKey(m)]
+    const points = histories[m.provider].byId.get(m.id) ?? []
+    const stats = historyStats(points)
+    return {
+      ...entry?.market,
+      ...stats,
+      key: compareKey(m),
+      provider: m.provider,
+      id: m.id,
+      title: entry?.market?.title ?? m.title ?? m.id,
+      prob: entry?.market?.prob ?? num(points.at(-1)?.prob) ?? null,
+      change_1h: changeOverLastHour(points),
+      error: entry?.error ?? null,
+    }
+  })
+  const loading = watchlist.some((m) => !details[compareKey(m)])
+  const failed = rows.filter((row) => row.error && !row.snap_ts)
+
+  const columns = [
+    watchColumn((row) => ({ provider: row.provider, id: row.id, title: row.title })),
+    compareColumn((row) => ({ provider: row.provider, id: row.id, title: row.title })),
+    {
+      key: 'title',
+      label: 'Market',
+      defaultSortDir: 'asc',
+      render: (row) => (
+        <>
+          <MarketLink provider={row.provider} id={row.id}>{row.title}</MarketLink>
+          {row.error && <span className="muted"> (unavailable)</span>}
+        </>
+      ),
+    },
+    {
+      key: 'venue',
+      label: 'Venue',
+      defaultSortDir: 'asc',
+      value: (row) => PROVIDERS[row.provider].label,
+      render: (row) => <VenueCell provider={row.provider} />,
+    },
+    { key: 'prob', label: 'Mid', value: (row) => toPoints(row.prob), render: (row) => PROVIDERS[row.provider].fmtProb(row.prob) },
+    ...SCREENER_HISTORY_COLUMNS.filter((col) => col.key === 'range_24h'),
+    {
+      key: 'change_1h',
+      label: 'Δ1h (pp)',
+      className: (row) => (num(row.change_1h) === null || row.change_1h === 0 ? '' : row.change_1h > 0 ? 'delta-positive' : 'delta-negative'),
+      render: (row) => fmtCellChange(row.change_1h),
+    },
+    ...SCREENER_HISTORY_COLUMNS.filter((col) => col.key === 'change_24h'),
+    { key: 'spread', label: 'Spread (pp)', value: (row) => toPoints(row.spread), render: (row) => fmtCellDec(toPoints(row.spread), 1) ?? '—' },
+    {
+      key: 'expiresAt',
+      label: 'Expires',
+      defaultSortDir: 'asc',
+      value: (row) => {
+        const t = Date.parse(row.expiresAt)
+        return Number.isFinite(t) ? t : null
+      },
+      render: (row) => <ExpiryCountdown expiresAt={row.expiresAt} />,
+    },
+  ]
+
+  return (
+    <div className="dashboard watchlist-page">
+      <p className="seo-blurb">
+        Your starred Kalshi and Polymarket contracts in one place: latest mid,
+        1h and 24h change, spread and time to expiry.
+      </p>
+      <h2 className="dashboard-title">Watchlist</h2>
+
+      {watchlist.length === 0 ? (
+        <div className="panel">
+          <div className="panel-body">
+            <span className="muted">
+              No starred markets yet. Use ☆ on the dashboards, screeners, Signals, the heatmap or Expiring Soon to add some.
+            </span>
+          </div>
         </div>
-      </div>
+      ) : (
+        <div className="panel" style={{ marginTop: '1.5rem', marginBottom: '2rem' }}>
+          <div className="panel-header" style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', flexWrap: 'wrap', gap: '0.5rem' }}>
+            <div className="panel-title">
+              {watchlist.length} starred {watchlist.length === 1 ? 'market' : 'markets'} <FreshnessBadge freshness={freshness} />
+            </div>
+            <div className="screener-filter-actions">
+              <button type="button" onClick={() => setRefreshKey((n) => n + 1)}>Refresh</button>
+            </div>
+          </div>
+          <div className="panel-body">
+            {loading && rows.every((row) => !row.snap_ts) && <div className="loading">Loading watchlist…</div>}
+            {failed.length > 0 && (
+              <div className="muted" style={{ marginBottom: '0.5rem' }}>
+                {failed.length} of {rows.length} markets couldn't be loaded; they may have been delisted.
+              </div>
+            )}
+            <DataTable
+              id="watchlist"
+              columns={columns}
+              rows={rows}
+              rowKey={(row) => row.key}
+              exportOptions={{ title: 'Watchlist', filters: [], snapshotAt: freshness?.asOf }}
+            />
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+// ─── Arbitrage Page ──────────────────────────────────────────────────────────
+
+// Kalshi's taker fee is 0.07 × P × (1 − P) per contract, rounded up to the
+// cent; Polymarket charges no trading fee on most markets.
+const KALSHI_TAKER_FEE_RATE = 0.07
+const POLY_FEE_RATE = 0
+const ARB_CHANGE_LIMIT = 500
+
+function kalshiFee(price) {
+  return Math.ceil(KALSHI_TAKER_FEE_RATE * price * (1 - price) * 100) / 100
+}
+
+// Edge of the cheaper of the two hedged routes, per $1 payout, after fees.
+// Polymarket only exposes outcome prices, so half its quoted spread is added
+// as the cost of crossing the book.
+function arbitrageEdge(kalshi, poly) {
+  const kBid = kalshi.bid
+  const kAsk = kalshi.ask
+  const pYes = poly.prob
+  const pNo = num(poly.outcome_no_price) ?? (pYes === null ? null : 1 - pYes)
+  if (kBid === null || kAsk === null || pYes === null || pNo === null) return null
+  const pSlip = (poly.spread ?? 0) / 2
+
+  const routes = [
+    // YES on Kalshi at the ask, NO on Polymarket
+    { label: 'YES Kalshi + NO Poly', kPrice: kAsk, pPrice: pNo + pSlip },
+    // NO on Kalshi (1 − bid), YES on Polymarket
+    { label: 'NO Kalshi + YES Poly', kPrice: 1 - kBid, pPrice: pYes + pSlip },
+  ].map((r) => {
+    const cost = r.kPrice + r.pPrice + kalshiFee(r.kPrice) + r.pPrice * POLY_FEE_RATE
+    return { ...r, cost, edge: 1 - cost }
+  })
+  return routes[0].edge >= routes[1].edge ? routes[0] : routes[1]
+}
+
+function ArbitragePage() {
+  const [category, setCategory] = useState('Trending')
+  const [minLiquidity, setMinLiquidity] = useState(0)
+  const [onlyPositive, setOnlyPositive] = useState(false)
+
+  const matches = useMarketMatches()
+  const kalshiChanges = useProviderApi('kalshi', '/markets/top-changes-24h', { metric: 'mid', limit: ARB_CHANGE_LIMIT })
+  const polyChanges = useProviderApi('poly', '/markets/top-changes-24h', { metric: 'outcome_yes_price', limit: ARB_CHANGE_LIMIT })
+  const kalshiUniverse = useProviderApi('kalshi', '/markets/screener', { limit: MATCH_UNIVERSE_LIMIT })
+  const polyUniverse = useProviderApi('poly', '/markets/screener', { limit: MATCH_UNIVERSE_LIMIT })
+  const loading = kalshiUniverse.loading || polyUniverse.loading
+  const error = kalshiUniverse.error ?? polyUniverse.error
+
+  // Prices 24h ago, where the market moved enough to be in the change feeds
+  const prevPrice = (result, scale) => new Map(
+    (Array.isArray(result.data) ? result.data : [])
+      .map((r) => [r.market_ticker ?? r.condition_id, num(r.prev_value)])
+      .filter(([id, v]) => id && v !== null)
+      .map(([id, v]) => [id, v * scale]),
+  )
+  const kalshiPrev = prevPrice(kalshiChanges, 0.01)
+  const polyPrev = prevPrice(polyChanges, 1)
+
+  const rows = [...new Set(matches.values())]
+    .filter(({ kalshi, poly }) => (
+      matchesKalshiCategory(kalshi, category) || (POLY_CATEGORY_PATTERNS[category] && matchesPolyCategory(poly, category))
+    ))
+    .filter(({ kalshi, poly }) => (kalshi.depthUsd ?? 0) >= minLiquidity && (poly.depthUsd ?? 0) >= minLiquidity)
+    .map((pair) => {
+      const { kalshi, poly } = pair
+      const route = arbitrageEdge(kalshi, poly)
+      const divergence = poly.prob !== null && kalshi.prob !== null ? poly.prob - kalshi.prob : null
+      // Unmoved markets aren't in the change feeds; their current price is the 24h-ago price
+      const kThen = kalshiPrev.get(kalshi.id) ?? kalshi.prob
+      const pThen = polyPrev.get(poly.id) ?? poly.prob
+      const divergenceThen = kThen !== null && pThen !== null ? pThen - kThen : null
+      const divergenceChange = divergence !== null && divergenceThen !== null
+        ? Math.abs(divergence) - Math.abs(divergenceThen)
+        : null
+      return { ...pair, route, divergence, divergenceChange }
+    })
+    .filter((r) => r.route && (!onlyPositive || r.route.edge > 0))
+    .sort((a, b) => b.route.edge - a.route.edge)
+
+  const fmtPp = (v, signed = false) => (v === null ? '—' : `${signed && v > 0 ? '+' : ''}${(v * 100).toFixed(1)}pp`)
+  const arbColumns = [
+    {
+      key: 'kalshi',
+      label: 'Kalshi',
+      defaultSortDir: 'asc',
+      value: (row) => row.kalshi.title,
+      render: ({ kalshi, source }) => (
+        <>
+          <MarketLink provider="kalshi" id={kalshi.id}>{kalshi.title}</MarketLink>
+          <div className="market-cell-id">{kalshi.id}{source === 'override' ? ' · curated' : ''}</div>
+        </>
+      ),
+    },
+    {
+      key: 'poly',
+      label: 'Polymarket',
+      defaultSortDir: 'asc',
+      value: (row) => row.poly.title,
+      render: ({ poly }) => <MarketLink provider="poly" id={poly.id}>{poly.title}</MarketLink>,
+    },
+    {
+      key: 'kalshi_quote',
+      label: 'K Bid / Ask',
+      value: (row) => row.kalshi.prob,
+      render: ({ kalshi }) => `${PROVIDERS.kalshi.fmtProb(kalshi.bid)} / ${PROVIDERS.kalshi.fmtProb(kalshi.ask)}`,
+    },
+    {
+      key: 'poly_quote',
+      label: 'P YES / NO',
+      value: (row) => row.poly.prob,
+      render: ({ poly }) => (
+        `${PROVIDERS.poly.fmtProb(poly.prob)} / ${PROVIDERS.poly.fmtProb(num(poly.outcome_no_price) ?? (poly.prob === null ? null : 1 - poly.prob))}`
+      ),
+    },
+    { key: 'divergence', label: 'Divergence', render: (row) => fmtPp(row.divergence, true) },
+    {
+      key: 'divergenceChange',
+      label: 'Δ24h',
+      className: (row) => (row.divergenceChange > 0 ? 'diff-up' : row.divergenceChange < 0 ? 'diff-down' : ''),
+      render: (row) => fmtPp(row.divergenceChange, true),
+    },
+    { key: 'route', label: 'Best route', defaultSortDir: 'asc', value: (row) => row.route.label, render: (row) => row.route.label },
+    {
+      key: 'edge',
+      label: 'Net edge',
+      value: (row) => row.route.edge,
+      className: (row) => (row.route.edge > 0 ? 'diff-up' : 'diff-down'),
+      render: (row) => fmtPp(row.route.edge, true),
+    },
+    {
+      key: 'liquidity',
+      label: 'Liquidity $ (K / P)',
+      value: (row) => Math.min(row.kalshi.depthUsd ?? 0, row.poly.depthUsd ?? 0),
+      render: ({ kalshi, poly }) => `${fmtCompactAmount(kalshi.depthUsd, '$')} / ${fmtCompactAmount(poly.depthUsd, '$')}`,
+    },
+  ]
+
+  return (
+    <div className="dashboard arbitrage-page">
+      <p className="seo-blurb">
+        Cross-venue arbitrage scanner: the same question on Kalshi and Polymarket,
+        ranked by price divergence after fees and spreads.
+      </p>
+      <h2 className="dashboard-title">Arbitrage &amp; Divergence</h2>
 
-      {/* ═══ TRADABILITY SCORE ═══ */}
       <div className="panel" style={{ marginTop: '1.5rem', marginBottom: '2rem' }}>
         <div className="panel-header" style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', flexWrap: 'wrap', gap: '0.5rem' }}>
-          <div className="panel-title">Tradability Score</div>
+          <div className="panel-title">
+            Matched Pairs <FreshnessBadge freshness={kalshiUniverse.freshness} />
+          </div>
           <div className="signals-controls">
             <label>
-              Limit
-              <select value={tradeLimit} onChange={(e) => setTradeLimit(Number(e.target.value))}>
-                {[5, 10].map((n) => <option key={n} value={n}>{n}</option>)}
+              Category
+              <select value={category} onChange={(e) => setCategory(e.target.value)}>
+                {KALSHI_CATEGORIES.map((c) => <option key={c} value={c}>{c === 'Trending' ? 'All' : c}</option>)}
               </select>
             </label>
+            <label>
+              Min liquidity ($)
+              <input
+                type="number"
+                min="0"
+                step="1000"
+                value={minLiquidity}
+                onChange={(e) => setMinLiquidity(Number(e.target.value) || 0)}
+                style={{ width: '7rem' }}
+              />
+            </label>
+            <label>
+              <input type="checkbox" checked={onlyPositive} onChange={(e) => setOnlyPositive(e.target.checked)} />
+              Positive edge only
+            </label>
           </div>
         </div>
         <div className="panel-body">
-          {tradeData.loading && renderLoading('Loading tradability scores…')}
-          {renderError(tradeData.error)}
-          {Array.isArray(tradeData.data) && tradeData.data.length > 0 && (
-            <div className="markets-table-scroll">
-              <table className="markets-table">
-                <thead>
-                  <tr>
-                    <th>{platform === 'kalshi' ? 'Ticker' : 'Question'}</th>
-                    {platform === 'kalshi' && <th>Title</th>}
-                    {platform === 'poly' && <th>Category</th>}
-                    <th>Volume</th>
-                    {platform === 'kalshi' && <th>OI</th>}
-                    {platform === 'poly' && <th>Liquidity</th>}
-                    {platform === 'kalshi' && <th>Yes Bid</th>}
-                    {platform === 'kalshi' && <th>Yes Ask</th>}
-                    {platform === 'poly' && <th>Yes Price</th>}
-                    {platform === 'kalshi' && <th>Spread</th>}
-                    <th>Tradability</th>
-                  </tr>
-                </thead>
-                <tbody>
-                  {tradeData.data.map((row, idx) => {
-                    const isKalshi = platform === 'kalshi'
-                    return (
-                      <tr key={(isKalshi ? row.market_ticker : row.condition_id) ?? idx}>
-                        <td>{isKalshi ? row.market_ticker : row.question}</td>
-                        {isKalshi && <td>{row.title}</td>}
-                        {!isKalshi && <td>{row.category ?? '—'}</td>}
-                        <td>{fmtNum(row.volume)}</td>
-                        {isKalshi && <td>{fmtNum(row.open_interest)}</td>}
-                        {!isKalshi && <td>{fmtNum(row.liquidity)}</td>}
-                        {isKalshi && <td>{fmtDec(row.yes_bid, 0)}</td>}
-                        {isKalshi && <td>{fmtDec(row.yes_ask, 0)}</td>}
-                        {!isKalshi && <td>{fmtPct(row.outcome_yes_price)}</td>}
-                        {isKalshi && <td>{fmtDec(row.spread_ticks, 1)}</td>}
-                        <td>{fmtDec(row.tradability_score, 4)}</td>
-                      </tr>
-                    )
-                  })}
-                </tbody>
-              </table>
-            </div>
+          <p className="panel-methodology">
+            Edge is what's left of a $1 payout after buying both sides of the cheaper hedge:
+            Kalshi at its bid/ask plus the taker fee, Polymarket at its outcome price plus half the spread.
+            Divergence is Polymarket YES minus Kalshi mid; Δ24h shows whether the gap widened (+) or closed (−).
+            Min liquidity applies to both legs in dollars: Polymarket liquidity, and Kalshi open interest valued at its mid.
+          </p>
+          {loading && <div className="loading">Matching markets…</div>}
+          <ErrorState error={error} onRetry={kalshiUniverse.error ? kalshiUniverse.retry : polyUniverse.retry} />
+          {!loading && !error && rows.length === 0 && (
+            <span className="muted">No matched pairs pass these filters.</span>
           )}
-          {Array.isArray(tradeData.data) && tradeData.data.length === 0 && !tradeData.loading && (
-            <span className="muted">No tradability data available.</span>
+          {rows.length > 0 && (
+            <DataTable
+              id="arbitrage"
+              columns={arbColumns}
+              rows={rows}
+              rowKey={(row) => `${row.kalshi.id}-${row.poly.id}`}
+              defaultSort={{ key: 'edge', dir: 'desc' }}
+            />
           )}
         </div>
       </div>
@@ -3605,7 +7804,7 @@ function SignalsPage() {
 
 function App() {
   const location = useLocation()
-  const screenerActive = location.pathname === '/screener' || location.pathname === '/poly-screener'
+  const screenerActive = location.pathname.startsWith('/screener') || location.pathname === '/poly-screener'
 
   return (
     <div className="app-shell">
@@ -3633,30 +7832,53 @@ function App() {
           <NavLink to="/signals" className={({ isActive }) => 'app-link' + (isActive ? ' active' : '')}>
             Signals
           </NavLink>
+          <NavLink to="/arbitrage" className={({ isActive }) => 'app-link' + (isActive ? ' active' : '')}>
+            Arbitrage
+          </NavLink>
+          <NavLink to="/compare" className={({ isActive }) => 'app-link' + (isActive ? ' active' : '')}>
+            Compare
+          </NavLink>
+          <NavLink to="/watchlist" className={({ isActive }) => 'app-link' + (isActive ? ' active' : '')}>
+            Watchlist
+          </NavLink>
           <div className={`nav-dropdown${screenerActive ? ' nav-dropdown--active' : ''}`}>
             <span className="app-link nav-dropdown-trigger">Screeners ▾</span>
             <div className="nav-dropdown-menu">
-              <NavLink to="/screener" className={({ isActive }) => 'app-link nav-dropdown-item' + (isActive ? ' active' : '')}>
+              <NavLink to="/screener" end className={({ isActive }) => 'app-link nav-dropdown-item' + (isActive ? ' active' : '')}>
                 Kalshi Screener
               </NavLink>
               <NavLink to="/poly-screener" className={({ isActive }) => 'app-link nav-dropdown-item' + (isActive ? ' active' : '')}>
                 Poly Screener
               </NavLink>
+              <NavLink to="/screener/all" className={({ isActive }) => 'app-link nav-dropdown-item' + (isActive ? ' active' : '')}>
+                All Venues
+              </NavLink>
             </div>
           </div>
         </nav>
       </header>
+      <BackendStatusBanner />
+      {SCHEMA_OVERLAY_ENABLED && <SchemaDriftOverlay />}
       <main className="app-main">
         <Routes>
           <Route path="/" element={<LandingPage />} />
           <Route path="/dashboard" element={<Dashboard />} />
           <Route path="/screener" element={<ScreenerPage />} />
+          <Route path="/screener/all" element={<AllScreenerPage />} />
           <Route path="/poly-dashboard" element={<PolyDashboard />} />
           <Route path="/poly-screener" element={<PolyScreenerPage />} />
           <Route path="/vol-index" element={<VolIndexPage />} />
           <Route path="/signals" element={<SignalsPage />} />
+          <Route path="/arbitrage" element={<ArbitragePage />} />
+          <Route path="/compare" element={<ComparePage />} />
+          <Route path="/watchlist" element={<WatchlistPage />} />
+          <Route path="/market/:id" element={<MarketPage provider="kalshi" />} />
+          <Route path="/polymarket/market/:id" element={<MarketPage provider="poly" />} />
+          <Route path="/event/:id" element={<EventPage provider="kalshi" />} />
+          <Route path="/polymarket/event/:id" element={<EventPage provider="poly" />} />
         </Routes>
       </main>
+      <CompareTray />
     </div>
   )
 }
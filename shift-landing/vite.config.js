@@ -1,23 +1,34 @@
-import { defineConfig } from 'vite'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
+import mockApi from './mock/plugin.js'
 
 // https://vite.dev/config/
-export default defineConfig({
-  plugins: [react()],
-  server: {
-    proxy: {
-      '/api': {
-        target:
-          'https://wnlul5avuii4hh4crehsmljhzq0ikxwx.lambda-url.us-east-1.on.aws',
-        changeOrigin: true,
-        rewrite: (path) => path.replace(/^\/api/, ''),
-      },
-      // Polymarket API — only match /poly/* requests, then strip /poly prefix
-      '/poly/': {
-        target: 'http://localhost:8001',
-        changeOrigin: true,
-        rewrite: (path) => path.replace(/^\/poly/, ''),
+export default defineConfig(({ mode }) => {
+  const env = loadEnv(mode, process.cwd(), '')
+  // VITE_MOCK=1 serves /api and /poly from mock/fixtures instead of the
+  // live backends; VITE_MOCK_TIMESHIFT=0 keeps the recorded timestamps.
+  const mock = env.VITE_MOCK === '1'
+
+  return {
+    plugins: [
+      react(),
+      mock && mockApi({ timeShift: env.VITE_MOCK_TIMESHIFT !== '0' }),
+    ],
+    server: {
+      proxy: {
+        '/api': {
+          target:
+            'https://wnlul5avuii4hh4crehsmljhzq0ikxwx.lambda-url.us-east-1.on.aws',
+          changeOrigin: true,
+          rewrite: (path) => path.replace(/^\/api/, ''),
+        },
+        // Polymarket API — only match /poly/* requests, then strip /poly prefix
+        '/poly/': {
+          target: 'http://localhost:8001',
+          changeOrigin: true,
+          rewrite: (path) => path.replace(/^\/poly/, ''),
+        },
       },
     },
-  },
+  }
 })